@@ -1,5 +1,6 @@
 import supabase from '../config/db.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
 
 const mapAnnouncement = (a) => ({
   _id: a.id,
@@ -50,6 +51,8 @@ export const createAnnouncement = async (req, res) => {
       .single();
 
     if (error) throw error;
+
+    await recordAudit(req, { action: 'announcement.create', entityType: 'announcement', entityId: data.id, after: data });
     res.status(201).json(mapAnnouncement(data));
   } catch (error) {
     handleError(res, error, 'announcementController');
@@ -68,6 +71,8 @@ export const updateAnnouncement = async (req, res) => {
     if (priority !== undefined) updates.priority = priority;
     if (isActive !== undefined) updates.is_active = isActive;
 
+    const before = await getAuditSnapshot('announcements', req.params.id);
+
     const { data, error } = await supabase
       .from('announcements')
       .update(updates)
@@ -77,6 +82,8 @@ export const updateAnnouncement = async (req, res) => {
 
     if (error) throw error;
     if (!data) return res.status(404).json({ message: 'Announcement not found' });
+
+    await recordAudit(req, { action: 'announcement.update', entityType: 'announcement', entityId: data.id, before, after: data });
     res.json(mapAnnouncement(data));
   } catch (error) {
     handleError(res, error, 'announcementController');
@@ -88,11 +95,15 @@ export const updateAnnouncement = async (req, res) => {
 // @access  Private/Admin
 export const deleteAnnouncement = async (req, res) => {
   try {
+    const before = await getAuditSnapshot('announcements', req.params.id);
+
     const { error } = await supabase
       .from('announcements')
       .delete()
       .eq('id', req.params.id);
     if (error) throw error;
+
+    await recordAudit(req, { action: 'announcement.delete', entityType: 'announcement', entityId: req.params.id, before });
     res.json({ message: 'Announcement deleted successfully' });
   } catch (error) {
     handleError(res, error, 'announcementController');
@@ -0,0 +1,104 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { hasPermission, API_KEY_SCOPES } from '../lib/permissions.js';
+import { createApiKey } from '../lib/apiKeys.js';
+import { recordAudit } from '../lib/audit.js';
+
+const mapApiKey = (k) => ({
+  _id: k.id,
+  name: k.name,
+  prefix: k.key_prefix,
+  scopes: k.scopes || [],
+  createdBy: k.created_by,
+  createdByName: k.admins?.name || null,
+  expiresAt: k.expires_at,
+  lastUsedAt: k.last_used_at,
+  lastUsedIp: k.last_used_ip,
+  revokedAt: k.revoked_at,
+  isActive: !k.revoked_at && (!k.expires_at || new Date(k.expires_at) > new Date()),
+  createdAt: k.created_at,
+});
+
+// @desc    List API keys (never includes the secret)
+// @route   GET /api/api-keys
+// @access  Private (api_keys:manage)
+export const getApiKeys = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('id, name, key_prefix, scopes, created_by, expires_at, last_used_at, last_used_ip, revoked_at, created_at, admins(name)')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      apiKeys: (data || []).map(mapApiKey),
+      availableScopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    handleError(res, error, 'apiKeyController:getApiKeys');
+  }
+};
+
+// @desc    Create an API key — the raw key is only shown in this response
+// @route   POST /api/api-keys
+// @access  Private (api_keys:manage)
+export const createKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    // No escalation: a key can only carry permissions its creator has
+    const notHeld = scopes.filter((scope) => !hasPermission(req.admin, scope));
+    if (notHeld.length > 0) {
+      return res.status(403).json({ message: `Forbidden: you cannot grant ${notHeld.join(', ')}` });
+    }
+
+    const { key, apiKey } = await createApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      createdBy: req.admin.id,
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      entityType: 'api_key',
+      entityId: apiKey.id,
+      after: { name: apiKey.name, prefix: apiKey.key_prefix, scopes: apiKey.scopes, expiresAt: apiKey.expires_at },
+    });
+
+    res.status(201).json({ ...mapApiKey(apiKey), key });
+  } catch (error) {
+    handleError(res, error, 'apiKeyController:createKey');
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (api_keys:manage)
+export const revokeKey = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .is('revoked_at', null)
+      .select();
+
+    if (error) throw error;
+
+    const apiKey = data?.[0];
+    if (!apiKey) return res.status(404).json({ message: 'Active API key not found' });
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      entityType: 'api_key',
+      entityId: apiKey.id,
+      metadata: { name: apiKey.name, prefix: apiKey.key_prefix },
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    handleError(res, error, 'apiKeyController:revokeKey');
+  }
+};
@@ -0,0 +1,727 @@
+import { randomUUID } from 'node:crypto';
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { generateAssessmentToken, verifyAssessmentToken } from '../middleware/auth.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
+import { toQuestionRow, mapQuestion } from '../lib/questions.js';
+import {
+  ATTEMPT_TOKEN_HEADER,
+  mapAssessment,
+  getWindowState,
+  resultsReleased,
+  getStudentEnrollment,
+  isAssessmentForStudent,
+  buildAssessmentPaper,
+  getAttemptTimes,
+  finalizeAttempt,
+  closeIfExpired,
+  isExpired,
+  mapAttemptForStudent,
+} from '../lib/assessments.js';
+
+// API field → assessments column
+const COLUMNS = {
+  title: 'title',
+  description: 'description',
+  courseId: 'course_id',
+  batchId: 'batch_id',
+  opensAt: 'opens_at',
+  closesAt: 'closes_at',
+  durationMinutes: 'duration_minutes',
+  maxAttempts: 'max_attempts',
+  passPercentage: 'pass_percentage',
+  rules: 'rules',
+  shuffleQuestions: 'shuffle_questions',
+  shuffleOptions: 'shuffle_options',
+  lateMinutes: 'late_minutes',
+  latePenaltyPercent: 'late_penalty_percent',
+  resultRelease: 'result_release',
+  showCorrectAnswers: 'show_correct_answers',
+  isPublished: 'is_published',
+};
+
+const toAssessmentRow = (body) => {
+  const row = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (body[field] !== undefined) row[column] = body[field];
+  }
+  if (row.opens_at) row.opens_at = new Date(row.opens_at).toISOString();
+  if (row.closes_at) row.closes_at = new Date(row.closes_at).toISOString();
+  return row;
+};
+
+const mapAttemptForAdmin = (a) => ({
+  _id: a.id,
+  assessmentId: a.assessment_id,
+  studentId: a.student_id,
+  studentName: a.students?.name || null,
+  studentEmail: a.students?.email || null,
+  attemptNumber: a.attempt_number,
+  status: a.status,
+  startedAt: a.started_at,
+  deadlineAt: a.deadline_at,
+  expiresAt: a.expires_at,
+  lastSavedAt: a.last_saved_at,
+  submittedAt: a.submitted_at,
+  isLate: a.is_late,
+  score: a.score,
+  total: a.total,
+  rawPercentage: a.raw_percentage === null ? null : parseFloat(a.raw_percentage),
+  percentage: a.percentage === null ? null : parseFloat(a.percentage),
+  passed: a.passed,
+  timeTakenSeconds: a.time_taken_seconds,
+});
+
+const paginate = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(query.limit) || 50), 200);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// Staff scoped to batches only see course-wide assessments and their own batches'
+const inAdminScope = (admin, assessment) => (
+  !admin.batchIds || !assessment.batch_id || admin.batchIds.includes(assessment.batch_id)
+);
+
+const loadAssessment = async (id) => {
+  const { data, error } = await supabase
+    .from('assessments')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const getAssessmentSnapshot = async (id) => {
+  const assessment = await getAuditSnapshot('assessments', id);
+  if (!assessment) return null;
+
+  const { data: questions } = await supabase
+    .from('assessment_questions')
+    .select('type, question, options, content, answer, answer_data, explanation, sort_order')
+    .eq('assessment_id', id)
+    .order('sort_order');
+
+  return { ...assessment, questions: questions || [] };
+};
+
+const replaceQuestions = async (assessmentId, questions) => {
+  const { error: delErr } = await supabase
+    .from('assessment_questions')
+    .delete()
+    .eq('assessment_id', assessmentId);
+
+  if (delErr) throw delErr;
+  if (questions.length === 0) return;
+
+  const { error } = await supabase
+    .from('assessment_questions')
+    .insert(questions.map((q, i) => ({ assessment_id: assessmentId, sort_order: i, ...toQuestionRow(q) })));
+
+  if (error) throw error;
+};
+
+const countFixedQuestions = async (assessmentId) => {
+  const { count, error } = await supabase
+    .from('assessment_questions')
+    .select('id', { count: 'exact', head: true })
+    .eq('assessment_id', assessmentId);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+/* ------------------------------------------------------------------ */
+/*  ADMIN                                                             */
+/* ------------------------------------------------------------------ */
+
+// @desc    List assessments (filters: courseId, batchId)
+// @route   GET /api/assessments
+// @access  Private (assessments:write)
+export const getAssessments = async (req, res) => {
+  try {
+    let query = supabase
+      .from('assessments')
+      .select('*')
+      .order('opens_at', { ascending: false, nullsFirst: true });
+
+    if (req.query.courseId) query = query.eq('course_id', req.query.courseId);
+    if (req.query.batchId) query = query.eq('batch_id', req.query.batchId);
+    if (req.admin.batchIds) {
+      query = query.or(`batch_id.is.null,batch_id.in.(${req.admin.batchIds.join(',')})`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json((data || []).map(mapAssessment));
+  } catch (error) {
+    handleError(res, error, 'assessmentController:getAssessments');
+  }
+};
+
+// @desc    Get an assessment with its fixed questions (answer keys included)
+// @route   GET /api/assessments/:id
+// @access  Private (assessments:write)
+export const getAssessmentById = async (req, res) => {
+  try {
+    const assessment = await loadAssessment(req.params.id);
+    if (!assessment || !inAdminScope(req.admin, assessment)) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const { data: questions, error } = await supabase
+      .from('assessment_questions')
+      .select('*')
+      .eq('assessment_id', assessment.id)
+      .order('sort_order');
+
+    if (error) throw error;
+
+    res.json({ ...mapAssessment(assessment), questions: (questions || []).map((q) => mapQuestion(q)) });
+  } catch (error) {
+    handleError(res, error, 'assessmentController:getAssessmentById');
+  }
+};
+
+// @desc    Create an assessment
+// @route   POST /api/assessments
+// @access  Private (assessments:write)
+export const createAssessment = async (req, res) => {
+  try {
+    const { questions, batchId, isPublished, rules } = req.body;
+
+    if (batchId && req.admin.batchIds && !req.admin.batchIds.includes(batchId)) {
+      return res.status(403).json({ message: 'Forbidden: you do not have access to this batch' });
+    }
+    if (isPublished && questions.length === 0 && rules.length === 0) {
+      return res.status(400).json({ message: 'Add questions or bank rules before publishing' });
+    }
+
+    const { data: assessment, error } = await supabase
+      .from('assessments')
+      .insert({ ...toAssessmentRow(req.body), created_by: req.admin.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    try {
+      await replaceQuestions(assessment.id, questions);
+    } catch (qErr) {
+      await supabase.from('assessments').delete().eq('id', assessment.id);
+      throw qErr;
+    }
+
+    await recordAudit(req, {
+      action: 'assessment.create',
+      entityType: 'assessment',
+      entityId: assessment.id,
+      after: await getAssessmentSnapshot(assessment.id),
+    });
+
+    res.status(201).json(mapAssessment(assessment));
+  } catch (error) {
+    handleError(res, error, 'assessmentController:createAssessment');
+  }
+};
+
+// @desc    Update an assessment (questions are replaced when sent). Attempts
+//          already started keep the paper they were given.
+// @route   PUT /api/assessments/:id
+// @access  Private (assessments:write)
+export const updateAssessment = async (req, res) => {
+  try {
+    const existing = await loadAssessment(req.params.id);
+    if (!existing || !inAdminScope(req.admin, existing)) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const updates = toAssessmentRow(req.body);
+    const merged = { ...existing, ...updates };
+
+    if (!merged.course_id && !merged.batch_id) {
+      return res.status(400).json({ message: 'Attach the assessment to a course or a batch' });
+    }
+    if (merged.batch_id && req.admin.batchIds && !req.admin.batchIds.includes(merged.batch_id)) {
+      return res.status(403).json({ message: 'Forbidden: you do not have access to this batch' });
+    }
+    if (merged.opens_at && merged.closes_at && new Date(merged.opens_at) >= new Date(merged.closes_at)) {
+      return res.status(400).json({ message: 'closesAt must be after opensAt' });
+    }
+
+    if (merged.is_published) {
+      const fixed = req.body.questions ? req.body.questions.length : await countFixedQuestions(existing.id);
+      if (fixed === 0 && (merged.rules || []).length === 0) {
+        return res.status(400).json({ message: 'Add questions or bank rules before publishing' });
+      }
+    }
+
+    const before = await getAssessmentSnapshot(existing.id);
+
+    if (req.body.questions) await replaceQuestions(existing.id, req.body.questions);
+
+    let assessment = existing;
+    if (Object.keys(updates).length > 0) {
+      const { data, error } = await supabase
+        .from('assessments')
+        .update(updates)
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      assessment = data;
+    }
+
+    await recordAudit(req, {
+      action: 'assessment.update',
+      entityType: 'assessment',
+      entityId: assessment.id,
+      before,
+      after: await getAssessmentSnapshot(assessment.id),
+    });
+
+    res.json(mapAssessment(assessment));
+  } catch (error) {
+    handleError(res, error, 'assessmentController:updateAssessment');
+  }
+};
+
+// @desc    Delete an assessment and all its attempts
+// @route   DELETE /api/assessments/:id
+// @access  Private (assessments:write)
+export const deleteAssessment = async (req, res) => {
+  try {
+    const existing = await loadAssessment(req.params.id);
+    if (!existing || !inAdminScope(req.admin, existing)) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const before = await getAssessmentSnapshot(existing.id);
+
+    const { error } = await supabase
+      .from('assessments')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'assessment.delete',
+      entityType: 'assessment',
+      entityId: existing.id,
+      before,
+    });
+
+    res.json({ message: 'Assessment removed' });
+  } catch (error) {
+    handleError(res, error, 'assessmentController:deleteAssessment');
+  }
+};
+
+// @desc    Release (or withdraw) results regardless of the release policy
+// @route   PUT /api/assessments/:id/release
+// @access  Private (assessments:write)
+export const releaseResults = async (req, res) => {
+  try {
+    const existing = await loadAssessment(req.params.id);
+    if (!existing || !inAdminScope(req.admin, existing)) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('assessments')
+      .update({ results_released_at: req.body.released ? new Date().toISOString() : null })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: req.body.released ? 'assessment.results.release' : 'assessment.results.withdraw',
+      entityType: 'assessment',
+      entityId: existing.id,
+      before: { results_released_at: existing.results_released_at },
+      after: { results_released_at: data.results_released_at },
+    });
+
+    res.json(mapAssessment(data));
+  } catch (error) {
+    handleError(res, error, 'assessmentController:releaseResults');
+  }
+};
+
+// @desc    List attempts for an assessment (filters: studentId, status)
+// @route   GET /api/assessments/:id/attempts
+// @access  Private (reports:read)
+export const getAssessmentAttempts = async (req, res) => {
+  try {
+    const assessment = await loadAssessment(req.params.id);
+    if (!assessment || !inAdminScope(req.admin, assessment)) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const { page, limit, offset } = paginate(req.query);
+
+    let query = supabase
+      .from('assessment_attempts')
+      .select('id, assessment_id, student_id, attempt_number, status, started_at, deadline_at, expires_at, last_saved_at, submitted_at, is_late, score, total, raw_percentage, percentage, passed, time_taken_seconds, students(name, email)', { count: 'exact' })
+      .eq('assessment_id', assessment.id);
+
+    if (req.query.studentId) query = query.eq('student_id', req.query.studentId);
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data, error, count } = await query
+      .order('started_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      attempts: (data || []).map(mapAttemptForAdmin),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil((count || 0) / limit),
+        total: count || 0,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'assessmentController:getAssessmentAttempts');
+  }
+};
+
+// @desc    One attempt with its paper, saved responses and review
+// @route   GET /api/assessments/:id/attempts/:attemptId
+// @access  Private (reports:read)
+export const getAssessmentAttemptDetail = async (req, res) => {
+  try {
+    const assessment = await loadAssessment(req.params.id);
+    if (!assessment || !inAdminScope(req.admin, assessment)) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('assessment_attempts')
+      .select('*, students(name, email)')
+      .eq('id', req.params.attemptId)
+      .eq('assessment_id', assessment.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ message: 'Attempt not found' });
+
+    res.json({
+      ...mapAttemptForAdmin(data),
+      paper: data.paper,
+      responses: data.responses,
+      review: data.review,
+    });
+  } catch (error) {
+    handleError(res, error, 'assessmentController:getAssessmentAttemptDetail');
+  }
+};
+
+/* ------------------------------------------------------------------ */
+/*  STUDENT                                                           */
+/* ------------------------------------------------------------------ */
+
+// Loads the attempt named in the URL and checks the start token — only the
+// most recently issued token for the attempt may write to it
+const loadAttemptForStudent = async (req, res, { requireToken }) => {
+  const { data: attempt, error } = await supabase
+    .from('assessment_attempts')
+    .select('*, assessments(*)')
+    .eq('id', req.params.attemptId)
+    .eq('student_id', req.student.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!attempt) {
+    res.status(404).json({ message: 'Attempt not found' });
+    return null;
+  }
+
+  if (requireToken) {
+    const token = verifyAssessmentToken(req.headers[ATTEMPT_TOKEN_HEADER]);
+    if (!token || token.aid !== attempt.id || token.id !== req.student.id) {
+      res.status(401).json({ message: 'Invalid or expired attempt token' });
+      return null;
+    }
+    if (token.jti !== attempt.token_id) {
+      res.status(409).json({ message: 'This attempt was resumed on another device', code: 'ATTEMPT_TAKEN_OVER' });
+      return null;
+    }
+  }
+
+  const { assessments: assessment, ...row } = attempt;
+  return { attempt: await closeIfExpired(row, assessment), assessment };
+};
+
+// Validate and merge answers into the saved responses map
+const mergeResponses = (attempt, answers) => {
+  const total = (attempt.paper || []).length;
+  if (answers.some((a) => a.questionIndex >= total)) return null;
+
+  const responses = { ...(attempt.responses || {}) };
+  for (const a of answers) responses[a.questionIndex] = a.response;
+  return responses;
+};
+
+// @desc    Assessments available to the student, with window and attempt status
+// @route   GET /api/assessments/student
+// @access  Private/Student
+export const getMyAssessments = async (req, res) => {
+  try {
+    const enrollment = await getStudentEnrollment(req.student.id);
+    if (enrollment.batchIds.length === 0) return res.json([]);
+
+    const filters = [`batch_id.in.(${enrollment.batchIds.join(',')})`];
+    if (enrollment.courseIds.length > 0) {
+      filters.push(`and(batch_id.is.null,course_id.in.(${enrollment.courseIds.join(',')}))`);
+    }
+
+    const { data: assessments, error } = await supabase
+      .from('assessments')
+      .select('*')
+      .eq('is_published', true)
+      .or(filters.join(','))
+      .order('opens_at', { ascending: true, nullsFirst: false });
+
+    if (error) throw error;
+
+    const visible = (assessments || []).filter((a) => isAssessmentForStudent(a, enrollment));
+    if (visible.length === 0) return res.json([]);
+
+    const { data: attempts, error: attemptErr } = await supabase
+      .from('assessment_attempts')
+      .select('id, assessment_id, attempt_number, status, started_at, deadline_at, expires_at, submitted_at, percentage, passed')
+      .eq('student_id', req.student.id)
+      .in('assessment_id', visible.map((a) => a.id));
+
+    if (attemptErr) throw attemptErr;
+
+    const attemptsByAssessment = {};
+    (attempts || []).forEach((a) => {
+      (attemptsByAssessment[a.assessment_id] ||= []).push(a);
+    });
+
+    res.json(visible.map((a) => {
+      const mine = attemptsByAssessment[a.id] || [];
+      const open = mine.find((t) => t.status === 'in_progress' && !isExpired(t));
+      const released = resultsReleased(a);
+      const finished = mine.filter((t) => t.status !== 'in_progress');
+
+      return {
+        _id: a.id,
+        title: a.title,
+        description: a.description,
+        courseId: a.course_id,
+        batchId: a.batch_id,
+        opensAt: a.opens_at,
+        closesAt: a.closes_at,
+        durationMinutes: a.duration_minutes,
+        maxAttempts: a.max_attempts,
+        lateMinutes: a.late_minutes,
+        latePenaltyPercent: parseFloat(a.late_penalty_percent),
+        window: getWindowState(a),
+        attemptsUsed: mine.length,
+        openAttemptId: open?.id || null,
+        resultsReleased: released,
+        bestPercentage: released && finished.length > 0
+          ? Math.max(...finished.map((t) => parseFloat(t.percentage)))
+          : null,
+      };
+    }));
+  } catch (error) {
+    handleError(res, error, 'assessmentController:getMyAssessments');
+  }
+};
+
+// @desc    Start an attempt (or resume the open one). Returns the paper and a start
+//          token — send it as X-Attempt-Token to autosave and submit.
+// @route   POST /api/assessments/student/:id/start
+// @access  Private/Student
+export const startAssessment = async (req, res) => {
+  try {
+    const studentId = req.student.id;
+    const assessment = await loadAssessment(req.params.id);
+    if (!assessment || !assessment.is_published) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const enrollment = await getStudentEnrollment(studentId);
+    if (!isAssessmentForStudent(assessment, enrollment)) {
+      return res.status(403).json({ message: 'Access denied, not enrolled for this assessment' });
+    }
+
+    const { data: attempts, error: attemptErr } = await supabase
+      .from('assessment_attempts')
+      .select('*')
+      .eq('assessment_id', assessment.id)
+      .eq('student_id', studentId)
+      .order('attempt_number', { ascending: false });
+
+    if (attemptErr) throw attemptErr;
+
+    let attempt = (attempts || []).find((a) => a.status === 'in_progress');
+    if (attempt) attempt = await closeIfExpired(attempt, assessment);
+    const resuming = attempt?.status === 'in_progress';
+
+    if (resuming) {
+      // Resume: a new token id locks out whichever tab/device had the old one
+      const { data, error } = await supabase
+        .from('assessment_attempts')
+        .update({ token_id: randomUUID() })
+        .eq('id', attempt.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      attempt = data;
+    } else {
+      const windowState = getWindowState(assessment);
+      if (windowState === 'upcoming') {
+        return res.status(403).json({ message: `This assessment opens at ${assessment.opens_at}`, opensAt: assessment.opens_at });
+      }
+      if (windowState === 'closed') {
+        return res.status(403).json({ message: 'This assessment is closed' });
+      }
+      if ((attempts || []).length >= assessment.max_attempts) {
+        return res.status(409).json({ message: 'No attempts left for this assessment' });
+      }
+
+      const paper = await buildAssessmentPaper(assessment);
+      if (paper.length === 0) {
+        return res.status(409).json({ message: 'This assessment has no questions yet' });
+      }
+
+      const startedAt = new Date();
+      const { deadlineAt, expiresAt } = getAttemptTimes(assessment, startedAt);
+
+      const { data, error } = await supabase
+        .from('assessment_attempts')
+        .insert({
+          assessment_id: assessment.id,
+          student_id: studentId,
+          attempt_number: (attempts?.[0]?.attempt_number || 0) + 1,
+          status: 'in_progress',
+          paper,
+          responses: {},
+          token_id: randomUUID(),
+          started_at: startedAt.toISOString(),
+          deadline_at: deadlineAt,
+          expires_at: expiresAt,
+        })
+        .select()
+        .single();
+
+      // Two starts racing: the unique open-attempt index lets only one through
+      if (error?.code === '23505') {
+        return res.status(409).json({ message: 'An attempt is already in progress — start again to resume it' });
+      }
+      if (error) throw error;
+      attempt = data;
+    }
+
+    res.status(resuming ? 200 : 201).json({
+      attempt: mapAttemptForStudent(attempt, assessment),
+      attemptToken: generateAssessmentToken(attempt),
+    });
+  } catch (error) {
+    handleError(res, error, 'assessmentController:startAssessment');
+  }
+};
+
+// @desc    Get one of my attempts (open paper, or results once released)
+// @route   GET /api/assessments/student/attempts/:attemptId
+// @access  Private/Student
+export const getMyAttempt = async (req, res) => {
+  try {
+    const loaded = await loadAttemptForStudent(req, res, { requireToken: false });
+    if (!loaded) return;
+
+    res.json(mapAttemptForStudent(loaded.attempt, loaded.assessment));
+  } catch (error) {
+    handleError(res, error, 'assessmentController:getMyAttempt');
+  }
+};
+
+// @desc    Autosave answers on an open attempt
+// @route   PUT /api/assessments/student/attempts/:attemptId/responses
+// @access  Private/Student (X-Attempt-Token)
+export const saveResponses = async (req, res) => {
+  try {
+    const loaded = await loadAttemptForStudent(req, res, { requireToken: true });
+    if (!loaded) return;
+
+    const { attempt, assessment } = loaded;
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({
+        message: 'Time is up — this attempt has been submitted',
+        attempt: mapAttemptForStudent(attempt, assessment),
+      });
+    }
+
+    const responses = mergeResponses(attempt, req.body.answers);
+    if (!responses) {
+      return res.status(400).json({ message: 'Answer references a question that does not exist' });
+    }
+
+    const { data, error } = await supabase
+      .from('assessment_attempts')
+      .update({ responses, last_saved_at: new Date().toISOString() })
+      .eq('id', attempt.id)
+      .eq('status', 'in_progress')
+      .eq('token_id', attempt.token_id)
+      .select('last_saved_at')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(409).json({ message: 'This attempt is no longer open' });
+
+    res.json({
+      savedAt: data.last_saved_at,
+      remainingSeconds: attempt.deadline_at
+        ? Math.max(0, Math.floor((new Date(attempt.deadline_at) - Date.now()) / 1000))
+        : null,
+    });
+  } catch (error) {
+    handleError(res, error, 'assessmentController:saveResponses');
+  }
+};
+
+// @desc    Submit an attempt (optionally with final answers merged over the autosave)
+// @route   POST /api/assessments/student/attempts/:attemptId/submit
+// @access  Private/Student (X-Attempt-Token)
+export const submitAssessment = async (req, res) => {
+  try {
+    const loaded = await loadAttemptForStudent(req, res, { requireToken: true });
+    if (!loaded) return;
+
+    const { attempt, assessment } = loaded;
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({
+        message: attempt.status === 'auto_submitted'
+          ? 'Time is up — your saved answers were submitted automatically'
+          : 'This attempt has already been submitted',
+        attempt: mapAttemptForStudent(attempt, assessment),
+      });
+    }
+
+    const responses = mergeResponses(attempt, req.body.answers);
+    if (!responses) {
+      return res.status(400).json({ message: 'Answer references a question that does not exist' });
+    }
+
+    const submitted = await finalizeAttempt({ ...attempt, responses }, assessment);
+    if (!submitted) return res.status(409).json({ message: 'This attempt has already been submitted' });
+
+    res.json(mapAttemptForStudent(submitted, assessment));
+  } catch (error) {
+    handleError(res, error, 'assessmentController:submitAssessment');
+  }
+};
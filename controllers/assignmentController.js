@@ -0,0 +1,647 @@
+import path from 'path';
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit } from '../lib/audit.js';
+import { uploadPrivateFile, cleanupTempFile } from '../lib/storage.js';
+import { getStudentEnrollment } from '../lib/assessments.js';
+import {
+  mapAssignment,
+  mapSubmission,
+  withSignedFiles,
+  mapGrade,
+  normalizeRubric,
+  scoreRubric,
+  getAssignmentsFor,
+} from '../lib/assignments.js';
+
+const loadAssignment = async (id) => {
+  const { data, error } = await supabase
+    .from('assignments')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Staff scoped to batches only see topic-wide assignments and their own batches'
+const inAdminScope = (admin, assignment) => (
+  !admin.batchIds || !assignment.batch_id || admin.batchIds.includes(assignment.batch_id)
+);
+
+// ...and only grade students enrolled in one of their batches
+const canGradeStudent = async (admin, studentId) => {
+  if (!admin.batchIds) return true;
+
+  const { data, error } = await supabase
+    .from('student_batches')
+    .select('id')
+    .eq('student_id', studentId)
+    .in('batch_id', admin.batchIds)
+    .limit(1);
+
+  if (error) throw error;
+  return (data || []).length > 0;
+};
+
+const toAssignmentRow = (body) => {
+  const row = {};
+  if (body.title !== undefined) row.title = body.title;
+  if (body.description !== undefined) row.description = body.description;
+  if (body.topicId !== undefined) row.topic_id = body.topicId;
+  if (body.batchId !== undefined) row.batch_id = body.batchId;
+  if (body.dueAt !== undefined) row.due_at = body.dueAt ? new Date(body.dueAt).toISOString() : null;
+  if (body.allowLate !== undefined) row.allow_late = body.allowLate;
+  if (body.submissionTypes !== undefined) row.submission_types = [...new Set(body.submissionTypes)];
+  if (body.maxFiles !== undefined) row.max_files = body.maxFiles;
+  if (body.isPublished !== undefined) row.is_published = body.isPublished;
+  if (body.rubric !== undefined) {
+    const { rubric, maxScore } = normalizeRubric(body.rubric);
+    row.rubric = rubric;
+    row.max_score = maxScore;
+  }
+  return row;
+};
+
+/* ------------------------------------------------------------------ */
+/*  ADMIN                                                             */
+/* ------------------------------------------------------------------ */
+
+// @desc    List assignments (filters: topicId, batchId)
+// @route   GET /api/assignments
+// @access  Private/Admin
+export const getAssignments = async (req, res) => {
+  try {
+    let query = supabase
+      .from('assignments')
+      .select('*')
+      .order('due_at', { ascending: false, nullsFirst: true });
+
+    if (req.query.topicId) query = query.eq('topic_id', req.query.topicId);
+    if (req.query.batchId) query = query.eq('batch_id', req.query.batchId);
+    if (req.admin.batchIds) {
+      query = query.or(`batch_id.is.null,batch_id.in.(${req.admin.batchIds.join(',')})`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json((data || []).map(mapAssignment));
+  } catch (error) {
+    handleError(res, error, 'assignmentController:getAssignments');
+  }
+};
+
+// @desc    Get one assignment
+// @route   GET /api/assignments/:id
+// @access  Private/Admin
+export const getAssignmentById = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req.params.id);
+    if (!assignment || !inAdminScope(req.admin, assignment)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    res.json(mapAssignment(assignment));
+  } catch (error) {
+    handleError(res, error, 'assignmentController:getAssignmentById');
+  }
+};
+
+// @desc    Create an assignment
+// @route   POST /api/assignments
+// @access  Private (assignments:write)
+export const createAssignment = async (req, res) => {
+  try {
+    const { batchId } = req.body;
+    if (batchId && req.admin.batchIds && !req.admin.batchIds.includes(batchId)) {
+      return res.status(403).json({ message: 'Forbidden: you do not have access to this batch' });
+    }
+
+    const { data, error } = await supabase
+      .from('assignments')
+      .insert({ ...toAssignmentRow(req.body), created_by: req.admin.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'assignment.create',
+      entityType: 'assignment',
+      entityId: data.id,
+      after: data,
+    });
+
+    res.status(201).json(mapAssignment(data));
+  } catch (error) {
+    handleError(res, error, 'assignmentController:createAssignment');
+  }
+};
+
+// @desc    Update an assignment. Grades already given keep their scores; keep
+//          criterion ids when editing the rubric so regrading lines up.
+// @route   PUT /api/assignments/:id
+// @access  Private (assignments:write)
+export const updateAssignment = async (req, res) => {
+  try {
+    const before = await loadAssignment(req.params.id);
+    if (!before || !inAdminScope(req.admin, before)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const updates = toAssignmentRow(req.body);
+    const merged = { ...before, ...updates };
+
+    if (!merged.topic_id && !merged.batch_id) {
+      return res.status(400).json({ message: 'Attach the assignment to a topic or a batch' });
+    }
+    if (merged.batch_id && req.admin.batchIds && !req.admin.batchIds.includes(merged.batch_id)) {
+      return res.status(403).json({ message: 'Forbidden: you do not have access to this batch' });
+    }
+
+    const { data, error } = await supabase
+      .from('assignments')
+      .update(updates)
+      .eq('id', before.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'assignment.update',
+      entityType: 'assignment',
+      entityId: data.id,
+      before,
+      after: data,
+    });
+
+    res.json(mapAssignment(data));
+  } catch (error) {
+    handleError(res, error, 'assignmentController:updateAssignment');
+  }
+};
+
+// @desc    Delete an assignment with its submissions and grades
+// @route   DELETE /api/assignments/:id
+// @access  Private (assignments:write)
+export const deleteAssignment = async (req, res) => {
+  try {
+    const before = await loadAssignment(req.params.id);
+    if (!before || !inAdminScope(req.admin, before)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const { error } = await supabase
+      .from('assignments')
+      .delete()
+      .eq('id', before.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'assignment.delete',
+      entityType: 'assignment',
+      entityId: before.id,
+      before,
+    });
+
+    res.json({ message: 'Assignment removed' });
+  } catch (error) {
+    handleError(res, error, 'assignmentController:deleteAssignment');
+  }
+};
+
+// @desc    Latest submission and grade for every student who submitted
+// @route   GET /api/assignments/:id/submissions?status=ungraded|graded|released
+// @access  Private (assignments:grade)
+export const getAssignmentSubmissions = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req.params.id);
+    if (!assignment || !inAdminScope(req.admin, assignment)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const [subRes, gradeRes] = await Promise.all([
+      supabase
+        .from('assignment_submissions')
+        .select('*, students(name, email)')
+        .eq('assignment_id', assignment.id)
+        .order('version', { ascending: false }),
+      supabase
+        .from('assignment_grades')
+        .select('*')
+        .eq('assignment_id', assignment.id),
+    ]);
+
+    if (subRes.error) throw subRes.error;
+    if (gradeRes.error) throw gradeRes.error;
+
+    let studentIds = null;
+    if (req.admin.batchIds) {
+      const { data: enrolled, error } = await supabase
+        .from('student_batches')
+        .select('student_id')
+        .in('batch_id', req.admin.batchIds);
+
+      if (error) throw error;
+      studentIds = new Set((enrolled || []).map((e) => e.student_id));
+    }
+
+    const gradeByStudent = new Map((gradeRes.data || []).map((g) => [g.student_id, g]));
+    const latestByStudent = new Map();
+    for (const s of subRes.data || []) {
+      if (!latestByStudent.has(s.student_id)) latestByStudent.set(s.student_id, s);
+    }
+
+    const latest = [...latestByStudent.values()].filter((s) => !studentIds || studentIds.has(s.student_id));
+    const signed = await withSignedFiles(latest.map(mapSubmission));
+
+    let rows = latest
+      .map((s, index) => {
+        const grade = gradeByStudent.get(s.student_id);
+        return {
+          student: { _id: s.student_id, name: s.students?.name || null, email: s.students?.email || null },
+          latestSubmission: signed[index],
+          grade: grade ? mapGrade(grade) : null,
+          // Resubmitted after grading — the grade is for an older version
+          needsRegrade: !!grade && grade.submission_id !== s.id,
+        };
+      });
+
+    if (req.query.status === 'ungraded') rows = rows.filter((r) => !r.grade || r.needsRegrade);
+    if (req.query.status === 'graded') rows = rows.filter((r) => r.grade && !r.grade.releasedAt);
+    if (req.query.status === 'released') rows = rows.filter((r) => r.grade?.releasedAt);
+
+    res.json({ assignment: mapAssignment(assignment), submissions: rows });
+  } catch (error) {
+    handleError(res, error, 'assignmentController:getAssignmentSubmissions');
+  }
+};
+
+// @desc    A student's full submission history and grade
+// @route   GET /api/assignments/:id/submissions/:studentId
+// @access  Private (assignments:grade)
+export const getStudentSubmissions = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+
+    const assignment = await loadAssignment(id);
+    if (!assignment || !inAdminScope(req.admin, assignment)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (!(await canGradeStudent(req.admin, studentId))) {
+      return res.status(403).json({ message: 'Forbidden: this student is not in your batches' });
+    }
+
+    const [subRes, gradeRes] = await Promise.all([
+      supabase
+        .from('assignment_submissions')
+        .select('*')
+        .eq('assignment_id', id)
+        .eq('student_id', studentId)
+        .order('version', { ascending: false }),
+      supabase
+        .from('assignment_grades')
+        .select('*')
+        .eq('assignment_id', id)
+        .eq('student_id', studentId)
+        .maybeSingle(),
+    ]);
+
+    if (subRes.error) throw subRes.error;
+    if (gradeRes.error) throw gradeRes.error;
+
+    res.json({
+      assignment: mapAssignment(assignment),
+      submissions: await withSignedFiles((subRes.data || []).map(mapSubmission)),
+      grade: gradeRes.data ? mapGrade(gradeRes.data) : null,
+    });
+  } catch (error) {
+    handleError(res, error, 'assignmentController:getStudentSubmissions');
+  }
+};
+
+// @desc    Grade a student's latest submission against the rubric (re-grading replaces the grade)
+// @route   PUT /api/assignments/:id/grades/:studentId
+// @access  Private (assignments:grade)
+export const gradeSubmission = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const { scores, feedback, release } = req.body;
+
+    const assignment = await loadAssignment(id);
+    if (!assignment || !inAdminScope(req.admin, assignment)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (!(await canGradeStudent(req.admin, studentId))) {
+      return res.status(403).json({ message: 'Forbidden: this student is not in your batches' });
+    }
+
+    const { data: latest, error: subErr } = await supabase
+      .from('assignment_submissions')
+      .select('id, version')
+      .eq('assignment_id', id)
+      .eq('student_id', studentId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (subErr) throw subErr;
+    if (!latest) return res.status(404).json({ message: 'This student has not submitted yet' });
+
+    const scored = scoreRubric(assignment.rubric || [], scores);
+    if (scored.error) return res.status(400).json({ message: scored.error });
+
+    const { data: before, error: beforeErr } = await supabase
+      .from('assignment_grades')
+      .select('*')
+      .eq('assignment_id', id)
+      .eq('student_id', studentId)
+      .maybeSingle();
+
+    if (beforeErr) throw beforeErr;
+
+    const { data: grade, error } = await supabase
+      .from('assignment_grades')
+      .upsert({
+        assignment_id: id,
+        student_id: studentId,
+        submission_id: latest.id,
+        scores: scored.scores,
+        total_score: scored.totalScore,
+        max_score: assignment.max_score,
+        feedback,
+        graded_by: req.admin.id,
+        graded_at: new Date().toISOString(),
+        released_at: release ? new Date().toISOString() : before?.released_at || null,
+      }, { onConflict: 'assignment_id,student_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: before ? 'assignment.grade.update' : 'assignment.grade.create',
+      entityType: 'assignment_grade',
+      entityId: grade.id,
+      before,
+      after: grade,
+      metadata: { assignmentId: id, studentId, submissionVersion: latest.version },
+    });
+
+    res.json(mapGrade(grade));
+  } catch (error) {
+    handleError(res, error, 'assignmentController:gradeSubmission');
+  }
+};
+
+// @desc    Release every graded-but-unreleased grade on an assignment
+// @route   POST /api/assignments/:id/release-grades
+// @access  Private (assignments:grade)
+export const releaseGrades = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req.params.id);
+    if (!assignment || !inAdminScope(req.admin, assignment)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    let query = supabase
+      .from('assignment_grades')
+      .update({ released_at: new Date().toISOString() })
+      .eq('assignment_id', assignment.id)
+      .is('released_at', null);
+
+    // Scoped staff only release grades for their own students
+    if (req.admin.batchIds) {
+      const { data: enrolled, error: enrErr } = await supabase
+        .from('student_batches')
+        .select('student_id')
+        .in('batch_id', req.admin.batchIds);
+
+      if (enrErr) throw enrErr;
+      query = query.in('student_id', [...new Set((enrolled || []).map((e) => e.student_id))]);
+    }
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'assignment.grades.release',
+      entityType: 'assignment',
+      entityId: assignment.id,
+      metadata: { released: (data || []).length },
+    });
+
+    res.json({ released: (data || []).length });
+  } catch (error) {
+    handleError(res, error, 'assignmentController:releaseGrades');
+  }
+};
+
+/* ------------------------------------------------------------------ */
+/*  STUDENT                                                           */
+/* ------------------------------------------------------------------ */
+
+// Published assignment the student is enrolled for, or null
+const loadStudentAssignment = async (studentId, assignmentId) => {
+  const assignment = await loadAssignment(assignmentId);
+  if (!assignment || !assignment.is_published) return null;
+
+  const enrollment = await getStudentEnrollment(studentId);
+  const applicable = await getAssignmentsFor(enrollment);
+  return applicable.some((a) => a.id === assignment.id) ? assignment : null;
+};
+
+// @desc    My assignments with submission and (released) grade status
+// @route   GET /api/assignments/student
+// @access  Private/Student
+export const getMyAssignments = async (req, res) => {
+  try {
+    const studentId = req.student.id;
+    const assignments = await getAssignmentsFor(await getStudentEnrollment(studentId));
+    if (assignments.length === 0) return res.json([]);
+
+    const ids = assignments.map((a) => a.id);
+    const [subRes, gradeRes] = await Promise.all([
+      supabase
+        .from('assignment_submissions')
+        .select('assignment_id, version, submitted_at, is_late')
+        .eq('student_id', studentId)
+        .in('assignment_id', ids),
+      supabase
+        .from('assignment_grades')
+        .select('*')
+        .eq('student_id', studentId)
+        .in('assignment_id', ids)
+        .not('released_at', 'is', null),
+    ]);
+
+    if (subRes.error) throw subRes.error;
+    if (gradeRes.error) throw gradeRes.error;
+
+    const latestByAssignment = {};
+    for (const s of subRes.data || []) {
+      if (!latestByAssignment[s.assignment_id] || s.version > latestByAssignment[s.assignment_id].version) {
+        latestByAssignment[s.assignment_id] = s;
+      }
+    }
+    const gradeByAssignment = new Map((gradeRes.data || []).map((g) => [g.assignment_id, g]));
+
+    res.json(assignments.map((a) => {
+      const latest = latestByAssignment[a.id];
+      const grade = gradeByAssignment.get(a.id);
+      return {
+        ...mapAssignment(a),
+        submissionCount: latest?.version || 0,
+        lastSubmittedAt: latest?.submitted_at || null,
+        isLate: latest?.is_late || false,
+        status: grade ? 'graded' : latest ? 'submitted' : 'pending',
+        grade: grade ? mapGrade(grade) : null,
+      };
+    }));
+  } catch (error) {
+    handleError(res, error, 'assignmentController:getMyAssignments');
+  }
+};
+
+// @desc    One assignment with my submission history and (released) grade
+// @route   GET /api/assignments/student/:id
+// @access  Private/Student
+export const getMyAssignment = async (req, res) => {
+  try {
+    const studentId = req.student.id;
+    const assignment = await loadStudentAssignment(studentId, req.params.id);
+    if (!assignment) return res.status(404).json({ message: 'Assignment not found' });
+
+    const [subRes, gradeRes] = await Promise.all([
+      supabase
+        .from('assignment_submissions')
+        .select('*')
+        .eq('assignment_id', assignment.id)
+        .eq('student_id', studentId)
+        .order('version', { ascending: false }),
+      supabase
+        .from('assignment_grades')
+        .select('*')
+        .eq('assignment_id', assignment.id)
+        .eq('student_id', studentId)
+        .not('released_at', 'is', null)
+        .maybeSingle(),
+    ]);
+
+    if (subRes.error) throw subRes.error;
+    if (gradeRes.error) throw gradeRes.error;
+
+    res.json({
+      ...mapAssignment(assignment),
+      submissions: await withSignedFiles((subRes.data || []).map(mapSubmission)),
+      grade: gradeRes.data ? mapGrade(gradeRes.data) : null,
+    });
+  } catch (error) {
+    handleError(res, error, 'assignmentController:getMyAssignment');
+  }
+};
+
+// @desc    Submit (or resubmit) — multipart with files[], repoUrl and text
+// @route   POST /api/assignments/student/:id/submissions
+// @access  Private/Student
+export const submitAssignment = async (req, res) => {
+  const files = req.files || [];
+  try {
+    const studentId = req.student.id;
+    const { repoUrl, text } = req.body;
+
+    const assignment = await loadStudentAssignment(studentId, req.params.id);
+    if (!assignment) return res.status(404).json({ message: 'Assignment not found' });
+
+    const allowed = assignment.submission_types || [];
+    if (files.length > 0 && !allowed.includes('file')) {
+      return res.status(400).json({ message: 'This assignment does not accept file uploads' });
+    }
+    if (files.length > assignment.max_files) {
+      return res.status(400).json({ message: `At most ${assignment.max_files} files per submission` });
+    }
+    if (repoUrl && !allowed.includes('link')) {
+      return res.status(400).json({ message: 'This assignment does not accept repository links' });
+    }
+    if (text && !allowed.includes('text')) {
+      return res.status(400).json({ message: 'This assignment does not accept text answers' });
+    }
+    if (files.length === 0 && !repoUrl && !text) {
+      return res.status(400).json({ message: 'Attach a file, a repository link or a text answer' });
+    }
+
+    const isLate = !!assignment.due_at && new Date() > new Date(assignment.due_at);
+    if (isLate && !assignment.allow_late) {
+      return res.status(403).json({ message: 'The due date has passed and late submissions are not accepted' });
+    }
+
+    const [lastRes, gradeRes] = await Promise.all([
+      supabase
+        .from('assignment_submissions')
+        .select('version')
+        .eq('assignment_id', assignment.id)
+        .eq('student_id', studentId)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+      supabase
+        .from('assignment_grades')
+        .select('released_at')
+        .eq('assignment_id', assignment.id)
+        .eq('student_id', studentId)
+        .maybeSingle(),
+    ]);
+
+    if (lastRes.error) throw lastRes.error;
+    if (gradeRes.error) throw gradeRes.error;
+    if (gradeRes.data?.released_at) {
+      return res.status(409).json({ message: 'This assignment has been graded — resubmission is closed' });
+    }
+
+    const version = (lastRes.data?.version || 0) + 1;
+
+    const uploaded = [];
+    for (const [index, file] of files.entries()) {
+      const ext = path.extname(file.originalname).toLowerCase();
+      const objectPath = await uploadPrivateFile(
+        file,
+        `assignments/${assignment.id}/${studentId}/v${version}-${Date.now()}-${index}${ext}`
+      );
+      if (!objectPath) {
+        return res.status(500).json({ message: 'Failed to upload file to cloud storage' });
+      }
+      uploaded.push({ name: file.originalname, path: objectPath, size: file.size, mimeType: file.mimetype });
+    }
+
+    const { data, error } = await supabase
+      .from('assignment_submissions')
+      .insert({
+        assignment_id: assignment.id,
+        student_id: studentId,
+        version,
+        files: uploaded,
+        repo_url: repoUrl || null,
+        text,
+        is_late: isLate,
+      })
+      .select()
+      .single();
+
+    // Double-click: the unique (assignment, student, version) lets only one through
+    if (error?.code === '23505') {
+      return res.status(409).json({ message: 'A submission is already being saved — refresh and try again' });
+    }
+    if (error) throw error;
+
+    const [submission] = await withSignedFiles([mapSubmission(data)]);
+    res.status(201).json(submission);
+  } catch (error) {
+    handleError(res, error, 'assignmentController:submitAssignment');
+  } finally {
+    files.forEach((f) => cleanupTempFile(f.path));
+  }
+};
@@ -0,0 +1,107 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+
+const mapAuditEntry = (e) => ({
+  _id: e.id,
+  actorId: e.actor_id,
+  actorType: e.actor_type,
+  actorEmail: e.actor_email,
+  action: e.action,
+  entityType: e.entity_type,
+  entityId: e.entity_id,
+  before: e.before,
+  after: e.after,
+  changes: e.changes,
+  metadata: e.metadata,
+  requestId: e.request_id,
+  ipAddress: e.ip_address,
+  userAgent: e.user_agent,
+  createdAt: e.created_at,
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const paginate = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(query.limit) || 50), 200);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// @desc    Browse the audit log (filter by actorId, action, entityType, entityId, requestId, from, to)
+// @route   GET /api/audit
+// @access  Private (audit:read)
+export const getAuditLog = async (req, res) => {
+  try {
+    const { page, limit, offset } = paginate(req.query);
+    const { actorId, action, entityType, entityId, requestId } = req.query;
+    if (actorId && !UUID_PATTERN.test(String(actorId))) {
+      return res.status(400).json({ message: 'Invalid actorId' });
+    }
+    if (entityId && !UUID_PATTERN.test(String(entityId))) {
+      return res.status(400).json({ message: 'Invalid entityId' });
+    }
+    const from = toIsoDate(req.query.from);
+    const to = toIsoDate(req.query.to);
+
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (actorId) query = query.eq('actor_id', String(actorId));
+    // "course.*" matches every course action
+    if (action) {
+      query = String(action).endsWith('.*')
+        ? query.like('action', `${String(action).slice(0, -1)}%`)
+        : query.eq('action', action);
+    }
+    if (entityType) query = query.eq('entity_type', entityType);
+    if (entityId) query = query.eq('entity_id', String(entityId));
+    if (requestId) query = query.eq('request_id', requestId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      entries: (data || []).map(mapAuditEntry),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil((count || 0) / limit),
+        total: count || 0,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'auditController:getAuditLog');
+  }
+};
+
+// @desc    Get a single audit entry
+// @route   GET /api/audit/:id
+// @access  Private (audit:read)
+export const getAuditEntry = async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ message: 'Audit entry not found' });
+
+    const { data, error } = await supabase
+      .from('audit_log')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ message: 'Audit entry not found' });
+
+    res.json(mapAuditEntry(data));
+  } catch (error) {
+    handleError(res, error, 'auditController:getAuditEntry');
+  }
+};
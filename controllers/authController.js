@@ -1,35 +1,40 @@
 import bcrypt from 'bcryptjs';
 import supabase from '../config/db.js';
-import { generateAccessToken, generateRefreshToken, hashToken } from '../middleware/auth.js';
-import { setAuthCookies, clearAuthCookies, generateCsrfToken, REFRESH_TOKEN_MAX_AGE } from '../middleware/cookies.js';
+import { hashToken, generateMfaToken, verifyMfaToken, ADMIN_MFA_REQUIRED } from '../middleware/auth.js';
+import { clearAuthCookies } from '../middleware/cookies.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { invalidateUserCache } from '../middleware/auth.js';
+import { getAdminPermissions, hasPermission } from '../lib/permissions.js';
+import { requestPasswordReset, resetPassword } from '../lib/passwordReset.js';
+import {
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  regenerateRecoveryCodes,
+  verifyAdminMfaCode,
+  disableAdminMfa,
+  countRecoveryCodes,
+} from '../lib/adminMfa.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../lib/securityEvents.js';
+import { recordFailedLogin, recordSuccessfulLogin, getActiveLock, lockedResponse, FAILURE_REASONS } from '../lib/loginAttempts.js';
+import { startSession, readRefreshToken, consumeRefreshToken, listSessions, revokeSession, revokeAllSessions } from '../lib/sessions.js';
+import { recordAudit } from '../lib/audit.js';
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 /* ------------------------------------------------------------------ */
-/*  Helper: create tokens, store refresh token, set cookies           */
+/*  Helper: start a session and shape the login response              */
 /* ------------------------------------------------------------------ */
-const issueTokens = async (res, admin) => {
-  const accessToken = generateAccessToken(admin.id, 'admin');
-  const { token: rawRefresh, hash: refreshHash } = generateRefreshToken();
-  const csrfToken = generateCsrfToken();
-
-  // Store hashed refresh token in DB
-  await supabase.from('refresh_tokens').insert({
-    user_id: admin.id,
-    user_type: 'admin',
-    token_hash: refreshHash,
-    expires_at: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE).toISOString(),
-  });
-
-  // Set HttpOnly cookies (works when same-origin / cookies not blocked)
-  setAuthCookies(res, accessToken, rawRefresh, csrfToken);
+const issueTokens = async (req, res, admin, previous = null) => {
+  const { accessToken, refreshToken: rawRefresh } = await startSession(req, res, admin.id, 'admin', { previous });
 
   // ALSO return tokens in body (works cross-origin even when cookies are blocked)
   return {
     _id: admin.id,
     name: admin.name,
     email: admin.email,
+    role: admin.role,
+    twoFactorEnabled: !!admin.totp_enabled_at,
+    mfaEnrollmentRequired: ADMIN_MFA_REQUIRED && !admin.totp_enabled_at,
     accessToken,
     refreshToken: rawRefresh,
   };
@@ -74,20 +79,28 @@ export const registerAdmin = async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
 
+    // The very first admin becomes the owner; everyone after starts with the default role
+    const { count: adminCount } = await supabase
+      .from('admins')
+      .select('*', { count: 'exact', head: true });
+
+    const insertData = {
+      name,
+      email: email.toLowerCase(),
+      password: hashedPassword,
+    };
+    if (!adminCount) insertData.role = 'owner';
+
     // Create admin
     const { data: admin, error } = await supabase
       .from('admins')
-      .insert({
-        name,
-        email: email.toLowerCase(),
-        password: hashedPassword,
-      })
-      .select('id, name, email')
+      .insert(insertData)
+      .select('id, name, email, role, totp_enabled_at')
       .single();
 
     if (error) throw error;
 
-    const userData = await issueTokens(res, admin);
+    const userData = await issueTokens(req, res, admin);
     res.status(201).json(userData);
   } catch (error) {
     handleError(res, error, 'authController:register');
@@ -116,34 +129,98 @@ export const loginAdmin = async (req, res) => {
       .single();
 
     if (error || !admin) {
+      await recordFailedLogin(req, 'admin', { email, reason: FAILURE_REASONS.UNKNOWN_EMAIL });
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    // A locked account answers like a wrong password so the response does not
+    // reveal which emails have accounts
+    if (getActiveLock(admin)) {
+      await recordFailedLogin(req, 'admin', { user: admin, reason: FAILURE_REASONS.LOCKED });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
     const isMatch = await bcrypt.compare(password, admin.password);
 
     if (!isMatch) {
+      await recordFailedLogin(req, 'admin', { user: admin, reason: FAILURE_REASONS.INVALID_PASSWORD });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    const userData = await issueTokens(res, admin);
+    // 2FA enabled: no cookies yet — the client exchanges mfaToken + code at /login/2fa
+    if (admin.totp_enabled_at) {
+      return res.json({ mfaRequired: true, mfaToken: generateMfaToken(admin.id) });
+    }
+
+    await recordSuccessfulLogin(req, 'admin', admin);
+
+    const userData = await issueTokens(req, res, admin);
     res.json(userData);
   } catch (error) {
     handleError(res, error, 'authController:login');
   }
 };
 
+// @desc    Second login step for admins with 2FA — exchange mfaToken + code for a session
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires mfaToken from /login)
+export const loginAdminMfa = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    const adminId = verifyMfaToken(mfaToken);
+    if (!adminId) {
+      return res.status(401).json({ message: 'Login session expired, please sign in again' });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, name, email, role, totp_enabled_at, failed_login_attempts, locked_until')
+      .eq('id', adminId)
+      .single();
+
+    if (error || !admin) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    // Failed codes count towards the same lockout as failed passwords
+    const activeLock = getActiveLock(admin);
+    if (activeLock) {
+      await recordFailedLogin(req, 'admin', { user: admin, reason: FAILURE_REASONS.LOCKED });
+      return lockedResponse(res, activeLock);
+    }
+
+    const method = await verifyAdminMfaCode(adminId, code);
+    if (!method) {
+      const lockedUntil = await recordFailedLogin(req, 'admin', { user: admin, reason: FAILURE_REASONS.INVALID_MFA_CODE });
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    if (method === 'recovery') {
+      await recordSecurityEvent(req, {
+        userId: admin.id,
+        userType: 'admin',
+        type: SECURITY_EVENTS.MFA_RECOVERY_CODE_USED,
+        details: { recoveryCodesRemaining: await countRecoveryCodes(admin.id) },
+      });
+    }
+
+    await recordSuccessfulLogin(req, 'admin', admin);
+
+    const userData = await issueTokens(req, res, admin);
+    res.json(userData);
+  } catch (error) {
+    handleError(res, error, 'authController:loginMfa');
+  }
+};
+
 // @desc    Refresh access token using refresh token cookie
 // @route   POST /api/auth/refresh
 // @access  Cookie-based
 export const refreshToken = async (req, res) => {
   // Accept refresh token from cookie (primary) or Authorization header (cross-origin fallback)
-  let rawToken = req.cookies?.refresh_token;
-  if (!rawToken) {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      rawToken = authHeader.split(' ')[1];
-    }
-  }
+  const rawToken = readRefreshToken(req);
 
   if (!rawToken) {
     clearAuthCookies(res);
@@ -151,18 +228,10 @@ export const refreshToken = async (req, res) => {
   }
 
   try {
-    const tokenHash = hashToken(rawToken);
+    // Claims the token; replaying an already-rotated token revokes its whole family
+    const stored = await consumeRefreshToken(req, rawToken, 'admin');
 
-    // Look up the refresh token in DB
-    const { data: stored, error } = await supabase
-      .from('refresh_tokens')
-      .select('*')
-      .eq('token_hash', tokenHash)
-      .eq('user_type', 'admin')
-      .is('revoked_at', null)
-      .single();
-
-    if (error || !stored || new Date(stored.expires_at) < new Date()) {
+    if (!stored) {
       clearAuthCookies(res);
       return res.status(401).json({ message: 'Invalid or expired refresh token' });
     }
@@ -170,7 +239,7 @@ export const refreshToken = async (req, res) => {
     // Verify the admin still exists
     const { data: admin } = await supabase
       .from('admins')
-      .select('id, name, email')
+      .select('id, name, email, role, totp_enabled_at')
       .eq('id', stored.user_id)
       .single();
 
@@ -179,14 +248,8 @@ export const refreshToken = async (req, res) => {
       return res.status(401).json({ message: 'User not found' });
     }
 
-    // Rotate: revoke old token
-    await supabase
-      .from('refresh_tokens')
-      .update({ revoked_at: new Date().toISOString() })
-      .eq('id', stored.id);
-
     // Issue fresh tokens
-    const userData = await issueTokens(res, admin);
+    const userData = await issueTokens(req, res, admin, stored);
     res.json(userData);
   } catch (error) {
     clearAuthCookies(res);
@@ -229,8 +292,403 @@ export const getAdminProfile = async (req, res) => {
       _id: req.admin.id,
       name: req.admin.name,
       email: req.admin.email,
+      role: req.admin.role,
+      permissions: getAdminPermissions(req.admin),
+      batchIds: req.admin.batchIds,
+      twoFactorEnabled: !!req.admin.totp_enabled_at,
+      mfaEnrollmentRequired: ADMIN_MFA_REQUIRED && !req.admin.totp_enabled_at,
     });
   } catch (error) {
     handleError(res, error, 'authController:profile');
   }
 };
+
+// @desc    Send a password reset link to the admin's email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPasswordAdmin = async (req, res) => {
+  try {
+    await requestPasswordReset('admin', req.body.email);
+
+    // Same response whether or not the account exists
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    handleError(res, error, 'authController:forgotPassword');
+  }
+};
+
+// @desc    Reset password using a token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPasswordAdmin = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await resetPassword('admin', token, password);
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    clearAuthCookies(res);
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    handleError(res, error, 'authController:resetPassword');
+  }
+};
+
+// @desc    List admin staff with roles, permissions and batch scopes
+// @route   GET /api/auth/admins
+// @access  Private (admins:manage)
+export const getAdmins = async (req, res) => {
+  try {
+    const [adminsRes, scopesRes] = await Promise.all([
+      supabase.from('admins').select('id, name, email, role, permissions, totp_enabled_at, created_at').order('created_at'),
+      supabase.from('admin_batch_scopes').select('admin_id, batch_id'),
+    ]);
+
+    if (adminsRes.error) throw adminsRes.error;
+    if (scopesRes.error) throw scopesRes.error;
+
+    const scopesByAdmin = {};
+    for (const s of scopesRes.data || []) {
+      if (!scopesByAdmin[s.admin_id]) scopesByAdmin[s.admin_id] = [];
+      scopesByAdmin[s.admin_id].push(s.batch_id);
+    }
+
+    res.json({
+      admins: (adminsRes.data || []).map((a) => ({
+        _id: a.id,
+        name: a.name,
+        email: a.email,
+        role: a.role,
+        permissions: a.permissions || [],
+        effectivePermissions: getAdminPermissions(a),
+        batchIds: scopesByAdmin[a.id] || [],
+        twoFactorEnabled: !!a.totp_enabled_at,
+        createdAt: a.created_at,
+      })),
+    });
+  } catch (error) {
+    handleError(res, error, 'authController:getAdmins');
+  }
+};
+
+// @desc    Change an admin's role, extra permissions and batch scope
+// @route   PUT /api/auth/admins/:id/access
+// @access  Private (admins:manage)
+export const updateAdminAccess = async (req, res) => {
+  try {
+    const { role, permissions, batchIds } = req.body;
+    const adminId = req.params.id;
+
+    const { data: target, error: targetErr } = await supabase
+      .from('admins')
+      .select('id, role, permissions')
+      .eq('id', adminId)
+      .maybeSingle();
+
+    if (targetErr) throw targetErr;
+    if (!target) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    // Only owners hand out ownership or staff management, or touch an owner's access;
+    // everyone else can only grant permissions they hold themselves
+    if (req.admin.role !== 'owner') {
+      if (role === 'owner' || target.role === 'owner') {
+        return res.status(403).json({ message: 'Forbidden: only owners can grant or change owner access' });
+      }
+
+      const granted = [
+        ...(role && role !== target.role ? getAdminPermissions({ role }) : []),
+        ...(permissions || []).filter((p) => !(target.permissions || []).includes(p)),
+      ];
+      const forbidden = granted.find((p) => p === 'admins:manage' || !hasPermission(req.admin, p));
+      if (forbidden) {
+        return res.status(403).json({ message: `Forbidden: only owners can grant ${forbidden}` });
+      }
+    }
+
+    // Never leave the organisation without an owner
+    if (target.role === 'owner' && role && role !== 'owner') {
+      const { count } = await supabase
+        .from('admins')
+        .select('*', { count: 'exact', head: true })
+        .eq('role', 'owner');
+
+      if ((count || 0) <= 1) {
+        return res.status(400).json({ message: 'Cannot change the role of the last owner' });
+      }
+    }
+
+    const updates = {};
+    if (role !== undefined) updates.role = role;
+    if (permissions !== undefined) updates.permissions = permissions;
+
+    if (Object.keys(updates).length > 0) {
+      const { error } = await supabase
+        .from('admins')
+        .update(updates)
+        .eq('id', adminId);
+
+      if (error) throw error;
+    }
+
+    // Replace batch scope
+    let previousBatchIds = null;
+    if (batchIds !== undefined) {
+      const { data: previousScopes } = await supabase
+        .from('admin_batch_scopes')
+        .select('batch_id')
+        .eq('admin_id', adminId);
+      previousBatchIds = (previousScopes || []).map((s) => s.batch_id);
+
+      const { error: delErr } = await supabase
+        .from('admin_batch_scopes')
+        .delete()
+        .eq('admin_id', adminId);
+
+      if (delErr) throw delErr;
+
+      if (batchIds.length > 0) {
+        const { error: insErr } = await supabase
+          .from('admin_batch_scopes')
+          .insert(batchIds.map((batchId) => ({ admin_id: adminId, batch_id: batchId })));
+
+        if (insErr) throw insErr;
+      }
+    }
+
+    invalidateUserCache('admin', adminId);
+
+    const [adminRes, scopesRes] = await Promise.all([
+      supabase.from('admins').select('id, name, email, role, permissions').eq('id', adminId).single(),
+      supabase.from('admin_batch_scopes').select('batch_id').eq('admin_id', adminId),
+    ]);
+
+    if (adminRes.error) throw adminRes.error;
+    const admin = adminRes.data;
+    const currentBatchIds = (scopesRes.data || []).map((s) => s.batch_id);
+
+    await recordAudit(req, {
+      action: 'admin.access.update',
+      entityType: 'admin',
+      entityId: adminId,
+      before: {
+        role: target.role,
+        permissions: target.permissions || [],
+        ...(previousBatchIds && { batchIds: previousBatchIds }),
+      },
+      after: {
+        role: admin.role,
+        permissions: admin.permissions || [],
+        ...(previousBatchIds && { batchIds: currentBatchIds }),
+      },
+    });
+
+    res.json({
+      _id: admin.id,
+      name: admin.name,
+      email: admin.email,
+      role: admin.role,
+      permissions: admin.permissions || [],
+      effectivePermissions: getAdminPermissions(admin),
+      batchIds: currentBatchIds,
+    });
+  } catch (error) {
+    handleError(res, error, 'authController:updateAdminAccess');
+  }
+};
+
+// @desc    List active sessions (devices) for the logged-in admin
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getAdminSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req, req.admin.id, 'admin');
+    res.json(sessions);
+  } catch (error) {
+    handleError(res, error, 'authController:getSessions');
+  }
+};
+
+// @desc    Revoke one session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeAdminSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.admin.id, 'admin');
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    // Revoking the session this request came from is a logout
+    const rawToken = readRefreshToken(req);
+    if (rawToken && hashToken(rawToken) === revoked.token_hash) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    handleError(res, error, 'authController:revokeSession');
+  }
+};
+
+// @desc    Log out everywhere — revoke every session and outstanding access token
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAllAdmin = async (req, res) => {
+  try {
+    await revokeAllSessions(req.admin.id, 'admin');
+
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    handleError(res, error, 'authController:logoutAll');
+  }
+};
+
+// @desc    Start 2FA enrollment — returns a new secret and otpauth URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.admin.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await beginTotpEnrollment(req.admin);
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    handleError(res, error, 'authController:setupTwoFactor');
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = async (req, res) => {
+  try {
+    if (req.admin.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = await confirmTotpEnrollment(req.admin.id, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordSecurityEvent(req, {
+      userId: req.admin.id,
+      userType: 'admin',
+      type: SECURITY_EVENTS.MFA_ENABLED,
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe — they will not be shown again.',
+      twoFactorEnabled: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    handleError(res, error, 'authController:enableTwoFactor');
+  }
+};
+
+// @desc    Turn off 2FA (requires a current code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    if (ADMIN_MFA_REQUIRED) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for all admins' });
+    }
+
+    if (!req.admin.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const method = await verifyAdminMfaCode(req.admin.id, req.body.code);
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await disableAdminMfa(req.admin.id);
+
+    await recordSecurityEvent(req, {
+      userId: req.admin.id,
+      userType: 'admin',
+      type: SECURITY_EVENTS.MFA_DISABLED,
+    });
+
+    res.json({ message: 'Two-factor authentication disabled', twoFactorEnabled: false });
+  } catch (error) {
+    handleError(res, error, 'authController:disableTwoFactor');
+  }
+};
+
+// @desc    Replace recovery codes (requires a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.admin.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const method = await verifyAdminMfaCode(req.admin.id, req.body.code);
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.admin.id);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    handleError(res, error, 'authController:regenerateRecoveryCodes');
+  }
+};
+
+// @desc    Reset another admin's 2FA (lost device) and log them out everywhere
+// @route   DELETE /api/auth/admins/:id/2fa
+// @access  Private (owner)
+export const resetAdminTwoFactor = async (req, res) => {
+  try {
+    if (req.admin.role !== 'owner') {
+      return res.status(403).json({ message: 'Forbidden: only an owner can reset two-factor authentication' });
+    }
+
+    const adminId = req.params.id;
+
+    if (adminId === req.admin.id) {
+      return res.status(400).json({ message: 'Use /api/auth/2fa/disable to change your own two-factor settings' });
+    }
+
+    const { data: target, error } = await supabase
+      .from('admins')
+      .select('id')
+      .eq('id', adminId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!target) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    await disableAdminMfa(adminId);
+    await revokeAllSessions(adminId, 'admin');
+
+    await recordSecurityEvent(req, {
+      userId: adminId,
+      userType: 'admin',
+      type: SECURITY_EVENTS.MFA_RESET,
+      details: { resetBy: req.admin.id },
+    });
+    await recordAudit(req, { action: 'admin.mfa.reset', entityType: 'admin', entityId: adminId });
+
+    res.json({ message: 'Two-factor authentication has been reset', twoFactorEnabled: false });
+  } catch (error) {
+    handleError(res, error, 'authController:resetAdminTwoFactor');
+  }
+};
@@ -1,6 +1,16 @@
 import bcrypt from 'bcryptjs';
+import fs from 'node:fs/promises';
 import supabase from '../config/db.js';
+import logger from '../config/logger.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { sendVerificationEmail } from '../lib/emailVerification.js';
+import { revokeAllSessions } from '../lib/sessions.js';
+import { parseStudentImport, runStudentImport, IMPORT_REPORT_COLUMNS } from '../lib/studentImport.js';
+import { toCsv } from '../lib/csv.js';
+import { cleanupTempFile } from '../lib/storage.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
+import { getAssignmentsFor, mapGrade, gradePercentage } from '../lib/assignments.js';
+import { getUnmetPrerequisites } from '../lib/prerequisites.js';
 
 // Sentinel date used when admin manually locks a topic via toggle.
 // Must match the value checked in admin + student frontends.
@@ -12,20 +22,38 @@ const mapBatch = (b) => ({
   name: b.name,
   description: b.description,
   isActive: b.is_active,
+  enforcePrerequisites: b.enforce_prerequisites,
   createdAt: b.created_at,
   updatedAt: b.updated_at,
 });
 
+const getEnrollmentSnapshot = async (batchId, studentId) => {
+  const { data } = await supabase
+    .from('student_batches')
+    .select('*')
+    .eq('batch_id', batchId)
+    .eq('student_id', studentId)
+    .maybeSingle();
+  return data || null;
+};
+
 // @desc    Get all batches
 // @route   GET /api/batches
 // @access  Private/Admin
 export const getBatches = async (req, res) => {
   try {
-    const { data: batches, error } = await supabase
+    let query = supabase
       .from('batches')
       .select('*')
       .order('created_at', { ascending: false });
 
+    // Batch-scoped staff only see the batches they are assigned to
+    if (req.admin.batchIds) {
+      query = query.in('id', req.admin.batchIds);
+    }
+
+    const { data: batches, error } = await query;
+
     if (error) throw error;
 
     // Get counts for each batch
@@ -160,6 +188,8 @@ export const createBatch = async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'batch.create', entityType: 'batch', entityId: batch.id, after: batch });
+
     res.status(201).json(mapBatch(batch));
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -171,12 +201,15 @@ export const createBatch = async (req, res) => {
 // @access  Private/Admin
 export const updateBatch = async (req, res) => {
   try {
-    const { name, description, isActive } = req.body;
+    const { name, description, isActive, enforcePrerequisites } = req.body;
 
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
     if (isActive !== undefined) updates.is_active = isActive;
+    if (enforcePrerequisites !== undefined) updates.enforce_prerequisites = enforcePrerequisites;
+
+    const before = await getAuditSnapshot('batches', req.params.id);
 
     const { data: batch, error } = await supabase
       .from('batches')
@@ -188,6 +221,8 @@ export const updateBatch = async (req, res) => {
     if (error) throw error;
     if (!batch) return res.status(404).json({ message: 'Batch not found' });
 
+    await recordAudit(req, { action: 'batch.update', entityType: 'batch', entityId: batch.id, before, after: batch });
+
     res.json(mapBatch(batch));
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -199,12 +234,17 @@ export const updateBatch = async (req, res) => {
 // @access  Private/Admin
 export const deleteBatch = async (req, res) => {
   try {
+    const before = await getAuditSnapshot('batches', req.params.id);
+
     const { error } = await supabase
       .from('batches')
       .delete()
       .eq('id', req.params.id);
 
     if (error) throw error;
+
+    await recordAudit(req, { action: 'batch.delete', entityType: 'batch', entityId: req.params.id, before });
+
     res.json({ message: 'Batch deleted successfully' });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -237,6 +277,14 @@ export const assignCourses = async (req, res) => {
       .upsert(rows, { onConflict: 'batch_id,course_id', ignoreDuplicates: true });
 
     if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'batch.courses.assign',
+      entityType: 'batch',
+      entityId: batchId,
+      metadata: { courseIds },
+    });
+
     res.json({ message: 'Courses assigned successfully' });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -255,6 +303,14 @@ export const removeCourse = async (req, res) => {
       .eq('course_id', req.params.courseId);
 
     if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'batch.courses.remove',
+      entityType: 'batch',
+      entityId: req.params.id,
+      metadata: { courseId: req.params.courseId },
+    });
+
     res.json({ message: 'Course removed from batch' });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -289,12 +345,80 @@ export const enrollStudents = async (req, res) => {
       .upsert(rows, { onConflict: 'student_id,batch_id' });
 
     if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'enrollment.create',
+      entityType: 'batch',
+      entityId: batchId,
+      metadata: { studentIds, paymentStatus },
+    });
+
     res.json({ message: 'Students enrolled successfully' });
   } catch (error) {
     handleError(res, error, 'batchController');
   }
 };
 
+// @desc    Bulk-onboard students from a CSV (name, email, phone, payment status) and enroll them
+// @route   POST /api/batches/:id/students/import?dryRun=true&format=csv
+// @access  Private/Admin
+export const importStudents = async (req, res) => {
+  const tempPath = req.file?.path;
+  try {
+    const batchId = req.params.id;
+    const dryRun = req.body.dryRun || req.query.dryRun === 'true';
+
+    const csvText = req.file ? await fs.readFile(tempPath, 'utf8') : req.body.csv;
+    if (!csvText) {
+      return res.status(400).json({ message: 'Upload a CSV file (field "file") or send it as "csv" in the body' });
+    }
+
+    const { data: batch, error: batchErr } = await supabase
+      .from('batches')
+      .select('id, name')
+      .eq('id', batchId)
+      .maybeSingle();
+
+    if (batchErr) throw batchErr;
+    if (!batch) return res.status(404).json({ message: 'Batch not found' });
+
+    const parsed = parseStudentImport(csvText);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const { summary, rows } = await runStudentImport(batchId, parsed.rows, {
+      dryRun,
+      emailVerified: req.body.emailVerified,
+      sendCredentials: req.body.sendCredentials,
+    });
+
+    logger.info({ batchId, adminId: req.admin.id, dryRun, summary }, 'Student CSV import');
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'enrollment.import',
+        entityType: 'batch',
+        entityId: batchId,
+        metadata: { summary, fileName: req.file?.originalname || null },
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      const fileName = `import-${batch.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}${dryRun ? '-dry-run' : ''}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(toCsv(rows, IMPORT_REPORT_COLUMNS));
+    }
+
+    res.status(dryRun ? 200 : 201).json({ batchId, dryRun, summary, rows });
+  } catch (error) {
+    handleError(res, error, 'batchController');
+  } finally {
+    cleanupTempFile(tempPath);
+  }
+};
+
 // @desc    Update a student's enrollment (toggle active, change payment status)
 // @route   PUT /api/batches/:id/students/:studentId
 // @access  Private/Admin
@@ -306,6 +430,8 @@ export const updateEnrollment = async (req, res) => {
     if (isActive !== undefined) updates.is_active = isActive;
     if (paymentStatus !== undefined) updates.payment_status = paymentStatus;
 
+    const before = await getEnrollmentSnapshot(req.params.id, req.params.studentId);
+
     const { data, error } = await supabase
       .from('student_batches')
       .update(updates)
@@ -317,6 +443,15 @@ export const updateEnrollment = async (req, res) => {
     if (error) throw error;
     if (!data) return res.status(404).json({ message: 'Enrollment not found' });
 
+    await recordAudit(req, {
+      action: 'enrollment.update',
+      entityType: 'enrollment',
+      entityId: data.id,
+      before,
+      after: data,
+      metadata: { batchId: data.batch_id, studentId: data.student_id },
+    });
+
     res.json({
       enrollmentId: data.id,
       studentId: data.student_id,
@@ -334,6 +469,8 @@ export const updateEnrollment = async (req, res) => {
 // @access  Private/Admin
 export const removeStudent = async (req, res) => {
   try {
+    const before = await getEnrollmentSnapshot(req.params.id, req.params.studentId);
+
     const { error } = await supabase
       .from('student_batches')
       .delete()
@@ -341,6 +478,15 @@ export const removeStudent = async (req, res) => {
       .eq('student_id', req.params.studentId);
 
     if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'enrollment.delete',
+      entityType: 'enrollment',
+      entityId: before?.id || null,
+      before,
+      metadata: { batchId: req.params.id, studentId: req.params.studentId },
+    });
+
     res.json({ message: 'Student removed from batch' });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -356,7 +502,7 @@ export const removeStudent = async (req, res) => {
 // @access  Private/Admin
 export const onboardStudent = async (req, res) => {
   try {
-    const { name, email, phone, password } = req.body;
+    const { name, email, phone, password, emailVerified } = req.body;
 
     if (!name || !email || !password) {
       return res.status(400).json({ message: 'Name, email, and password are required' });
@@ -392,20 +538,33 @@ export const onboardStudent = async (req, res) => {
       password: hashedPassword,
     };
     if (phone) insertData.phone = phone;
+    // Admin already knows the address is real — skip the verification email
+    if (emailVerified) insertData.email_verified_at = new Date().toISOString();
 
     const { data: student, error } = await supabase
       .from('students')
       .insert(insertData)
-      .select('id, name, email, phone, created_at')
+      .select('id, name, email, phone, email_verified_at, created_at')
       .single();
 
     if (error) throw error;
 
+    if (!student.email_verified_at) {
+      try {
+        await sendVerificationEmail(student);
+      } catch (mailErr) {
+        logger.error({ err: mailErr, studentId: student.id }, 'Failed to send verification email');
+      }
+    }
+
+    await recordAudit(req, { action: 'student.onboard', entityType: 'student', entityId: student.id, after: student });
+
     res.status(201).json({
       _id: student.id,
       name: student.name,
       email: student.email,
       phone: student.phone,
+      emailVerified: !!student.email_verified_at,
       createdAt: student.created_at,
     });
   } catch (error) {
@@ -424,7 +583,7 @@ export const getAllStudents = async (req, res) => {
   try {
     const { data: students, error } = await supabase
       .from('students')
-      .select('id, name, email, created_at')
+      .select('id, name, email, email_verified_at, phone, college, graduation_year, avatar_url, created_at')
       .order('name');
 
     if (error) throw error;
@@ -434,6 +593,11 @@ export const getAllStudents = async (req, res) => {
         _id: s.id,
         name: s.name,
         email: s.email,
+        emailVerified: !!s.email_verified_at,
+        phone: s.phone || null,
+        college: s.college || null,
+        graduationYear: s.graduation_year || null,
+        avatarUrl: s.avatar_url || null,
         createdAt: s.created_at,
       })),
     });
@@ -442,6 +606,31 @@ export const getAllStudents = async (req, res) => {
   }
 };
 
+// @desc    Force-logout a student from every device
+// @route   POST /api/batches/students/:studentId/logout
+// @access  Private/Admin
+export const forceLogoutStudent = async (req, res) => {
+  try {
+    const { data: student, error } = await supabase
+      .from('students')
+      .select('id')
+      .eq('id', req.params.studentId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    await revokeAllSessions(student.id, 'student');
+
+    logger.info({ studentId: student.id, adminId: req.admin.id }, 'Student force-logged out by admin');
+    await recordAudit(req, { action: 'student.force_logout', entityType: 'student', entityId: student.id });
+
+    res.json({ message: 'Student has been logged out of all sessions' });
+  } catch (error) {
+    handleError(res, error, 'batchController');
+  }
+};
+
 // ============================================
 // Student-facing: get my enrolled courses
 // ============================================
@@ -599,7 +788,7 @@ export const getSchedule = async (req, res) => {
     // Get topics for this course (ordered)
     const { data: topics, error: tErr } = await supabase
       .from('topics')
-      .select('id, title, sort_order')
+      .select('id, title, sort_order, module_id')
       .eq('course_id', courseId)
       .order('sort_order');
 
@@ -639,6 +828,7 @@ export const getSchedule = async (req, res) => {
         _id: t.id,
         title: t.title,
         sortOrder: t.sort_order,
+        moduleId: t.module_id,
         schedule: sched,
         isAccessible,
       };
@@ -650,18 +840,39 @@ export const getSchedule = async (req, res) => {
   }
 };
 
-// @desc    Auto-schedule topics for a batch + course (1 topic/day starting from startDate)
+// Helper: day offset per topic when unlocking a module at a time. Modules go in
+// their own order; topics outside any module unlock together after the last one.
+const getModuleDayOffsets = async (courseId, topics, daysPerModule) => {
+  const { data: modules, error } = await supabase
+    .from('course_modules')
+    .select('id')
+    .eq('course_id', courseId)
+    .order('sort_order');
+
+  if (error) throw error;
+
+  const units = [...(modules || []).map((m) => m.id), null]
+    .filter((moduleId) => topics.some((t) => (t.module_id || null) === moduleId));
+
+  const offsets = {};
+  for (const topic of topics) {
+    offsets[topic.id] = units.indexOf(topic.module_id || null) * daysPerModule;
+  }
+  return { offsets, moduleCount: units.length };
+};
+
+// @desc    Auto-schedule topics for a batch + course (1 topic/day starting from startDate, or a module at a time)
 // @route   POST /api/batches/:id/schedule/auto
 // @access  Private/Admin
 export const autoSchedule = async (req, res) => {
   try {
     const batchId = req.params.id;
-    const { courseId, startDate, topicsPerDay = 1 } = req.body;
+    const { courseId, startDate, topicsPerDay = 1, unlockBy = 'topic', daysPerModule = 7 } = req.body;
 
     // Get topics for this course (ordered)
     const { data: topics, error: tErr } = await supabase
       .from('topics')
-      .select('id, sort_order')
+      .select('id, sort_order, module_id')
       .eq('course_id', courseId)
       .order('sort_order');
 
@@ -682,12 +893,13 @@ export const autoSchedule = async (req, res) => {
       return res.status(400).json({ message: 'This course is not assigned to this batch' });
     }
 
-    // Build schedule rows: topicsPerDay topics share the same date
+    // Build schedule rows: topicsPerDay topics share the same date, or a whole module does
     const rows = [];
     const start = new Date(startDate + 'T00:00:00');
+    const byModule = unlockBy === 'module' ? await getModuleDayOffsets(courseId, topics, daysPerModule) : null;
 
     topics.forEach((topic, index) => {
-      const dayOffset = Math.floor(index / topicsPerDay);
+      const dayOffset = byModule ? byModule.offsets[topic.id] : Math.floor(index / topicsPerDay);
       const date = new Date(start);
       date.setDate(date.getDate() + dayOffset);
 
@@ -706,8 +918,19 @@ export const autoSchedule = async (req, res) => {
 
     if (uErr) throw uErr;
 
+    await recordAudit(req, {
+      action: 'schedule.auto',
+      entityType: 'batch',
+      entityId: batchId,
+      metadata: byModule
+        ? { courseId, startDate, unlockBy, daysPerModule, count: topics.length }
+        : { courseId, startDate, topicsPerDay, count: topics.length },
+    });
+
     res.json({
-      message: `Scheduled ${topics.length} topics starting ${startDate}`,
+      message: byModule
+        ? `Scheduled ${topics.length} topics in ${byModule.moduleCount} modules starting ${startDate}`
+        : `Scheduled ${topics.length} topics starting ${startDate}`,
       count: topics.length,
     });
   } catch (error) {
@@ -748,6 +971,13 @@ export const bulkSchedule = async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: 'schedule.bulk',
+      entityType: 'batch',
+      entityId: batchId,
+      metadata: { courseId, schedule },
+    });
+
     res.json({ message: `Scheduled ${schedule.length} topics`, count: schedule.length });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -797,6 +1027,14 @@ export const toggleTopicUnlock = async (req, res) => {
       if (error) throw error;
     }
 
+    await recordAudit(req, {
+      action: unlock ? 'schedule.unlock' : 'schedule.lock',
+      entityType: 'batch',
+      entityId: batchId,
+      before: existing || null,
+      metadata: { topicId },
+    });
+
     res.json({ message: unlock ? 'Topic unlocked' : 'Topic locked', topicId, unlock });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -829,6 +1067,13 @@ export const clearSchedule = async (req, res) => {
       if (error) throw error;
     }
 
+    await recordAudit(req, {
+      action: 'schedule.clear',
+      entityType: 'batch',
+      entityId: batchId,
+      metadata: { courseId, topics: topicIds.length },
+    });
+
     res.json({ message: 'Schedule cleared, all topics are now unrestricted' });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -899,7 +1144,17 @@ export const getStudentSchedule = async (req, res) => {
       }
     }
 
-    // Build final schedule map: unscheduled topics are not included (frontend treats missing = accessible)
+    // Topics with unmet prerequisites are locked whatever their date says
+    const unmet = await getUnmetPrerequisites(studentId, batchIds, topicIds);
+    for (const [topicId, prerequisites] of Object.entries(unmet)) {
+      topicStatus[topicId] = {
+        ...(topicStatus[topicId] || { unlockDate: null, isUnlocked: false }),
+        isAccessible: false,
+        unmetPrerequisites: prerequisites,
+      };
+    }
+
+    // Build final schedule map: unscheduled, ungated topics are not included (frontend treats missing = accessible)
     res.json({ schedule: topicStatus });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -936,8 +1191,12 @@ export const getBatchProgress = async (req, res) => {
       .eq('batch_id', batchId);
     const courseIds = (batchCourses || []).map(bc => bc.course_id);
 
-    // Parallel fetch: students, courses, topics, completions, practice scores, coding submissions
-    const [studentsRes, coursesRes, topicsRes, completionsRes, practiceRes, codingRes] = await Promise.all([
+    // Assignments that apply to this batch, and what its students handed in
+    const assignments = await getAssignmentsFor({ batchIds: [batchId], courseIds });
+    const assignmentIds = assignments.map(a => a.id);
+
+    // Parallel fetch: students, courses, topics, completions, practice scores, coding submissions, assignment work
+    const [studentsRes, coursesRes, topicsRes, completionsRes, practiceRes, codingRes, submissionsRes, gradesRes] = await Promise.all([
       supabase.from('students').select('id, name, email').in('id', studentIds),
       courseIds.length > 0
         ? supabase.from('courses').select('id, name').in('id', courseIds)
@@ -948,9 +1207,17 @@ export const getBatchProgress = async (req, res) => {
       supabase.from('topic_completions').select('student_id, topic_id, item_type').in('student_id', studentIds),
       supabase.from('practice_scores').select('student_id, topic_id, percentage').in('student_id', studentIds),
       supabase.from('coding_submissions').select('student_id, topic_id, passed').in('student_id', studentIds),
+      assignmentIds.length > 0
+        ? supabase.from('assignment_submissions').select('student_id, assignment_id').in('assignment_id', assignmentIds).in('student_id', studentIds)
+        : { data: [], error: null },
+      assignmentIds.length > 0
+        ? supabase.from('assignment_grades').select('student_id, assignment_id, total_score, max_score').in('assignment_id', assignmentIds).in('student_id', studentIds)
+        : { data: [], error: null },
     ]);
 
     if (studentsRes.error) throw studentsRes.error;
+    if (submissionsRes.error) throw submissionsRes.error;
+    if (gradesRes.error) throw gradesRes.error;
 
     const topics = topicsRes.data || [];
     const topicsByCourse = {};
@@ -982,6 +1249,18 @@ export const getBatchProgress = async (req, res) => {
       if (c.passed) codingByStudent[c.student_id].passed++;
     }
 
+    // Build per-student assignment stats (graded = mentor graded, released or not)
+    const assignmentsByStudent = {};
+    for (const s of submissionsRes.data || []) {
+      if (!assignmentsByStudent[s.student_id]) assignmentsByStudent[s.student_id] = { submitted: new Set(), graded: 0, totalPct: 0 };
+      assignmentsByStudent[s.student_id].submitted.add(s.assignment_id);
+    }
+    for (const g of gradesRes.data || []) {
+      if (!assignmentsByStudent[g.student_id]) assignmentsByStudent[g.student_id] = { submitted: new Set(), graded: 0, totalPct: 0 };
+      assignmentsByStudent[g.student_id].graded++;
+      assignmentsByStudent[g.student_id].totalPct += gradePercentage(g);
+    }
+
     // Build enrollment status map
     const enrollmentMap = {};
     for (const e of enrollments) {
@@ -994,6 +1273,7 @@ export const getBatchProgress = async (req, res) => {
       const completed = completionsByStudent[s.id]?.size || 0;
       const practice = practiceByStudent[s.id];
       const coding = codingByStudent[s.id];
+      const work = assignmentsByStudent[s.id];
       const enrollment = enrollmentMap[s.id] || {};
 
       return {
@@ -1009,6 +1289,9 @@ export const getBatchProgress = async (req, res) => {
         quizzesTaken: practice?.count || 0,
         codingPassed: coding?.passed || 0,
         codingTotal: coding?.total || 0,
+        assignmentsSubmitted: work?.submitted.size || 0,
+        assignmentsGraded: work?.graded || 0,
+        avgAssignmentScore: work?.graded ? Math.round(work.totalPct / work.graded) : 0,
       };
     });
 
@@ -1021,7 +1304,7 @@ export const getBatchProgress = async (req, res) => {
       topicCount: (topicsByCourse[c.id] || []).length,
     }));
 
-    res.json({ students, courses, totalTopics });
+    res.json({ students, courses, totalTopics, totalAssignments: assignments.length });
   } catch (error) {
     handleError(res, error, 'batchController');
   }
@@ -1053,8 +1336,11 @@ export const getStudentProgress = async (req, res) => {
       .eq('batch_id', batchId);
     const courseIds = (batchCourses || []).map(bc => bc.course_id);
 
+    const assignments = await getAssignmentsFor({ batchIds: [batchId], courseIds });
+    const assignmentIds = assignments.map(a => a.id);
+
     // Fetch everything in parallel
-    const [studentRes, coursesRes, topicsRes, completionsRes, practiceRes, codingRes, attemptsRes] = await Promise.all([
+    const [studentRes, coursesRes, topicsRes, completionsRes, practiceRes, codingRes, attemptsRes, submissionsRes, gradesRes] = await Promise.all([
       supabase.from('students').select('id, name, email').eq('id', studentId).single(),
       courseIds.length > 0
         ? supabase.from('courses').select('id, name, icon, color').in('id', courseIds).order('sort_order')
@@ -1065,10 +1351,18 @@ export const getStudentProgress = async (req, res) => {
       supabase.from('topic_completions').select('topic_id, item_type, completed_at').eq('student_id', studentId),
       supabase.from('practice_scores').select('topic_id, score, total, percentage, updated_at').eq('student_id', studentId),
       supabase.from('coding_submissions').select('topic_id, passed, language, updated_at').eq('student_id', studentId),
-      supabase.from('practice_attempts').select('topic_id, attempt_number, score, total, percentage, passed, created_at').eq('student_id', studentId).order('created_at', { ascending: false }).limit(50),
+      supabase.from('practice_attempts').select('topic_id, attempt_number, score, total, percentage, passed, created_at').eq('student_id', studentId).eq('status', 'submitted').order('created_at', { ascending: false }).limit(50),
+      assignmentIds.length > 0
+        ? supabase.from('assignment_submissions').select('assignment_id, version, is_late, submitted_at').eq('student_id', studentId).in('assignment_id', assignmentIds)
+        : { data: [], error: null },
+      assignmentIds.length > 0
+        ? supabase.from('assignment_grades').select('*').eq('student_id', studentId).in('assignment_id', assignmentIds)
+        : { data: [], error: null },
     ]);
 
     if (studentRes.error) throw studentRes.error;
+    if (submissionsRes.error) throw submissionsRes.error;
+    if (gradesRes.error) throw gradesRes.error;
 
     // Build maps
     const completionMap = {};
@@ -1113,6 +1407,30 @@ export const getStudentProgress = async (req, res) => {
       };
     });
 
+    const latestSubmission = {};
+    for (const s of submissionsRes.data || []) {
+      if (!latestSubmission[s.assignment_id] || s.version > latestSubmission[s.assignment_id].version) {
+        latestSubmission[s.assignment_id] = s;
+      }
+    }
+    const gradeMap = {};
+    for (const g of gradesRes.data || []) gradeMap[g.assignment_id] = g;
+
+    const assignmentProgress = assignments.map(a => {
+      const submission = latestSubmission[a.id];
+      return {
+        _id: a.id,
+        title: a.title,
+        topicId: a.topic_id,
+        dueAt: a.due_at,
+        maxScore: parseFloat(a.max_score),
+        submission: submission
+          ? { version: submission.version, isLate: submission.is_late, submittedAt: submission.submitted_at }
+          : null,
+        grade: gradeMap[a.id] ? mapGrade(gradeMap[a.id]) : null,
+      };
+    });
+
     const recentAttempts = (attemptsRes.data || []).map(a => ({
       topicId: a.topic_id,
       attemptNumber: a.attempt_number,
@@ -1131,6 +1449,7 @@ export const getStudentProgress = async (req, res) => {
       },
       courses,
       recentAttempts,
+      assignments: assignmentProgress,
     });
   } catch (error) {
     handleError(res, error, 'batchController');
@@ -1,5 +1,24 @@
 import supabase from '../config/db.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
+import { mapQuestion } from '../lib/questions.js';
+import { hasPermission } from '../lib/permissions.js';
+import {
+  getLiveContent,
+  getDraft,
+  saveDraft,
+  discardDraft,
+  listVersions,
+  getVersion,
+  publishContent,
+  snapshotLive,
+  resolveContent,
+  diffContent,
+  mapVersion,
+} from '../lib/contentVersions.js';
+import { parseSkillFilter, findUnknownSkills, findTopicsWithSkills } from '../lib/skills.js';
+import { buildCoursePackage, checkCoursePackage, importCoursePackage, pickPackageTopics } from '../lib/coursePackage.js';
+import { MANUAL_LOCK_DATE } from './batchController.js';
 
 /* ---------- Lightweight in-memory cache ---------- */
 const cache = new Map();
@@ -22,7 +41,50 @@ function invalidateCourseCache() {
   }
 }
 
-// @desc    Get all courses
+function invalidateTopicsSummary(courseId) {
+  cache.delete(`topics-summary:${courseId}`);
+}
+
+/* ---------- Modules ---------- */
+const mapModule = (m) => ({
+  _id: m.id,
+  courseId: m.course_id,
+  title: m.title,
+  description: m.description,
+  order: m.sort_order,
+  isPublished: m.is_published,
+  createdAt: m.created_at,
+  updatedAt: m.updated_at
+});
+
+const getModules = async (courseId) => {
+  const { data, error } = await supabase
+    .from('course_modules')
+    .select('*')
+    .eq('course_id', courseId)
+    .order('sort_order');
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Modules with the ids of their topics (in course order); topics with no module are listed separately
+const buildModuleOutline = (modules, topics) => {
+  const topicIdsByModule = {};
+  const ungroupedTopicIds = [];
+  topics.forEach(t => {
+    if (!t.module_id) return ungroupedTopicIds.push(t.id);
+    if (!topicIdsByModule[t.module_id]) topicIdsByModule[t.module_id] = [];
+    topicIdsByModule[t.module_id].push(t.id);
+  });
+
+  return {
+    modules: modules.map(m => ({ ...mapModule(m), topicIds: topicIdsByModule[m.id] || [] })),
+    ungroupedTopicIds,
+  };
+};
+
+// @desc    Get all courses (?skills=id,id — tagged with any of these skills)
 // @route   GET /api/courses
 // @access  Public
 export const getCourses = async (req, res) => {
@@ -30,22 +92,29 @@ export const getCourses = async (req, res) => {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 100);
     const offset = (page - 1) * limit;
+    const skillIds = parseSkillFilter(req.query.skills);
+    if (skillIds?.length === 0) return res.status(400).json({ message: 'No valid skill ID in skills filter' });
 
-    const cacheKey = `courses:${page}:${limit}`;
+    const cacheKey = `courses:${page}:${limit}:${skillIds ? skillIds.join(',') : ''}`;
     const cached = getCached(cacheKey);
     if (cached) return res.json(cached);
 
+    let coursesQuery = supabase
+      .from('courses_with_topic_count')
+      .select('*')
+      .order('sort_order')
+      .range(offset, offset + limit - 1);
+    let countQuery = supabase
+      .from('courses')
+      .select('*', { count: 'exact', head: true });
+
+    if (skillIds) {
+      coursesQuery = coursesQuery.overlaps('skill_ids', skillIds);
+      countQuery = countQuery.overlaps('skill_ids', skillIds);
+    }
+
     // Get courses with topic counts from view
-    const [coursesRes, countRes] = await Promise.all([
-      supabase
-        .from('courses_with_topic_count')
-        .select('*')
-        .order('sort_order')
-        .range(offset, offset + limit - 1),
-      supabase
-        .from('courses')
-        .select('*', { count: 'exact', head: true })
-    ]);
+    const [coursesRes, countRes] = await Promise.all([coursesQuery, countQuery]);
 
     const { data: courses, error } = coursesRes;
     if (error) throw error;
@@ -61,6 +130,7 @@ export const getCourses = async (req, res) => {
       color: c.color,
       order: c.sort_order,
       isPublished: c.is_published,
+      skillIds: c.skill_ids || [],
       totalTopics: c.total_topics || 0,
       completedTopics: 0,
       progress: 0,
@@ -114,6 +184,9 @@ export const getCourseById = async (req, res) => {
       color: course.color,
       order: course.sort_order,
       isPublished: course.is_published,
+      publishedVersion: course.published_version,
+      sourceCourseId: course.source_course_id,
+      skillIds: course.skill_ids || [],
       totalTopics: count || 0,
       completedTopics: 0,
       progress: 0,
@@ -130,7 +203,12 @@ export const getCourseById = async (req, res) => {
 // @access  Private/Admin
 export const createCourse = async (req, res) => {
   try {
-    const { name, description, icon, color, order, isPublished } = req.body;
+    const { name, description, icon, color, order, isPublished, skillIds } = req.body;
+
+    const unknownSkills = await findUnknownSkills(skillIds);
+    if (unknownSkills.length > 0) {
+      return res.status(400).json({ message: `Unknown skill: ${unknownSkills.join(', ')}` });
+    }
 
     const { data: course, error } = await supabase
       .from('courses')
@@ -140,13 +218,18 @@ export const createCourse = async (req, res) => {
         icon: icon || 'FaBook',
         color: color || '#e94560',
         sort_order: order || 0,
-        is_published: isPublished || false
+        is_published: isPublished || false,
+        skill_ids: skillIds || []
       })
       .select()
       .single();
 
     if (error) throw error;
 
+    await snapshotLive('course', course.id, { adminId: req.admin.id, note: 'Created' });
+
+    await recordAudit(req, { action: 'course.create', entityType: 'course', entityId: course.id, after: course });
+
     invalidateCourseCache();
     res.status(201).json({
       _id: course.id,
@@ -156,6 +239,7 @@ export const createCourse = async (req, res) => {
       color: course.color,
       order: course.sort_order,
       isPublished: course.is_published,
+      skillIds: course.skill_ids || [],
       createdAt: course.created_at,
       updatedAt: course.updated_at
     });
@@ -169,7 +253,19 @@ export const createCourse = async (req, res) => {
 // @access  Private/Admin
 export const updateCourse = async (req, res) => {
   try {
-    const { name, description, icon, color, order, isPublished } = req.body;
+    const { name, description, icon, color, order, isPublished, skillIds } = req.body;
+
+    const unknownSkills = await findUnknownSkills(skillIds);
+    if (unknownSkills.length > 0) {
+      return res.status(400).json({ message: `Unknown skill: ${unknownSkills.join(', ')}` });
+    }
+
+    // Metadata edits would go live underneath an open draft, and publishing the
+    // draft later would silently revert them
+    const contentChanged = [name, description, icon, color].some((v) => v !== undefined);
+    if (contentChanged && await getDraft('course', req.params.id)) {
+      return res.status(409).json({ message: 'This course has an unpublished draft — edit the draft or discard it first' });
+    }
 
     const updates = {};
     if (name !== undefined) updates.name = name;
@@ -178,6 +274,9 @@ export const updateCourse = async (req, res) => {
     if (color !== undefined) updates.color = color;
     if (order !== undefined) updates.sort_order = order;
     if (isPublished !== undefined) updates.is_published = isPublished;
+    if (skillIds !== undefined) updates.skill_ids = skillIds;
+
+    const before = await getAuditSnapshot('courses', req.params.id);
 
     const { data: course, error } = await supabase
       .from('courses')
@@ -192,6 +291,13 @@ export const updateCourse = async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    // Direct edits go live at once; keep the version history in step with them
+    if (contentChanged) {
+      await snapshotLive('course', course.id, { adminId: req.admin.id, note: 'Edited directly' });
+    }
+
+    await recordAudit(req, { action: 'course.update', entityType: 'course', entityId: course.id, before, after: course });
+
     invalidateCourseCache();
     res.json({
       _id: course.id,
@@ -201,6 +307,7 @@ export const updateCourse = async (req, res) => {
       color: course.color,
       order: course.sort_order,
       isPublished: course.is_published,
+      skillIds: course.skill_ids || [],
       createdAt: course.created_at,
       updatedAt: course.updated_at
     });
@@ -214,6 +321,8 @@ export const updateCourse = async (req, res) => {
 // @access  Private/Admin
 export const deleteCourse = async (req, res) => {
   try {
+    const before = await getAuditSnapshot('courses', req.params.id);
+
     // Topics are cascade deleted via FK constraint
     const { error } = await supabase
       .from('courses')
@@ -222,6 +331,8 @@ export const deleteCourse = async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'course.delete', entityType: 'course', entityId: req.params.id, before });
+
     invalidateCourseCache();
     res.json({ message: 'Course and its topics removed' });
   } catch (error) {
@@ -229,7 +340,7 @@ export const deleteCourse = async (req, res) => {
   }
 };
 
-// @desc    Get course topics
+// @desc    Get course topics (?skills=id,id — topics exercising any of these skills)
 // @route   GET /api/courses/:id/topics
 // @access  Public
 export const getCourseTopics = async (req, res) => {
@@ -238,14 +349,32 @@ export const getCourseTopics = async (req, res) => {
     const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 100), 100);
     const offset = (page - 1) * limit;
 
-    const { data: topics, error } = await supabase
+    const skillIds = parseSkillFilter(req.query.skills);
+    if (skillIds?.length === 0) return res.status(400).json({ message: 'No valid skill ID in skills filter' });
+    const matchingIds = skillIds ? await findTopicsWithSkills([req.params.id], skillIds) : null;
+
+    let topicsQuery = supabase
       .from('topics')
       .select('*')
       .eq('course_id', req.params.id)
       .order('sort_order')
       .range(offset, offset + limit - 1);
+    if (matchingIds) topicsQuery = topicsQuery.in('id', matchingIds);
+
+    const [topicsRes, outlineRes, modules] = await Promise.all([
+      matchingIds?.length === 0 ? { data: [], error: null } : topicsQuery,
+      // Every topic's module, so the outline covers the whole course and not just this page
+      supabase
+        .from('topics')
+        .select('id, module_id')
+        .eq('course_id', req.params.id)
+        .order('sort_order'),
+      getModules(req.params.id)
+    ]);
 
+    const { data: topics, error } = topicsRes;
     if (error) throw error;
+    if (outlineRes.error) throw outlineRes.error;
 
     // Get practice questions and coding practices for these topics
     const topicIds = topics.map(t => t.id);
@@ -266,11 +395,8 @@ export const getCourseTopics = async (req, res) => {
     const practiceByTopic = {};
     practiceData.forEach(pq => {
       if (!practiceByTopic[pq.topic_id]) practiceByTopic[pq.topic_id] = [];
-      practiceByTopic[pq.topic_id].push({
-        question: pq.question,
-        options: pq.options,
-        answer: pq.answer
-      });
+      // Students are graded on the server and never see the answer key or explanations
+      practiceByTopic[pq.topic_id].push(mapQuestion(pq, { includeAnswer: !!req.admin }));
     });
 
     const codingByTopic = {};
@@ -286,6 +412,7 @@ export const getCourseTopics = async (req, res) => {
         hints: cp.hints,
         testScript: cp.test_script || '',
         testCases: cp.test_cases || [],
+        skillIds: cp.skill_ids || [],
       };
     });
 
@@ -293,24 +420,24 @@ export const getCourseTopics = async (req, res) => {
     const mapped = topics.map(t => ({
       _id: t.id,
       courseId: t.course_id,
+      moduleId: t.module_id,
       title: t.title,
       order: t.sort_order,
       videoUrl: t.video_url,
       pdfUrl: t.pdf_url,
       isPublished: t.is_published,
+      skillIds: t.skill_ids || [],
       practice: practiceByTopic[t.id] || [],
-      codingPractice: codingByTopic[t.id] || { language: 'javascript', title: '', description: '', referenceImage: '', imageLinks: [], starterCode: '', expectedOutput: '', hints: [], testScript: '', testCases: [] },
+      codingPractice: codingByTopic[t.id] || { language: 'javascript', title: '', description: '', referenceImage: '', imageLinks: [], starterCode: '', expectedOutput: '', hints: [], testScript: '', testCases: [], skillIds: [] },
       createdAt: t.created_at,
       updatedAt: t.updated_at
     }));
 
-    const { count } = await supabase
-      .from('topics')
-      .select('*', { count: 'exact', head: true })
-      .eq('course_id', req.params.id);
+    const count = matchingIds ? matchingIds.length : outlineRes.data.length;
 
     res.json({
       topics: mapped,
+      ...buildModuleOutline(modules, outlineRes.data),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil((count || 0) / limit),
@@ -332,12 +459,16 @@ export const getCourseTopicsSummary = async (req, res) => {
     const cached = getCached(cacheKey);
     if (cached) return res.json(cached);
 
-    const { data: topics, error } = await supabase
-      .from('topics')
-      .select('id, title, sort_order, video_url, pdf_url, is_published')
-      .eq('course_id', req.params.id)
-      .order('sort_order');
+    const [topicsRes, modules] = await Promise.all([
+      supabase
+        .from('topics')
+        .select('id, module_id, title, sort_order, video_url, pdf_url, is_published, skill_ids')
+        .eq('course_id', req.params.id)
+        .order('sort_order'),
+      getModules(req.params.id)
+    ]);
 
+    const { data: topics, error } = topicsRes;
     if (error) throw error;
 
     const topicIds = topics.map(t => t.id);
@@ -378,16 +509,18 @@ export const getCourseTopicsSummary = async (req, res) => {
 
     const mapped = topics.map(t => ({
       _id: t.id,
+      moduleId: t.module_id,
       title: t.title,
       order: t.sort_order,
       videoUrl: t.video_url,
       pdfUrl: t.pdf_url,
       isPublished: t.is_published,
+      skillIds: t.skill_ids || [],
       practiceCount: practiceCountMap[t.id] || 0,
       codingPracticeTitle: codingTitleMap[t.id] || '',
     }));
 
-    const response = { topics: mapped };
+    const response = { topics: mapped, ...buildModuleOutline(modules, topics) };
     setCache(cacheKey, response);
     res.json(response);
   } catch (error) {
@@ -442,9 +575,605 @@ export const reorderCourses = async (req, res) => {
     });
     await Promise.all(updates);
 
+    await recordAudit(req, {
+      action: 'course.reorder',
+      entityType: 'course',
+      metadata: { order: courses.map((c) => c._id || c.id) },
+    });
+
     invalidateCourseCache();
     res.json({ message: 'Courses reordered successfully' });
   } catch (error) {
     handleError(res, error, 'courseController');
   }
 };
+
+// @desc    Get course modules
+// @route   GET /api/courses/:id/modules
+// @access  Private (admin or enrolled student)
+export const getCourseModules = async (req, res) => {
+  try {
+    const [modules, topicsRes] = await Promise.all([
+      getModules(req.params.id),
+      supabase
+        .from('topics')
+        .select('id, module_id')
+        .eq('course_id', req.params.id)
+        .order('sort_order')
+    ]);
+
+    if (topicsRes.error) throw topicsRes.error;
+
+    res.json(buildModuleOutline(modules, topicsRes.data || []));
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Create module
+// @route   POST /api/courses/:id/modules
+// @access  Private/Admin
+export const createModule = async (req, res) => {
+  try {
+    const { title, description, order, isPublished } = req.body;
+
+    const { data: course } = await supabase
+      .from('courses')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Append to the end if no order given
+    let moduleOrder = order;
+    if (moduleOrder === undefined) {
+      const { data: existing } = await supabase
+        .from('course_modules')
+        .select('sort_order')
+        .eq('course_id', req.params.id)
+        .order('sort_order', { ascending: false })
+        .limit(1);
+      moduleOrder = existing && existing.length > 0 ? existing[0].sort_order + 1 : 0;
+    }
+
+    const { data: mod, error } = await supabase
+      .from('course_modules')
+      .insert({
+        course_id: req.params.id,
+        title,
+        description: description || '',
+        sort_order: moduleOrder,
+        is_published: isPublished || false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'module.create',
+      entityType: 'module',
+      entityId: mod.id,
+      after: mod,
+      metadata: { courseId: req.params.id },
+    });
+
+    invalidateTopicsSummary(req.params.id);
+    res.status(201).json(mapModule(mod));
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Update module
+// @route   PUT /api/courses/:id/modules/:moduleId
+// @access  Private/Admin
+export const updateModule = async (req, res) => {
+  try {
+    const { title, description, order, isPublished } = req.body;
+
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    if (order !== undefined) updates.sort_order = order;
+    if (isPublished !== undefined) updates.is_published = isPublished;
+
+    const before = await getAuditSnapshot('course_modules', req.params.moduleId);
+    if (!before || before.course_id !== req.params.id) {
+      return res.status(404).json({ message: 'Module not found' });
+    }
+
+    const { data: mod, error } = await supabase
+      .from('course_modules')
+      .update(updates)
+      .eq('id', req.params.moduleId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'module.update',
+      entityType: 'module',
+      entityId: mod.id,
+      before,
+      after: mod,
+      metadata: { courseId: req.params.id },
+    });
+
+    invalidateTopicsSummary(req.params.id);
+    res.json(mapModule(mod));
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Delete module (its topics stay in the course, ungrouped)
+// @route   DELETE /api/courses/:id/modules/:moduleId
+// @access  Private/Admin
+export const deleteModule = async (req, res) => {
+  try {
+    const before = await getAuditSnapshot('course_modules', req.params.moduleId);
+    if (!before || before.course_id !== req.params.id) {
+      return res.status(404).json({ message: 'Module not found' });
+    }
+
+    // topics.module_id is cleared via FK (ON DELETE SET NULL)
+    const { error } = await supabase
+      .from('course_modules')
+      .delete()
+      .eq('id', req.params.moduleId);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'module.delete',
+      entityType: 'module',
+      entityId: req.params.moduleId,
+      before,
+      metadata: { courseId: req.params.id },
+    });
+
+    invalidateTopicsSummary(req.params.id);
+    res.json({ message: 'Module removed' });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Reorder modules
+// @route   PUT /api/courses/:id/modules/reorder
+// @access  Private/Admin
+export const reorderModules = async (req, res) => {
+  try {
+    const { modules } = req.body;
+
+    await Promise.all(
+      modules.map(({ id, order }) =>
+        supabase
+          .from('course_modules')
+          .update({ sort_order: order })
+          .eq('id', id)
+          .eq('course_id', req.params.id)
+      )
+    );
+
+    await recordAudit(req, {
+      action: 'module.reorder',
+      entityType: 'module',
+      metadata: { courseId: req.params.id, order: modules.map(({ id, order }) => ({ id, order })) },
+    });
+
+    invalidateTopicsSummary(req.params.id);
+    res.json({ message: 'Modules reordered successfully' });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Get the course's draft metadata (the live metadata if no draft has been started)
+// @route   GET /api/courses/:id/draft
+// @access  Private/Admin
+export const getCourseDraft = async (req, res) => {
+  try {
+    const live = await getLiveContent('course', req.params.id);
+    if (!live) return res.status(404).json({ message: 'Course not found' });
+
+    const draft = await getDraft('course', req.params.id);
+
+    res.json({
+      hasDraft: !!draft,
+      publishedVersion: live.publishedVersion,
+      content: draft ? draft.content : live.content,
+      updatedBy: draft?.updated_by || null,
+      updatedAt: draft?.updated_at || null
+    });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Save changes to the course's draft metadata
+// @route   PUT /api/courses/:id/draft
+// @access  Private/Admin
+export const saveCourseDraft = async (req, res) => {
+  try {
+    const live = await getLiveContent('course', req.params.id);
+    if (!live) return res.status(404).json({ message: 'Course not found' });
+
+    const draft = await saveDraft('course', req.params.id, req.body, req.admin.id);
+
+    res.json({
+      hasDraft: true,
+      publishedVersion: live.publishedVersion,
+      content: draft.content,
+      updatedBy: draft.updated_by,
+      updatedAt: draft.updated_at
+    });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Throw away the course's draft
+// @route   DELETE /api/courses/:id/draft
+// @access  Private/Admin
+export const discardCourseDraft = async (req, res) => {
+  try {
+    const draft = await discardDraft('course', req.params.id);
+    if (!draft) return res.status(404).json({ message: 'This course has no draft' });
+
+    await recordAudit(req, {
+      action: 'course.draft.discard',
+      entityType: 'course',
+      entityId: req.params.id,
+      before: draft.content,
+    });
+
+    res.json({ message: 'Draft discarded' });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Preview the course card with its draft metadata, with what would change
+// @route   GET /api/courses/:id/preview
+// @access  Private/Admin
+export const previewCourse = async (req, res) => {
+  try {
+    const { data: course, error } = await supabase
+      .from('courses')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+
+    const [live, draft] = await Promise.all([
+      getLiveContent('course', course.id),
+      getDraft('course', course.id)
+    ]);
+    const content = draft ? draft.content : live.content;
+
+    res.json({
+      _id: course.id,
+      ...content,
+      order: course.sort_order,
+      isPublished: course.is_published,
+      publishedVersion: course.published_version,
+      hasDraft: !!draft,
+      changes: draft ? diffContent(live.content, draft.content) : []
+    });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Publish the draft metadata as the next version
+// @route   POST /api/courses/:id/publish
+// @access  Private/Admin
+export const publishCourse = async (req, res) => {
+  try {
+    const draft = await getDraft('course', req.params.id);
+    if (!draft) return res.status(400).json({ message: 'No draft to publish' });
+
+    const before = await getAuditSnapshot('courses', req.params.id);
+    const version = await publishContent('course', req.params.id, draft.content, { adminId: req.admin.id, note: req.body.note });
+    await discardDraft('course', req.params.id, { updatedAt: draft.updated_at });
+
+    await recordAudit(req, {
+      action: 'course.publish',
+      entityType: 'course',
+      entityId: req.params.id,
+      before,
+      after: await getAuditSnapshot('courses', req.params.id),
+      metadata: { version: version.version },
+    });
+
+    invalidateCourseCache();
+    res.json(mapVersion(version));
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    List the course's published versions
+// @route   GET /api/courses/:id/versions
+// @access  Private/Admin
+export const getCourseVersions = async (req, res) => {
+  try {
+    const live = await getLiveContent('course', req.params.id);
+    if (!live) return res.status(404).json({ message: 'Course not found' });
+
+    const versions = await listVersions('course', req.params.id);
+
+    res.json({
+      publishedVersion: live.publishedVersion,
+      versions: versions.map(v => mapVersion(v, { includeContent: false }))
+    });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Get one version of the course metadata
+// @route   GET /api/courses/:id/versions/:version
+// @access  Private/Admin
+export const getCourseVersion = async (req, res) => {
+  try {
+    const version = await getVersion('course', req.params.id, req.params.version);
+    if (!version) return res.status(404).json({ message: 'Version not found' });
+
+    res.json(mapVersion(version));
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Diff a version against another version, the live course or the draft
+// @route   GET /api/courses/:id/versions/:version/diff?against=live|draft|<version>
+// @access  Private/Admin
+export const diffCourseVersion = async (req, res) => {
+  try {
+    const against = req.query.against || 'live';
+    const [base, other] = await Promise.all([
+      resolveContent('course', req.params.id, req.params.version),
+      resolveContent('course', req.params.id, against)
+    ]);
+
+    if (!base) return res.status(404).json({ message: 'Version not found' });
+    if (!other) return res.status(404).json({ message: `Nothing to compare against (${against})` });
+
+    res.json({
+      from: parseInt(req.params.version),
+      to: against,
+      changes: diffContent(base, other)
+    });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Roll the course metadata back to an earlier version (published as a new version)
+// @route   POST /api/courses/:id/versions/:version/rollback
+// @access  Private/Admin
+export const rollbackCourse = async (req, res) => {
+  try {
+    const target = await getVersion('course', req.params.id, req.params.version);
+    if (!target) return res.status(404).json({ message: 'Version not found' });
+
+    const before = await getAuditSnapshot('courses', req.params.id);
+    const version = await publishContent('course', req.params.id, target.content, {
+      adminId: req.admin.id,
+      note: req.body.note || `Rolled back to version ${target.version}`,
+    });
+
+    await recordAudit(req, {
+      action: 'course.rollback',
+      entityType: 'course',
+      entityId: req.params.id,
+      before,
+      after: await getAuditSnapshot('courses', req.params.id),
+      metadata: { fromVersion: target.version, version: version.version },
+    });
+
+    invalidateCourseCache();
+    res.json(mapVersion(version));
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Export a course (modules, topics, practice, coding practice, prerequisites) as a portable JSON package
+// @route   GET /api/courses/:id/export
+// @access  Private/Admin
+export const exportCourse = async (req, res) => {
+  try {
+    const pkg = await buildCoursePackage(req.params.id);
+    if (!pkg) return res.status(404).json({ message: 'Course not found' });
+
+    await recordAudit(req, {
+      action: 'course.export',
+      entityType: 'course',
+      entityId: req.params.id,
+      metadata: { topics: pkg.topics.length },
+    });
+
+    const fileName = `${pkg.course.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.course.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json(pkg);
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// @desc    Import a course package with fresh ids. Conflicts (e.g. an existing course
+//          with the same name) are reported and block the import; dryRun only checks.
+// @route   POST /api/courses/import
+// @access  Private/Admin
+export const importCourse = async (req, res) => {
+  try {
+    const { package: pkg, name, dryRun } = req.body;
+
+    const check = await checkCoursePackage(pkg, { name });
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...check });
+    }
+    if (check.conflicts.length > 0) {
+      return res.status(409).json({ message: check.conflicts[0].message, ...check });
+    }
+
+    const { course } = await importCoursePackage(pkg, { name: check.name, adminId: req.admin.id });
+
+    await recordAudit(req, {
+      action: 'course.import',
+      entityType: 'course',
+      entityId: course.id,
+      after: course,
+      metadata: { summary: check.summary, exportedAt: pkg.exportedAt || null },
+    });
+
+    invalidateCourseCache();
+    res.status(201).json({ dryRun: false, courseId: course.id, ...check });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
+
+// Helper: copy a batch's unlock dates for the source topics onto their clones
+// (shifted by offsetDays; manual locks stay locked) and assign the clone to the batch
+const copyBatchSchedule = async ({ fromBatchId, toBatchId, offsetDays }, courseId, topicIdMap) => {
+  const { error: linkErr } = await supabase
+    .from('batch_courses')
+    .upsert({ batch_id: toBatchId, course_id: courseId }, { onConflict: 'batch_id,course_id', ignoreDuplicates: true });
+
+  if (linkErr) throw linkErr;
+
+  const sourceTopicIds = Object.keys(topicIdMap);
+  if (sourceTopicIds.length === 0) return 0;
+
+  const { data: schedules, error } = await supabase
+    .from('batch_topic_schedule')
+    .select('topic_id, unlock_date, is_unlocked')
+    .eq('batch_id', fromBatchId)
+    .in('topic_id', sourceTopicIds);
+
+  if (error) throw error;
+  if (!schedules || schedules.length === 0) return 0;
+
+  const rows = schedules.map(s => {
+    let unlockDate = s.unlock_date;
+    if (unlockDate !== MANUAL_LOCK_DATE && offsetDays) {
+      const date = new Date(`${unlockDate}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() + offsetDays);
+      unlockDate = date.toISOString().split('T')[0];
+    }
+    return {
+      batch_id: toBatchId,
+      topic_id: topicIdMap[s.topic_id],
+      unlock_date: unlockDate,
+      is_unlocked: s.is_unlocked
+    };
+  });
+
+  const { error: insErr } = await supabase
+    .from('batch_topic_schedule')
+    .upsert(rows, { onConflict: 'batch_id,topic_id' });
+
+  if (insErr) throw insErr;
+  return rows.length;
+};
+
+// @desc    Deep-copy a course (optionally only some topics) for one cohort, keeping its
+//          lineage; optionally copy a batch's schedule onto the copy with a date offset
+// @route   POST /api/courses/:id/clone
+// @access  Private/Admin
+export const cloneCourse = async (req, res) => {
+  try {
+    const { name, topicIds, schedule } = req.body;
+    const toBatchId = schedule ? schedule.toBatchId || schedule.fromBatchId : null;
+
+    if (schedule) {
+      if (!hasPermission(req.admin, 'schedule:write')) {
+        return res.status(403).json({ message: 'Forbidden: requires schedule:write permission' });
+      }
+      const scopedBatchIds = req.admin.batchIds;
+      if (scopedBatchIds && ![schedule.fromBatchId, toBatchId].every(id => scopedBatchIds.includes(id))) {
+        return res.status(403).json({ message: 'Forbidden: you do not have access to this batch' });
+      }
+
+      const { data: batch } = await supabase
+        .from('batches')
+        .select('id')
+        .eq('id', toBatchId)
+        .maybeSingle();
+
+      if (!batch) {
+        return res.status(404).json({ message: 'Batch not found' });
+      }
+    }
+
+    const source = await buildCoursePackage(req.params.id);
+    if (!source) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    let pkg = source;
+    let droppedPrerequisites = 0;
+    if (topicIds) {
+      const known = new Set(source.topics.map(t => t.ref));
+      const unknown = topicIds.filter(id => !known.has(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Topics not in this course: ${unknown.join(', ')}` });
+      }
+      ({ pkg, droppedPrerequisites } = pickPackageTopics(source, topicIds));
+    }
+
+    const { course, topicIds: topicIdMap } = await importCoursePackage(pkg, {
+      name: name || `${source.course.name} (copy)`,
+      adminId: req.admin.id,
+      sourceCourseId: req.params.id,
+      note: 'Cloned'
+    });
+
+    let scheduledTopics = 0;
+    if (schedule) {
+      try {
+        scheduledTopics = await copyBatchSchedule({ ...schedule, toBatchId }, course.id, topicIdMap);
+      } catch (err) {
+        await supabase.from('courses').delete().eq('id', course.id);
+        throw err;
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'course.clone',
+      entityType: 'course',
+      entityId: course.id,
+      after: course,
+      metadata: {
+        sourceCourseId: req.params.id,
+        topics: pkg.topics.length,
+        schedule: schedule ? { ...schedule, toBatchId, scheduledTopics } : null
+      },
+    });
+
+    invalidateCourseCache();
+    res.status(201).json({
+      _id: course.id,
+      name: course.name,
+      sourceCourseId: req.params.id,
+      topics: pkg.topics.length,
+      droppedPrerequisites,
+      scheduledTopics,
+      batchId: toBatchId
+    });
+  } catch (error) {
+    handleError(res, error, 'courseController');
+  }
+};
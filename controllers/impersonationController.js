@@ -0,0 +1,149 @@
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { generateImpersonationToken, invalidateUserCache } from '../middleware/auth.js';
+import { recordAudit } from '../lib/audit.js';
+
+const mapSession = (s) => ({
+  _id: s.id,
+  adminId: s.admin_id,
+  adminName: s.admins?.name || null,
+  studentId: s.student_id,
+  studentName: s.students?.name || null,
+  studentEmail: s.students?.email || null,
+  reason: s.reason,
+  expiresAt: s.expires_at,
+  endedAt: s.ended_at,
+  isActive: !s.ended_at && new Date(s.expires_at) > new Date(),
+  createdAt: s.created_at,
+});
+
+const paginate = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(query.limit) || 50), 200);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// @desc    Mint a read-only "view as student" token
+// @route   POST /api/impersonation
+// @access  Private (students:impersonate)
+export const startImpersonation = async (req, res) => {
+  try {
+    const { studentId, reason, durationMinutes } = req.body;
+
+    const { data: student, error: studentErr } = await supabase
+      .from('students')
+      .select('id, name, email')
+      .eq('id', studentId)
+      .maybeSingle();
+
+    if (studentErr) throw studentErr;
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    const { data: session, error } = await supabase
+      .from('impersonation_sessions')
+      .insert({
+        admin_id: req.admin.id,
+        student_id: student.id,
+        reason,
+        expires_at: new Date(Date.now() + durationMinutes * 60 * 1000).toISOString(),
+        ip_address: req.ip || null,
+        user_agent: (req.headers['user-agent'] || '').slice(0, 500),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'impersonation.start',
+      entityType: 'student',
+      entityId: student.id,
+      metadata: { sessionId: session.id, reason, expiresAt: session.expires_at },
+    });
+
+    logger.info({ adminId: req.admin.id, studentId: student.id, sessionId: session.id }, 'Impersonation session started');
+
+    res.status(201).json({
+      sessionId: session.id,
+      // Send as the X-Impersonation-Token header on student endpoints
+      token: generateImpersonationToken(session),
+      expiresAt: session.expires_at,
+      student: { _id: student.id, name: student.name, email: student.email },
+    });
+  } catch (error) {
+    handleError(res, error, 'impersonationController:startImpersonation');
+  }
+};
+
+// @desc    List impersonation sessions (filter by adminId, studentId, active)
+// @route   GET /api/impersonation
+// @access  Private (students:impersonate)
+export const getImpersonationSessions = async (req, res) => {
+  try {
+    const { page, limit, offset } = paginate(req.query);
+    const { adminId, studentId, active } = req.query;
+
+    let query = supabase
+      .from('impersonation_sessions')
+      .select('*, admins(name), students(name, email)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (adminId) query = query.eq('admin_id', adminId);
+    if (studentId) query = query.eq('student_id', studentId);
+    if (active === 'true') {
+      query = query.is('ended_at', null).gt('expires_at', new Date().toISOString());
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      sessions: (data || []).map(mapSession),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil((count || 0) / limit),
+        total: count || 0,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'impersonationController:getImpersonationSessions');
+  }
+};
+
+// @desc    End an impersonation session (own sessions; owners can end any)
+// @route   DELETE /api/impersonation/:id
+// @access  Private (students:impersonate)
+export const endImpersonation = async (req, res) => {
+  try {
+    let query = supabase
+      .from('impersonation_sessions')
+      .update({ ended_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .is('ended_at', null);
+
+    if (req.admin.role !== 'owner') query = query.eq('admin_id', req.admin.id);
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+
+    const session = data?.[0];
+    if (!session) {
+      return res.status(404).json({ message: 'Active impersonation session not found' });
+    }
+
+    invalidateUserCache('impersonation', session.id);
+
+    await recordAudit(req, {
+      action: 'impersonation.end',
+      entityType: 'student',
+      entityId: session.student_id,
+      metadata: { sessionId: session.id },
+    });
+
+    res.json({ message: 'Impersonation session ended' });
+  } catch (error) {
+    handleError(res, error, 'impersonationController:endImpersonation');
+  }
+};
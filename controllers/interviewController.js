@@ -4,6 +4,8 @@ import path from 'node:path';
 import supabase from '../config/db.js';
 import logger from '../config/logger.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { getStudentProfileRow, mapStudentProfile } from '../lib/studentProfile.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
@@ -83,6 +85,14 @@ export const grantAccess = async (req, res) => {
       return res.status(500).json({ message: 'Failed to grant interview access' });
     }
 
+    await recordAudit(req, {
+      action: 'interview_access.grant',
+      entityType: 'interview_access',
+      entityId: data.id,
+      after: data,
+      metadata: { studentId },
+    });
+
     res.status(201).json({
       message: 'Interview access granted successfully',
       access: {
@@ -110,6 +120,8 @@ export const revokeAccess = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const before = await getAuditSnapshot('interview_access', id);
+
     const { data, error } = await supabase
       .from('interview_access')
       .update({ status: 'expired' })
@@ -121,6 +133,15 @@ export const revokeAccess = async (req, res) => {
       return res.status(404).json({ message: 'Interview access not found' });
     }
 
+    await recordAudit(req, {
+      action: 'interview_access.revoke',
+      entityType: 'interview_access',
+      entityId: id,
+      before,
+      after: data,
+      metadata: { studentId: data.student_id },
+    });
+
     res.json({ message: 'Interview access revoked' });
   } catch (error) {
     handleError(res, error, 'revokeAccess');
@@ -253,17 +274,14 @@ export const getInterviewReport = async (req, res) => {
 
     const interview = interviewRes.data;
 
-    const { data: student } = await supabase
-      .from('students')
-      .select('id, name, email')
-      .eq('id', interview.student_id)
-      .single();
+    const student = await getStudentProfileRow(interview.student_id);
 
     res.json({
       interview: {
         _id: interview.id,
         studentName: student?.name || 'Unknown',
         studentEmail: student?.email || '',
+        studentProfile: student ? mapStudentProfile(student) : null,
         skills: interview.skills,
         status: interview.status,
         questionsAnswered: interview.current_question_index,
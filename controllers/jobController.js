@@ -1,5 +1,7 @@
 import supabase from '../config/db.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
+import { parseSkillFilter, findUnknownSkills } from '../lib/skills.js';
 
 /* ---------- Lightweight in-memory cache ---------- */
 const cache = new Map();
@@ -34,45 +36,58 @@ const mapJob = (j) => ({
   jobType: j.job_type,
   location: j.location,
   isActive: j.is_active,
+  skillIds: j.skill_ids || [],
   postedBy: j.posted_by,
   createdAt: j.created_at,
   updatedAt: j.updated_at,
 });
 
-// @desc    Get all active jobs (public)
+// @desc    Get all active jobs (public; ?skills=id,id — asking for any of these skills)
 // @route   GET /api/jobs
 // @access  Public
 export const getJobs = async (req, res) => {
   try {
-    const cacheKey = 'jobs:active';
-    const cached = getCached(cacheKey);
-    if (cached) return res.json(cached);
-
-    const { data: jobs, error } = await supabase
-      .from('job_postings')
-      .select('*')
-      .eq('is_active', true)
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
+    const skillIds = parseSkillFilter(req.query.skills);
+    if (skillIds?.length === 0) return res.status(400).json({ message: 'No valid skill ID in skills filter' });
+
+    // Only the full active list is cached; skill filters are applied to it, so
+    // arbitrary ?skills= values cannot grow the cache
+    let response = getCached('jobs:active');
+    if (!response) {
+      const { data: jobs, error } = await supabase
+        .from('job_postings')
+        .select('*')
+        .eq('is_active', true)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      response = { jobs: jobs.map(mapJob) };
+      setCache('jobs:active', response);
+    }
 
-    const response = { jobs: jobs.map(mapJob) };
-    setCache(cacheKey, response);
-    res.json(response);
+    if (!skillIds) return res.json(response);
+    res.json({ jobs: response.jobs.filter((j) => j.skillIds.some((id) => skillIds.includes(id))) });
   } catch (error) {
     handleError(res, error, 'jobController');
   }
 };
 
-// @desc    Get all jobs (admin - includes inactive)
+// @desc    Get all jobs (admin - includes inactive; ?skills=id,id)
 // @route   GET /api/jobs/all
 // @access  Private/Admin
 export const getAllJobs = async (req, res) => {
   try {
-    const { data: jobs, error } = await supabase
+    const skillIds = parseSkillFilter(req.query.skills);
+    if (skillIds?.length === 0) return res.status(400).json({ message: 'No valid skill ID in skills filter' });
+
+    let query = supabase
       .from('job_postings')
       .select('*')
       .order('created_at', { ascending: false });
+    if (skillIds) query = query.overlaps('skill_ids', skillIds);
+
+    const { data: jobs, error } = await query;
 
     if (error) throw error;
 
@@ -108,7 +123,12 @@ export const getJobById = async (req, res) => {
 // @access  Private/Admin
 export const createJob = async (req, res) => {
   try {
-    const { companyName, designation, description, companyLogo, companyLinkedin, applyLink, jobType, location, isActive } = req.body;
+    const { companyName, designation, description, companyLogo, companyLinkedin, applyLink, jobType, location, isActive, skillIds } = req.body;
+
+    const unknownSkills = await findUnknownSkills(skillIds);
+    if (unknownSkills.length > 0) {
+      return res.status(400).json({ message: `Unknown skill: ${unknownSkills.join(', ')}` });
+    }
 
     const { data: job, error } = await supabase
       .from('job_postings')
@@ -122,6 +142,7 @@ export const createJob = async (req, res) => {
         job_type: jobType || 'full-time',
         location: location || '',
         is_active: isActive !== undefined ? isActive : true,
+        skill_ids: skillIds || [],
         posted_by: req.admin?.id !== 'default' ? req.admin.id : null,
       })
       .select()
@@ -129,6 +150,8 @@ export const createJob = async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'job.create', entityType: 'job', entityId: job.id, after: job });
+
     invalidateJobCache();
     res.status(201).json(mapJob(job));
   } catch (error) {
@@ -141,7 +164,12 @@ export const createJob = async (req, res) => {
 // @access  Private/Admin
 export const updateJob = async (req, res) => {
   try {
-    const { companyName, designation, description, companyLogo, companyLinkedin, applyLink, jobType, location, isActive } = req.body;
+    const { companyName, designation, description, companyLogo, companyLinkedin, applyLink, jobType, location, isActive, skillIds } = req.body;
+
+    const unknownSkills = await findUnknownSkills(skillIds);
+    if (unknownSkills.length > 0) {
+      return res.status(400).json({ message: `Unknown skill: ${unknownSkills.join(', ')}` });
+    }
 
     const updates = {};
     if (companyName !== undefined) updates.company_name = companyName;
@@ -153,8 +181,11 @@ export const updateJob = async (req, res) => {
     if (jobType !== undefined) updates.job_type = jobType;
     if (location !== undefined) updates.location = location;
     if (isActive !== undefined) updates.is_active = isActive;
+    if (skillIds !== undefined) updates.skill_ids = skillIds;
     updates.updated_at = new Date().toISOString();
 
+    const before = await getAuditSnapshot('job_postings', req.params.id);
+
     const { data: job, error } = await supabase
       .from('job_postings')
       .update(updates)
@@ -168,6 +199,8 @@ export const updateJob = async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
 
+    await recordAudit(req, { action: 'job.update', entityType: 'job', entityId: job.id, before, after: job });
+
     invalidateJobCache();
     res.json(mapJob(job));
   } catch (error) {
@@ -180,6 +213,8 @@ export const updateJob = async (req, res) => {
 // @access  Private/Admin
 export const deleteJob = async (req, res) => {
   try {
+    const before = await getAuditSnapshot('job_postings', req.params.id);
+
     const { error } = await supabase
       .from('job_postings')
       .delete()
@@ -187,6 +222,8 @@ export const deleteJob = async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'job.delete', entityType: 'job', entityId: req.params.id, before });
+
     invalidateJobCache();
     res.json({ message: 'Job posting deleted' });
   } catch (error) {
@@ -0,0 +1,285 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit } from '../lib/audit.js';
+import { mapPrerequisite, mapOverride, createsCycle } from '../lib/prerequisites.js';
+
+const loadPrerequisites = async (topicId) => {
+  const { data, error } = await supabase
+    .from('topic_prerequisites')
+    .select('*, required:topics!topic_prerequisites_required_topic_id_fkey(title)')
+    .eq('topic_id', topicId)
+    .order('created_at');
+
+  if (error) throw error;
+  return data || [];
+};
+
+const withTitle = ({ required, ...p }) => ({ ...mapPrerequisite(p), requiredTopicTitle: required?.title || '' });
+
+// @desc    Get a topic's prerequisites
+// @route   GET /api/topics/:id/prerequisites
+// @access  Private (topics:write)
+export const getTopicPrerequisites = async (req, res) => {
+  try {
+    const prerequisites = await loadPrerequisites(req.params.id);
+    res.json({ prerequisites: prerequisites.map(withTitle) });
+  } catch (error) {
+    handleError(res, error, 'prerequisiteController:getTopicPrerequisites');
+  }
+};
+
+// @desc    Replace a topic's prerequisites. Entries that stay keep their id,
+//          so batch overrides on them survive the edit.
+// @route   PUT /api/topics/:id/prerequisites
+// @access  Private (topics:write)
+export const setTopicPrerequisites = async (req, res) => {
+  try {
+    const topicId = req.params.id;
+    const { prerequisites } = req.body;
+
+    const { data: topic, error: topicErr } = await supabase
+      .from('topics')
+      .select('id, course_id')
+      .eq('id', topicId)
+      .maybeSingle();
+
+    if (topicErr) throw topicErr;
+    if (!topic) return res.status(404).json({ message: 'Topic not found' });
+
+    const requiredIds = [...new Set(prerequisites.map((p) => p.requiredTopicId))];
+    if (requiredIds.includes(topicId)) {
+      return res.status(400).json({ message: 'A topic cannot be its own prerequisite' });
+    }
+
+    if (requiredIds.length > 0) {
+      const { data: required, error: reqErr } = await supabase
+        .from('topics')
+        .select('id')
+        .in('id', requiredIds)
+        .eq('course_id', topic.course_id);
+
+      if (reqErr) throw reqErr;
+      if ((required || []).length !== requiredIds.length) {
+        return res.status(400).json({ message: 'Prerequisites must be topics of the same course' });
+      }
+
+      if (await createsCycle(topicId, requiredIds, topic.course_id)) {
+        return res.status(400).json({ message: 'These prerequisites would create a cycle' });
+      }
+    }
+
+    const before = await loadPrerequisites(topicId);
+
+    if (prerequisites.length > 0) {
+      const { error } = await supabase
+        .from('topic_prerequisites')
+        .upsert(prerequisites.map((p) => ({
+          topic_id: topicId,
+          required_topic_id: p.requiredTopicId,
+          kind: p.kind,
+          min_percentage: p.kind === 'practice' ? p.minPercentage : 0,
+          created_by: req.admin.id,
+        })), { onConflict: 'topic_id,required_topic_id,kind' });
+
+      if (error) throw error;
+    }
+
+    const keep = new Set(prerequisites.map((p) => `${p.requiredTopicId}:${p.kind}`));
+    const removed = before.filter((p) => !keep.has(`${p.required_topic_id}:${p.kind}`)).map((p) => p.id);
+    if (removed.length > 0) {
+      const { error } = await supabase
+        .from('topic_prerequisites')
+        .delete()
+        .in('id', removed);
+
+      if (error) throw error;
+    }
+
+    const after = await loadPrerequisites(topicId);
+
+    await recordAudit(req, {
+      action: 'topic.prerequisites.update',
+      entityType: 'topic',
+      entityId: topicId,
+      before: before.map(({ required, ...p }) => p),
+      after: after.map(({ required, ...p }) => p),
+      metadata: { courseId: topic.course_id },
+    });
+
+    res.json({ prerequisites: after.map(withTitle) });
+  } catch (error) {
+    handleError(res, error, 'prerequisiteController:setTopicPrerequisites');
+  }
+};
+
+// @desc    Prerequisites in the batch's courses, with this batch's overrides
+// @route   GET /api/batches/:id/prerequisites
+// @access  Private (batches:read, batch-scoped)
+export const getBatchPrerequisites = async (req, res) => {
+  try {
+    const batchId = req.params.id;
+
+    const { data: batch, error: batchErr } = await supabase
+      .from('batches')
+      .select('id, enforce_prerequisites')
+      .eq('id', batchId)
+      .maybeSingle();
+
+    if (batchErr) throw batchErr;
+    if (!batch) return res.status(404).json({ message: 'Batch not found' });
+
+    const { data: links, error: linkErr } = await supabase
+      .from('batch_courses')
+      .select('course_id')
+      .eq('batch_id', batchId);
+
+    if (linkErr) throw linkErr;
+
+    const courseIds = (links || []).map((l) => l.course_id);
+    if (courseIds.length === 0) {
+      return res.json({ enforcePrerequisites: batch.enforce_prerequisites, prerequisites: [] });
+    }
+
+    const { data: topics, error: topicErr } = await supabase
+      .from('topics')
+      .select('id, course_id, title, sort_order')
+      .in('course_id', courseIds)
+      .order('sort_order');
+
+    if (topicErr) throw topicErr;
+
+    const topicMap = new Map((topics || []).map((t) => [t.id, t]));
+    const topicIds = [...topicMap.keys()];
+
+    const { data: prerequisites, error } = topicIds.length > 0
+      ? await supabase.from('topic_prerequisites').select('*').in('topic_id', topicIds)
+      : { data: [], error: null };
+
+    if (error) throw error;
+
+    const { data: overrides, error: ovErr } = (prerequisites || []).length > 0
+      ? await supabase
+        .from('batch_prerequisite_overrides')
+        .select('*')
+        .eq('batch_id', batchId)
+        .in('prerequisite_id', prerequisites.map((p) => p.id))
+      : { data: [], error: null };
+
+    if (ovErr) throw ovErr;
+
+    const overrideMap = new Map((overrides || []).map((o) => [o.prerequisite_id, o]));
+
+    const result = (prerequisites || [])
+      .sort((a, b) => topicMap.get(a.topic_id).sort_order - topicMap.get(b.topic_id).sort_order)
+      .map((p) => ({
+        ...mapPrerequisite(p),
+        courseId: topicMap.get(p.topic_id).course_id,
+        topicTitle: topicMap.get(p.topic_id).title,
+        requiredTopicTitle: topicMap.get(p.required_topic_id)?.title || '',
+        override: overrideMap.has(p.id) ? mapOverride(overrideMap.get(p.id)) : null,
+      }));
+
+    res.json({ enforcePrerequisites: batch.enforce_prerequisites, prerequisites: result });
+  } catch (error) {
+    handleError(res, error, 'prerequisiteController:getBatchPrerequisites');
+  }
+};
+
+// @desc    Waive a prerequisite, or lower its practice threshold, for one batch
+// @route   PUT /api/batches/:id/prerequisites/:prerequisiteId
+// @access  Private (schedule:write, batch-scoped)
+export const setPrerequisiteOverride = async (req, res) => {
+  try {
+    const { id: batchId, prerequisiteId } = req.params;
+    const { waived, minPercentage } = req.body;
+
+    const { data: prerequisite, error: preErr } = await supabase
+      .from('topic_prerequisites')
+      .select('id, kind, topics!topic_prerequisites_topic_id_fkey(course_id)')
+      .eq('id', prerequisiteId)
+      .maybeSingle();
+
+    if (preErr) throw preErr;
+    if (!prerequisite) return res.status(404).json({ message: 'Prerequisite not found' });
+
+    const { data: link } = await supabase
+      .from('batch_courses')
+      .select('id')
+      .eq('batch_id', batchId)
+      .eq('course_id', prerequisite.topics?.course_id)
+      .limit(1);
+
+    if (!link || link.length === 0) {
+      return res.status(400).json({ message: 'This prerequisite is not in a course assigned to this batch' });
+    }
+    if (!waived && prerequisite.kind !== 'practice') {
+      return res.status(400).json({ message: 'Only practice prerequisites have a threshold to lower' });
+    }
+
+    const { data: before } = await supabase
+      .from('batch_prerequisite_overrides')
+      .select('*')
+      .eq('batch_id', batchId)
+      .eq('prerequisite_id', prerequisiteId)
+      .maybeSingle();
+
+    const { data, error } = await supabase
+      .from('batch_prerequisite_overrides')
+      .upsert({
+        batch_id: batchId,
+        prerequisite_id: prerequisiteId,
+        waived,
+        min_percentage: waived ? null : minPercentage,
+        created_by: req.admin.id,
+      }, { onConflict: 'batch_id,prerequisite_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'batch.prerequisite_override.set',
+      entityType: 'batch',
+      entityId: batchId,
+      before,
+      after: data,
+      metadata: { prerequisiteId },
+    });
+
+    res.json(mapOverride(data));
+  } catch (error) {
+    handleError(res, error, 'prerequisiteController:setPrerequisiteOverride');
+  }
+};
+
+// @desc    Remove a batch's override — the topic's own prerequisite applies again
+// @route   DELETE /api/batches/:id/prerequisites/:prerequisiteId
+// @access  Private (schedule:write, batch-scoped)
+export const deletePrerequisiteOverride = async (req, res) => {
+  try {
+    const { id: batchId, prerequisiteId } = req.params;
+
+    const { data: before, error } = await supabase
+      .from('batch_prerequisite_overrides')
+      .delete()
+      .eq('batch_id', batchId)
+      .eq('prerequisite_id', prerequisiteId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!before) return res.status(404).json({ message: 'No override for this prerequisite' });
+
+    await recordAudit(req, {
+      action: 'batch.prerequisite_override.delete',
+      entityType: 'batch',
+      entityId: batchId,
+      before,
+      metadata: { prerequisiteId },
+    });
+
+    res.json({ message: 'Override removed' });
+  } catch (error) {
+    handleError(res, error, 'prerequisiteController:deletePrerequisiteOverride');
+  }
+};
@@ -0,0 +1,303 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
+import { toQuestionRow, mapQuestion } from '../lib/questions.js';
+import { parseSkillFilter } from '../lib/skills.js';
+
+const mapBank = (b, questionCount = 0) => ({
+  _id: b.id,
+  name: b.name,
+  description: b.description,
+  questionCount,
+  createdBy: b.created_by,
+  createdAt: b.created_at,
+  updatedAt: b.updated_at,
+});
+
+const mapBankQuestion = (q) => ({
+  _id: q.id,
+  bankId: q.bank_id,
+  topicId: q.topic_id,
+  difficulty: q.difficulty,
+  tags: q.tags || [],
+  ...mapQuestion(q),
+  createdAt: q.created_at,
+  updatedAt: q.updated_at,
+});
+
+const toBankQuestionRow = (bankId, q) => ({
+  bank_id: bankId,
+  topic_id: q.topicId || null,
+  difficulty: q.difficulty || 'medium',
+  tags: [...new Set(q.tags || [])],
+  ...toQuestionRow(q),
+});
+
+const paginate = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(query.limit) || 50), 200);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+const bankExists = async (bankId) => {
+  const { data, error } = await supabase
+    .from('question_banks')
+    .select('id')
+    .eq('id', bankId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+};
+
+// @desc    List question banks with their question counts
+// @route   GET /api/question-banks
+// @access  Private (topics:write)
+export const getQuestionBanks = async (req, res) => {
+  try {
+    const { data: banks, error } = await supabase
+      .from('question_banks')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+
+    const { data: counts, error: countErr } = await supabase
+      .from('bank_questions')
+      .select('bank_id');
+
+    if (countErr) throw countErr;
+
+    const countByBank = {};
+    (counts || []).forEach((q) => { countByBank[q.bank_id] = (countByBank[q.bank_id] || 0) + 1; });
+
+    res.json((banks || []).map((b) => mapBank(b, countByBank[b.id] || 0)));
+  } catch (error) {
+    handleError(res, error, 'questionBankController:getQuestionBanks');
+  }
+};
+
+// @desc    Create a question bank
+// @route   POST /api/question-banks
+// @access  Private (topics:write)
+export const createQuestionBank = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const { data, error } = await supabase
+      .from('question_banks')
+      .insert({ name, description, created_by: req.admin.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'question_bank.create',
+      entityType: 'question_bank',
+      entityId: data.id,
+      after: data,
+    });
+
+    res.status(201).json(mapBank(data));
+  } catch (error) {
+    handleError(res, error, 'questionBankController:createQuestionBank');
+  }
+};
+
+// @desc    Rename / describe a question bank
+// @route   PUT /api/question-banks/:id
+// @access  Private (topics:write)
+export const updateQuestionBank = async (req, res) => {
+  try {
+    const before = await getAuditSnapshot('question_banks', req.params.id);
+    if (!before) return res.status(404).json({ message: 'Question bank not found' });
+
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.description !== undefined) updates.description = req.body.description;
+
+    const { data, error } = await supabase
+      .from('question_banks')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'question_bank.update',
+      entityType: 'question_bank',
+      entityId: data.id,
+      before,
+      after: data,
+    });
+
+    res.json(mapBank(data));
+  } catch (error) {
+    handleError(res, error, 'questionBankController:updateQuestionBank');
+  }
+};
+
+// @desc    Delete a question bank and all its questions
+// @route   DELETE /api/question-banks/:id
+// @access  Private (topics:write)
+export const deleteQuestionBank = async (req, res) => {
+  try {
+    const before = await getAuditSnapshot('question_banks', req.params.id);
+    if (!before) return res.status(404).json({ message: 'Question bank not found' });
+
+    const { error } = await supabase
+      .from('question_banks')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'question_bank.delete',
+      entityType: 'question_bank',
+      entityId: req.params.id,
+      before,
+    });
+
+    res.json({ message: 'Question bank removed' });
+  } catch (error) {
+    handleError(res, error, 'questionBankController:deleteQuestionBank');
+  }
+};
+
+// @desc    List questions in a bank (filters: topicId, skills, difficulty, tag, type, q)
+// @route   GET /api/question-banks/:id/questions
+// @access  Private (topics:write)
+export const getBankQuestions = async (req, res) => {
+  try {
+    const { page, limit, offset } = paginate(req.query);
+    const { topicId, difficulty, tag, type, q } = req.query;
+    const skillIds = parseSkillFilter(req.query.skills);
+    if (skillIds?.length === 0) return res.status(400).json({ message: 'No valid skill ID in skills filter' });
+
+    let query = supabase
+      .from('bank_questions')
+      .select('*', { count: 'exact' })
+      .eq('bank_id', req.params.id);
+
+    if (topicId) query = query.eq('topic_id', topicId);
+    if (difficulty) query = query.eq('difficulty', difficulty);
+    if (tag) query = query.contains('tags', [String(tag).toLowerCase()]);
+    if (skillIds) query = query.overlaps('skill_ids', skillIds);
+    if (type) query = query.eq('type', type);
+    if (q) query = query.ilike('question', `%${String(q).replace(/[%_]/g, '\\$&')}%`);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      questions: (data || []).map(mapBankQuestion),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil((count || 0) / limit),
+        total: count || 0,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'questionBankController:getBankQuestions');
+  }
+};
+
+// @desc    Add questions to a bank
+// @route   POST /api/question-banks/:id/questions
+// @access  Private (topics:write)
+export const addBankQuestions = async (req, res) => {
+  try {
+    const bankId = req.params.id;
+    if (!(await bankExists(bankId))) return res.status(404).json({ message: 'Question bank not found' });
+
+    const { data, error } = await supabase
+      .from('bank_questions')
+      .insert(req.body.questions.map((q) => toBankQuestionRow(bankId, q)))
+      .select();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'question_bank.questions.add',
+      entityType: 'question_bank',
+      entityId: bankId,
+      metadata: { count: data.length, questionIds: data.map((q) => q.id) },
+    });
+
+    res.status(201).json({ questions: data.map(mapBankQuestion) });
+  } catch (error) {
+    handleError(res, error, 'questionBankController:addBankQuestions');
+  }
+};
+
+// @desc    Replace a bank question
+// @route   PUT /api/question-banks/:id/questions/:questionId
+// @access  Private (topics:write)
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const { id: bankId, questionId } = req.params;
+
+    const before = await getAuditSnapshot('bank_questions', questionId);
+    if (!before || before.bank_id !== bankId) return res.status(404).json({ message: 'Question not found' });
+
+    const { data, error } = await supabase
+      .from('bank_questions')
+      .update(toBankQuestionRow(bankId, req.body))
+      .eq('id', questionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'question_bank.questions.update',
+      entityType: 'bank_question',
+      entityId: questionId,
+      before,
+      after: data,
+      metadata: { bankId },
+    });
+
+    res.json(mapBankQuestion(data));
+  } catch (error) {
+    handleError(res, error, 'questionBankController:updateBankQuestion');
+  }
+};
+
+// @desc    Remove a question from a bank (papers already generated keep their copy)
+// @route   DELETE /api/question-banks/:id/questions/:questionId
+// @access  Private (topics:write)
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const { id: bankId, questionId } = req.params;
+
+    const before = await getAuditSnapshot('bank_questions', questionId);
+    if (!before || before.bank_id !== bankId) return res.status(404).json({ message: 'Question not found' });
+
+    const { error } = await supabase
+      .from('bank_questions')
+      .delete()
+      .eq('id', questionId);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'question_bank.questions.delete',
+      entityType: 'bank_question',
+      entityId: questionId,
+      before,
+      metadata: { bankId },
+    });
+
+    res.json({ message: 'Question removed' });
+  } catch (error) {
+    handleError(res, error, 'questionBankController:deleteBankQuestion');
+  }
+};
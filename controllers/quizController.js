@@ -0,0 +1,188 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit } from '../lib/audit.js';
+import { nextAttemptNumber } from '../lib/grading.js';
+import { mapQuiz, getTopicQuiz as loadTopicQuiz, generateQuizPaper, toStudentPaper } from '../lib/quizGenerator.js';
+
+const topicExists = async (topicId) => {
+  const { data, error } = await supabase
+    .from('topics')
+    .select('id')
+    .eq('id', topicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+};
+
+// @desc    Get the randomized quiz definition for a topic
+// @route   GET /api/topics/:id/quiz
+// @access  Private (topics:write)
+export const getTopicQuiz = async (req, res) => {
+  try {
+    const quiz = await loadTopicQuiz(req.params.id);
+    if (!quiz) return res.status(404).json({ message: 'This topic has no quiz' });
+
+    res.json(mapQuiz(quiz));
+  } catch (error) {
+    handleError(res, error, 'quizController:getTopicQuiz');
+  }
+};
+
+// @desc    Create or replace the quiz definition for a topic. While a topic has a
+//          quiz, practice attempts are drawn from the banks instead of the fixed questions.
+// @route   PUT /api/topics/:id/quiz
+// @access  Private (topics:write)
+export const saveTopicQuiz = async (req, res) => {
+  try {
+    const topicId = req.params.id;
+    if (!(await topicExists(topicId))) return res.status(404).json({ message: 'Topic not found' });
+
+    const { title, rules, shuffleQuestions, shuffleOptions } = req.body;
+    const before = await loadTopicQuiz(topicId);
+
+    const { data, error } = await supabase
+      .from('topic_quizzes')
+      .upsert({
+        topic_id: topicId,
+        title,
+        rules,
+        shuffle_questions: shuffleQuestions,
+        shuffle_options: shuffleOptions,
+      }, { onConflict: 'topic_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: before ? 'topic.quiz.update' : 'topic.quiz.create',
+      entityType: 'topic',
+      entityId: topicId,
+      before,
+      after: data,
+    });
+
+    res.json(mapQuiz(data));
+  } catch (error) {
+    handleError(res, error, 'quizController:saveTopicQuiz');
+  }
+};
+
+// @desc    Remove a topic's quiz — practice goes back to the topic's fixed questions
+// @route   DELETE /api/topics/:id/quiz
+// @access  Private (topics:write)
+export const deleteTopicQuiz = async (req, res) => {
+  try {
+    const before = await loadTopicQuiz(req.params.id);
+    if (!before) return res.status(404).json({ message: 'This topic has no quiz' });
+
+    const { error } = await supabase
+      .from('topic_quizzes')
+      .delete()
+      .eq('id', before.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'topic.quiz.delete',
+      entityType: 'topic',
+      entityId: req.params.id,
+      before,
+    });
+
+    res.json({ message: 'Quiz removed' });
+  } catch (error) {
+    handleError(res, error, 'quizController:deleteTopicQuiz');
+  }
+};
+
+// @desc    Generate a sample paper (with answers) to check the rules against the banks
+// @route   GET /api/topics/:id/quiz/preview
+// @access  Private (topics:write)
+export const previewTopicQuiz = async (req, res) => {
+  try {
+    const quiz = await loadTopicQuiz(req.params.id);
+    if (!quiz) return res.status(404).json({ message: 'This topic has no quiz' });
+
+    const { questions, shortfall } = await generateQuizPaper(quiz);
+
+    res.json({ quiz: mapQuiz(quiz), questions, shortfall });
+  } catch (error) {
+    handleError(res, error, 'quizController:previewTopicQuiz');
+  }
+};
+
+// @desc    Start (or resume) a quiz attempt — draws a fresh paper for this student.
+//          Answers go to POST /api/scores/practice-attempt with the returned attemptId.
+// @route   POST /api/topics/:id/quiz/attempts
+// @access  Private/Student (enrolled, topic unlocked)
+export const startQuizAttempt = async (req, res) => {
+  try {
+    if (!req.student) return res.status(403).json({ message: 'Only students can take quizzes' });
+
+    const topicId = req.params.id;
+    const studentId = req.student.id;
+
+    const quiz = await loadTopicQuiz(topicId);
+    if (!quiz) return res.status(404).json({ message: 'This topic has no quiz' });
+
+    // Re-opening the quiz returns the same paper, so reloading can't re-roll the questions
+    const { data: open, error: openErr } = await supabase
+      .from('practice_attempts')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('topic_id', topicId)
+      .eq('quiz_id', quiz.id)
+      .eq('status', 'in_progress')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (openErr) throw openErr;
+
+    let attempt = open;
+    if (!attempt) {
+      const { questions } = await generateQuizPaper(quiz);
+      if (questions.length === 0) {
+        return res.status(409).json({ message: 'No questions are available for this quiz yet' });
+      }
+
+      const { data, error } = await supabase
+        .from('practice_attempts')
+        .insert({
+          student_id: studentId,
+          topic_id: topicId,
+          quiz_id: quiz.id,
+          attempt_number: await nextAttemptNumber(studentId, topicId),
+          status: 'in_progress',
+          score: 0,
+          total: questions.length,
+          percentage: 0,
+          passed: false,
+          time_taken_seconds: 0,
+          answers: questions,
+        })
+        .select()
+        .single();
+
+      // Two starts racing: the unique open-attempt index lets only one through
+      if (error?.code === '23505') {
+        return res.status(409).json({ message: 'A quiz attempt is already in progress — start again to resume it' });
+      }
+      if (error) throw error;
+      attempt = data;
+    }
+
+    res.status(open ? 200 : 201).json({
+      id: attempt.id,
+      attemptNumber: attempt.attempt_number,
+      status: attempt.status,
+      title: quiz.title,
+      questions: toStudentPaper(attempt.answers || []),
+      createdAt: attempt.created_at,
+    });
+  } catch (error) {
+    handleError(res, error, 'quizController:startQuizAttempt');
+  }
+};
@@ -1,6 +1,7 @@
 import Groq from 'groq-sdk';
 import logger from '../config/logger.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { getStudentProfileRow } from '../lib/studentProfile.js';
 
 const MODELS = ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant', 'mixtral-8x7b-32768'];
 
@@ -12,11 +13,27 @@ export const generateResume = async (req, res) => {
     }
 
     const {
-      fullName, email, phone, linkedinUrl, githubUrl,
-      summary, skills, experience, education, projects,
+      skills, experience, education, projects,
       certifications, targetRole,
     } = req.body;
 
+    // Anything not filled in on the form comes from the saved profile
+    const profile = await getStudentProfileRow(req.student.id);
+    const fullName = req.body.fullName || profile?.name;
+    const email = req.body.email || profile?.email;
+    const phone = req.body.phone || profile?.phone;
+    const linkedinUrl = req.body.linkedinUrl ?? profile?.linkedin_url ?? '';
+    const githubUrl = req.body.githubUrl ?? profile?.github_url ?? '';
+    const summary = req.body.summary || profile?.bio;
+
+    if (!fullName || !email || !phone) {
+      return res.status(400).json({ message: 'Name, email and phone are required — add them to the form or your profile' });
+    }
+
+    if (!summary || summary.length < 10) {
+      return res.status(400).json({ message: 'Summary must be at least 10 characters — add it to the form or your profile bio' });
+    }
+
     const prompt = `You are an expert ATS-friendly resume writer. Given the following candidate information, generate a professional resume optimized for Applicant Tracking Systems.
 
 Target Role: ${targetRole}
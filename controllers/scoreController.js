@@ -1,21 +1,38 @@
 import supabase from '../config/db.js';
 import logger from '../config/logger.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { checkStudentTopicAccess } from '../middleware/auth.js';
 import { withExecutionLimit, getQueueStats } from '../lib/executionQueue.js';
+import { gradePracticeAnswers, nextAttemptNumber } from '../lib/grading.js';
+import { mapQuestion } from '../lib/questions.js';
+import { getTopicQuiz, toStudentPaper } from '../lib/quizGenerator.js';
 
-// @desc    Submit practice (MCQ) score
+// @desc    Sync practice (MCQ) score (legacy — recomputed from graded attempts, client score is ignored)
 // @route   POST /api/scores/practice
 // @access  Private/Student
 export const submitPracticeScore = async (req, res) => {
   try {
-    const { topicId, score, total } = req.body;
+    const { topicId } = req.body;
     const studentId = req.student.id;
 
-    if (!topicId || score === undefined || !total) {
-      return res.status(400).json({ message: 'topicId, score, and total are required' });
+    if (!topicId) {
+      return res.status(400).json({ message: 'topicId is required' });
     }
 
-    const percentage = Math.round((score / total) * 100 * 100) / 100;
+    const { data: best, error: bestErr } = await supabase
+      .from('practice_attempts')
+      .select('score, total, percentage')
+      .eq('student_id', studentId)
+      .eq('topic_id', topicId)
+      .eq('status', 'submitted')
+      .order('percentage', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (bestErr) throw bestErr;
+    if (!best) {
+      return res.status(400).json({ message: 'No graded attempts for this topic — submit answers to /api/scores/practice-attempt' });
+    }
 
     const { data, error } = await supabase
       .from('practice_scores')
@@ -23,9 +40,9 @@ export const submitPracticeScore = async (req, res) => {
         {
           student_id: studentId,
           topic_id: topicId,
-          score,
-          total,
-          percentage,
+          score: best.score,
+          total: best.total,
+          percentage: best.percentage,
         },
         { onConflict: 'student_id,topic_id' }
       )
@@ -59,6 +76,12 @@ export const submitCodingScore = async (req, res) => {
       return res.status(400).json({ message: 'topicId and passed are required' });
     }
 
+    const { data: topic } = await supabase
+      .from('topics')
+      .select('published_version')
+      .eq('id', topicId)
+      .maybeSingle();
+
     const { data, error } = await supabase
       .from('coding_submissions')
       .upsert(
@@ -69,6 +92,7 @@ export const submitCodingScore = async (req, res) => {
           code: code || '',
           output: output || '',
           language: language || 'javascript',
+          topic_version: topic?.published_version ?? null,
         },
         { onConflict: 'student_id,topic_id' }
       )
@@ -418,6 +442,7 @@ export const getCodingSubmission = async (req, res) => {
         code: data.code,
         output: data.output,
         language: data.language,
+        topicVersion: data.topic_version,
         updatedAt: data.updated_at,
         summary,
       },
@@ -442,7 +467,7 @@ export const submitCodingChallenge = async (req, res) => {
     // Fetch coding practice from DB
     const { data: cp, error: cpErr } = await supabase
       .from('coding_practices')
-      .select('expected_output, test_cases, test_script, language')
+      .select('expected_output, test_cases, test_script, language, topics(published_version)')
       .eq('topic_id', topicId)
       .maybeSingle();
 
@@ -568,6 +593,8 @@ export const submitCodingChallenge = async (req, res) => {
           code,
           output: outputWithSummary,
           language: language || cp.language,
+          // Which published version of the coding practice this was graded against
+          topic_version: cp.topics?.published_version ?? null,
         },
         { onConflict: 'student_id,topic_id' }
       )
@@ -582,6 +609,7 @@ export const submitCodingChallenge = async (req, res) => {
       topicId: data.topic_id,
       passed: data.passed,
       language: data.language,
+      topicVersion: data.topic_version,
       results,
     });
   } catch (error) {
@@ -589,57 +617,128 @@ export const submitCodingChallenge = async (req, res) => {
   }
 };
 
-// @desc    Submit a practice attempt with full answers
+// @desc    Submit a practice attempt with full answers. Topics with a quiz need the
+//          attemptId from POST /api/topics/:id/quiz/attempts — answers are graded
+//          against that attempt's generated paper.
 // @route   POST /api/scores/practice-attempt
 // @access  Private/Student
 export const submitPracticeAttempt = async (req, res) => {
   try {
-    const { topicId, answers, timeTakenSeconds } = req.body;
+    const { topicId, attemptId, answers, timeTakenSeconds } = req.body;
     const studentId = req.student.id;
 
     if (!topicId || !answers || !Array.isArray(answers)) {
       return res.status(400).json({ message: 'topicId and answers array are required' });
     }
 
-    // Calculate score from answers
-    // answers format: [{ questionIndex, selectedOption, correctOption, question, options }]
-    const total = answers.length;
-    const correctCount = answers.filter(a => a.selectedOption === a.correctOption).length;
-    const percentage = Math.round((correctCount / total) * 100 * 100) / 100;
-    const passed = percentage >= 80;
+    // The graded review carries the answer key, so an empty submission would only fetch it
+    if (!answers.some((a) => (a.response ?? a.selectedOption) != null)) {
+      return res.status(400).json({ message: 'Answer at least one question' });
+    }
 
-    // Get next attempt number
-    const { data: lastAttempt, error: lastErr } = await supabase
-      .from('practice_attempts')
-      .select('attempt_number')
-      .eq('student_id', studentId)
-      .eq('topic_id', topicId)
-      .order('attempt_number', { ascending: false })
-      .limit(1)
-      .maybeSingle();
+    // Same enrollment, schedule and prerequisite rules as opening the topic
+    const denied = await checkStudentTopicAccess(studentId, topicId);
+    if (denied) return res.status(denied.status).json(denied.body);
 
-    if (lastErr) throw lastErr;
+    let questions;
+    let started = null;
 
-    const attemptNumber = (lastAttempt?.attempt_number || 0) + 1;
+    if (attemptId) {
+      const { data: attempt, error: attemptErr } = await supabase
+        .from('practice_attempts')
+        .select('id, status, answers, created_at')
+        .eq('id', attemptId)
+        .eq('student_id', studentId)
+        .eq('topic_id', topicId)
+        .maybeSingle();
 
-    // Insert attempt
-    const { data, error } = await supabase
-      .from('practice_attempts')
-      .insert({
-        student_id: studentId,
-        topic_id: topicId,
-        attempt_number: attemptNumber,
-        score: correctCount,
-        total,
-        percentage,
-        passed,
-        time_taken_seconds: timeTakenSeconds || 0,
-        answers,
-      })
-      .select()
-      .single();
+      if (attemptErr) throw attemptErr;
+      if (!attempt) {
+        return res.status(404).json({ message: 'Attempt not found' });
+      }
+      if (attempt.status !== 'in_progress') {
+        return res.status(409).json({ message: 'This attempt has already been submitted' });
+      }
 
-    if (error) throw error;
+      started = attempt;
+      questions = attempt.answers || [];
+    } else {
+      const quiz = await getTopicQuiz(topicId);
+      if (quiz) {
+        return res.status(400).json({ message: 'This topic uses a generated quiz — start an attempt first' });
+      }
+
+      const { data: questionRows, error: qErr } = await supabase
+        .from('practice_questions')
+        .select('*')
+        .eq('topic_id', topicId)
+        .order('sort_order');
+
+      if (qErr) throw qErr;
+      questions = (questionRows || []).map((row) => mapQuestion(row));
+    }
+
+    if (questions.length === 0) {
+      return res.status(404).json({ message: 'This topic has no practice questions' });
+    }
+
+    if (answers.some((a) => a.questionIndex >= questions.length)) {
+      return res.status(400).json({ message: 'Answer references a question that does not exist' });
+    }
+
+    // Grade on the server — the stored review holds the real correct options
+    const graded = await gradePracticeAnswers(questions, answers);
+    const { total, percentage, passed } = graded;
+    const correctCount = graded.score;
+    // Keep the link back to the bank so generated papers stay traceable
+    const review = graded.answers.map((entry, index) => (
+      questions[index].bankQuestionId ? { ...entry, bankQuestionId: questions[index].bankQuestionId } : entry
+    ));
+
+    const results = {
+      score: correctCount,
+      total,
+      percentage,
+      passed,
+      answers: review,
+      status: 'submitted',
+      submitted_at: new Date().toISOString(),
+    };
+
+    let data;
+    if (started) {
+      // Time comes from the server for generated papers; status guard stops double submits
+      const elapsed = Math.round((Date.now() - new Date(started.created_at).getTime()) / 1000);
+
+      const { data: updated, error } = await supabase
+        .from('practice_attempts')
+        .update({ ...results, time_taken_seconds: Math.min(Math.max(elapsed, 0), 86400) })
+        .eq('id', started.id)
+        .eq('status', 'in_progress')
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!updated) {
+        return res.status(409).json({ message: 'This attempt has already been submitted' });
+      }
+      data = updated;
+    } else {
+      const { data: inserted, error } = await supabase
+        .from('practice_attempts')
+        .insert({
+          student_id: studentId,
+          topic_id: topicId,
+          attempt_number: await nextAttemptNumber(studentId, topicId),
+          time_taken_seconds: timeTakenSeconds || 0,
+          ...results,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      data = inserted;
+    }
 
     // Update practice_scores with best score (for leaderboard)
     const { data: currentBest } = await supabase
@@ -672,6 +771,7 @@ export const submitPracticeAttempt = async (req, res) => {
       percentage: parseFloat(data.percentage),
       passed: data.passed,
       timeTakenSeconds: data.time_taken_seconds,
+      answers: data.answers,
       createdAt: data.created_at,
     });
   } catch (error) {
@@ -692,6 +792,7 @@ export const getPracticeAttempts = async (req, res) => {
       .select('id, attempt_number, score, total, percentage, passed, time_taken_seconds, created_at')
       .eq('student_id', studentId)
       .eq('topic_id', topicId)
+      .eq('status', 'submitted')
       .order('attempt_number', { ascending: false });
 
     if (error) throw error;
@@ -736,6 +837,17 @@ export const getPracticeAttemptDetail = async (req, res) => {
       return res.status(404).json({ message: 'Attempt not found' });
     }
 
+    // Still open: the stored paper holds the answer key, so only show the questions
+    if (data.status === 'in_progress') {
+      return res.json({
+        id: data.id,
+        attemptNumber: data.attempt_number,
+        status: data.status,
+        questions: toStudentPaper(data.answers || []),
+        createdAt: data.created_at,
+      });
+    }
+
     res.json({
       id: data.id,
       attemptNumber: data.attempt_number,
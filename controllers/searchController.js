@@ -0,0 +1,89 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { getStudentEnrollment } from '../lib/assessments.js';
+
+const SEARCH_TYPES = ['course', 'topic', 'coding_practice', 'question', 'announcement', 'job'];
+
+const mapResult = (r) => ({
+  type: r.type,
+  _id: r.id,
+  courseId: r.course_id,
+  topicId: r.topic_id,
+  title: r.title,
+  // HTML: the text is escaped and matched words are wrapped in <mark></mark> (snippet too)
+  titleHighlight: r.title_highlight,
+  snippet: r.snippet,
+  rank: r.rank,
+});
+
+// What a student may see: topic content of the courses they are enrolled in,
+// and announcements for any batch they are active in (as in the announcements feed)
+const getStudentScope = async (studentId) => {
+  const [enrollment, batchesRes] = await Promise.all([
+    getStudentEnrollment(studentId),
+    supabase.from('student_batches').select('batch_id').eq('student_id', studentId).eq('is_active', true),
+  ]);
+
+  if (batchesRes.error) throw batchesRes.error;
+
+  return {
+    courseIds: enrollment.courseIds,
+    batchIds: (batchesRes.data || []).map((e) => e.batch_id),
+  };
+};
+
+// @desc    Search courses, topics, coding practice, practice questions, announcements and jobs
+//          (?q=, ?types=topic,question, ?page=, ?limit=). Students only get published
+//          content of the courses they are enrolled in.
+// @route   GET /api/search
+// @access  Private (admin or enrolled student)
+export const search = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+    }
+    if (q.length > 200) {
+      return res.status(400).json({ message: 'Search query must be 200 characters or fewer' });
+    }
+
+    const types = req.query.types
+      ? [...new Set(String(req.query.types).split(',').map((t) => t.trim()).filter(Boolean))]
+      : null;
+    const unknown = (types || []).filter((t) => !SEARCH_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown search type: ${unknown.join(', ')}. Use ${SEARCH_TYPES.join(', ')}` });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
+
+    const scope = req.student ? await getStudentScope(req.student.id) : { courseIds: null, batchIds: null };
+
+    const { data, error } = await supabase.rpc('search_content', {
+      search_query: q,
+      result_types: types,
+      student_view: !!req.student,
+      course_ids: scope.courseIds,
+      batch_ids: scope.batchIds,
+      max_results: limit,
+      skip_results: (page - 1) * limit,
+    });
+
+    if (error) throw error;
+
+    const total = data?.length > 0 ? Number(data[0].total_count) : 0;
+
+    res.json({
+      query: q,
+      results: (data || []).map(mapResult),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'searchController:search');
+  }
+};
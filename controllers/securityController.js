@@ -0,0 +1,169 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { unlockAccount } from '../lib/loginAttempts.js';
+
+const USER_TYPES = ['student', 'admin'];
+
+const mapLoginEvent = (e) => ({
+  _id: e.id,
+  userId: e.user_id,
+  userType: e.user_type,
+  email: e.email,
+  success: e.success,
+  failureReason: e.failure_reason,
+  ipAddress: e.ip_address,
+  userAgent: e.user_agent,
+  createdAt: e.created_at,
+});
+
+const mapSecurityEvent = (e) => ({
+  _id: e.id,
+  userId: e.user_id,
+  userType: e.user_type,
+  type: e.event_type,
+  ipAddress: e.ip_address,
+  userAgent: e.user_agent,
+  details: e.details,
+  createdAt: e.created_at,
+});
+
+const paginate = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(query.limit) || 50), 200);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// @desc    Browse login attempts (filter by userType, userId, email, success, ip)
+// @route   GET /api/security/login-events
+// @access  Private (security:manage)
+export const getLoginEvents = async (req, res) => {
+  try {
+    const { page, limit, offset } = paginate(req.query);
+    const { userType, userId, email, success, ip } = req.query;
+
+    let query = supabase
+      .from('login_events')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (USER_TYPES.includes(userType)) query = query.eq('user_type', userType);
+    if (userId) query = query.eq('user_id', userId);
+    if (email) query = query.eq('email', String(email).toLowerCase());
+    if (success === 'true' || success === 'false') query = query.eq('success', success === 'true');
+    if (ip) query = query.eq('ip_address', ip);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      events: (data || []).map(mapLoginEvent),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil((count || 0) / limit),
+        total: count || 0,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'securityController:getLoginEvents');
+  }
+};
+
+// @desc    Accounts that are currently locked out
+// @route   GET /api/security/locked-accounts
+// @access  Private (security:manage)
+export const getLockedAccounts = async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+
+    const [studentsRes, adminsRes] = await Promise.all([
+      supabase
+        .from('students')
+        .select('id, name, email, failed_login_attempts, locked_until')
+        .gt('locked_until', now)
+        .order('locked_until', { ascending: false }),
+      supabase
+        .from('admins')
+        .select('id, name, email, failed_login_attempts, locked_until')
+        .gt('locked_until', now)
+        .order('locked_until', { ascending: false }),
+    ]);
+
+    if (studentsRes.error) throw studentsRes.error;
+    if (adminsRes.error) throw adminsRes.error;
+
+    const mapAccount = (userType) => (u) => ({
+      _id: u.id,
+      userType,
+      name: u.name,
+      email: u.email,
+      failedLoginAttempts: u.failed_login_attempts,
+      lockedUntil: u.locked_until,
+    });
+
+    res.json({
+      accounts: [
+        ...(adminsRes.data || []).map(mapAccount('admin')),
+        ...(studentsRes.data || []).map(mapAccount('student')),
+      ],
+    });
+  } catch (error) {
+    handleError(res, error, 'securityController:getLockedAccounts');
+  }
+};
+
+// @desc    Unlock an account and reset its failed-attempt counter
+// @route   POST /api/security/accounts/:userType/:id/unlock
+// @access  Private (security:manage)
+export const unlockUserAccount = async (req, res) => {
+  try {
+    const { userType, id } = req.params;
+
+    if (!USER_TYPES.includes(userType)) {
+      return res.status(400).json({ message: 'userType must be student or admin' });
+    }
+
+    const found = await unlockAccount(userType, id);
+    if (!found) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    handleError(res, error, 'securityController:unlockUserAccount');
+  }
+};
+
+// @desc    Browse security events (token reuse, 2FA changes, ...)
+// @route   GET /api/security/events
+// @access  Private (security:manage)
+export const getSecurityEvents = async (req, res) => {
+  try {
+    const { page, limit, offset } = paginate(req.query);
+    const { userType, userId, type } = req.query;
+
+    let query = supabase
+      .from('security_events')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (USER_TYPES.includes(userType)) query = query.eq('user_type', userType);
+    if (userId) query = query.eq('user_id', userId);
+    if (type) query = query.eq('event_type', type);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      events: (data || []).map(mapSecurityEvent),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil((count || 0) / limit),
+        total: count || 0,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'securityController:getSecurityEvents');
+  }
+};
@@ -0,0 +1,199 @@
+import supabase from '../config/db.js';
+import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
+import { getStudentEnrollment } from '../lib/assessments.js';
+import { mapSkill, getSkillMastery } from '../lib/skills.js';
+
+// Tables whose rows can carry skills, for usage counts
+const TAGGED_TABLES = {
+  courses: 'courses',
+  topics: 'topics',
+  codingPractices: 'coding_practices',
+  practiceQuestions: 'practice_questions',
+  bankQuestions: 'bank_questions',
+  jobs: 'job_postings',
+};
+
+const duplicateName = (res, name) => res.status(409).json({ message: `A skill named "${name}" already exists` });
+
+// @desc    List skills (filters: category, q)
+// @route   GET /api/skills
+// @access  Public
+export const getSkills = async (req, res) => {
+  try {
+    const { category, q } = req.query;
+
+    let query = supabase
+      .from('skills')
+      .select('*')
+      .order('category')
+      .order('name');
+
+    if (category !== undefined) query = query.eq('category', String(category));
+    if (q) query = query.ilike('name', `%${String(q).replace(/[\\%_]/g, '\\$&')}%`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({ skills: (data || []).map(mapSkill) });
+  } catch (error) {
+    handleError(res, error, 'skillController:getSkills');
+  }
+};
+
+// @desc    Get a skill with how much content carries it
+// @route   GET /api/skills/:id
+// @access  Public
+export const getSkillById = async (req, res) => {
+  try {
+    const { data: skill, error } = await supabase
+      .from('skills')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!skill) return res.status(404).json({ message: 'Skill not found' });
+
+    const entries = Object.entries(TAGGED_TABLES);
+    const counts = await Promise.all(entries.map(([, table]) => supabase
+      .from(table)
+      .select('id', { count: 'exact', head: true })
+      .contains('skill_ids', [skill.id])));
+
+    const usage = {};
+    entries.forEach(([key], i) => {
+      if (counts[i].error) throw counts[i].error;
+      usage[key] = counts[i].count || 0;
+    });
+
+    res.json({ ...mapSkill(skill), usage });
+  } catch (error) {
+    handleError(res, error, 'skillController:getSkillById');
+  }
+};
+
+// @desc    Create a skill
+// @route   POST /api/skills
+// @access  Private (skills:write)
+export const createSkill = async (req, res) => {
+  try {
+    const { name, category, description } = req.body;
+
+    const { data, error } = await supabase
+      .from('skills')
+      .insert({ name, category, description, created_by: req.admin.id })
+      .select()
+      .single();
+
+    if (error?.code === '23505') return duplicateName(res, name);
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'skill.create', entityType: 'skill', entityId: data.id, after: data });
+
+    res.status(201).json(mapSkill(data));
+  } catch (error) {
+    handleError(res, error, 'skillController:createSkill');
+  }
+};
+
+// @desc    Rename / recategorise a skill
+// @route   PUT /api/skills/:id
+// @access  Private (skills:write)
+export const updateSkill = async (req, res) => {
+  try {
+    const before = await getAuditSnapshot('skills', req.params.id);
+    if (!before) return res.status(404).json({ message: 'Skill not found' });
+
+    const { name, category, description } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (category !== undefined) updates.category = category;
+    if (description !== undefined) updates.description = description;
+
+    const { data, error } = await supabase
+      .from('skills')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error?.code === '23505') return duplicateName(res, name);
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'skill.update', entityType: 'skill', entityId: data.id, before, after: data });
+
+    res.json(mapSkill(data));
+  } catch (error) {
+    handleError(res, error, 'skillController:updateSkill');
+  }
+};
+
+// @desc    Delete a skill; it is removed from everything tagged with it
+// @route   DELETE /api/skills/:id
+// @access  Private (skills:write)
+export const deleteSkill = async (req, res) => {
+  try {
+    const before = await getAuditSnapshot('skills', req.params.id);
+    if (!before) return res.status(404).json({ message: 'Skill not found' });
+
+    const { error } = await supabase
+      .from('skills')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'skill.delete', entityType: 'skill', entityId: req.params.id, before });
+
+    res.json({ message: 'Skill removed' });
+  } catch (error) {
+    handleError(res, error, 'skillController:deleteSkill');
+  }
+};
+
+// @desc    The logged-in student's mastery of each skill in their courses
+// @route   GET /api/scores/skills
+// @access  Private/Student
+export const getMySkillMastery = async (req, res) => {
+  try {
+    const { courseIds } = await getStudentEnrollment(req.student.id);
+    res.json({ skills: await getSkillMastery(req.student.id, courseIds) });
+  } catch (error) {
+    handleError(res, error, 'skillController:getMySkillMastery');
+  }
+};
+
+// @desc    A student's skill mastery across the batch's courses
+// @route   GET /api/batches/:id/students/:studentId/skills
+// @access  Private (reports:read, batch-scoped)
+export const getStudentSkillMastery = async (req, res) => {
+  try {
+    const { id: batchId, studentId } = req.params;
+
+    const { data: enrollment, error: enrollErr } = await supabase
+      .from('student_batches')
+      .select('id')
+      .eq('batch_id', batchId)
+      .eq('student_id', studentId)
+      .maybeSingle();
+
+    if (enrollErr) throw enrollErr;
+    if (!enrollment) {
+      return res.status(404).json({ message: 'Student not enrolled in this batch' });
+    }
+
+    const { data: links, error } = await supabase
+      .from('batch_courses')
+      .select('course_id')
+      .eq('batch_id', batchId);
+
+    if (error) throw error;
+
+    const courseIds = (links || []).map((l) => l.course_id);
+    res.json({ studentId, skills: await getSkillMastery(studentId, courseIds) });
+  } catch (error) {
+    handleError(res, error, 'skillController:getStudentSkillMastery');
+  }
+};
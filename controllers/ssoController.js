@@ -0,0 +1,166 @@
+import jwt from 'jsonwebtoken';
+import logger from '../config/logger.js';
+import { generateMfaToken } from '../middleware/auth.js';
+import { handleError } from '../middleware/errorHandler.js';
+import {
+  getProviders,
+  getProvider,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+} from '../lib/oidc.js';
+import { resolveSsoAccount } from '../lib/ssoAccounts.js';
+import { recordFailedLogin, recordSuccessfulLogin, getActiveLock, FAILURE_REASONS } from '../lib/loginAttempts.js';
+import { startSession } from '../lib/sessions.js';
+
+const isProduction = process.env.NODE_ENV === 'production';
+const USER_TYPES = ['student', 'admin'];
+const STATE_COOKIE = 'oidc_state';
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const APP_URLS = {
+  student: process.env.STUDENT_APP_URL || 'http://localhost:5173',
+  admin: process.env.ADMIN_APP_URL || 'http://localhost:5174',
+};
+
+// The state cookie has to survive the top-level redirect back from the IdP, so it is Lax
+const stateCookieOpts = {
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: 'lax',
+  path: '/api/sso',
+};
+
+const callbackUrl = (req, provider) => {
+  const base = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/sso/${provider.id}/callback`;
+};
+
+// Only same-app relative paths — never an open redirect
+const safeReturnTo = (value) => (
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.includes('\\')
+    ? value
+    : '/'
+);
+
+const redirectWithError = (res, userType, code) => {
+  res.redirect(`${APP_URLS[userType] || APP_URLS.student}/login?ssoError=${encodeURIComponent(code)}`);
+};
+
+// @desc    List configured SSO providers (optionally only those open to a user type)
+// @route   GET /api/sso/providers?type=student|admin
+// @access  Public
+export const listProviders = (req, res) => {
+  const { type } = req.query;
+
+  const providers = getProviders()
+    .filter((p) => !USER_TYPES.includes(type) || p.userTypes.includes(type))
+    .map((p) => ({ id: p.id, name: p.name, userTypes: p.userTypes }));
+
+  res.json({ providers });
+};
+
+// @desc    Start an SSO login — redirects to the identity provider
+// @route   GET /api/sso/:provider/login?type=student|admin&returnTo=/path
+// @access  Public
+export const startLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) return res.status(404).json({ message: 'Unknown SSO provider' });
+
+    const userType = req.query.type || 'student';
+    if (!USER_TYPES.includes(userType) || !provider.userTypes.includes(userType)) {
+      return res.status(400).json({ message: `This provider does not support ${userType} login` });
+    }
+
+    const params = createAuthorizationParams();
+    const redirectUri = callbackUrl(req, provider);
+    const authorizationUrl = await buildAuthorizationUrl(provider, { redirectUri, ...params });
+
+    const stateToken = jwt.sign(
+      {
+        role: 'oidc_state',
+        provider: provider.id,
+        userType,
+        returnTo: safeReturnTo(req.query.returnTo),
+        ...params,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: STATE_TTL / 1000 }
+    );
+
+    res.cookie(STATE_COOKIE, stateToken, { ...stateCookieOpts, maxAge: STATE_TTL });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    handleError(res, error, 'ssoController:startLogin');
+  }
+};
+
+// @desc    Identity provider callback — links/creates the account and starts a session
+// @route   GET /api/sso/:provider/callback
+// @access  Public (requires the state cookie set by /login)
+export const handleCallback = async (req, res) => {
+  let userType = 'student';
+
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) return res.status(404).json({ message: 'Unknown SSO provider' });
+
+    let pending;
+    try {
+      pending = jwt.verify(req.cookies?.[STATE_COOKIE] || '', process.env.JWT_SECRET);
+    } catch {
+      return redirectWithError(res, userType, 'login_expired');
+    }
+
+    res.clearCookie(STATE_COOKIE, stateCookieOpts);
+    userType = USER_TYPES.includes(pending.userType) ? pending.userType : 'student';
+
+    if (pending.role !== 'oidc_state' || pending.provider !== provider.id || pending.state !== req.query.state) {
+      return redirectWithError(res, userType, 'invalid_state');
+    }
+
+    if (req.query.error || !req.query.code) {
+      logger.warn({ provider: provider.id, error: req.query.error }, 'SSO provider returned an error');
+      return redirectWithError(res, userType, 'provider_error');
+    }
+
+    let claims;
+    try {
+      claims = await exchangeCode(provider, {
+        code: String(req.query.code),
+        redirectUri: callbackUrl(req, provider),
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce,
+      });
+    } catch (err) {
+      logger.warn({ err, provider: provider.id }, 'SSO code exchange failed');
+      return redirectWithError(res, userType, 'token_exchange_failed');
+    }
+
+    const { user, error } = await resolveSsoAccount(req, provider, userType, claims);
+    if (error) {
+      logger.info({ provider: provider.id, subject: claims.sub, userType, reason: error }, 'SSO login rejected');
+      return redirectWithError(res, userType, error);
+    }
+
+    if (getActiveLock(user)) {
+      await recordFailedLogin(req, userType, { user, reason: FAILURE_REASONS.LOCKED });
+      return redirectWithError(res, userType, 'account_locked');
+    }
+
+    // Staff with 2FA still have to pass the second step; the admin app finishes it at /login/2fa
+    if (userType === 'admin' && user.totp_enabled_at) {
+      return res.redirect(`${APP_URLS.admin}/login/2fa#mfaToken=${generateMfaToken(user.id)}`);
+    }
+
+    await recordSuccessfulLogin(req, userType, user);
+    await startSession(req, res, user.id, userType);
+
+    res.redirect(`${APP_URLS[userType]}${pending.returnTo || '/'}`);
+  } catch (error) {
+    logger.error({ err: error, provider: req.params.provider }, 'SSO callback failed');
+    if (res.headersSent) return;
+    redirectWithError(res, userType, 'server_error');
+  }
+};
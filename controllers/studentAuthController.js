@@ -1,34 +1,31 @@
 import bcrypt from 'bcryptjs';
+import path from 'path';
 import supabase from '../config/db.js';
-import { generateAccessToken, generateRefreshToken, hashToken } from '../middleware/auth.js';
-import { setAuthCookies, clearAuthCookies, generateCsrfToken, REFRESH_TOKEN_MAX_AGE } from '../middleware/cookies.js';
+import logger from '../config/logger.js';
+import { hashToken, invalidateUserCache } from '../middleware/auth.js';
+import { clearAuthCookies } from '../middleware/cookies.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { requestPasswordReset, resetPassword } from '../lib/passwordReset.js';
+import { recordFailedLogin, recordSuccessfulLogin, getActiveLock, FAILURE_REASONS } from '../lib/loginAttempts.js';
+import { startSession, readRefreshToken, consumeRefreshToken, listSessions, revokeSession, revokeAllSessions } from '../lib/sessions.js';
+import { sendVerificationEmail, verifyEmailToken } from '../lib/emailVerification.js';
+import { PROFILE_COLUMNS, mapStudentProfile, getStudentProfileRow } from '../lib/studentProfile.js';
+import { uploadToStorage, removeFromStorage, cleanupTempFile } from '../lib/storage.js';
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 /* ------------------------------------------------------------------ */
-/*  Helper: create tokens, store refresh token, set cookies           */
+/*  Helper: start a session and shape the login response              */
 /* ------------------------------------------------------------------ */
-const issueTokens = async (res, student) => {
-  const accessToken = generateAccessToken(student.id, 'student');
-  const { token: rawRefresh, hash: refreshHash } = generateRefreshToken();
-  const csrfToken = generateCsrfToken();
-
-  await supabase.from('refresh_tokens').insert({
-    user_id: student.id,
-    user_type: 'student',
-    token_hash: refreshHash,
-    expires_at: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE).toISOString(),
-  });
-
-  // Set HttpOnly cookies (works when same-origin / cookies not blocked)
-  setAuthCookies(res, accessToken, rawRefresh, csrfToken);
+const issueTokens = async (req, res, student, previous = null) => {
+  const { accessToken, refreshToken: rawRefresh } = await startSession(req, res, student.id, 'student', { previous });
 
   // ALSO return tokens in body (works cross-origin even when cookies are blocked)
   return {
     _id: student.id,
     name: student.name,
     email: student.email,
+    emailVerified: !!student.email_verified_at,
     accessToken,
     refreshToken: rawRefresh,
   };
@@ -75,12 +72,19 @@ export const registerStudent = async (req, res) => {
         email: email.toLowerCase(),
         password: hashedPassword,
       })
-      .select('id, name, email')
+      .select('id, name, email, email_verified_at')
       .single();
 
     if (error) throw error;
 
-    const userData = await issueTokens(res, student);
+    // Registration still succeeds if the mail transport is down — the student can resend
+    try {
+      await sendVerificationEmail(student);
+    } catch (mailErr) {
+      logger.error({ err: mailErr, studentId: student.id }, 'Failed to send verification email');
+    }
+
+    const userData = await issueTokens(req, res, student);
     res.status(201).json(userData);
   } catch (error) {
     handleError(res, error, 'studentAuthController:register');
@@ -105,16 +109,27 @@ export const loginStudent = async (req, res) => {
       .single();
 
     if (error || !student) {
+      await recordFailedLogin(req, 'student', { email, reason: FAILURE_REASONS.UNKNOWN_EMAIL });
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    // A locked account answers like a wrong password so the response does not
+    // reveal which emails have accounts
+    if (getActiveLock(student)) {
+      await recordFailedLogin(req, 'student', { user: student, reason: FAILURE_REASONS.LOCKED });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
     const isMatch = await bcrypt.compare(password, student.password);
 
     if (!isMatch) {
+      await recordFailedLogin(req, 'student', { user: student, reason: FAILURE_REASONS.INVALID_PASSWORD });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    const userData = await issueTokens(res, student);
+    await recordSuccessfulLogin(req, 'student', student);
+
+    const userData = await issueTokens(req, res, student);
     res.json(userData);
   } catch (error) {
     handleError(res, error, 'studentAuthController:login');
@@ -126,13 +141,7 @@ export const loginStudent = async (req, res) => {
 // @access  Cookie-based
 export const refreshTokenStudent = async (req, res) => {
   // Accept refresh token from cookie (primary) or Authorization header (cross-origin fallback)
-  let rawToken = req.cookies?.refresh_token;
-  if (!rawToken) {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      rawToken = authHeader.split(' ')[1];
-    }
-  }
+  const rawToken = readRefreshToken(req);
 
   if (!rawToken) {
     clearAuthCookies(res);
@@ -140,24 +149,17 @@ export const refreshTokenStudent = async (req, res) => {
   }
 
   try {
-    const tokenHash = hashToken(rawToken);
+    // Claims the token; replaying an already-rotated token revokes its whole family
+    const stored = await consumeRefreshToken(req, rawToken, 'student');
 
-    const { data: stored, error } = await supabase
-      .from('refresh_tokens')
-      .select('*')
-      .eq('token_hash', tokenHash)
-      .eq('user_type', 'student')
-      .is('revoked_at', null)
-      .single();
-
-    if (error || !stored || new Date(stored.expires_at) < new Date()) {
+    if (!stored) {
       clearAuthCookies(res);
       return res.status(401).json({ message: 'Invalid or expired refresh token' });
     }
 
     const { data: student } = await supabase
       .from('students')
-      .select('id, name, email')
+      .select('id, name, email, email_verified_at')
       .eq('id', stored.user_id)
       .single();
 
@@ -166,13 +168,7 @@ export const refreshTokenStudent = async (req, res) => {
       return res.status(401).json({ message: 'User not found' });
     }
 
-    // Rotate: revoke old token
-    await supabase
-      .from('refresh_tokens')
-      .update({ revoked_at: new Date().toISOString() })
-      .eq('id', stored.id);
-
-    const userData = await issueTokens(res, student);
+    const userData = await issueTokens(req, res, student, stored);
     res.json(userData);
   } catch (error) {
     clearAuthCookies(res);
@@ -209,12 +205,318 @@ export const logoutStudent = async (req, res) => {
 // @access  Private
 export const getStudentProfile = async (req, res) => {
   try {
+    const student = await getStudentProfileRow(req.student.id);
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    res.json(mapStudentProfile(student));
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:profile');
+  }
+};
+
+// Request body key → students column
+const PROFILE_FIELDS = {
+  name: 'name',
+  phone: 'phone',
+  bio: 'bio',
+  college: 'college',
+  graduationYear: 'graduation_year',
+  githubUrl: 'github_url',
+  linkedinUrl: 'linkedin_url',
+};
+
+// @desc    Update student profile
+// @route   PUT /api/student-auth/profile
+// @access  Private
+export const updateStudentProfile = async (req, res) => {
+  try {
+    const updates = {};
+    for (const [key, column] of Object.entries(PROFILE_FIELDS)) {
+      if (req.body[key] !== undefined) updates[column] = req.body[key];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No profile fields to update' });
+    }
+
+    const { data: student, error } = await supabase
+      .from('students')
+      .update(updates)
+      .eq('id', req.student.id)
+      .select(PROFILE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    invalidateUserCache('student', req.student.id);
+    res.json(mapStudentProfile(student));
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:updateProfile');
+  }
+};
+
+// @desc    Upload a new avatar image (multipart field "avatar")
+// @route   POST /api/student-auth/profile/avatar
+// @access  Private
+export const uploadAvatar = async (req, res) => {
+  const tempPath = req.file?.path;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No image uploaded' });
+    }
+
+    const previous = await getStudentProfileRow(req.student.id);
+
+    const ext = path.extname(req.file.originalname).toLowerCase();
+    const avatarUrl = await uploadToStorage(req.file, `avatars/${req.student.id}-${Date.now()}${ext}`);
+
+    if (!avatarUrl) {
+      return res.status(500).json({ message: 'Failed to upload file to cloud storage' });
+    }
+
+    const { data: student, error } = await supabase
+      .from('students')
+      .update({ avatar_url: avatarUrl })
+      .eq('id', req.student.id)
+      .select(PROFILE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    if (previous?.avatar_url) await removeFromStorage(previous.avatar_url);
+
+    res.json(mapStudentProfile(student));
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:uploadAvatar');
+  } finally {
+    cleanupTempFile(tempPath);
+  }
+};
+
+// @desc    Remove the avatar image
+// @route   DELETE /api/student-auth/profile/avatar
+// @access  Private
+export const deleteAvatar = async (req, res) => {
+  try {
+    const previous = await getStudentProfileRow(req.student.id);
+
+    const { data: student, error } = await supabase
+      .from('students')
+      .update({ avatar_url: null })
+      .eq('id', req.student.id)
+      .select(PROFILE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    if (previous?.avatar_url) await removeFromStorage(previous.avatar_url);
+
+    res.json(mapStudentProfile(student));
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:deleteAvatar');
+  }
+};
+
+// @desc    Change password (requires the current password); other sessions are logged out
+// @route   PUT /api/student-auth/password
+// @access  Private
+export const changePasswordStudent = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const { data: student, error } = await supabase
+      .from('students')
+      .select('id, name, email, email_verified_at, password')
+      .eq('id', req.student.id)
+      .single();
+
+    if (error || !student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, student.password);
+
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    const { error: updateErr } = await supabase
+      .from('students')
+      .update({ password: hashedPassword })
+      .eq('id', student.id);
+
+    if (updateErr) throw updateErr;
+
+    // Log out every other device, then start a fresh session for this one
+    await revokeAllSessions(student.id, 'student');
+    const userData = await issueTokens(req, res, student);
+
+    res.json({ message: 'Password changed successfully', ...userData });
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:changePassword');
+  }
+};
+
+// @desc    Send a password reset link to the student's email
+// @route   POST /api/student-auth/forgot-password
+// @access  Public
+export const forgotPasswordStudent = async (req, res) => {
+  try {
+    await requestPasswordReset('student', req.body.email);
+
+    // Same response whether or not the account exists
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:forgotPassword');
+  }
+};
+
+// @desc    Reset password using a token from the reset email
+// @route   POST /api/student-auth/reset-password
+// @access  Public
+export const resetPasswordStudent = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await resetPassword('student', token, password);
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    clearAuthCookies(res);
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:resetPassword');
+  }
+};
+
+// @desc    Verify email address using the token from the verification email
+// @route   POST /api/student-auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const studentId = await verifyEmailToken(req.body.token);
+
+    if (!studentId) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:verifyEmail');
+  }
+};
+
+// @desc    Resend the verification email
+// @route   POST /api/student-auth/resend-verification
+// @access  Public
+export const resendVerification = async (req, res) => {
+  try {
+    const { data: student, error } = await supabase
+      .from('students')
+      .select('id, name, email, email_verified_at')
+      .eq('email', req.body.email)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Sent in the background with failures only logged: same response, and the
+    // same timing, whether or not the account exists / is already verified
+    if (student && !student.email_verified_at) {
+      sendVerificationEmail(student).catch((err) => {
+        logger.error({ err, studentId: student.id }, 'Failed to resend verification email');
+      });
+    }
+
+    res.json({ message: 'If an unverified account exists for that email, a verification link has been sent' });
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:resendVerification');
+  }
+};
+
+// @desc    List active sessions (devices) for the logged-in student
+// @route   GET /api/student-auth/sessions
+// @access  Private
+export const getStudentSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req, req.student.id, 'student');
+    res.json(sessions);
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:getSessions');
+  }
+};
+
+// @desc    Revoke one session
+// @route   DELETE /api/student-auth/sessions/:id
+// @access  Private
+export const revokeStudentSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.student.id, 'student');
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    // Revoking the session this request came from is a logout
+    const rawToken = readRefreshToken(req);
+    if (rawToken && hashToken(rawToken) === revoked.token_hash) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:revokeSession');
+  }
+};
+
+// @desc    Log out everywhere — revoke every session and outstanding access token
+// @route   POST /api/student-auth/logout-all
+// @access  Private
+export const logoutAllStudent = async (req, res) => {
+  try {
+    await revokeAllSessions(req.student.id, 'student');
+
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    handleError(res, error, 'studentAuthController:logoutAll');
+  }
+};
+
+// @desc    Recent login attempts on the student's own account
+// @route   GET /api/student-auth/login-history
+// @access  Private
+export const getLoginHistory = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+
+    const { data, error } = await supabase
+      .from('login_events')
+      .select('id, success, failure_reason, ip_address, user_agent, created_at')
+      .eq('user_id', req.student.id)
+      .eq('user_type', 'student')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
     res.json({
-      _id: req.student.id,
-      name: req.student.name,
-      email: req.student.email,
+      events: (data || []).map((e) => ({
+        _id: e.id,
+        success: e.success,
+        failureReason: e.failure_reason,
+        ipAddress: e.ip_address,
+        userAgent: e.user_agent,
+        createdAt: e.created_at,
+      })),
     });
   } catch (error) {
-    handleError(res, error, 'studentAuthController:profile');
+    handleError(res, error, 'studentAuthController:loginHistory');
   }
 };
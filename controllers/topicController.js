@@ -1,25 +1,69 @@
 import supabase from '../config/db.js';
 import { handleError } from '../middleware/errorHandler.js';
+import { recordAudit, getAuditSnapshot } from '../lib/audit.js';
+import { toQuestionRow, mapQuestion } from '../lib/questions.js';
+import {
+  getLiveContent,
+  getDraft,
+  saveDraft,
+  discardDraft,
+  listVersions,
+  getVersion,
+  publishContent,
+  snapshotLive,
+  resolveContent,
+  diffContent,
+  mapVersion,
+} from '../lib/contentVersions.js';
+import { parseSkillFilter, findUnknownSkills, collectTopicSkillIds, findTopicsWithSkills } from '../lib/skills.js';
 
 // Default empty coding practice object
-const emptyCodingPractice = { language: 'javascript', title: '', description: '', referenceImage: '', imageLinks: [], starterCode: '', expectedOutput: '', hints: [], testScript: '', testCases: [], difficulty: 'easy', maxScore: 100 };
+const emptyCodingPractice = { language: 'javascript', title: '', description: '', referenceImage: '', imageLinks: [], starterCode: '', expectedOutput: '', hints: [], testScript: '', testCases: [], difficulty: 'easy', maxScore: 100, skillIds: [] };
 
 // Helper: map topic from Supabase to API format
 const mapTopic = (t, practice = [], codingPractice = null) => ({
   _id: t.id,
   courseId: t.course_id,
+  moduleId: t.module_id,
   title: t.title,
   order: t.sort_order,
   videoUrl: t.video_url,
   pdfUrl: t.pdf_url,
   isPublished: t.is_published,
+  publishedVersion: t.published_version,
+  skillIds: t.skill_ids || [],
   practice,
   codingPractice: codingPractice || emptyCodingPractice,
   createdAt: t.created_at,
   updatedAt: t.updated_at
 });
 
-// @desc    Get all topics
+// Helper: topic row plus its practice questions and coding practice, for audit before/after
+const getTopicSnapshot = async (topicId) => {
+  const topic = await getAuditSnapshot('topics', topicId);
+  if (!topic) return null;
+
+  const [pRes, cRes] = await Promise.all([
+    supabase.from('practice_questions').select('type, question, options, content, answer, answer_data, explanation, skill_ids, sort_order').eq('topic_id', topicId).order('sort_order'),
+    supabase.from('coding_practices').select('*').eq('topic_id', topicId).maybeSingle(),
+  ]);
+
+  return { ...topic, practice: pRes.data || [], coding_practice: cRes.data || null };
+};
+
+// Helper: a topic can only be placed in a module of its own course
+const isModuleInCourse = async (moduleId, courseId) => {
+  const { data, error } = await supabase
+    .from('course_modules')
+    .select('course_id')
+    .eq('id', moduleId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data && data.course_id === courseId;
+};
+
+// @desc    Get all topics (?skills=id,id — topics exercising any of these skills)
 // @route   GET /api/topics
 // @access  Public
 export const getTopics = async (req, res) => {
@@ -28,17 +72,26 @@ export const getTopics = async (req, res) => {
     const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 100);
     const offset = (page - 1) * limit;
 
-    const { data: topics, error } = await supabase
+    const skillIds = parseSkillFilter(req.query.skills);
+    if (skillIds?.length === 0) return res.status(400).json({ message: 'No valid skill ID in skills filter' });
+    const matchingIds = skillIds ? await findTopicsWithSkills(null, skillIds) : null;
+
+    let topicsQuery = supabase
       .from('topics')
       .select('*')
       .order('sort_order')
       .range(offset, offset + limit - 1);
+    if (matchingIds) topicsQuery = topicsQuery.in('id', matchingIds);
+
+    const { data: topics, error } = matchingIds?.length === 0 ? { data: [], error: null } : await topicsQuery;
 
     if (error) throw error;
 
-    const { count } = await supabase
-      .from('topics')
-      .select('*', { count: 'exact', head: true });
+    const { count } = matchingIds
+      ? { count: matchingIds.length }
+      : await supabase
+        .from('topics')
+        .select('*', { count: 'exact', head: true });
 
     const mapped = topics.map(t => mapTopic(t));
 
@@ -77,11 +130,8 @@ export const getTopicById = async (req, res) => {
       supabase.from('coding_practices').select('*').eq('topic_id', topic.id).maybeSingle()
     ]);
 
-    const practice = (practiceRes.data || []).map(pq => ({
-      question: pq.question,
-      options: pq.options,
-      answer: pq.answer
-    }));
+    // Students are graded on the server and never see the answer key or explanations
+    const practice = (practiceRes.data || []).map(pq => mapQuestion(pq, { includeAnswer: !!req.admin }));
 
     const cp = codingRes.data;
     const codingPractice = cp ? {
@@ -97,6 +147,7 @@ export const getTopicById = async (req, res) => {
       testCases: cp.test_cases || [],
       difficulty: cp.difficulty || 'easy',
       maxScore: cp.max_score || 100,
+      skillIds: cp.skill_ids || [],
     } : null;
 
     res.json(mapTopic(topic, practice, codingPractice));
@@ -110,7 +161,16 @@ export const getTopicById = async (req, res) => {
 // @access  Private/Admin
 export const createTopic = async (req, res) => {
   try {
-    const { courseId, title, order, videoUrl, pdfUrl, practice, codingPractice, isPublished } = req.body;
+    const { courseId, moduleId, title, order, videoUrl, pdfUrl, practice, codingPractice, isPublished, skillIds } = req.body;
+
+    if (moduleId && !(await isModuleInCourse(moduleId, courseId))) {
+      return res.status(400).json({ message: 'Module does not belong to this course' });
+    }
+
+    const unknownSkills = await findUnknownSkills(collectTopicSkillIds(req.body));
+    if (unknownSkills.length > 0) {
+      return res.status(400).json({ message: `Unknown skill: ${unknownSkills.join(', ')}` });
+    }
 
     // Get next order if not provided
     let topicOrder = order;
@@ -129,11 +189,13 @@ export const createTopic = async (req, res) => {
       .from('topics')
       .insert({
         course_id: courseId,
+        module_id: moduleId || null,
         title,
         sort_order: topicOrder,
         video_url: videoUrl || '',
         pdf_url: pdfUrl || '',
-        is_published: isPublished || false
+        is_published: isPublished || false,
+        skill_ids: skillIds || []
       })
       .select()
       .single();
@@ -144,9 +206,7 @@ export const createTopic = async (req, res) => {
     if (practice && practice.length > 0) {
       const questions = practice.map((q, idx) => ({
         topic_id: topic.id,
-        question: q.question,
-        options: q.options,
-        answer: q.answer,
+        ...toQuestionRow(q),
         sort_order: idx
       }));
       await supabase.from('practice_questions').insert(questions);
@@ -168,9 +228,20 @@ export const createTopic = async (req, res) => {
         test_cases: codingPractice.testCases || [],
         difficulty: codingPractice.difficulty || 'easy',
         max_score: codingPractice.maxScore || 100,
+        skill_ids: codingPractice.skillIds || [],
       });
     }
 
+    await snapshotLive('topic', topic.id, { adminId: req.admin.id, note: 'Created' });
+
+    await recordAudit(req, {
+      action: 'topic.create',
+      entityType: 'topic',
+      entityId: topic.id,
+      after: await getTopicSnapshot(topic.id),
+      metadata: { courseId },
+    });
+
     res.status(201).json(mapTopic(topic, practice || [], codingPractice));
   } catch (error) {
     handleError(res, error, 'topicController');
@@ -182,14 +253,34 @@ export const createTopic = async (req, res) => {
 // @access  Private/Admin
 export const updateTopic = async (req, res) => {
   try {
-    const { title, order, videoUrl, pdfUrl, practice, codingPractice, isPublished } = req.body;
+    const { moduleId, title, order, videoUrl, pdfUrl, practice, codingPractice, isPublished, skillIds } = req.body;
+
+    const unknownSkills = await findUnknownSkills(collectTopicSkillIds(req.body));
+    if (unknownSkills.length > 0) {
+      return res.status(400).json({ message: `Unknown skill: ${unknownSkills.join(', ')}` });
+    }
+
+    // Content edits would go live underneath an open draft, and publishing the
+    // draft later would silently revert them
+    const contentChanged = [title, videoUrl, pdfUrl, practice, codingPractice].some((v) => v !== undefined);
+    if (contentChanged && await getDraft('topic', req.params.id)) {
+      return res.status(409).json({ message: 'This topic has an unpublished draft — edit the draft or discard it first' });
+    }
 
     const updates = {};
+    if (moduleId !== undefined) updates.module_id = moduleId;
     if (title !== undefined) updates.title = title;
     if (order !== undefined) updates.sort_order = order;
     if (videoUrl !== undefined) updates.video_url = videoUrl;
     if (pdfUrl !== undefined) updates.pdf_url = pdfUrl;
     if (isPublished !== undefined) updates.is_published = isPublished;
+    if (skillIds !== undefined) updates.skill_ids = skillIds;
+
+    const before = await getTopicSnapshot(req.params.id);
+
+    if (before && moduleId && !(await isModuleInCourse(moduleId, before.course_id))) {
+      return res.status(400).json({ message: 'Module does not belong to this course' });
+    }
 
     const { data: topic, error } = await supabase
       .from('topics')
@@ -210,9 +301,7 @@ export const updateTopic = async (req, res) => {
       if (practice.length > 0) {
         const questions = practice.map((q, idx) => ({
           topic_id: req.params.id,
-          question: q.question,
-          options: q.options,
-          answer: q.answer,
+          ...toQuestionRow(q),
           sort_order: idx
         }));
         await supabase.from('practice_questions').insert(questions);
@@ -235,10 +324,25 @@ export const updateTopic = async (req, res) => {
           hints: codingPractice.hints || [],
           test_script: codingPractice.testScript || '',
           test_cases: codingPractice.testCases || [],
+          skill_ids: codingPractice.skillIds || [],
         });
       }
     }
 
+    // Direct edits go live at once; keep the version history in step with them
+    if (contentChanged) {
+      await snapshotLive('topic', topic.id, { adminId: req.admin.id, note: 'Edited directly' });
+    }
+
+    await recordAudit(req, {
+      action: 'topic.update',
+      entityType: 'topic',
+      entityId: topic.id,
+      before,
+      after: await getTopicSnapshot(topic.id),
+      metadata: { courseId: topic.course_id },
+    });
+
     res.json(mapTopic(topic, practice, codingPractice));
   } catch (error) {
     handleError(res, error, 'topicController');
@@ -250,6 +354,8 @@ export const updateTopic = async (req, res) => {
 // @access  Private/Admin
 export const deleteTopic = async (req, res) => {
   try {
+    const before = await getTopicSnapshot(req.params.id);
+
     // Practice questions and coding practices cascade delete via FK
     const { error } = await supabase
       .from('topics')
@@ -258,6 +364,14 @@ export const deleteTopic = async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: 'topic.delete',
+      entityType: 'topic',
+      entityId: req.params.id,
+      before,
+      metadata: { courseId: before?.course_id },
+    });
+
     res.json({ message: 'Topic removed' });
   } catch (error) {
     handleError(res, error, 'topicController');
@@ -275,17 +389,258 @@ export const reorderTopics = async (req, res) => {
       return res.status(400).json({ message: 'Topics array is required' });
     }
 
+    // Topics moving between modules must stay within their course
+    const moves = topics.filter((t) => t.moduleId);
+    if (moves.length > 0) {
+      const [topicRes, moduleRes] = await Promise.all([
+        supabase.from('topics').select('id, course_id').in('id', moves.map((t) => t.id)),
+        supabase.from('course_modules').select('id, course_id').in('id', [...new Set(moves.map((t) => t.moduleId))]),
+      ]);
+      if (topicRes.error) throw topicRes.error;
+      if (moduleRes.error) throw moduleRes.error;
+
+      const topicCourse = new Map((topicRes.data || []).map((t) => [t.id, t.course_id]));
+      const moduleCourse = new Map((moduleRes.data || []).map((m) => [m.id, m.course_id]));
+      const invalid = moves.find((t) => !moduleCourse.has(t.moduleId) || moduleCourse.get(t.moduleId) !== topicCourse.get(t.id));
+      if (invalid) {
+        return res.status(400).json({ message: `Topic ${invalid.id} cannot be moved to module ${invalid.moduleId}` });
+      }
+    }
+
     await Promise.all(
-      topics.map(({ id, order }) =>
+      topics.map(({ id, order, moduleId }) =>
         supabase
           .from('topics')
-          .update({ sort_order: order })
+          .update(moduleId === undefined ? { sort_order: order } : { sort_order: order, module_id: moduleId })
           .eq('id', id)
       )
     );
 
+    await recordAudit(req, {
+      action: 'topic.reorder',
+      entityType: 'topic',
+      metadata: { order: topics.map(({ id, order, moduleId }) => ({ id, order, moduleId })) },
+    });
+
     res.json({ message: 'Topics reordered successfully' });
   } catch (error) {
     handleError(res, error, 'topicController');
   }
 };
+
+// @desc    Get a topic's draft (the live content if no draft has been started)
+// @route   GET /api/topics/:id/draft
+// @access  Private/Admin
+export const getTopicDraft = async (req, res) => {
+  try {
+    const live = await getLiveContent('topic', req.params.id);
+    if (!live) return res.status(404).json({ message: 'Topic not found' });
+
+    const draft = await getDraft('topic', req.params.id);
+
+    res.json({
+      hasDraft: !!draft,
+      publishedVersion: live.publishedVersion,
+      content: draft ? draft.content : live.content,
+      updatedBy: draft?.updated_by || null,
+      updatedAt: draft?.updated_at || null,
+    });
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    Save changes to a topic's draft — students keep seeing the live topic
+// @route   PUT /api/topics/:id/draft
+// @access  Private/Admin
+export const saveTopicDraft = async (req, res) => {
+  try {
+    const live = await getLiveContent('topic', req.params.id);
+    if (!live) return res.status(404).json({ message: 'Topic not found' });
+
+    const unknownSkills = await findUnknownSkills(collectTopicSkillIds(req.body));
+    if (unknownSkills.length > 0) {
+      return res.status(400).json({ message: `Unknown skill: ${unknownSkills.join(', ')}` });
+    }
+
+    const draft = await saveDraft('topic', req.params.id, req.body, req.admin.id);
+
+    res.json({
+      hasDraft: true,
+      publishedVersion: live.publishedVersion,
+      content: draft.content,
+      updatedBy: draft.updated_by,
+      updatedAt: draft.updated_at,
+    });
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    Throw away a topic's draft
+// @route   DELETE /api/topics/:id/draft
+// @access  Private/Admin
+export const discardTopicDraft = async (req, res) => {
+  try {
+    const draft = await discardDraft('topic', req.params.id);
+    if (!draft) return res.status(404).json({ message: 'This topic has no draft' });
+
+    await recordAudit(req, {
+      action: 'topic.draft.discard',
+      entityType: 'topic',
+      entityId: req.params.id,
+      before: draft.content,
+    });
+
+    res.json({ message: 'Draft discarded' });
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    Preview the draft as the topic page would show it, with what would change
+// @route   GET /api/topics/:id/preview
+// @access  Private/Admin
+export const previewTopic = async (req, res) => {
+  try {
+    const { data: topic, error } = await supabase
+      .from('topics')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!topic) return res.status(404).json({ message: 'Topic not found' });
+
+    const [live, draft] = await Promise.all([
+      getLiveContent('topic', topic.id),
+      getDraft('topic', topic.id),
+    ]);
+    const content = draft ? draft.content : live.content;
+
+    res.json({
+      ...mapTopic(
+        { ...topic, title: content.title, video_url: content.videoUrl, pdf_url: content.pdfUrl },
+        content.practice,
+        content.codingPractice
+      ),
+      hasDraft: !!draft,
+      changes: draft ? diffContent(live.content, draft.content) : [],
+    });
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    Publish the draft: it goes live and is saved as the next version
+// @route   POST /api/topics/:id/publish
+// @access  Private/Admin
+export const publishTopic = async (req, res) => {
+  try {
+    const draft = await getDraft('topic', req.params.id);
+    if (!draft) return res.status(400).json({ message: 'No draft to publish' });
+
+    const before = await getTopicSnapshot(req.params.id);
+    const version = await publishContent('topic', req.params.id, draft.content, { adminId: req.admin.id, note: req.body.note });
+    await discardDraft('topic', req.params.id, { updatedAt: draft.updated_at });
+
+    await recordAudit(req, {
+      action: 'topic.publish',
+      entityType: 'topic',
+      entityId: req.params.id,
+      before,
+      after: await getTopicSnapshot(req.params.id),
+      metadata: { version: version.version },
+    });
+
+    res.json(mapVersion(version));
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    List a topic's published versions
+// @route   GET /api/topics/:id/versions
+// @access  Private/Admin
+export const getTopicVersions = async (req, res) => {
+  try {
+    const live = await getLiveContent('topic', req.params.id);
+    if (!live) return res.status(404).json({ message: 'Topic not found' });
+
+    const versions = await listVersions('topic', req.params.id);
+
+    res.json({
+      publishedVersion: live.publishedVersion,
+      versions: versions.map((v) => mapVersion(v, { includeContent: false })),
+    });
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    Get one version of a topic
+// @route   GET /api/topics/:id/versions/:version
+// @access  Private/Admin
+export const getTopicVersion = async (req, res) => {
+  try {
+    const version = await getVersion('topic', req.params.id, req.params.version);
+    if (!version) return res.status(404).json({ message: 'Version not found' });
+
+    res.json(mapVersion(version));
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    Diff a version against another version, the live topic or the draft
+// @route   GET /api/topics/:id/versions/:version/diff?against=live|draft|<version>
+// @access  Private/Admin
+export const diffTopicVersion = async (req, res) => {
+  try {
+    const against = req.query.against || 'live';
+    const [base, other] = await Promise.all([
+      resolveContent('topic', req.params.id, req.params.version),
+      resolveContent('topic', req.params.id, against),
+    ]);
+
+    if (!base) return res.status(404).json({ message: 'Version not found' });
+    if (!other) return res.status(404).json({ message: `Nothing to compare against (${against})` });
+
+    res.json({
+      from: parseInt(req.params.version),
+      to: against,
+      changes: diffContent(base, other),
+    });
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
+
+// @desc    Roll back to an earlier version — published again as a new version
+// @route   POST /api/topics/:id/versions/:version/rollback
+// @access  Private/Admin
+export const rollbackTopic = async (req, res) => {
+  try {
+    const target = await getVersion('topic', req.params.id, req.params.version);
+    if (!target) return res.status(404).json({ message: 'Version not found' });
+
+    const before = await getTopicSnapshot(req.params.id);
+    const version = await publishContent('topic', req.params.id, target.content, {
+      adminId: req.admin.id,
+      note: req.body.note || `Rolled back to version ${target.version}`,
+    });
+
+    await recordAudit(req, {
+      action: 'topic.rollback',
+      entityType: 'topic',
+      entityId: req.params.id,
+      before,
+      after: await getTopicSnapshot(req.params.id),
+      metadata: { fromVersion: target.version, version: version.version },
+    });
+
+    res.json(mapVersion(version));
+  } catch (error) {
+    handleError(res, error, 'topicController');
+  }
+};
@@ -6,12 +6,15 @@ import cors from 'cors';
 import compression from 'compression';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import multer from 'multer';
 import pinoHttp from 'pino-http';
 import cookieParser from 'cookie-parser';
 import { randomUUID } from 'node:crypto';
 
 import logger from './config/logger.js';
 import { csrfProtect } from './middleware/csrf.js';
+import { startAssessmentSweeper } from './lib/assessments.js';
+import { findActiveApiKey } from './lib/apiKeys.js';
 import authRoutes from './routes/authRoutes.js';
 import studentAuthRoutes from './routes/studentAuthRoutes.js';
 import courseRoutes from './routes/courseRoutes.js';
@@ -23,6 +26,16 @@ import batchRoutes from './routes/batchRoutes.js';
 import resumeRoutes from './routes/resumeRoutes.js';
 import announcementRoutes from './routes/announcementRoutes.js';
 import interviewRoutes from './routes/interviewRoutes.js';
+import securityRoutes from './routes/securityRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import impersonationRoutes from './routes/impersonationRoutes.js';
+import ssoRoutes from './routes/ssoRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import questionBankRoutes from './routes/questionBankRoutes.js';
+import assessmentRoutes from './routes/assessmentRoutes.js';
+import assignmentRoutes from './routes/assignmentRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import skillRoutes from './routes/skillRoutes.js';
 
 /* -------------------- ENV VALIDATION -------------------- */
 const required = ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'JWT_SECRET'];
@@ -84,6 +97,7 @@ function startServer() {
         callback(new Error('Not allowed by CORS'));
       },
       credentials: true, // Required for cookies
+      exposedHeaders: ['X-Impersonation-Session'],
     })
   );
 
@@ -145,6 +159,20 @@ function startServer() {
     return req.ip;
   };
 
+  // Only a key that checks out moves a request onto the integration budget; junk
+  // X-API-Key values stay on the per-user/IP limit. Looked up once per request.
+  const getValidApiKey = async (req) => {
+    if (!req.headers['x-api-key']) return null;
+    if (req.rateLimitApiKey === undefined) {
+      try {
+        req.rateLimitApiKey = await findActiveApiKey(req.headers['x-api-key']);
+      } catch {
+        req.rateLimitApiKey = null;
+      }
+    }
+    return req.rateLimitApiKey;
+  };
+
   const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 30,
@@ -160,9 +188,21 @@ function startServer() {
     standardHeaders: true,
     legacyHeaders: false,
     keyGenerator: getUserKey,
+    skip: async (req) => !!(await getValidApiKey(req)),
     message: { message: 'Too many requests, please try again later.' }
   });
 
+  // Integrations get their own budget per key
+  const apiKeyLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000,
+    max: parseInt(process.env.API_KEY_RATE_LIMIT) || 600,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: async (req) => `apikey:${(await getValidApiKey(req)).id}`,
+    skip: async (req) => !(await getValidApiKey(req)),
+    message: { message: 'API key rate limit exceeded, please slow down.' }
+  });
+
   const codingSubmitLimiter = rateLimit({
     windowMs: 1 * 60 * 1000,
     max: 30,
@@ -199,9 +239,16 @@ function startServer() {
   app.use('/api/auth/login', authLimiter);
   app.use('/api/auth/register', authLimiter);
   app.use('/api/auth/refresh', authLimiter);
+  app.use('/api/auth/forgot-password', authLimiter);
+  app.use('/api/auth/reset-password', authLimiter);
   app.use('/api/student-auth/login', authLimiter);
   app.use('/api/student-auth/register', authLimiter);
   app.use('/api/student-auth/refresh', authLimiter);
+  app.use('/api/student-auth/forgot-password', authLimiter);
+  app.use('/api/student-auth/reset-password', authLimiter);
+  app.use('/api/student-auth/verify-email', authLimiter);
+  app.use('/api/student-auth/resend-verification', authLimiter);
+  app.use('/api/sso', authLimiter);
 
   // Coding submit rate limit (before general API limiter)
   app.use('/api/scores/coding-submit', codingSubmitLimiter);
@@ -210,10 +257,11 @@ function startServer() {
   app.use('/api/resume/generate', resumeGenerateLimiter);
 
   app.use('/api', apiLimiter);
+  app.use('/api', apiKeyLimiter);
 
   /* -------------------- CSRF PROTECTION -------------------- */
   // Apply CSRF protection to all API routes EXCEPT:
-  // - Login/register/refresh (no CSRF cookie exists yet)
+  // - Login/register/refresh/password reset/email verification (no CSRF cookie exists yet)
   // - File uploads (multipart forms)
   // - Health check
   app.use('/api', (req, res, next) => {
@@ -222,9 +270,15 @@ function startServer() {
       '/api/auth/login',
       '/api/auth/register',
       '/api/auth/refresh',
+      '/api/auth/forgot-password',
+      '/api/auth/reset-password',
       '/api/student-auth/login',
       '/api/student-auth/register',
       '/api/student-auth/refresh',
+      '/api/student-auth/forgot-password',
+      '/api/student-auth/reset-password',
+      '/api/student-auth/verify-email',
+      '/api/student-auth/resend-verification',
       '/api/health',
     ];
 
@@ -242,8 +296,12 @@ function startServer() {
 
   app.use('/api/auth', authRoutes);
   app.use('/api/student-auth', studentAuthRoutes);
+  app.use('/api/sso', ssoRoutes);
   app.use('/api/courses', courseRoutes);
   app.use('/api/topics', topicRoutes);
+  app.use('/api/question-banks', questionBankRoutes);
+  app.use('/api/assessments', assessmentRoutes);
+  app.use('/api/assignments', assignmentRoutes);
   app.use('/api/upload', uploadRoutes);
   app.use('/api/scores', scoreRoutes);
   app.use('/api/jobs', jobRoutes);
@@ -251,6 +309,12 @@ function startServer() {
   app.use('/api/resume', resumeRoutes);
   app.use('/api/announcements', announcementRoutes);
   app.use('/api/interviews', interviewRoutes);
+  app.use('/api/security', securityRoutes);
+  app.use('/api/audit', auditRoutes);
+  app.use('/api/api-keys', apiKeyRoutes);
+  app.use('/api/impersonation', impersonationRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/skills', skillRoutes);
 
   /* -------------------- 404 -------------------- */
   app.use((req, res) => {
@@ -259,6 +323,14 @@ function startServer() {
 
   /* -------------------- ERROR HANDLER -------------------- */
   app.use((err, req, res, next) => {
+    // Upload rejected by multer's limits (size, file count) or a file type filter
+    if (err instanceof multer.MulterError || err.code === 'INVALID_FILE_TYPE') {
+      const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Too many files or unexpected file field (${err.field})`
+        : err.message;
+      return res.status(400).json({ message });
+    }
+
     logger.error({ err, reqId: req.id }, 'Unhandled error');
 
     res.status(500).json({
@@ -274,6 +346,9 @@ function startServer() {
     logger.info(`Worker ${process.pid} running on port ${PORT}`);
   });
 
+  // Auto-submit assessment attempts whose time ran out while nobody was looking
+  startAssessmentSweeper();
+
   /* -------------------- GRACEFUL SHUTDOWN -------------------- */
   const shutdown = (signal) => {
     logger.info(`${signal} received by ${process.pid}. Shutting down...`);
@@ -0,0 +1,184 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+import supabase from '../config/db.js';
+import { hashToken, invalidateUserCache } from '../middleware/auth.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from './totp.js';
+
+const ISSUER = process.env.MFA_ISSUER || 'Naga Sai LMS';
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets are encrypted at rest so a database dump alone can't mint codes
+const encryptionKey = () => createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((p) => Buffer.from(p, 'base64'));
+  const decipher = createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Start enrollment: store a pending secret and return it with the otpauth URI.
+ * The secret only becomes active once confirmed with confirmTotpEnrollment.
+ */
+export const beginTotpEnrollment = async (admin) => {
+  const secret = generateTotpSecret();
+
+  const { error } = await supabase
+    .from('admins')
+    .update({ totp_pending_secret: encryptSecret(secret) })
+    .eq('id', admin.id);
+
+  if (error) throw error;
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: admin.email, issuer: ISSUER }),
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns fresh recovery codes, or null when there is no pending secret or the code is wrong.
+ */
+export const confirmTotpEnrollment = async (adminId, code) => {
+  const { data: admin, error } = await supabase
+    .from('admins')
+    .select('id, totp_pending_secret')
+    .eq('id', adminId)
+    .single();
+
+  if (error) throw error;
+  if (!admin.totp_pending_secret) return null;
+
+  const step = verifyTotp(decryptSecret(admin.totp_pending_secret), code);
+  if (step === null) return null;
+
+  const { error: updateErr } = await supabase
+    .from('admins')
+    .update({
+      totp_secret: admin.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_enabled_at: new Date().toISOString(),
+      totp_last_used_step: step,
+    })
+    .eq('id', adminId);
+
+  if (updateErr) throw updateErr;
+
+  invalidateUserCache('admin', adminId);
+  return regenerateRecoveryCodes(adminId);
+};
+
+/** Replace all recovery codes; returns the plaintext codes (shown to the admin once) */
+export const regenerateRecoveryCodes = async (adminId) => {
+  const { error: delErr } = await supabase
+    .from('admin_recovery_codes')
+    .delete()
+    .eq('admin_id', adminId);
+
+  if (delErr) throw delErr;
+
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const { error } = await supabase
+    .from('admin_recovery_codes')
+    .insert(codes.map((c) => ({ admin_id: adminId, code_hash: hashToken(normalizeRecoveryCode(c)) })));
+
+  if (error) throw error;
+  return codes;
+};
+
+/**
+ * Check a second-factor code for an admin with 2FA enabled.
+ * Accepts a 6-digit TOTP code (each time step only once) or an unused recovery code.
+ * Returns 'totp', 'recovery' or null.
+ */
+export const verifyAdminMfaCode = async (adminId, code) => {
+  const { data: admin, error } = await supabase
+    .from('admins')
+    .select('id, totp_secret, totp_enabled_at')
+    .eq('id', adminId)
+    .single();
+
+  if (error) throw error;
+  if (!admin.totp_enabled_at || !admin.totp_secret) return null;
+
+  const trimmed = code.trim();
+
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = verifyTotp(decryptSecret(admin.totp_secret), trimmed);
+    if (step === null) return null;
+
+    // Claim the time step atomically so an intercepted code can't be replayed
+    const { data: claimed, error: claimErr } = await supabase
+      .from('admins')
+      .update({ totp_last_used_step: step })
+      .eq('id', adminId)
+      .or(`totp_last_used_step.is.null,totp_last_used_step.lt.${step}`)
+      .select('id');
+
+    if (claimErr) throw claimErr;
+    return claimed && claimed.length > 0 ? 'totp' : null;
+  }
+
+  const { data: used, error: useErr } = await supabase
+    .from('admin_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('admin_id', adminId)
+    .eq('code_hash', hashToken(normalizeRecoveryCode(trimmed)))
+    .is('used_at', null)
+    .select('id');
+
+  if (useErr) throw useErr;
+  return used && used.length > 0 ? 'recovery' : null;
+};
+
+/** Turn 2FA off and delete recovery codes (self-service disable or owner reset) */
+export const disableAdminMfa = async (adminId) => {
+  const { error } = await supabase
+    .from('admins')
+    .update({
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_enabled_at: null,
+      totp_last_used_step: null,
+    })
+    .eq('id', adminId);
+
+  if (error) throw error;
+
+  const { error: delErr } = await supabase
+    .from('admin_recovery_codes')
+    .delete()
+    .eq('admin_id', adminId);
+
+  if (delErr) throw delErr;
+
+  invalidateUserCache('admin', adminId);
+};
+
+/** Number of recovery codes the admin has left */
+export const countRecoveryCodes = async (adminId) => {
+  const { count, error } = await supabase
+    .from('admin_recovery_codes')
+    .select('*', { count: 'exact', head: true })
+    .eq('admin_id', adminId)
+    .is('used_at', null);
+
+  if (error) throw error;
+  return count || 0;
+};
@@ -0,0 +1,79 @@
+import { createHash, randomBytes } from 'node:crypto';
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+
+const KEY_PREFIX = 'nsk';
+// last_used_at is informational — don't write it on every request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const hashKey = (rawKey) => createHash('sha256').update(rawKey).digest('hex');
+
+/** Prefix segment of a raw key (nsk_<prefix>_<secret>), or null when malformed */
+export const parseKeyPrefix = (rawKey) => {
+  const parts = String(rawKey || '').split('_');
+  if (parts.length !== 3 || parts[0] !== KEY_PREFIX || !parts[1] || !parts[2]) return null;
+  return parts[1];
+};
+
+/**
+ * Create a key. The raw key is only returned here — it cannot be recovered later.
+ * Returns { key, apiKey } where apiKey is the stored row.
+ */
+export const createApiKey = async ({ name, scopes, expiresAt = null, createdBy }) => {
+  const prefix = randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${randomBytes(32).toString('base64url')}`;
+
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .insert({
+      name,
+      key_prefix: prefix,
+      key_hash: hashKey(key),
+      scopes,
+      created_by: createdBy,
+      expires_at: expiresAt,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { key, apiKey };
+};
+
+/**
+ * Look up an active key by its raw value.
+ * Returns the row, or null when the key is unknown, revoked or expired.
+ */
+export const findActiveApiKey = async (rawKey) => {
+  if (!parseKeyPrefix(rawKey)) return null;
+
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('id, name, key_prefix, scopes, created_by, expires_at, last_used_at, revoked_at')
+    .eq('key_hash', hashKey(rawKey))
+    .maybeSingle();
+
+  if (error || !apiKey) return null;
+  if (apiKey.revoked_at) return null;
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) return null;
+
+  return apiKey;
+};
+
+/** Update last_used_at/last_used_ip at most once a minute. Never throws. */
+export const touchApiKey = async (apiKey, ip) => {
+  if (apiKey.last_used_at && Date.now() - new Date(apiKey.last_used_at).getTime() < LAST_USED_THROTTLE_MS) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString(), last_used_ip: ip || null })
+      .eq('id', apiKey.id);
+
+    if (error) throw error;
+  } catch (err) {
+    logger.error({ err, apiKeyId: apiKey.id }, 'Failed to update API key last use');
+  }
+};
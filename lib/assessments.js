@@ -0,0 +1,278 @@
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { gradePracticeAnswers } from './grading.js';
+import { mapQuestion } from './questions.js';
+import { generateQuizPaper, shuffle, shuffleQuestionOptions, toStudentPaper } from './quizGenerator.js';
+
+// Timed assessments. Timing is decided on the server only:
+//   deadline_at = min(started_at + duration, closes_at)   — on time until here
+//   expires_at  = deadline_at + late_minutes              — hard stop
+// Responses are autosaved on the attempt; when expires_at passes, whatever was
+// saved is graded (status auto_submitted) — lazily whenever the attempt is
+// touched, and by the sweeper for attempts nobody comes back to.
+
+export const ATTEMPT_TOKEN_HEADER = 'x-attempt-token';
+
+const SWEEP_INTERVAL = parseInt(process.env.ASSESSMENT_SWEEP_INTERVAL_MS) || 60_000;
+const SWEEP_BATCH = 100;
+
+export const mapAssessment = (a) => ({
+  _id: a.id,
+  title: a.title,
+  description: a.description,
+  courseId: a.course_id,
+  batchId: a.batch_id,
+  opensAt: a.opens_at,
+  closesAt: a.closes_at,
+  durationMinutes: a.duration_minutes,
+  maxAttempts: a.max_attempts,
+  passPercentage: parseFloat(a.pass_percentage),
+  rules: a.rules || [],
+  shuffleQuestions: a.shuffle_questions,
+  shuffleOptions: a.shuffle_options,
+  lateMinutes: a.late_minutes,
+  latePenaltyPercent: parseFloat(a.late_penalty_percent),
+  resultRelease: a.result_release,
+  resultsReleasedAt: a.results_released_at,
+  showCorrectAnswers: a.show_correct_answers,
+  isPublished: a.is_published,
+  createdBy: a.created_by,
+  createdAt: a.created_at,
+  updatedAt: a.updated_at,
+});
+
+/** 'upcoming' | 'open' | 'closed' */
+export const getWindowState = (assessment, now = new Date()) => {
+  if (assessment.opens_at && now < new Date(assessment.opens_at)) return 'upcoming';
+  if (assessment.closes_at && now >= new Date(assessment.closes_at)) return 'closed';
+  return 'open';
+};
+
+export const resultsReleased = (assessment, now = new Date()) => {
+  if (assessment.results_released_at) return true;
+  if (assessment.result_release === 'immediate') return true;
+  if (assessment.result_release === 'after_close') {
+    return !!assessment.closes_at && now >= new Date(assessment.closes_at);
+  }
+  return false;
+};
+
+/** Batches and courses a student is actively enrolled in */
+export const getStudentEnrollment = async (studentId) => {
+  const { data: enrollments, error } = await supabase
+    .from('student_batches')
+    .select('batch_id')
+    .eq('student_id', studentId)
+    .eq('is_active', true)
+    .in('payment_status', ['paid', 'free']);
+
+  if (error) throw error;
+
+  const batchIds = (enrollments || []).map((e) => e.batch_id);
+  if (batchIds.length === 0) return { batchIds, courseIds: [] };
+
+  const { data: links, error: linkErr } = await supabase
+    .from('batch_courses')
+    .select('course_id')
+    .in('batch_id', batchIds);
+
+  if (linkErr) throw linkErr;
+  return { batchIds, courseIds: [...new Set((links || []).map((l) => l.course_id))] };
+};
+
+/** Batch assessments are for that batch only; course assessments for every batch taking the course */
+export const isAssessmentForStudent = (assessment, enrollment) => (
+  assessment.batch_id
+    ? enrollment.batchIds.includes(assessment.batch_id)
+    : enrollment.courseIds.includes(assessment.course_id)
+);
+
+/** Fixed questions plus bank draws, shuffled as configured. Admin-shaped (answer key included). */
+export const buildAssessmentPaper = async (assessment) => {
+  const { data: rows, error } = await supabase
+    .from('assessment_questions')
+    .select('*')
+    .eq('assessment_id', assessment.id)
+    .order('sort_order');
+
+  if (error) throw error;
+
+  let questions = (rows || []).map((row) => ({ assessmentQuestionId: row.id, ...mapQuestion(row) }));
+
+  if ((assessment.rules || []).length > 0) {
+    const drawn = await generateQuizPaper({ rules: assessment.rules, shuffle_questions: false, shuffle_options: false });
+    questions = questions.concat(drawn.questions);
+  }
+
+  if (assessment.shuffle_questions) questions = shuffle(questions);
+  if (assessment.shuffle_options) questions = questions.map(shuffleQuestionOptions);
+  return questions;
+};
+
+/** { deadlineAt, expiresAt } for an attempt starting now (null when untimed) */
+export const getAttemptTimes = (assessment, startedAt = new Date()) => {
+  const limits = [];
+  if (assessment.duration_minutes) limits.push(startedAt.getTime() + assessment.duration_minutes * 60_000);
+  if (assessment.closes_at) limits.push(new Date(assessment.closes_at).getTime());
+  if (limits.length === 0) return { deadlineAt: null, expiresAt: null };
+
+  const deadline = Math.min(...limits);
+  return {
+    deadlineAt: new Date(deadline).toISOString(),
+    expiresAt: new Date(deadline + (assessment.late_minutes || 0) * 60_000).toISOString(),
+  };
+};
+
+export const isExpired = (attempt, now = new Date()) => (
+  attempt.status === 'in_progress' && !!attempt.expires_at && now >= new Date(attempt.expires_at)
+);
+
+/**
+ * Grade the saved responses and close the attempt. Auto submissions are
+ * timestamped at the hard stop (the sweeper may run a little later) and only
+ * count as late if something was saved after the deadline.
+ * Returns the updated row, or null if another request closed it first.
+ */
+export const finalizeAttempt = async (attempt, assessment, { auto = false } = {}) => {
+  const now = new Date();
+  const submittedAt = auto && attempt.expires_at && now > new Date(attempt.expires_at)
+    ? new Date(attempt.expires_at)
+    : now;
+
+  const deadline = attempt.deadline_at ? new Date(attempt.deadline_at) : null;
+  const lastActivity = auto ? (attempt.last_saved_at ? new Date(attempt.last_saved_at) : null) : submittedAt;
+  const isLate = !!deadline && !!lastActivity && lastActivity > deadline;
+
+  const answers = Object.entries(attempt.responses || {}).map(([index, response]) => ({
+    questionIndex: Number(index),
+    response,
+  }));
+  const graded = await gradePracticeAnswers(attempt.paper || [], answers);
+
+  const penalty = isLate ? parseFloat(assessment.late_penalty_percent) || 0 : 0;
+  const percentage = Math.max(0, Math.round((graded.percentage - penalty) * 100) / 100);
+
+  const { data, error } = await supabase
+    .from('assessment_attempts')
+    .update({
+      status: auto ? 'auto_submitted' : 'submitted',
+      responses: attempt.responses || {},
+      review: graded.answers,
+      score: graded.score,
+      total: graded.total,
+      raw_percentage: graded.percentage,
+      percentage,
+      passed: percentage >= parseFloat(assessment.pass_percentage),
+      is_late: isLate,
+      submitted_at: submittedAt.toISOString(),
+      time_taken_seconds: Math.max(0, Math.round((submittedAt - new Date(attempt.started_at)) / 1000)),
+    })
+    .eq('id', attempt.id)
+    .eq('status', 'in_progress')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/** Auto-submit the attempt if its time is up; returns the current row either way */
+export const closeIfExpired = async (attempt, assessment) => {
+  if (!isExpired(attempt)) return attempt;
+
+  const closed = await finalizeAttempt(attempt, assessment, { auto: true });
+  if (closed) return closed;
+
+  const { data, error } = await supabase
+    .from('assessment_attempts')
+    .select('*')
+    .eq('id', attempt.id)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/** Student view of an attempt: the paper while open, results only once released */
+export const mapAttemptForStudent = (attempt, assessment) => {
+  const view = {
+    _id: attempt.id,
+    assessmentId: attempt.assessment_id,
+    attemptNumber: attempt.attempt_number,
+    status: attempt.status,
+    startedAt: attempt.started_at,
+    deadlineAt: attempt.deadline_at,
+    expiresAt: attempt.expires_at,
+    submittedAt: attempt.submitted_at,
+    isLate: attempt.is_late,
+  };
+
+  if (attempt.status === 'in_progress') {
+    view.questions = toStudentPaper(attempt.paper || []);
+    view.responses = attempt.responses || {};
+    view.serverTime = new Date().toISOString();
+    view.remainingSeconds = attempt.deadline_at
+      ? Math.max(0, Math.floor((new Date(attempt.deadline_at) - Date.now()) / 1000))
+      : null;
+    return view;
+  }
+
+  view.timeTakenSeconds = attempt.time_taken_seconds;
+  view.resultsReleased = resultsReleased(assessment);
+  if (!view.resultsReleased) return view;
+
+  view.score = attempt.score;
+  view.total = attempt.total;
+  view.rawPercentage = parseFloat(attempt.raw_percentage);
+  view.percentage = parseFloat(attempt.percentage);
+  view.passed = attempt.passed;
+  view.review = (attempt.review || []).map((entry) => {
+    if (assessment.show_correct_answers) return entry;
+    const { correctAnswer, correctOption, explanation, ...rest } = entry;
+    return rest;
+  });
+  return view;
+};
+
+/** Auto-submit every open attempt past its hard stop */
+export const sweepExpiredAttempts = async () => {
+  const { data, error } = await supabase
+    .from('assessment_attempts')
+    .select('*, assessments(*)')
+    .eq('status', 'in_progress')
+    .lte('expires_at', new Date().toISOString())
+    .limit(SWEEP_BATCH);
+
+  if (error) throw error;
+
+  let closed = 0;
+  for (const { assessments: assessment, ...attempt } of data || []) {
+    try {
+      if (await finalizeAttempt(attempt, assessment, { auto: true })) closed++;
+    } catch (err) {
+      logger.error({ err, attemptId: attempt.id }, 'Failed to auto-submit assessment attempt');
+    }
+  }
+  return closed;
+};
+
+/** Periodic sweep in each worker; finalizeAttempt's status guard makes overlapping sweeps harmless */
+export const startAssessmentSweeper = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const closed = await sweepExpiredAttempts();
+      if (closed > 0) logger.info({ closed }, 'Auto-submitted expired assessment attempts');
+    } catch (err) {
+      logger.error({ err }, 'Assessment sweep failed');
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
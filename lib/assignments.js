@@ -0,0 +1,140 @@
+import { randomUUID } from 'node:crypto';
+import supabase from '../config/db.js';
+import { createSignedUrls } from './storage.js';
+
+// Mentor-graded assignments. Students may resubmit until graded work is
+// released; every version is kept. A grade scores the rubric criterion by
+// criterion and points at the submission version it was given for.
+
+export const mapAssignment = (a) => ({
+  _id: a.id,
+  title: a.title,
+  description: a.description,
+  topicId: a.topic_id,
+  batchId: a.batch_id,
+  dueAt: a.due_at,
+  allowLate: a.allow_late,
+  submissionTypes: a.submission_types || [],
+  maxFiles: a.max_files,
+  rubric: a.rubric || [],
+  maxScore: parseFloat(a.max_score),
+  isPublished: a.is_published,
+  createdBy: a.created_by,
+  createdAt: a.created_at,
+  updatedAt: a.updated_at,
+});
+
+export const mapSubmission = (s) => ({
+  _id: s.id,
+  assignmentId: s.assignment_id,
+  studentId: s.student_id,
+  version: s.version,
+  files: s.files || [],
+  repoUrl: s.repo_url,
+  text: s.text,
+  isLate: s.is_late,
+  submittedAt: s.submitted_at,
+});
+
+/**
+ * Submission files are kept in the private bucket by object path; swap each
+ * path for a short-lived signed URL before mapped submissions leave the API.
+ * Files from before the private bucket still carry their stored url.
+ */
+export const withSignedFiles = async (submissions) => {
+  const urls = await createSignedUrls(submissions.flatMap((s) => s.files.filter((f) => f.path).map((f) => f.path)));
+
+  return submissions.map((s) => ({
+    ...s,
+    files: s.files.map(({ path, ...file }) => (path ? { ...file, url: urls.get(path) || null } : file)),
+  }));
+};
+
+export const gradePercentage = (g) => {
+  const max = parseFloat(g.max_score);
+  return max > 0 ? Math.round((parseFloat(g.total_score) / max) * 100 * 100) / 100 : 0;
+};
+
+export const mapGrade = (g) => ({
+  _id: g.id,
+  assignmentId: g.assignment_id,
+  studentId: g.student_id,
+  submissionId: g.submission_id,
+  scores: g.scores || [],
+  totalScore: parseFloat(g.total_score),
+  maxScore: parseFloat(g.max_score),
+  percentage: gradePercentage(g),
+  feedback: g.feedback,
+  gradedBy: g.graded_by,
+  gradedAt: g.graded_at,
+  releasedAt: g.released_at,
+});
+
+/** Give new criteria an id and return { rubric, maxScore } */
+export const normalizeRubric = (rubric) => {
+  const normalized = rubric.map((c) => ({
+    id: c.id || randomUUID().slice(0, 8),
+    title: c.title,
+    description: c.description || '',
+    maxPoints: c.maxPoints,
+  }));
+  const maxScore = normalized.reduce((sum, c) => sum + c.maxPoints, 0);
+  return { rubric: normalized, maxScore: Math.round(maxScore * 100) / 100 };
+};
+
+/**
+ * Check rubric scores against the assignment's rubric.
+ * Returns { scores, totalScore } or { error }.
+ */
+export const scoreRubric = (rubric, scores) => {
+  const criteria = new Map(rubric.map((c) => [c.id, c]));
+  const seen = new Set();
+
+  for (const s of scores) {
+    const criterion = criteria.get(s.criterionId);
+    if (!criterion) return { error: `Unknown rubric criterion: ${s.criterionId}` };
+    if (seen.has(s.criterionId)) return { error: `Criterion ${s.criterionId} is scored twice` };
+    if (s.points > criterion.maxPoints) {
+      return { error: `${criterion.title}: at most ${criterion.maxPoints} points` };
+    }
+    seen.add(s.criterionId);
+  }
+
+  const missing = rubric.filter((c) => !seen.has(c.id));
+  if (missing.length > 0) return { error: `Score every criterion (missing: ${missing.map((c) => c.title).join(', ')})` };
+
+  const ordered = rubric.map((c) => scores.find((s) => s.criterionId === c.id));
+  const totalScore = Math.round(ordered.reduce((sum, s) => sum + s.points, 0) * 100) / 100;
+  return { scores: ordered, totalScore };
+};
+
+/**
+ * Published assignments that apply to the given batches: their own, plus
+ * topic assignments (not tied to a batch) for the courses they take.
+ */
+export const getAssignmentsFor = async ({ batchIds, courseIds }) => {
+  if (batchIds.length === 0) return [];
+  const filters = [`batch_id.in.(${batchIds.join(',')})`];
+
+  if (courseIds.length > 0) {
+    const { data: topics, error: topicErr } = await supabase
+      .from('topics')
+      .select('id')
+      .in('course_id', courseIds);
+
+    if (topicErr) throw topicErr;
+    if ((topics || []).length > 0) {
+      filters.push(`and(batch_id.is.null,topic_id.in.(${topics.map((t) => t.id).join(',')}))`);
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('assignments')
+    .select('*')
+    .eq('is_published', true)
+    .or(filters.join(','))
+    .order('due_at', { ascending: true, nullsFirst: false });
+
+  if (error) throw error;
+  return data || [];
+};
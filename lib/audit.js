@@ -0,0 +1,77 @@
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+
+// Bookkeeping columns that change on every write and would only add noise to diffs
+const IGNORED_DIFF_KEYS = new Set(['updated_at']);
+
+/**
+ * Field-level diff between two snapshots: { field: { from, to } }.
+ * Returns null when either side is missing (create/delete) or nothing changed.
+ */
+export const diffSnapshots = (before, after) => {
+  if (!before || !after) return null;
+
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    if (IGNORED_DIFF_KEYS.has(key)) continue;
+    const from = before[key] ?? null;
+    const to = after[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Load a row to use as a before-snapshot. Never throws — auditing must not
+ * block the change it describes.
+ */
+export const getAuditSnapshot = async (table, id, column = 'id') => {
+  try {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq(column, id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (err) {
+    logger.error({ err, table, id }, 'Failed to load audit snapshot');
+    return null;
+  }
+};
+
+/**
+ * Record an admin action. Requests made with an impersonation token are
+ * attributed to the impersonating admin, API key requests to the key.
+ * Usage: await recordAudit(req, { action: 'course.update', entityType: 'course', entityId: id, before, after })
+ * Never throws — a failed write is logged instead.
+ */
+export const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null, metadata = {} }) => {
+  try {
+    const { error } = await supabase.from('audit_log').insert({
+      actor_id: req.apiKey?.id || req.admin?.id || req.impersonation?.adminId || null,
+      actor_type: req.apiKey ? 'api_key' : 'admin',
+      actor_email: req.admin?.email || req.impersonation?.adminEmail || null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId !== null && entityId !== undefined ? String(entityId) : null,
+      before,
+      after,
+      changes: diffSnapshots(before, after),
+      metadata,
+      request_id: req.id ? String(req.id) : null,
+      ip_address: req.ip || null,
+      user_agent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+    });
+
+    if (error) throw error;
+  } catch (err) {
+    logger.error({ err, action, entityType, entityId, reqId: req.id }, 'Failed to record audit entry');
+  }
+};
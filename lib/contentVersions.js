@@ -0,0 +1,286 @@
+import supabase from '../config/db.js';
+import { toQuestionRow, mapQuestion } from './questions.js';
+
+// Drafts and version history for topics and course metadata. Content is kept
+// in API shape (the same fields the update endpoints take), so a draft, a
+// version snapshot and the live rows can be compared field by field.
+//
+// Publishing writes the content to the live rows and snapshots it as the next
+// version; rolling back publishes an old snapshot again as a new version, so
+// history only ever grows.
+
+/** coding_practices row → API shape */
+export const mapCodingPractice = (cp) => (cp ? {
+  language: cp.language,
+  title: cp.title,
+  description: cp.description,
+  referenceImage: cp.reference_image,
+  imageLinks: cp.image_links,
+  starterCode: cp.starter_code,
+  expectedOutput: cp.expected_output,
+  hints: cp.hints,
+  testScript: cp.test_script || '',
+  testCases: cp.test_cases || [],
+  difficulty: cp.difficulty || 'easy',
+  maxScore: cp.max_score || 100,
+  skillIds: cp.skill_ids || [],
+} : null);
+
+const loadTopicContent = async (topicId) => {
+  const { data: topic, error } = await supabase
+    .from('topics')
+    .select('id, title, video_url, pdf_url, published_version')
+    .eq('id', topicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!topic) return null;
+
+  const [pRes, cRes] = await Promise.all([
+    supabase.from('practice_questions').select('*').eq('topic_id', topicId).order('sort_order'),
+    supabase.from('coding_practices').select('*').eq('topic_id', topicId).maybeSingle(),
+  ]);
+
+  if (pRes.error) throw pRes.error;
+  if (cRes.error) throw cRes.error;
+
+  return {
+    publishedVersion: topic.published_version,
+    content: {
+      title: topic.title,
+      videoUrl: topic.video_url,
+      pdfUrl: topic.pdf_url,
+      practice: (pRes.data || []).map((pq) => mapQuestion(pq)),
+      codingPractice: mapCodingPractice(cRes.data),
+    },
+  };
+};
+
+// Live-row arguments for publish_topic_version (see write_topic_content)
+const topicLiveFields = (content) => {
+  const cp = content.codingPractice;
+
+  return {
+    topic_fields: {
+      title: content.title,
+      video_url: content.videoUrl || '',
+      pdf_url: content.pdfUrl || '',
+    },
+    questions: (content.practice || []).map((q, idx) => ({ ...toQuestionRow(q), sort_order: idx })),
+    coding_practice: cp?.title ? {
+      language: cp.language || 'javascript',
+      title: cp.title,
+      description: cp.description || '',
+      reference_image: cp.referenceImage || '',
+      image_links: cp.imageLinks || [],
+      starter_code: cp.starterCode || '',
+      expected_output: cp.expectedOutput || '',
+      hints: cp.hints || [],
+      test_script: cp.testScript || '',
+      test_cases: cp.testCases || [],
+      difficulty: cp.difficulty || 'easy',
+      max_score: cp.maxScore || 100,
+      skill_ids: cp.skillIds || [],
+    } : null,
+  };
+};
+
+const loadCourseContent = async (courseId) => {
+  const { data: course, error } = await supabase
+    .from('courses')
+    .select('id, name, description, icon, color, published_version')
+    .eq('id', courseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!course) return null;
+
+  return {
+    publishedVersion: course.published_version,
+    content: {
+      name: course.name,
+      description: course.description,
+      icon: course.icon,
+      color: course.color,
+    },
+  };
+};
+
+// Live-row arguments for publish_course_version
+const courseLiveFields = (content) => ({
+  course_fields: {
+    name: content.name,
+    description: content.description || '',
+    icon: content.icon,
+    color: content.color,
+  },
+});
+
+const KINDS = {
+  topic: { drafts: 'topic_drafts', versions: 'topic_versions', key: 'topic_id', publish: 'publish_topic_version', target: 'target_topic_id', load: loadTopicContent, liveFields: topicLiveFields },
+  course: { drafts: 'course_drafts', versions: 'course_versions', key: 'course_id', publish: 'publish_course_version', target: 'target_course_id', load: loadCourseContent, liveFields: courseLiveFields },
+};
+
+export const mapVersion = (v, { includeContent = true } = {}) => {
+  const version = {
+    _id: v.id,
+    version: v.version,
+    note: v.note,
+    publishedBy: v.published_by,
+    publishedAt: v.published_at,
+  };
+  if (includeContent) version.content = v.content;
+  return version;
+};
+
+/** Live content: { publishedVersion, content } or null if the entity does not exist */
+export const getLiveContent = (kind, id) => KINDS[kind].load(id);
+
+/** The draft row, or null if there is none */
+export const getDraft = async (kind, id) => {
+  const { drafts, key } = KINDS[kind];
+  const { data, error } = await supabase
+    .from(drafts)
+    .select('*')
+    .eq(key, id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/** Merge changes into the draft (started from the live content if there is none) */
+export const saveDraft = async (kind, id, changes, adminId) => {
+  const { drafts, key } = KINDS[kind];
+  const existing = await getDraft(kind, id);
+  const base = existing ? existing.content : (await KINDS[kind].load(id)).content;
+
+  const { data, error } = await supabase
+    .from(drafts)
+    .upsert({ [key]: id, content: { ...base, ...changes }, updated_by: adminId }, { onConflict: key })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Delete the draft. With updatedAt, only a draft still at that revision is
+ * deleted — so one saved while a publish was running survives it.
+ */
+export const discardDraft = async (kind, id, { updatedAt } = {}) => {
+  const { drafts, key } = KINDS[kind];
+  let query = supabase
+    .from(drafts)
+    .delete()
+    .eq(key, id);
+
+  if (updatedAt) query = query.eq('updated_at', updatedAt);
+
+  const { data, error } = await query
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+export const listVersions = async (kind, id) => {
+  const { versions, key } = KINDS[kind];
+  const { data, error } = await supabase
+    .from(versions)
+    .select('id, version, note, published_by, published_at')
+    .eq(key, id)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/** A version row by number (a raw route param is fine), or null when there is no such version */
+export const getVersion = async (kind, id, version) => {
+  const number = Number(version);
+  if (!Number.isInteger(number) || number < 1) return null;
+
+  const { versions, key } = KINDS[kind];
+  const { data, error } = await supabase
+    .from(versions)
+    .select('*')
+    .eq(key, id)
+    .eq('version', number)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Append the next version row. The database function locks the entity row,
+// allocates the number, applies liveFields (if any) and inserts the version in
+// one transaction, so concurrent publishes cannot claim the same number.
+const recordVersion = async (kind, id, content, { adminId, note }, liveFields = {}) => {
+  const { publish, target } = KINDS[kind];
+
+  const { data, error } = await supabase.rpc(publish, {
+    [target]: id,
+    version_content: content,
+    version_note: note,
+    published_by: adminId || null,
+    ...liveFields,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Write content to the live rows and snapshot it as the next version.
+ * Returns the new version row.
+ */
+export const publishContent = (kind, id, content, { adminId, note = '' } = {}) => (
+  recordVersion(kind, id, content, { adminId, note }, KINDS[kind].liveFields(content))
+);
+
+/**
+ * Snapshot whatever is live now as the next version — for edits made straight
+ * to the live rows (create/update endpoints) so history and graded versions
+ * stay in step. Returns the new version row.
+ */
+export const snapshotLive = async (kind, id, { adminId, note = '' } = {}) => {
+  const live = await KINDS[kind].load(id);
+  if (!live) return null;
+
+  return recordVersion(kind, id, live.content, { adminId, note });
+};
+
+/** Content for a diff side: 'live', 'draft' or a version number. null if there is nothing there. */
+export const resolveContent = async (kind, id, ref) => {
+  if (ref === 'live') return (await KINDS[kind].load(id))?.content ?? null;
+  if (ref === 'draft') return (await getDraft(kind, id))?.content ?? null;
+
+  return (await getVersion(kind, id, ref))?.content ?? null;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Field-level differences between two content objects:
+ * [{ path: 'practice[2].answer', before, after }]. Arrays are compared index by index.
+ */
+export const diffContent = (before, after, path = '') => {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? [...Array(Math.max(before.length, after.length)).keys()]
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return keys.flatMap((k) => diffContent(
+      before[k] ?? null,
+      after[k] ?? null,
+      Array.isArray(before) ? `${path}[${k}]` : (path ? `${path}.${k}` : k)
+    ));
+  }
+
+  return [{ path, before: before ?? null, after: after ?? null }];
+};
@@ -0,0 +1,355 @@
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { mapQuestion } from './questions.js';
+import { mapCodingPractice, publishContent, snapshotLive } from './contentVersions.js';
+
+// Portable course packages, for running one curriculum on several
+// deployments. A package is plain JSON: course metadata, modules, topics with
+// their practice questions and coding practice (test cases and test script
+// included), and prerequisites. Entries point at each other through `ref`s
+// (the exporting deployment's ids); import creates everything with fresh ids.
+// Skill tags point at the package's `skills` list and are matched to this
+// deployment's skills by name; tags with no matching skill are dropped.
+// Video/PDF links are carried over as they are.
+
+export const COURSE_PACKAGE_FORMAT = 'nagasai-course';
+export const COURSE_PACKAGE_VERSION = 1;
+
+/** Everything needed to recreate the course elsewhere, or null if it does not exist */
+export const buildCoursePackage = async (courseId) => {
+  const { data: course, error } = await supabase
+    .from('courses')
+    .select('*')
+    .eq('id', courseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!course) return null;
+
+  const [modulesRes, topicsRes] = await Promise.all([
+    supabase.from('course_modules').select('*').eq('course_id', courseId).order('sort_order'),
+    supabase.from('topics').select('*').eq('course_id', courseId).order('sort_order'),
+  ]);
+
+  if (modulesRes.error) throw modulesRes.error;
+  if (topicsRes.error) throw topicsRes.error;
+
+  const topics = topicsRes.data || [];
+  const topicIds = topics.map((t) => t.id);
+
+  const [practiceRes, codingRes, prereqRes] = topicIds.length > 0
+    ? await Promise.all([
+      supabase.from('practice_questions').select('*').in('topic_id', topicIds).order('sort_order'),
+      supabase.from('coding_practices').select('*').in('topic_id', topicIds),
+      supabase.from('topic_prerequisites').select('*').in('topic_id', topicIds),
+    ])
+    : [{ data: [] }, { data: [] }, { data: [] }];
+
+  for (const r of [practiceRes, codingRes, prereqRes]) {
+    if (r.error) throw r.error;
+  }
+
+  const practiceByTopic = {};
+  for (const pq of practiceRes.data || []) {
+    if (!practiceByTopic[pq.topic_id]) practiceByTopic[pq.topic_id] = [];
+    practiceByTopic[pq.topic_id].push(mapQuestion(pq));
+  }
+  const codingByTopic = new Map((codingRes.data || []).map((cp) => [cp.topic_id, mapCodingPractice(cp)]));
+
+  const skillIds = [...new Set([
+    ...(course.skill_ids || []),
+    ...topics.flatMap((t) => t.skill_ids || []),
+    ...(practiceRes.data || []).flatMap((pq) => pq.skill_ids || []),
+    ...(codingRes.data || []).flatMap((cp) => cp.skill_ids || []),
+  ])];
+
+  const { data: skills, error: skillErr } = skillIds.length > 0
+    ? await supabase.from('skills').select('id, name, category').in('id', skillIds)
+    : { data: [], error: null };
+
+  if (skillErr) throw skillErr;
+
+  return {
+    format: COURSE_PACKAGE_FORMAT,
+    version: COURSE_PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    course: {
+      name: course.name,
+      description: course.description,
+      icon: course.icon,
+      color: course.color,
+      skillIds: course.skill_ids || [],
+    },
+    skills: (skills || []).map((sk) => ({ ref: sk.id, name: sk.name, category: sk.category })),
+    modules: (modulesRes.data || []).map((m) => ({
+      ref: m.id,
+      title: m.title,
+      description: m.description,
+      order: m.sort_order,
+      isPublished: m.is_published,
+    })),
+    topics: topics.map((t) => ({
+      ref: t.id,
+      moduleRef: t.module_id,
+      title: t.title,
+      order: t.sort_order,
+      videoUrl: t.video_url,
+      pdfUrl: t.pdf_url,
+      isPublished: t.is_published,
+      skillIds: t.skill_ids || [],
+      practice: practiceByTopic[t.id] || [],
+      codingPractice: codingByTopic.get(t.id) || null,
+    })),
+    prerequisites: (prereqRes.data || []).map((p) => ({
+      topicRef: p.topic_id,
+      requiredTopicRef: p.required_topic_id,
+      kind: p.kind,
+      minPercentage: parseFloat(p.min_percentage),
+    })),
+  };
+};
+
+// Package skill ref → id of this deployment's skill with the same name
+const matchPackageSkills = async (pkg) => {
+  const matched = new Map();
+  if (pkg.skills.length === 0) return matched;
+
+  const { data, error } = await supabase
+    .from('skills')
+    .select('id, name');
+
+  if (error) throw error;
+
+  const byName = new Map((data || []).map((sk) => [sk.name.toLowerCase(), sk.id]));
+  for (const sk of pkg.skills) {
+    if (byName.has(sk.name.toLowerCase())) matched.set(sk.ref, byName.get(sk.name.toLowerCase()));
+  }
+  return matched;
+};
+
+const findDuplicates = (values) => [...new Set(values.filter((v, i) => values.indexOf(v) !== i))];
+
+// True if the package's prerequisites loop back on themselves
+const hasPrerequisiteCycle = (prerequisites) => {
+  const requires = {};
+  for (const p of prerequisites) {
+    if (!requires[p.topicRef]) requires[p.topicRef] = [];
+    requires[p.topicRef].push(p.requiredTopicRef);
+  }
+
+  const state = {}; // 1 = on the current path, 2 = done
+  const visit = (ref) => {
+    if (state[ref] === 1) return true;
+    if (state[ref] === 2) return false;
+    state[ref] = 1;
+    const looped = (requires[ref] || []).some(visit);
+    state[ref] = 2;
+    return looped;
+  };
+  return Object.keys(requires).some(visit);
+};
+
+/**
+ * Check a (schema-valid) package before importing it.
+ * Returns { name, conflicts: [{ type, message }], summary }; import only when conflicts is empty.
+ */
+export const checkCoursePackage = async (pkg, { name } = {}) => {
+  const conflicts = [];
+  const courseName = name || pkg.course.name;
+
+  if (pkg.format !== COURSE_PACKAGE_FORMAT) {
+    conflicts.push({ type: 'format', message: `Not a course package (format "${pkg.format}")` });
+  }
+  if (pkg.version > COURSE_PACKAGE_VERSION) {
+    conflicts.push({
+      type: 'version',
+      message: `Package version ${pkg.version} is newer than this server supports (${COURSE_PACKAGE_VERSION})`,
+    });
+  }
+
+  const { data: existing, error } = await supabase
+    .from('courses')
+    .select('id')
+    .ilike('name', courseName.replace(/[\\%_]/g, '\\$&'))
+    .limit(1);
+
+  if (error) throw error;
+  if ((existing || []).length > 0) {
+    conflicts.push({
+      type: 'course_name',
+      message: `A course named "${courseName}" already exists; import it under another name`,
+      courseId: existing[0].id,
+    });
+  }
+
+  const moduleRefs = new Set(pkg.modules.map((m) => m.ref));
+  const topicRefs = new Set(pkg.topics.map((t) => t.ref));
+
+  for (const ref of findDuplicates(pkg.modules.map((m) => m.ref))) {
+    conflicts.push({ type: 'duplicate_ref', message: `Module ref "${ref}" is used more than once` });
+  }
+  for (const ref of findDuplicates(pkg.topics.map((t) => t.ref))) {
+    conflicts.push({ type: 'duplicate_ref', message: `Topic ref "${ref}" is used more than once` });
+  }
+  for (const t of pkg.topics) {
+    if (t.moduleRef && !moduleRefs.has(t.moduleRef)) {
+      conflicts.push({ type: 'unknown_module', message: `Topic "${t.title}" points at unknown module "${t.moduleRef}"` });
+    }
+  }
+  for (const p of pkg.prerequisites) {
+    if (!topicRefs.has(p.topicRef) || !topicRefs.has(p.requiredTopicRef)) {
+      conflicts.push({ type: 'unknown_topic', message: `Prerequisite ${p.requiredTopicRef} → ${p.topicRef} points at an unknown topic` });
+    } else if (p.topicRef === p.requiredTopicRef) {
+      conflicts.push({ type: 'prerequisite_cycle', message: `Topic "${p.topicRef}" is its own prerequisite` });
+    }
+  }
+  for (const key of findDuplicates(pkg.prerequisites.map((p) => `${p.requiredTopicRef} → ${p.topicRef} (${p.kind})`))) {
+    conflicts.push({ type: 'duplicate_prerequisite', message: `Prerequisite ${key} is listed more than once` });
+  }
+  if (hasPrerequisiteCycle(pkg.prerequisites)) {
+    conflicts.push({ type: 'prerequisite_cycle', message: 'The prerequisites form a cycle' });
+  }
+
+  const matchedSkills = await matchPackageSkills(pkg);
+
+  return {
+    name: courseName,
+    conflicts,
+    // Not conflicts: tags on these skills are dropped unless the skills are created first
+    unmatchedSkills: pkg.skills.filter((sk) => !matchedSkills.has(sk.ref)).map((sk) => sk.name),
+    summary: {
+      modules: pkg.modules.length,
+      topics: pkg.topics.length,
+      practiceQuestions: pkg.topics.reduce((sum, t) => sum + t.practice.length, 0),
+      codingPractices: pkg.topics.filter((t) => t.codingPractice?.title).length,
+      prerequisites: pkg.prerequisites.length,
+      skills: pkg.skills.length,
+    },
+  };
+};
+
+/**
+ * Narrow a package to some of its topics, keeping the modules they sit in and
+ * the prerequisites between them. Returns { pkg, droppedPrerequisites }.
+ */
+export const pickPackageTopics = (pkg, topicRefs) => {
+  const keep = new Set(topicRefs);
+  const topics = pkg.topics.filter((t) => keep.has(t.ref));
+  const moduleRefs = new Set(topics.map((t) => t.moduleRef).filter(Boolean));
+  const prerequisites = pkg.prerequisites.filter((p) => keep.has(p.topicRef) && keep.has(p.requiredTopicRef));
+
+  return {
+    pkg: {
+      ...pkg,
+      modules: pkg.modules.filter((m) => moduleRefs.has(m.ref)),
+      topics,
+      prerequisites,
+    },
+    droppedPrerequisites: pkg.prerequisites.filter((p) => keep.has(p.topicRef)).length - prerequisites.length,
+  };
+};
+
+/**
+ * Create the course from a checked package. The course is created unpublished
+ * so it can be reviewed first; if anything fails the partial course is removed.
+ * Returns { course, topicIds } — topicIds maps package refs to the new topic ids.
+ */
+export const importCoursePackage = async (pkg, { name, adminId, sourceCourseId = null, note = 'Imported' }) => {
+  const matchedSkills = await matchPackageSkills(pkg);
+  const localSkills = (refs) => [...new Set((refs || []).map((ref) => matchedSkills.get(ref)).filter(Boolean))];
+
+  const { data: last } = await supabase
+    .from('courses')
+    .select('sort_order')
+    .order('sort_order', { ascending: false })
+    .limit(1);
+
+  const { data: course, error } = await supabase
+    .from('courses')
+    .insert({
+      name,
+      description: pkg.course.description || '',
+      icon: pkg.course.icon || 'FaBook',
+      color: pkg.course.color || '#e94560',
+      sort_order: last && last.length > 0 ? last[0].sort_order + 1 : 0,
+      is_published: false,
+      skill_ids: localSkills(pkg.course.skillIds),
+      source_course_id: sourceCourseId,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const topicIds = {};
+  try {
+    await snapshotLive('course', course.id, { adminId, note });
+
+    const moduleIds = {};
+    for (const m of pkg.modules) {
+      const { data: mod, error: modErr } = await supabase
+        .from('course_modules')
+        .insert({
+          course_id: course.id,
+          title: m.title,
+          description: m.description,
+          sort_order: m.order,
+          is_published: m.isPublished,
+        })
+        .select('id')
+        .single();
+
+      if (modErr) throw modErr;
+      moduleIds[m.ref] = mod.id;
+    }
+
+    for (const t of pkg.topics) {
+      const { data: topic, error: topicErr } = await supabase
+        .from('topics')
+        .insert({
+          course_id: course.id,
+          module_id: t.moduleRef ? moduleIds[t.moduleRef] : null,
+          title: t.title,
+          sort_order: t.order,
+          video_url: t.videoUrl,
+          pdf_url: t.pdfUrl,
+          is_published: t.isPublished,
+          skill_ids: localSkills(t.skillIds),
+        })
+        .select('id')
+        .single();
+
+      if (topicErr) throw topicErr;
+      topicIds[t.ref] = topic.id;
+
+      // Writes the practice questions and coding practice, and starts the version history
+      await publishContent('topic', topic.id, {
+        title: t.title,
+        videoUrl: t.videoUrl,
+        pdfUrl: t.pdfUrl,
+        practice: t.practice.map((q) => ({ ...q, skillIds: localSkills(q.skillIds) })),
+        codingPractice: t.codingPractice && { ...t.codingPractice, skillIds: localSkills(t.codingPractice.skillIds) },
+      }, { adminId, note });
+    }
+
+    if (pkg.prerequisites.length > 0) {
+      const { error: preErr } = await supabase
+        .from('topic_prerequisites')
+        .insert(pkg.prerequisites.map((p) => ({
+          topic_id: topicIds[p.topicRef],
+          required_topic_id: topicIds[p.requiredTopicRef],
+          kind: p.kind,
+          min_percentage: p.kind === 'practice' ? p.minPercentage : 0,
+          created_by: adminId,
+        })));
+
+      if (preErr) throw preErr;
+    }
+  } catch (err) {
+    const { error: cleanupErr } = await supabase.from('courses').delete().eq('id', course.id);
+    if (cleanupErr) logger.error({ err: cleanupErr, courseId: course.id }, 'Failed to remove partially imported course');
+    throw err;
+  }
+
+  return { course, topicIds };
+};
@@ -0,0 +1,99 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF, BOM).
+
+// Rows as { values, line }, line being the 1-based line the row starts on
+// (quoted fields may span lines). Blank lines are dropped after numbering.
+const tokenizeCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ values: row, line: rowLine });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ values: row, line: rowLine });
+  }
+
+  return rows.filter((r) => r.values.some((v) => v.trim() !== ''));
+};
+
+/** Parse CSV text into an array of rows (arrays of strings), skipping blank lines */
+export const parseCsvRows = (text) => tokenizeCsv(text).map((r) => r.values);
+
+/**
+ * Parse CSV with a header row into objects.
+ * Header names are normalised with `normalizeHeader` (default: lowercase, alphanumerics only).
+ * Returns { headers, records }; each record carries the line it starts on in the file as `_row`
+ * (counting blank lines and line breaks inside quoted fields).
+ */
+export const parseCsv = (text, { normalizeHeader = (h) => h.toLowerCase().replace(/[^a-z0-9]/g, '') } = {}) => {
+  const [headerRow, ...dataRows] = tokenizeCsv(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.values.map((h) => normalizeHeader(h.trim()));
+
+  const records = dataRows.map(({ values, line }) => {
+    const record = { _row: line };
+    headers.forEach((h, col) => {
+      if (h) record[h] = (values[col] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  // Stop spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/** Serialise objects to CSV. `columns` is a list of { key, label }. */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map((c) => escapeCsvValue(c.label)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCsvValue(row[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
@@ -0,0 +1,80 @@
+import { randomBytes } from 'node:crypto';
+import supabase from '../config/db.js';
+import { hashToken, invalidateUserCache } from '../middleware/auth.js';
+import { sendMail, escapeHtml } from './mailer.js';
+
+const VERIFICATION_TOKEN_TTL = 48 * 60 * 60 * 1000; // 48 hours
+
+const STUDENT_APP_URL = process.env.STUDENT_APP_URL || 'http://localhost:5173';
+
+/**
+ * Issue a fresh verification token for the student and mail the link.
+ * Earlier unused tokens stop working.
+ */
+export const sendVerificationEmail = async (student) => {
+  const now = new Date().toISOString();
+
+  await supabase
+    .from('email_verification_tokens')
+    .update({ used_at: now })
+    .eq('student_id', student.id)
+    .is('used_at', null);
+
+  const token = randomBytes(32).toString('hex');
+
+  const { error } = await supabase.from('email_verification_tokens').insert({
+    student_id: student.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + VERIFICATION_TOKEN_TTL).toISOString(),
+  });
+
+  if (error) throw error;
+
+  const link = `${STUDENT_APP_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: student.email,
+    subject: 'Verify your email address',
+    text: `Hi ${student.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 48 hours.`,
+    html: `<p>Hi ${escapeHtml(student.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>This link expires in 48 hours.</p>`,
+  });
+};
+
+/**
+ * Consume a verification token. Returns the student id, or null when the
+ * token is invalid, expired or already used.
+ */
+export const verifyEmailToken = async (token) => {
+  const { data: stored, error } = await supabase
+    .from('email_verification_tokens')
+    .select('id, student_id, expires_at')
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!stored || new Date(stored.expires_at) < new Date()) return null;
+
+  const now = new Date().toISOString();
+
+  const { data: claimed, error: claimErr } = await supabase
+    .from('email_verification_tokens')
+    .update({ used_at: now })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (claimErr) throw claimErr;
+  if (!claimed || claimed.length === 0) return null;
+
+  const { error: updateErr } = await supabase
+    .from('students')
+    .update({ email_verified_at: now })
+    .eq('id', stored.student_id)
+    .is('email_verified_at', null);
+
+  if (updateErr) throw updateErr;
+
+  invalidateUserCache('student', stored.student_id);
+  return stored.student_id;
+};
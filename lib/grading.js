@@ -0,0 +1,69 @@
+import supabase from '../config/db.js';
+import { gradeQuestion, correctResponse } from './questions.js';
+
+// Server-side grading for topic practice. Clients only send what the student
+// answered; correctness always comes from the stored answer key.
+
+export const PASS_PERCENTAGE = 80;
+
+/**
+ * Grade submitted answers against the topic's questions (admin-shaped, see
+ * mapQuestion, ordered by sort_order).
+ * `answers` is [{ questionIndex, response }] — `selectedOption` is still
+ * accepted for MCQ. Unanswered questions count as wrong.
+ * Resolves to { score, total, percentage, passed, answers } where `answers` is the
+ * per-question review stored on the attempt.
+ */
+export const gradePracticeAnswers = async (questions, answers) => {
+  const responseByIndex = new Map();
+  for (const a of answers) {
+    const response = a.response !== undefined ? a.response : a.selectedOption;
+    // First answer wins if the client sends the same question twice
+    if (!responseByIndex.has(a.questionIndex)) responseByIndex.set(a.questionIndex, response ?? null);
+  }
+
+  const review = await Promise.all(questions.map(async (q, index) => {
+    const response = responseByIndex.has(index) ? responseByIndex.get(index) : null;
+    const entry = {
+      questionIndex: index,
+      type: q.type,
+      question: q.question,
+      response,
+      correctAnswer: correctResponse(q),
+      isCorrect: await gradeQuestion(q, response),
+      explanation: q.explanation || '',
+    };
+    if (q.options) entry.options = q.options;
+    if (q.type === 'code_output') {
+      entry.code = q.code;
+      entry.language = q.language;
+    }
+    // Field names older review screens read
+    if (q.type === 'mcq') {
+      entry.selectedOption = response;
+      entry.correctOption = q.answer;
+    }
+    return entry;
+  }));
+
+  const total = review.length;
+  const score = review.filter((r) => r.isCorrect).length;
+  const percentage = total > 0 ? Math.round((score / total) * 100 * 100) / 100 : 0;
+
+  return { score, total, percentage, passed: percentage >= PASS_PERCENTAGE, answers: review };
+};
+
+/** The next practice attempt number for a student on a topic */
+export const nextAttemptNumber = async (studentId, topicId) => {
+  const { data: lastAttempt, error } = await supabase
+    .from('practice_attempts')
+    .select('attempt_number')
+    .eq('student_id', studentId)
+    .eq('topic_id', topicId)
+    .order('attempt_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return (lastAttempt?.attempt_number || 0) + 1;
+};
@@ -0,0 +1,105 @@
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { invalidateUserCache } from '../middleware/auth.js';
+
+const USER_TABLES = { student: 'students', admin: 'admins' };
+
+// Progressive lockout: after LOCKOUT_THRESHOLD consecutive failures the account
+// is locked for 15 minutes, doubling with every further failure (max 24 hours).
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+export const FAILURE_REASONS = {
+  UNKNOWN_EMAIL: 'unknown_email',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+  LOCKED: 'locked',
+};
+
+/** The lock expiry when the account is currently locked, otherwise null */
+export const getActiveLock = (user) => {
+  if (!user.locked_until) return null;
+  const lockedUntil = new Date(user.locked_until);
+  return lockedUntil > new Date() ? lockedUntil : null;
+};
+
+/**
+ * 423 with the lock expiry. Only for callers that already know the account
+ * exists (the 2FA step); password logins answer locked accounts with their usual 401.
+ */
+export const lockedResponse = (res, lockedUntil) => res.status(423).json({
+  message: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+  lockedUntil: lockedUntil.toISOString(),
+});
+
+/** Append to the login history. Never throws — history must not break logins. */
+const logLoginEvent = async (req, { userId, userType, email, success, failureReason = null }) => {
+  try {
+    const { error } = await supabase.from('login_events').insert({
+      user_id: userId || null,
+      user_type: userType,
+      email: email || null,
+      success,
+      failure_reason: failureReason,
+      ip_address: req.ip || null,
+      user_agent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+    });
+
+    if (error) throw error;
+  } catch (err) {
+    logger.error({ err, userId, userType }, 'Failed to record login event');
+  }
+};
+
+/**
+ * Record a failed attempt. With a matched account, bumps its failure counter
+ * and locks it once the threshold is reached.
+ * Returns the new lock expiry when this failure locked the account, otherwise null.
+ */
+export const recordFailedLogin = async (req, userType, { user = null, email, reason }) => {
+  await logLoginEvent(req, { userId: user?.id, userType, email: email || user?.email, success: false, failureReason: reason });
+
+  if (!user || reason === FAILURE_REASONS.LOCKED) return null;
+
+  // Incremented in the database so concurrent failures all count
+  const { data, error } = await supabase.rpc('record_failed_login', {
+    user_type: userType,
+    user_id: user.id,
+    lockout_threshold: LOCKOUT_THRESHOLD,
+    base_lockout_seconds: BASE_LOCKOUT_MS / 1000,
+    max_lockout_seconds: MAX_LOCKOUT_MS / 1000,
+  });
+
+  if (error) throw error;
+
+  const row = data?.[0];
+  if (!row || row.attempts < LOCKOUT_THRESHOLD) return null;
+
+  const lockedUntil = new Date(row.lock_expires_at);
+  logger.warn({ userId: user.id, userType, attempts: row.attempts, lockedUntil }, 'Account locked after failed logins');
+  return lockedUntil;
+};
+
+/** Record a completed login and clear the failure counter */
+export const recordSuccessfulLogin = async (req, userType, user) => {
+  await logLoginEvent(req, { userId: user.id, userType, email: user.email, success: true });
+
+  if (user.failed_login_attempts || user.locked_until) {
+    await unlockAccount(userType, user.id);
+  }
+};
+
+/** Clear the failure counter and any active lock */
+export const unlockAccount = async (userType, userId) => {
+  const { data, error } = await supabase
+    .from(USER_TABLES[userType])
+    .update({ failed_login_attempts: 0, locked_until: null })
+    .eq('id', userId)
+    .select('id');
+
+  if (error) throw error;
+
+  invalidateUserCache(userType, userId);
+  return data && data.length > 0;
+};
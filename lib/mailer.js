@@ -0,0 +1,69 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import logger from '../config/logger.js';
+
+// Pluggable mail transport, selected with MAIL_TRANSPORT:
+//   smtp    — real delivery via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   file    — writes every message as a JSON file into MAIL_FILE_DIR (local dev + tests)
+//   console — logs the message through pino (default outside production)
+const isProduction = process.env.NODE_ENV === 'production';
+const TRANSPORT = process.env.MAIL_TRANSPORT || (isProduction ? 'smtp' : 'console');
+const FROM = process.env.MAIL_FROM || 'Naga Sai LMS <no-reply@localhost>';
+const FILE_DIR = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'lms-mail');
+
+let smtpTransport = null;
+
+const getSmtpTransport = async () => {
+  if (smtpTransport) return smtpTransport;
+
+  // Imported lazily so dev/test setups using file/console don't need SMTP configured
+  const { default: nodemailer } = await import('nodemailer');
+  smtpTransport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return smtpTransport;
+};
+
+const transports = {
+  smtp: async (message) => {
+    const transport = await getSmtpTransport();
+    await transport.sendMail(message);
+  },
+
+  file: async (message) => {
+    await fs.mkdir(FILE_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${randomUUID()}.json`;
+    await fs.writeFile(
+      path.join(FILE_DIR, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  console: async (message) => {
+    logger.info({ mail: message }, `Mail to ${message.to}: ${message.subject}`);
+  },
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Escape a value for interpolation into an HTML email body or attribute */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+/**
+ * Send an email through the configured transport.
+ * Usage: await sendMail({ to, subject, text, html })
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const send = transports[TRANSPORT];
+  if (!send) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${TRANSPORT}`);
+  }
+  await send({ from: FROM, to, subject, text, html });
+};
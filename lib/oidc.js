@@ -0,0 +1,182 @@
+import jwt from 'jsonwebtoken';
+import { createHash, createPublicKey, randomBytes } from 'node:crypto';
+import logger from '../config/logger.js';
+
+// Providers are configured with OIDC_PROVIDERS, a JSON array:
+//   [{ "id": "college-a", "name": "College A", "issuer": "https://idp.college-a.edu",
+//      "clientId": "...", "clientSecret": "...",
+//      "userTypes": ["student", "admin"],          // default ["student"]
+//      "allowedDomains": ["college-a.edu"],        // optional email domain allowlist
+//      "autoCreateStudents": true,                 // just-in-time student accounts (default true)
+//      "autoEnrollBatchId": "<batch uuid>",        // optional
+//      "autoEnrollPaymentStatus": "free" }]        // pending | paid | free (default free)
+const isProduction = process.env.NODE_ENV === 'production';
+const DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const parseProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) return [];
+
+  let raw;
+  try {
+    raw = JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch (err) {
+    logger.error({ err }, 'OIDC_PROVIDERS is not valid JSON — SSO disabled');
+    return [];
+  }
+
+  return (Array.isArray(raw) ? raw : [])
+    .filter((p) => {
+      const valid = p && p.id && p.issuer && p.clientId;
+      if (!valid) logger.error({ provider: p?.id }, 'Skipping OIDC provider without id, issuer or clientId');
+      // Plain-http issuers are only accepted for local development against a mock provider
+      if (valid && isProduction && !p.issuer.startsWith('https://')) {
+        logger.error({ provider: p.id }, 'Skipping OIDC provider with a non-https issuer');
+        return false;
+      }
+      return valid;
+    })
+    .map((p) => ({
+      id: String(p.id),
+      name: p.name || p.id,
+      issuer: p.issuer.replace(/\/$/, ''),
+      clientId: p.clientId,
+      clientSecret: p.clientSecret || null,
+      scopes: p.scopes || 'openid email profile',
+      userTypes: Array.isArray(p.userTypes) && p.userTypes.length > 0 ? p.userTypes : ['student'],
+      allowedDomains: (p.allowedDomains || []).map((d) => String(d).toLowerCase()),
+      autoCreateStudents: p.autoCreateStudents !== false,
+      autoEnrollBatchId: p.autoEnrollBatchId || null,
+      autoEnrollPaymentStatus: p.autoEnrollPaymentStatus || 'free',
+    }));
+};
+
+const providers = parseProviders();
+
+export const getProviders = () => providers;
+
+export const getProvider = (id) => providers.find((p) => p.id === id) || null;
+
+/* ---------- discovery + JWKS (cached per issuer) ---------- */
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const err = new Error(`OIDC request to ${url} failed with ${response.status}`);
+    err.details = body;
+    throw err;
+  }
+  return body;
+};
+
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.ts < DISCOVERY_TTL) return cached.data;
+
+  const data = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (data.issuer?.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`OIDC discovery issuer mismatch for provider ${provider.id}`);
+  }
+
+  discoveryCache.set(provider.issuer, { data, ts: Date.now() });
+  return data;
+};
+
+const getSigningKey = async (provider, kid) => {
+  const config = await discover(provider);
+
+  const findKey = (keys) => keys.find((k) => (kid ? k.kid === kid : k.use !== 'enc'));
+
+  let keys = jwksCache.get(config.jwks_uri);
+  let jwk = keys && findKey(keys);
+
+  // Unknown kid: the provider may have rotated its keys, fetch once more
+  if (!jwk) {
+    keys = (await fetchJson(config.jwks_uri)).keys || [];
+    jwksCache.set(config.jwks_uri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) throw new Error(`No OIDC signing key found for kid ${kid}`);
+  return createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/* ---------- authorization code + PKCE ---------- */
+const base64url = (buf) => buf.toString('base64url');
+
+/** Fresh state, nonce and PKCE verifier for one login attempt */
+export const createAuthorizationParams = () => ({
+  state: base64url(randomBytes(24)),
+  nonce: base64url(randomBytes(24)),
+  codeVerifier: base64url(randomBytes(48)),
+});
+
+export const buildAuthorizationUrl = async (provider, { redirectUri, state, nonce, codeVerifier }) => {
+  const config = await discover(provider);
+
+  const url = new URL(config.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', base64url(createHash('sha256').update(codeVerifier).digest()));
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+};
+
+/**
+ * Exchange the authorization code and verify the ID token.
+ * Returns the verified ID token claims.
+ */
+export const exchangeCode = async (provider, { code, redirectUri, codeVerifier, nonce }) => {
+  const config = await discover(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body,
+  });
+
+  if (!tokens.id_token) throw new Error('OIDC token response did not include an id_token');
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+  if (!header) throw new Error('OIDC id_token is malformed');
+
+  const key = await getSigningKey(provider, header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: [provider.issuer, `${provider.issuer}/`],
+    audience: provider.clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) throw new Error('OIDC id_token nonce mismatch');
+  if (!claims.sub) throw new Error('OIDC id_token has no subject');
+
+  return claims;
+};
+
+/** Verified, lower-cased email from the claims, or null */
+export const getVerifiedEmail = (claims) => {
+  if (!claims.email || (claims.email_verified !== true && claims.email_verified !== 'true')) return null;
+  return String(claims.email).toLowerCase();
+};
+
+export const isAllowedDomain = (provider, email) => {
+  if (provider.allowedDomains.length === 0) return true;
+  return provider.allowedDomains.includes(email.split('@')[1]);
+};
@@ -0,0 +1,115 @@
+import bcrypt from 'bcryptjs';
+import { randomBytes } from 'node:crypto';
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { hashToken } from '../middleware/auth.js';
+import { sendMail, escapeHtml } from './mailer.js';
+import { revokeAllSessions } from './sessions.js';
+
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+const USER_TABLES = { student: 'students', admin: 'admins' };
+
+const APP_URLS = {
+  student: process.env.STUDENT_APP_URL || 'http://localhost:5173',
+  admin: process.env.ADMIN_APP_URL || 'http://localhost:5174',
+};
+
+const issueResetLink = async (userType, user) => {
+  const now = new Date().toISOString();
+
+  // Only the most recent link should work
+  await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: now })
+    .eq('user_id', user.id)
+    .eq('user_type', userType)
+    .is('used_at', null);
+
+  const token = randomBytes(32).toString('hex');
+
+  const { error: insertErr } = await supabase.from('password_reset_tokens').insert({
+    user_id: user.id,
+    user_type: userType,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + RESET_TOKEN_TTL).toISOString(),
+  });
+
+  if (insertErr) throw insertErr;
+
+  const link = `${APP_URLS[userType]}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.</p>`,
+  });
+};
+
+/**
+ * Issue a reset token for the account with this email and mail the link.
+ * Resolves after the account lookup whether or not one matches: the token and
+ * mail are handled in the background and failures only logged, so neither the
+ * response nor its timing tells callers whether the email is registered.
+ */
+export const requestPasswordReset = async (userType, email) => {
+  const { data: user, error } = await supabase
+    .from(USER_TABLES[userType])
+    .select('id, name, email')
+    .eq('email', email.toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) return;
+
+  issueResetLink(userType, user).catch((err) => {
+    logger.error({ err, userId: user.id, userType }, 'Failed to send password reset email');
+  });
+};
+
+/**
+ * Consume a reset token and set the new password.
+ * Returns the user id on success, or null when the token is invalid, expired or already used.
+ * Every session for the account is revoked.
+ */
+export const resetPassword = async (userType, token, password) => {
+  const { data: stored, error } = await supabase
+    .from('password_reset_tokens')
+    .select('id, user_id, expires_at')
+    .eq('token_hash', hashToken(token))
+    .eq('user_type', userType)
+    .is('used_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!stored || new Date(stored.expires_at) < new Date()) return null;
+
+  const now = new Date().toISOString();
+
+  // Claim the token atomically — a concurrent request with the same token gets no row back
+  const { data: claimed, error: claimErr } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: now })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (claimErr) throw claimErr;
+  if (!claimed || claimed.length === 0) return null;
+
+  const hashedPassword = await bcrypt.hash(password, 12);
+
+  const { error: updateErr } = await supabase
+    .from(USER_TABLES[userType])
+    // Proving ownership of the mailbox also lifts any login lockout
+    .update({ password: hashedPassword, failed_login_attempts: 0, locked_until: null })
+    .eq('id', stored.user_id);
+
+  if (updateErr) throw updateErr;
+
+  // Log out every existing session, including still-valid access tokens
+  await revokeAllSessions(stored.user_id, userType);
+
+  return stored.user_id;
+};
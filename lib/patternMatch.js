@@ -0,0 +1,64 @@
+import { Worker } from 'node:worker_threads';
+import logger from '../config/logger.js';
+
+// short_text patterns are staff-authored regexes run against student answers.
+// Backtracking can make a single test() run for minutes, so matching happens in
+// a worker thread: a match that takes longer than PATTERN_TIMEOUT_MS counts as
+// no match, and the worker is terminated (the only way to interrupt a regex)
+// and replaced. Anything queued behind the runaway match is sent to the new one.
+const PATTERN_TIMEOUT_MS = parseInt(process.env.PATTERN_MATCH_TIMEOUT_MS) || 250;
+
+let worker = null;
+let nextId = 1;
+const pending = new Map(); // id → { job, resolve, timer }
+
+const settle = (id, matched) => {
+  const entry = pending.get(id);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  pending.delete(id);
+  entry.resolve(matched);
+};
+
+const restartWorker = () => {
+  const old = worker;
+  worker = null;
+  old?.terminate();
+
+  for (const id of pending.keys()) send(id);
+};
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  const created = new Worker(new URL('./patternMatchWorker.js', import.meta.url));
+  created.on('message', ({ id, matched }) => settle(id, matched));
+  created.on('error', (err) => {
+    logger.error({ err }, 'Pattern match worker failed');
+    if (created === worker) restartWorker();
+  });
+  // Never keeps the process alive on its own (pending matches hold their timers).
+  // After the listeners, which would ref it again.
+  created.unref();
+
+  worker = created;
+  return worker;
+};
+
+const send = (id) => {
+  const entry = pending.get(id);
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => {
+    logger.warn({ pattern: entry.job.pattern, timeoutMs: PATTERN_TIMEOUT_MS }, 'short_text pattern timed out');
+    settle(id, false);
+    restartWorker();
+  }, PATTERN_TIMEOUT_MS);
+  getWorker().postMessage({ id, ...entry.job });
+};
+
+/** Whether `input` matches the pattern; false when the pattern is invalid or too slow */
+export const matchPattern = (pattern, flags, input) => new Promise((resolve) => {
+  const id = nextId++;
+  pending.set(id, { job: { pattern, flags, input }, resolve, timer: null });
+  send(id);
+});
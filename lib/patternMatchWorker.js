@@ -0,0 +1,12 @@
+import { parentPort } from 'node:worker_threads';
+
+// Runs short_text patterns off the main thread (see lib/patternMatch.js)
+parentPort.on('message', ({ id, pattern, flags, input }) => {
+  let matched = false;
+  try {
+    matched = new RegExp(pattern, flags).test(input);
+  } catch {
+    matched = false;
+  }
+  parentPort.postMessage({ id, matched });
+});
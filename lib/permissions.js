@@ -0,0 +1,83 @@
+// Permission catalogue for admin staff. Routes declare what they need with
+// requirePermission('courses:write'); roles map to a default permission set and
+// individual admins can be granted extra permissions on top of their role.
+export const PERMISSIONS = [
+  'courses:write',
+  'topics:write',
+  'skills:write',
+  'assessments:write',
+  'assignments:write',
+  'assignments:grade',
+  'batches:read',
+  'batches:write',
+  'schedule:write',
+  'enrollments:write',
+  'students:read',
+  'students:write',
+  'reports:read',
+  'jobs:write',
+  'announcements:write',
+  'interviews:read',
+  'interviews:write',
+  'admins:manage',
+  'security:manage',
+  'audit:read',
+  'students:impersonate',
+  'api_keys:manage',
+];
+
+// Staff/security administration stays with interactive (2FA-capable) logins
+const NON_DELEGABLE_PERMISSIONS = [
+  'admins:manage',
+  'security:manage',
+  'audit:read',
+  'students:impersonate',
+  'api_keys:manage',
+];
+
+/** Permissions that can be granted to an API key as scopes */
+export const API_KEY_SCOPES = PERMISSIONS.filter((p) => !NON_DELEGABLE_PERMISSIONS.includes(p));
+
+export const ROLES = ['owner', 'instructor', 'ta', 'placement_officer'];
+
+export const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  instructor: [
+    'courses:write',
+    'topics:write',
+    'skills:write',
+    'assessments:write',
+    'assignments:write',
+    'assignments:grade',
+    'batches:read',
+    'schedule:write',
+    'students:read',
+    'reports:read',
+    'announcements:write',
+  ],
+  ta: [
+    'assignments:grade',
+    'batches:read',
+    'students:read',
+    'reports:read',
+  ],
+  placement_officer: [
+    'students:read',
+    'reports:read',
+    'jobs:write',
+    'announcements:write',
+    'interviews:read',
+    'interviews:write',
+  ],
+};
+
+/** Effective permissions = role defaults + per-admin grants */
+export const getAdminPermissions = (admin) => {
+  const fromRole = ROLE_PERMISSIONS[admin.role] || [];
+  return [...new Set([...fromRole, ...(admin.permissions || [])])];
+};
+
+export const hasPermission = (admin, permission) => {
+  if (admin.role === 'owner') return true;
+  return getAdminPermissions(admin).includes(permission);
+};
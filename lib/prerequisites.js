@@ -0,0 +1,137 @@
+import supabase from '../config/db.js';
+
+// Topic prerequisites gate access on top of the batch schedule. A student can
+// be in several batches taking the same course; as with the schedule, the most
+// lenient one wins: gating is off if any of them switched it off, a
+// prerequisite is waived if any of them waived it, and the practice threshold
+// is the lowest on offer.
+
+export const mapPrerequisite = (p) => ({
+  _id: p.id,
+  topicId: p.topic_id,
+  requiredTopicId: p.required_topic_id,
+  kind: p.kind,
+  minPercentage: parseFloat(p.min_percentage),
+  createdAt: p.created_at,
+  updatedAt: p.updated_at,
+});
+
+export const mapOverride = (o) => ({
+  _id: o.id,
+  batchId: o.batch_id,
+  prerequisiteId: o.prerequisite_id,
+  waived: o.waived,
+  minPercentage: o.min_percentage === null ? null : parseFloat(o.min_percentage),
+  updatedAt: o.updated_at,
+});
+
+/** True if making topicId require requiredIds would close a loop in the course's prerequisites */
+export const createsCycle = async (topicId, requiredIds, courseId) => {
+  const { data: topics, error: topicErr } = await supabase
+    .from('topics')
+    .select('id')
+    .eq('course_id', courseId);
+
+  if (topicErr) throw topicErr;
+
+  const { data: edges, error } = await supabase
+    .from('topic_prerequisites')
+    .select('topic_id, required_topic_id')
+    .in('topic_id', (topics || []).map((t) => t.id))
+    .neq('topic_id', topicId);
+
+  if (error) throw error;
+
+  const requires = new Map([[topicId, new Set(requiredIds)]]);
+  for (const e of edges || []) {
+    if (!requires.has(e.topic_id)) requires.set(e.topic_id, new Set());
+    requires.get(e.topic_id).add(e.required_topic_id);
+  }
+
+  // Walk from the new requirements; reaching topicId again means a cycle
+  const seen = new Set();
+  const stack = [...requiredIds];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === topicId) return true;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    stack.push(...(requires.get(current) || []));
+  }
+  return false;
+};
+
+/**
+ * Prerequisites the student has not met yet, keyed by topic id. Topics with
+ * nothing outstanding are left out.
+ * Each entry: { prerequisiteId, kind, requiredTopicId, requiredTopicTitle, minPercentage, bestPercentage }
+ */
+export const getUnmetPrerequisites = async (studentId, batchIds, topicIds) => {
+  if (batchIds.length === 0 || topicIds.length === 0) return {};
+
+  const { data: prerequisites, error } = await supabase
+    .from('topic_prerequisites')
+    .select('*')
+    .in('topic_id', topicIds);
+
+  if (error) throw error;
+  if (!prerequisites || prerequisites.length === 0) return {};
+
+  const requiredIds = [...new Set(prerequisites.map((p) => p.required_topic_id))];
+  const gatedIds = [...new Set(prerequisites.map((p) => p.topic_id))];
+
+  const [topicsRes, batchesRes, linksRes, overridesRes, scoresRes, codingRes] = await Promise.all([
+    supabase.from('topics').select('id, course_id, title').in('id', [...new Set([...gatedIds, ...requiredIds])]),
+    supabase.from('batches').select('id, enforce_prerequisites').in('id', batchIds),
+    supabase.from('batch_courses').select('batch_id, course_id').in('batch_id', batchIds),
+    supabase.from('batch_prerequisite_overrides').select('*').in('batch_id', batchIds).in('prerequisite_id', prerequisites.map((p) => p.id)),
+    supabase.from('practice_scores').select('topic_id, percentage').eq('student_id', studentId).in('topic_id', requiredIds),
+    supabase.from('coding_submissions').select('topic_id, passed').eq('student_id', studentId).in('topic_id', requiredIds),
+  ]);
+
+  for (const r of [topicsRes, batchesRes, linksRes, overridesRes, scoresRes, codingRes]) {
+    if (r.error) throw r.error;
+  }
+
+  const topics = new Map(topicsRes.data.map((t) => [t.id, t]));
+  const enforced = new Map(batchesRes.data.map((b) => [b.id, b.enforce_prerequisites]));
+  const overrides = new Map(overridesRes.data.map((o) => [`${o.batch_id}:${o.prerequisite_id}`, o]));
+  const bestScore = new Map(scoresRes.data.map((s) => [s.topic_id, parseFloat(s.percentage)]));
+  const codingPassed = new Set(codingRes.data.filter((c) => c.passed).map((c) => c.topic_id));
+
+  const batchesByCourse = {};
+  for (const link of linksRes.data) {
+    if (!batchesByCourse[link.course_id]) batchesByCourse[link.course_id] = [];
+    batchesByCourse[link.course_id].push(link.batch_id);
+  }
+
+  const unmet = {};
+  for (const p of prerequisites) {
+    const courseBatches = batchesByCourse[topics.get(p.topic_id)?.course_id] || [];
+    if (courseBatches.length === 0) continue;
+    if (courseBatches.some((batchId) => enforced.get(batchId) === false)) continue;
+
+    const batchOverrides = courseBatches.map((batchId) => overrides.get(`${batchId}:${p.id}`));
+    if (batchOverrides.some((o) => o?.waived)) continue;
+
+    const minPercentage = Math.min(...batchOverrides.map((o) => (
+      o && o.min_percentage !== null ? parseFloat(o.min_percentage) : parseFloat(p.min_percentage)
+    )));
+    const best = bestScore.get(p.required_topic_id) ?? null;
+    const met = p.kind === 'coding'
+      ? codingPassed.has(p.required_topic_id)
+      : best !== null && best >= minPercentage;
+    if (met) continue;
+
+    if (!unmet[p.topic_id]) unmet[p.topic_id] = [];
+    unmet[p.topic_id].push({
+      prerequisiteId: p.id,
+      kind: p.kind,
+      requiredTopicId: p.required_topic_id,
+      requiredTopicTitle: topics.get(p.required_topic_id)?.title || '',
+      minPercentage: p.kind === 'practice' ? minPercentage : null,
+      bestPercentage: p.kind === 'practice' ? best : null,
+    });
+  }
+  return unmet;
+};
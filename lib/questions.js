@@ -0,0 +1,183 @@
+import { matchPattern } from './patternMatch.js';
+
+// Practice question types. Each question is stored in practice_questions as
+//   type        — one of QUESTION_TYPES
+//   question    — prompt text
+//   options     — choices (mcq, multi_select, ordering), [] otherwise
+//   content     — extra prompt material shown to students ({ code, language } for code_output)
+//   answer      — correct option index for mcq (legacy integer column)
+//   answer_data — answer key for every other type (never sent to students)
+//   explanation — shown only after the attempt is submitted
+//   skill_ids   — skills the question exercises (admin view only)
+//
+// API shape (admin), per type:
+//   mcq          { options, answer: 2 }
+//   multi_select { options, answer: [0, 2] }
+//   true_false   { answer: true }
+//   numeric      { answer: 3.14, tolerance: 0.01 }
+//   short_text   { acceptedAnswers: ['O(n)'], pattern: '^o\\(n\\)$', caseSensitive: false }
+//   ordering     { options, answer: [2, 0, 1] }   — correct order as option indices
+//   code_output  { code, language, answer: '42' }
+//
+// Student responses, per type: mcq → option index, multi_select → option
+// indices, true_false → boolean, numeric → number, short_text / code_output →
+// string, ordering → option indices in the chosen order.
+
+export const QUESTION_TYPES = ['mcq', 'multi_select', 'true_false', 'numeric', 'short_text', 'ordering', 'code_output'];
+
+const OPTION_TYPES = new Set(['mcq', 'multi_select', 'ordering']);
+
+// short_text patterns are staff-authored regexes run against student input.
+// They are matched in a worker with a timeout (lib/patternMatch.js); on top of
+// that answers longer than this are never pattern-matched, and the most common
+// catastrophic shape — a quantified group that itself contains a quantifier,
+// (a+)+ or (\w*\s?)* — is refused when authored.
+const MAX_PATTERN_INPUT = 500;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+/** Whether a short_text pattern is a valid regex that is safe to run on student answers */
+export const isSafePattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+  } catch {
+    return false;
+  }
+  return !NESTED_QUANTIFIER.test(pattern);
+};
+
+/** API question → practice_questions row (without topic_id/sort_order) */
+export const toQuestionRow = (q) => {
+  const type = q.type || 'mcq';
+  const row = {
+    type,
+    question: q.question,
+    options: OPTION_TYPES.has(type) ? q.options : [],
+    content: type === 'code_output' ? { code: q.code, language: q.language || 'javascript' } : {},
+    explanation: q.explanation || '',
+    answer: type === 'mcq' ? q.answer : 0,
+    answer_data: null,
+    skill_ids: q.skillIds || [],
+  };
+
+  switch (type) {
+    case 'multi_select':
+    case 'ordering':
+    case 'true_false':
+    case 'code_output':
+      row.answer_data = { answer: q.answer };
+      break;
+    case 'numeric':
+      row.answer_data = { answer: q.answer, tolerance: q.tolerance || 0 };
+      break;
+    case 'short_text':
+      row.answer_data = {
+        acceptedAnswers: q.acceptedAnswers || [],
+        pattern: q.pattern || null,
+        caseSensitive: !!q.caseSensitive,
+      };
+      break;
+    default:
+      break;
+  }
+
+  return row;
+};
+
+/**
+ * practice_questions row → API question.
+ * Without includeAnswer the answer key and explanation are left out (student view).
+ */
+export const mapQuestion = (row, { includeAnswer = true } = {}) => {
+  const type = row.type || 'mcq';
+  const question = publicQuestion({ type, question: row.question, options: row.options, ...row.content });
+
+  if (!includeAnswer) return question;
+
+  if (type === 'mcq') {
+    question.answer = row.answer;
+  } else {
+    Object.assign(question, row.answer_data || {});
+  }
+  question.explanation = row.explanation || '';
+  question.skillIds = row.skill_ids || [];
+  return question;
+};
+
+/** API-shaped question → what a student may see before submitting */
+export const publicQuestion = (q) => {
+  const question = { type: q.type || 'mcq', question: q.question };
+  if (OPTION_TYPES.has(question.type)) question.options = q.options || [];
+  if (question.type === 'code_output') {
+    question.code = q.code || '';
+    question.language = q.language || 'javascript';
+  }
+  return question;
+};
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Program output: ignore trailing whitespace per line and trailing blank lines
+const normalizeOutput = (value) => String(value ?? '')
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map((line) => line.trimEnd())
+  .join('\n')
+  .trim();
+
+const sameIndexSet = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b)) return false;
+  const left = [...new Set(a)].sort((x, y) => x - y);
+  const right = [...new Set(b)].sort((x, y) => x - y);
+  return left.length === right.length && left.every((v, i) => v === right[i]);
+};
+
+/**
+ * Resolves true when `response` answers the (admin-shaped) question correctly.
+ * Async because short_text patterns are matched off the main thread.
+ */
+export const gradeQuestion = async (question, response) => {
+  if (response === null || response === undefined) return false;
+
+  switch (question.type || 'mcq') {
+    case 'mcq':
+      return response === question.answer;
+    case 'multi_select':
+      return sameIndexSet(response, question.answer);
+    case 'true_false':
+      return response === question.answer;
+    case 'numeric': {
+      const value = typeof response === 'number' ? response : parseFloat(response);
+      if (!Number.isFinite(value)) return false;
+      return Math.abs(value - question.answer) <= (question.tolerance || 0) + Number.EPSILON;
+    }
+    case 'short_text': {
+      if (typeof response !== 'string') return false;
+      const caseSensitive = !!question.caseSensitive;
+      const given = normalizeText(response, caseSensitive);
+      if ((question.acceptedAnswers || []).some((a) => normalizeText(a, caseSensitive) === given)) return true;
+      if (question.pattern && response.trim().length <= MAX_PATTERN_INPUT) {
+        return matchPattern(question.pattern, caseSensitive ? '' : 'i', response.trim());
+      }
+      return false;
+    }
+    case 'ordering':
+      return Array.isArray(response)
+        && response.length === question.answer.length
+        && response.every((v, i) => v === question.answer[i]);
+    case 'code_output':
+      return typeof response === 'string' && normalizeOutput(response) === normalizeOutput(question.answer);
+    default:
+      return false;
+  }
+};
+
+/** The correct answer in the same shape as a student response, for post-submission review */
+export const correctResponse = (question) => {
+  if (question.type === 'short_text') {
+    return question.acceptedAnswers?.[0] ?? question.pattern ?? null;
+  }
+  return question.answer ?? null;
+};
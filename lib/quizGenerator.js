@@ -0,0 +1,124 @@
+import { randomInt } from 'node:crypto';
+import supabase from '../config/db.js';
+import { mapQuestion, publicQuestion } from './questions.js';
+
+// Randomized topic quizzes. A quiz (topic_quizzes) is a list of rules, each
+// drawing `count` questions from bank_questions that match its filters.
+// Every attempt gets its own paper: the drawn questions in random order, with
+// options shuffled and the answer key remapped to the displayed option order.
+// The paper is stored on the attempt so grading and review use exactly what
+// the student saw.
+
+const OPTION_ANSWER_TYPES = new Set(['mcq', 'multi_select', 'ordering']);
+
+export const mapQuiz = (q) => ({
+  _id: q.id,
+  topicId: q.topic_id,
+  title: q.title,
+  rules: q.rules || [],
+  questionCount: (q.rules || []).reduce((sum, r) => sum + r.count, 0),
+  shuffleQuestions: q.shuffle_questions,
+  shuffleOptions: q.shuffle_options,
+  createdAt: q.created_at,
+  updatedAt: q.updated_at,
+});
+
+/** Fisher–Yates with a CSPRNG — papers should not be predictable */
+export const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/** Shuffle one question's options; the answer key follows (order[displayed] = original index) */
+export const shuffleQuestionOptions = (question) => {
+  if (!OPTION_ANSWER_TYPES.has(question.type) || !question.options?.length) return question;
+
+  const order = shuffle(question.options.map((_, i) => i));
+  const displayedIndex = new Map(order.map((original, displayed) => [original, displayed]));
+
+  const shuffled = { ...question, options: order.map((i) => question.options[i]), optionOrder: order };
+  if (question.type === 'mcq') {
+    shuffled.answer = displayedIndex.get(question.answer);
+  } else {
+    shuffled.answer = question.answer.map((i) => displayedIndex.get(i));
+  }
+  return shuffled;
+};
+
+const findCandidateIds = async (rule) => {
+  let query = supabase.from('bank_questions').select('id');
+
+  if (rule.bankId) query = query.eq('bank_id', rule.bankId);
+  if (rule.topicId) query = query.eq('topic_id', rule.topicId);
+  if (rule.skillIds?.length) query = query.overlaps('skill_ids', rule.skillIds);
+  if (rule.tag) query = query.contains('tags', [rule.tag]);
+  if (rule.difficulty) query = query.eq('difficulty', rule.difficulty);
+
+  const { data, error } = await query.limit(5000);
+  if (error) throw error;
+  return (data || []).map((r) => r.id);
+};
+
+/**
+ * Draw a fresh paper for a quiz row.
+ * Returns { questions, shortfall } — questions are admin-shaped (answer key
+ * included) with `bankQuestionId`; shortfall lists rules the banks could not
+ * fully satisfy. A question is never drawn twice, even if several rules match it.
+ */
+export const generateQuizPaper = async (quiz) => {
+  const picked = [];
+  const taken = new Set();
+  const shortfall = [];
+
+  for (const [index, rule] of (quiz.rules || []).entries()) {
+    const candidates = (await findCandidateIds(rule)).filter((id) => !taken.has(id));
+    const chosen = shuffle(candidates).slice(0, rule.count);
+
+    chosen.forEach((id) => taken.add(id));
+    picked.push(...chosen);
+    if (chosen.length < rule.count) {
+      shortfall.push({ rule: index, requested: rule.count, available: chosen.length });
+    }
+  }
+
+  if (picked.length === 0) return { questions: [], shortfall };
+
+  const { data: rows, error } = await supabase
+    .from('bank_questions')
+    .select('*')
+    .in('id', picked);
+
+  if (error) throw error;
+
+  const rowsById = new Map((rows || []).map((row) => [row.id, row]));
+  let questions = picked
+    .filter((id) => rowsById.has(id))
+    .map((id) => ({ bankQuestionId: id, ...mapQuestion(rowsById.get(id)) }));
+
+  if (quiz.shuffle_questions) questions = shuffle(questions);
+  if (quiz.shuffle_options) questions = questions.map(shuffleQuestionOptions);
+
+  return { questions, shortfall };
+};
+
+/** The paper as shown to the student while the attempt is open */
+export const toStudentPaper = (questions) => questions.map((q, index) => ({
+  questionIndex: index,
+  ...publicQuestion(q),
+}));
+
+/** The quiz configured for a topic, or null */
+export const getTopicQuiz = async (topicId) => {
+  const { data, error } = await supabase
+    .from('topic_quizzes')
+    .select('*')
+    .eq('topic_id', topicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
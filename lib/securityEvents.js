@@ -0,0 +1,32 @@
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+
+export const SECURITY_EVENTS = {
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  MFA_ENABLED: 'mfa_enabled',
+  MFA_DISABLED: 'mfa_disabled',
+  MFA_RESET: 'mfa_reset',
+  MFA_RECOVERY_CODE_USED: 'mfa_recovery_code_used',
+  SSO_IDENTITY_LINKED: 'sso_identity_linked',
+};
+
+/**
+ * Append an entry to the security event log.
+ * Never throws — a failed write is logged so it can't break the request that triggered it.
+ */
+export const recordSecurityEvent = async (req, { userId, userType, type, details = {} }) => {
+  try {
+    const { error } = await supabase.from('security_events').insert({
+      user_id: userId || null,
+      user_type: userType || null,
+      event_type: type,
+      ip_address: req?.ip || null,
+      user_agent: (req?.headers?.['user-agent'] || '').slice(0, 500) || null,
+      details,
+    });
+
+    if (error) throw error;
+  } catch (err) {
+    logger.error({ err, userId, userType, type }, 'Failed to record security event');
+  }
+};
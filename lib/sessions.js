@@ -0,0 +1,198 @@
+import { randomUUID } from 'node:crypto';
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { generateAccessToken, generateRefreshToken, hashToken, invalidateUserCache } from '../middleware/auth.js';
+import { setAuthCookies, generateCsrfToken, REFRESH_TOKEN_MAX_AGE } from '../middleware/cookies.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+
+const USER_TABLES = { student: 'students', admin: 'admins' };
+
+// Two tabs refreshing at the same moment both present the same token; the
+// loser of that race is rejected but not treated as theft.
+const REUSE_GRACE_MS = 10_000;
+
+/** Refresh token from cookie (primary) or Authorization header (cross-origin fallback) */
+export const readRefreshToken = (req) => {
+  if (req.cookies?.refresh_token) return req.cookies.refresh_token;
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  return null;
+};
+
+/**
+ * Create tokens, store the hashed refresh token with device info, set cookies.
+ * Pass `previous` (the refresh_tokens row being rotated) to keep the session's
+ * family and original start time across rotations.
+ */
+export const startSession = async (req, res, userId, userType, { previous = null } = {}) => {
+  const accessToken = generateAccessToken(userId, userType);
+  const { token: rawRefresh, hash: refreshHash } = generateRefreshToken();
+  const csrfToken = generateCsrfToken();
+  const now = new Date().toISOString();
+
+  const { data: session, error } = await supabase.from('refresh_tokens').insert({
+    user_id: userId,
+    user_type: userType,
+    token_hash: refreshHash,
+    family_id: previous?.family_id || randomUUID(),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE).toISOString(),
+    user_agent: (req.headers['user-agent'] || '').slice(0, 500),
+    ip_address: req.ip || null,
+    session_started_at: previous?.session_started_at || now,
+    last_used_at: now,
+  }).select('id').single();
+
+  if (error) throw error;
+
+  if (previous) {
+    await supabase
+      .from('refresh_tokens')
+      .update({ replaced_by_id: session.id })
+      .eq('id', previous.id);
+  }
+
+  // Set HttpOnly cookies (works when same-origin / cookies not blocked)
+  setAuthCookies(res, accessToken, rawRefresh, csrfToken);
+
+  return { accessToken, refreshToken: rawRefresh };
+};
+
+/**
+ * Validate a raw refresh token and claim it for rotation.
+ * Returns the stored row, or null when the token is unknown, expired or revoked.
+ * A token that was already rotated and is presented again is treated as stolen:
+ * its whole family is revoked and a security event is recorded.
+ */
+export const consumeRefreshToken = async (req, rawToken, userType) => {
+  const { data: stored, error } = await supabase
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(rawToken))
+    .eq('user_type', userType)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!stored) return null;
+
+  if (stored.revoked_at) {
+    const revokedAgo = Date.now() - new Date(stored.revoked_at).getTime();
+    if (stored.replaced_by_id && revokedAgo > REUSE_GRACE_MS) {
+      await revokeTokenFamily(req, stored);
+    }
+    return null;
+  }
+
+  if (new Date(stored.expires_at) < new Date()) return null;
+
+  // Claim atomically — a concurrent refresh with the same token gets no row back
+  const { data: claimed, error: claimErr } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', stored.id)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (claimErr) throw claimErr;
+  if (!claimed || claimed.length === 0) return null;
+
+  return stored;
+};
+
+const revokeTokenFamily = async (req, stored) => {
+  const { data: revoked, error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('family_id', stored.family_id)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+
+  logger.warn(
+    { userId: stored.user_id, userType: stored.user_type, familyId: stored.family_id },
+    'Refresh token reuse detected — token family revoked'
+  );
+
+  await recordSecurityEvent(req, {
+    userId: stored.user_id,
+    userType: stored.user_type,
+    type: SECURITY_EVENTS.REFRESH_TOKEN_REUSE,
+    details: {
+      familyId: stored.family_id,
+      tokenId: stored.id,
+      revokedTokens: (revoked || []).length,
+    },
+  });
+};
+
+/** Active (not revoked, not expired) sessions for a user, newest first */
+export const listSessions = async (req, userId, userType) => {
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .select('id, token_hash, user_agent, ip_address, session_started_at, last_used_at, created_at')
+    .eq('user_id', userId)
+    .eq('user_type', userType)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+
+  const rawToken = readRefreshToken(req);
+  const currentHash = rawToken ? hashToken(rawToken) : null;
+
+  return (data || []).map((s) => ({
+    _id: s.id,
+    userAgent: s.user_agent,
+    ipAddress: s.ip_address,
+    createdAt: s.session_started_at || s.created_at,
+    lastUsedAt: s.last_used_at || s.created_at,
+    isCurrent: s.token_hash === currentHash,
+  }));
+};
+
+/**
+ * Revoke one session belonging to the user.
+ * Returns the revoked row (with token_hash) or null when not found.
+ */
+export const revokeSession = async (sessionId, userId, userType) => {
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .eq('user_type', userType)
+    .is('revoked_at', null)
+    .select('id, token_hash');
+
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+/**
+ * Log a user out everywhere: revoke every refresh token and reject access
+ * tokens issued before now (checked against tokens_revoked_at in the auth middleware).
+ */
+export const revokeAllSessions = async (userId, userType) => {
+  const now = new Date().toISOString();
+
+  const [tokensRes, userRes] = await Promise.all([
+    supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: now })
+      .eq('user_id', userId)
+      .eq('user_type', userType)
+      .is('revoked_at', null),
+    supabase
+      .from(USER_TABLES[userType])
+      .update({ tokens_revoked_at: now })
+      .eq('id', userId),
+  ]);
+
+  if (tokensRes.error) throw tokensRes.error;
+  if (userRes.error) throw userRes.error;
+
+  invalidateUserCache(userType, userId);
+};
@@ -0,0 +1,214 @@
+import supabase from '../config/db.js';
+
+// Skill taxonomy. Courses, topics, coding practice, practice questions and job
+// postings carry skill id arrays (skill_ids). Mastery is worked out from a
+// student's best practice score and coding submission on every published topic
+// of their courses that exercises the skill:
+//   - a topic tagged with the skill counts all of its questions and its coding practice
+//   - otherwise only the questions / coding practice tagged with it count
+// Each question weighs 1 and a coding practice CODING_WEIGHT, so a topic's
+// practice score counts for as many questions as were tagged in it.
+
+const CODING_WEIGHT = 5;
+
+// Lower bounds, checked from the top
+const MASTERY_LEVELS = [
+  { level: 'mastered', min: 90 },
+  { level: 'proficient', min: 70 },
+  { level: 'developing', min: 40 },
+  { level: 'beginner', min: 0 },
+];
+
+export const mapSkill = (s) => ({
+  _id: s.id,
+  name: s.name,
+  category: s.category,
+  description: s.description,
+  createdBy: s.created_by,
+  createdAt: s.created_at,
+  updatedAt: s.updated_at,
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * ?skills=id,id query filter → id list, or null when absent. Malformed ids are
+ * dropped; if none are left the list is empty, which callers answer with 400
+ * rather than returning everything unfiltered.
+ */
+export const parseSkillFilter = (value) => {
+  if (!value) return null;
+  const ids = String(value).split(',').map((id) => id.trim().toLowerCase()).filter((id) => UUID_PATTERN.test(id));
+  return [...new Set(ids)];
+};
+
+/** The ids in the list that are not skills */
+export const findUnknownSkills = async (ids) => {
+  const wanted = [...new Set((ids || []).filter(Boolean))];
+  if (wanted.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('skills')
+    .select('id')
+    .in('id', wanted);
+
+  if (error) throw error;
+  const known = new Set((data || []).map((s) => s.id));
+  return wanted.filter((id) => !known.has(id));
+};
+
+/** Every skill id on a topic body: the topic's own, its questions' and its coding practice's */
+export const collectTopicSkillIds = ({ skillIds, practice, codingPractice } = {}) => [
+  ...(skillIds || []),
+  ...(practice || []).flatMap((q) => q.skillIds || []),
+  ...(codingPractice?.skillIds || []),
+];
+
+/**
+ * Ids of topics tagged with any of the skills, directly or through their
+ * questions / coding practice. courseIds null searches every course.
+ */
+export const findTopicsWithSkills = async (courseIds, skillIds) => {
+  let topicQuery = supabase.from('topics').select('id').overlaps('skill_ids', skillIds);
+  let questionQuery = supabase.from('practice_questions').select('topic_id').overlaps('skill_ids', skillIds);
+  let codingQuery = supabase.from('coding_practices').select('topic_id').overlaps('skill_ids', skillIds);
+
+  if (courseIds) {
+    const { data: courseTopics, error } = await supabase
+      .from('topics')
+      .select('id')
+      .in('course_id', courseIds);
+
+    if (error) throw error;
+
+    const topicIds = (courseTopics || []).map((t) => t.id);
+    if (topicIds.length === 0) return [];
+
+    topicQuery = topicQuery.in('id', topicIds);
+    questionQuery = questionQuery.in('topic_id', topicIds);
+    codingQuery = codingQuery.in('topic_id', topicIds);
+  }
+
+  const [tRes, pRes, cRes] = await Promise.all([topicQuery, questionQuery, codingQuery]);
+
+  for (const r of [tRes, pRes, cRes]) {
+    if (r.error) throw r.error;
+  }
+
+  return [...new Set([
+    ...(tRes.data || []).map((t) => t.id),
+    ...(pRes.data || []).map((q) => q.topic_id),
+    ...(cRes.data || []).map((cp) => cp.topic_id),
+  ])];
+};
+
+// Coding submissions store the test summary in their output; a pass is always 100
+const codingPercentage = (submission) => {
+  if (submission.passed) return 100;
+  try {
+    const percent = JSON.parse(submission.output)?.summary?.scorePercent;
+    return Number.isFinite(percent) ? percent : 0;
+  } catch {
+    return 0;
+  }
+};
+
+const masteryLevel = (mastery) => (
+  mastery === null ? 'not_started' : MASTERY_LEVELS.find((l) => mastery >= l.min).level
+);
+
+/**
+ * A student's mastery of every skill their courses exercise, sorted by skill name.
+ * Each entry: { skill, mastery, coverage, level, topics, questions, codingPractices }
+ * — mastery is the weighted score over what they attempted (null if nothing yet),
+ * coverage the share of the skill's weight they attempted.
+ */
+export const getSkillMastery = async (studentId, courseIds) => {
+  if (courseIds.length === 0) return [];
+
+  const { data: topics, error } = await supabase
+    .from('topics')
+    .select('id, skill_ids')
+    .in('course_id', courseIds)
+    .eq('is_published', true);
+
+  if (error) throw error;
+
+  const topicIds = (topics || []).map((t) => t.id);
+  if (topicIds.length === 0) return [];
+
+  const [questionsRes, codingRes, skillsRes, scoresRes, submissionsRes] = await Promise.all([
+    supabase.from('practice_questions').select('topic_id, skill_ids').in('topic_id', topicIds),
+    supabase.from('coding_practices').select('topic_id, skill_ids').in('topic_id', topicIds),
+    supabase.from('skills').select('*').order('name'),
+    supabase.from('practice_scores').select('topic_id, percentage').eq('student_id', studentId).in('topic_id', topicIds),
+    supabase.from('coding_submissions').select('topic_id, passed, output').eq('student_id', studentId).in('topic_id', topicIds),
+  ]);
+
+  for (const r of [questionsRes, codingRes, skillsRes, scoresRes, submissionsRes]) {
+    if (r.error) throw r.error;
+  }
+
+  const questionsByTopic = {};
+  for (const q of questionsRes.data || []) {
+    if (!questionsByTopic[q.topic_id]) questionsByTopic[q.topic_id] = [];
+    questionsByTopic[q.topic_id].push(q);
+  }
+  const codingByTopic = new Map((codingRes.data || []).map((cp) => [cp.topic_id, cp]));
+  const practiceScore = new Map((scoresRes.data || []).map((s) => [s.topic_id, parseFloat(s.percentage)]));
+  const codingScore = new Map((submissionsRes.data || []).map((s) => [s.topic_id, codingPercentage(s)]));
+
+  // skill id → { topics: Set, questions, codingPractices, items: [{ weight, score }] }
+  const evidence = new Map();
+  const add = (skillId, topicId, item, counts) => {
+    if (!evidence.has(skillId)) evidence.set(skillId, { topics: new Set(), questions: 0, codingPractices: 0, items: [] });
+    const e = evidence.get(skillId);
+    e.topics.add(topicId);
+    e.questions += counts.questions || 0;
+    e.codingPractices += counts.codingPractices || 0;
+    e.items.push(item);
+  };
+
+  for (const topic of topics) {
+    const topicSkills = new Set(topic.skill_ids || []);
+    const questions = questionsByTopic[topic.id] || [];
+    const coding = codingByTopic.get(topic.id);
+
+    const questionSkills = new Set([...topicSkills, ...questions.flatMap((q) => q.skill_ids || [])]);
+    for (const skillId of questionSkills) {
+      const tagged = topicSkills.has(skillId)
+        ? questions.length
+        : questions.filter((q) => (q.skill_ids || []).includes(skillId)).length;
+      if (tagged === 0) continue;
+      add(skillId, topic.id, { weight: tagged, score: practiceScore.get(topic.id) ?? null }, { questions: tagged });
+    }
+
+    if (coding) {
+      for (const skillId of new Set([...topicSkills, ...(coding.skill_ids || [])])) {
+        add(skillId, topic.id, { weight: CODING_WEIGHT, score: codingScore.get(topic.id) ?? null }, { codingPractices: 1 });
+      }
+    }
+  }
+
+  return (skillsRes.data || [])
+    .filter((s) => evidence.has(s.id))
+    .map((s) => {
+      const { topics: skillTopics, questions, codingPractices, items } = evidence.get(s.id);
+      const attempted = items.filter((i) => i.score !== null);
+      const totalWeight = items.reduce((sum, i) => sum + i.weight, 0);
+      const attemptedWeight = attempted.reduce((sum, i) => sum + i.weight, 0);
+      const mastery = attemptedWeight > 0
+        ? Math.round(attempted.reduce((sum, i) => sum + i.weight * i.score, 0) / attemptedWeight)
+        : null;
+
+      return {
+        skill: mapSkill(s),
+        mastery,
+        coverage: totalWeight > 0 ? Math.round((attemptedWeight / totalWeight) * 100) : 0,
+        level: masteryLevel(mastery),
+        topics: skillTopics.size,
+        questions,
+        codingPractices,
+      };
+    });
+};
@@ -0,0 +1,139 @@
+import bcrypt from 'bcryptjs';
+import { randomBytes } from 'node:crypto';
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { invalidateUserCache } from '../middleware/auth.js';
+import { getVerifiedEmail, isAllowedDomain } from './oidc.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+
+const USER_TABLES = { student: 'students', admin: 'admins' };
+
+const displayName = (claims, email) => {
+  const fromParts = [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+  return (claims.name || fromParts || email.split('@')[0]).slice(0, 100);
+};
+
+const loadUser = async (userType, column, value) => {
+  const { data, error } = await supabase
+    .from(USER_TABLES[userType])
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const linkIdentity = async (req, provider, userType, user, claims, email) => {
+  const { error } = await supabase.from('sso_identities').insert({
+    provider: provider.id,
+    subject: claims.sub,
+    user_id: user.id,
+    user_type: userType,
+    email,
+    last_login_at: new Date().toISOString(),
+  });
+
+  if (error) throw error;
+
+  await recordSecurityEvent(req, {
+    userId: user.id,
+    userType,
+    type: SECURITY_EVENTS.SSO_IDENTITY_LINKED,
+    details: { provider: provider.id, subject: claims.sub },
+  });
+};
+
+/** Just-in-time student account; the IdP already verified the email */
+const createStudent = async (provider, claims, email) => {
+  // Unusable random password — the student can set a real one via forgot-password
+  const password = await bcrypt.hash(randomBytes(32).toString('hex'), 10);
+
+  const { data: student, error } = await supabase
+    .from('students')
+    .insert({
+      name: displayName(claims, email),
+      email,
+      password,
+      email_verified_at: new Date().toISOString(),
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  if (provider.autoEnrollBatchId) {
+    const { error: enrollErr } = await supabase
+      .from('student_batches')
+      .upsert({
+        student_id: student.id,
+        batch_id: provider.autoEnrollBatchId,
+        payment_status: provider.autoEnrollPaymentStatus,
+        is_active: true,
+      }, { onConflict: 'student_id,batch_id', ignoreDuplicates: true });
+
+    // The account is usable without the enrollment, so don't fail the login
+    if (enrollErr) {
+      logger.error({ err: enrollErr, studentId: student.id, batchId: provider.autoEnrollBatchId }, 'SSO auto-enrollment failed');
+    }
+  }
+
+  logger.info({ studentId: student.id, provider: provider.id }, 'Student created via SSO');
+  return student;
+};
+
+/**
+ * Find (or link, or create) the local account for verified ID token claims.
+ * Returns { user, created } on success or { error } with a short error code
+ * the frontend can show.
+ */
+export const resolveSsoAccount = async (req, provider, userType, claims) => {
+  const { data: identity, error } = await supabase
+    .from('sso_identities')
+    .select('id, user_id')
+    .eq('provider', provider.id)
+    .eq('subject', claims.sub)
+    .eq('user_type', userType)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (identity) {
+    const user = await loadUser(userType, 'id', identity.user_id);
+    if (!user) return { error: 'account_not_found' };
+
+    await supabase
+      .from('sso_identities')
+      .update({ last_login_at: new Date().toISOString(), email: claims.email || null })
+      .eq('id', identity.id);
+
+    return { user, created: false };
+  }
+
+  // First login with this identity: link by verified email only
+  const email = getVerifiedEmail(claims);
+  if (!email) return { error: 'email_not_verified' };
+  if (!isAllowedDomain(provider, email)) return { error: 'domain_not_allowed' };
+
+  let user = await loadUser(userType, 'email', email);
+  let created = false;
+
+  if (!user) {
+    // Staff accounts are never created from SSO — an owner has to invite them first
+    if (userType !== 'student' || !provider.autoCreateStudents) return { error: 'account_not_found' };
+    user = await createStudent(provider, claims, email);
+    created = true;
+  } else if (userType === 'student' && !user.email_verified_at) {
+    // The IdP vouched for the address, so the pending verification is settled too
+    const { error: verifyErr } = await supabase
+      .from('students')
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    if (verifyErr) throw verifyErr;
+    invalidateUserCache('student', user.id);
+  }
+
+  await linkIdentity(req, provider, userType, user, claims, email);
+  return { user, created };
+};
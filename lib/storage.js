@@ -0,0 +1,140 @@
+import multer from 'multer';
+import path from 'path';
+import os from 'node:os';
+import fs from 'node:fs/promises';
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+
+// Supabase Storage helpers shared by the admin upload route, student avatars
+// and assignment submissions.
+export const BUCKET = 'uploads';
+// Student work is never public: objects here are only handed out as short-lived signed URLs
+export const PRIVATE_BUCKET = 'submissions';
+const SIGNED_URL_TTL = 15 * 60; // seconds
+export const UPLOAD_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif'];
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+/**
+ * Multer instance writing to a temp dir (disk, not memory, to avoid OOM with
+ * concurrent uploads). Files are streamed to Supabase, then cleaned up.
+ */
+export const createUpload = ({ allowedTypes = UPLOAD_MIME_TYPES, maxSize = 10 * 1024 * 1024, typeError } = {}) => {
+  const storage = multer.diskStorage({
+    destination: os.tmpdir(),
+    filename: (req, file, cb) => {
+      const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname)}`;
+      cb(null, uniqueName);
+    },
+  });
+
+  const fileFilter = (req, file, cb) => {
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error(typeError || 'Invalid file type. Only PDF and images are allowed.');
+      // Answered with a 400 by the error handler, like multer's own limit errors
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  };
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: maxSize },
+  });
+};
+
+const createBucketIfMissing = async (name, options) => {
+  const { data: buckets } = await supabase.storage.listBuckets();
+  const exists = buckets?.some(b => b.name === name);
+  if (!exists) {
+    const { error } = await supabase.storage.createBucket(name, {
+      ...options,
+      fileSizeLimit: 10 * 1024 * 1024,
+      allowedMimeTypes: UPLOAD_MIME_TYPES
+    });
+    if (error && process.env.NODE_ENV !== 'production') {
+      logger.error({ err: error, bucket: name }, 'Failed to create bucket');
+    }
+  }
+};
+
+// Ensure the storage buckets exist
+export const ensureBucket = () => createBucketIfMissing(BUCKET, { public: true });
+export const ensurePrivateBucket = () => createBucketIfMissing(PRIVATE_BUCKET, { public: false });
+
+// Returns the stored object path, or null when Supabase rejects the upload
+const putObject = async (bucket, file, objectPath) => {
+  // Read from temp file (disk-based, not RAM)
+  const fileBuffer = await fs.readFile(file.path);
+
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .upload(objectPath, fileBuffer, {
+      contentType: file.mimetype,
+      upsert: false
+    });
+
+  if (error) {
+    logger.error({ err: error, bucket, objectPath }, 'Storage upload failed');
+    return null;
+  }
+
+  return data.path;
+};
+
+/**
+ * Upload a multer temp file to the bucket under `objectPath` and return its public URL.
+ * Returns null when Supabase rejects the upload. The temp file is left for the caller to remove.
+ */
+export const uploadToStorage = async (file, objectPath = file.filename) => {
+  const storedPath = await putObject(BUCKET, file, objectPath);
+  if (!storedPath) return null;
+
+  const { data: urlData } = supabase.storage
+    .from(BUCKET)
+    .getPublicUrl(storedPath);
+
+  return urlData.publicUrl;
+};
+
+/**
+ * Upload a multer temp file to the private bucket. Returns the object path
+ * (to sign with createSignedUrls), or null when Supabase rejects the upload.
+ */
+export const uploadPrivateFile = (file, objectPath) => putObject(PRIVATE_BUCKET, file, objectPath);
+
+/** Signed URLs for private objects: Map of object path → URL (missing when signing failed) */
+export const createSignedUrls = async (objectPaths) => {
+  const urls = new Map();
+  if (objectPaths.length === 0) return urls;
+
+  const { data, error } = await supabase.storage
+    .from(PRIVATE_BUCKET)
+    .createSignedUrls(objectPaths, SIGNED_URL_TTL);
+
+  if (error) throw error;
+  for (const entry of data || []) {
+    if (entry.signedUrl) urls.set(entry.path, entry.signedUrl);
+  }
+  return urls;
+};
+
+/** Best-effort delete of an object by its public URL (ignores URLs outside our bucket) */
+export const removeFromStorage = async (publicUrl) => {
+  const marker = `/storage/v1/object/public/${BUCKET}/`;
+  const idx = publicUrl?.indexOf(marker) ?? -1;
+  if (idx === -1) return;
+
+  const objectPath = decodeURIComponent(publicUrl.slice(idx + marker.length));
+  const { error } = await supabase.storage.from(BUCKET).remove([objectPath]);
+  if (error) {
+    logger.warn({ err: error, objectPath }, 'Failed to remove old storage object');
+  }
+};
+
+/** Remove a multer temp file, ignoring errors */
+export const cleanupTempFile = (tempPath) => {
+  if (tempPath) fs.unlink(tempPath).catch(() => {});
+};
@@ -0,0 +1,255 @@
+import bcrypt from 'bcryptjs';
+import { randomBytes } from 'node:crypto';
+import supabase from '../config/db.js';
+import logger from '../config/logger.js';
+import { parseCsv } from './csv.js';
+import { sendMail, escapeHtml } from './mailer.js';
+import { sendVerificationEmail } from './emailVerification.js';
+import { importStudentRowSchema } from '../schemas/batch.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+const LOOKUP_CHUNK = 200;
+
+const STUDENT_APP_URL = process.env.STUDENT_APP_URL || 'http://localhost:5173';
+
+// Accepted spellings of each column (after lowercasing and stripping non-alphanumerics)
+const HEADER_ALIASES = {
+  name: 'name',
+  fullname: 'name',
+  studentname: 'name',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  paymentstatus: 'paymentStatus',
+  payment: 'paymentStatus',
+};
+
+/** Columns of the downloadable report */
+export const IMPORT_REPORT_COLUMNS = [
+  { key: 'row', label: 'Row' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'paymentStatus', label: 'Payment Status' },
+  { key: 'result', label: 'Result' },
+  { key: 'enrollment', label: 'Enrollment' },
+  { key: 'temporaryPassword', label: 'Temporary Password' },
+  { key: 'error', label: 'Error' },
+];
+
+const chunk = (arr, size) => {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+};
+
+const generateTemporaryPassword = () => randomBytes(9).toString('base64url');
+
+/**
+ * Parse and validate the CSV. Returns { error } for problems with the file as a
+ * whole, otherwise { rows } with one entry per data row (valid or not).
+ */
+export const parseStudentImport = (csvText) => {
+  const { headers, records } = parseCsv(csvText, {
+    normalizeHeader: (h) => HEADER_ALIASES[h.toLowerCase().replace(/[^a-z0-9]/g, '')] || null,
+  });
+
+  if (!headers.includes('name') || !headers.includes('email')) {
+    return { error: 'CSV must have a header row with at least "name" and "email" columns' };
+  }
+  if (records.length === 0) {
+    return { error: 'CSV has no data rows' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `CSV has ${records.length} rows; the limit is ${MAX_IMPORT_ROWS} per import` };
+  }
+
+  const seenEmails = new Set();
+
+  const rows = records.map((record) => {
+    const raw = {
+      name: record.name || undefined,
+      email: record.email || undefined,
+      phone: record.phone || undefined,
+      paymentStatus: record.paymentStatus ? record.paymentStatus.toLowerCase() : undefined,
+    };
+
+    const base = {
+      row: record._row,
+      name: record.name || '',
+      email: (record.email || '').toLowerCase(),
+      phone: record.phone || '',
+      paymentStatus: raw.paymentStatus || '',
+    };
+
+    const result = importStudentRowSchema.safeParse(raw);
+    if (!result.success) {
+      return { ...base, valid: false, error: result.error.issues.map((i) => i.message).join('; ') };
+    }
+
+    if (seenEmails.has(result.data.email)) {
+      return { ...base, valid: false, error: 'Duplicate email earlier in the file' };
+    }
+    seenEmails.add(result.data.email);
+
+    return { ...base, ...result.data, phone: result.data.phone || '', valid: true };
+  });
+
+  return { rows };
+};
+
+const sendCredentialsEmail = async (student, temporaryPassword) => {
+  const link = `${STUDENT_APP_URL}/login`;
+  await sendMail({
+    to: student.email,
+    subject: 'Your student account is ready',
+    text: `Hi ${student.name},\n\nAn account has been created for you.\n\nEmail: ${student.email}\nTemporary password: ${temporaryPassword}\n\nSign in at ${link} and change your password from your profile.`,
+    html: `<p>Hi ${escapeHtml(student.name)},</p><p>An account has been created for you.</p><p>Email: ${escapeHtml(student.email)}<br>Temporary password: <code>${escapeHtml(temporaryPassword)}</code></p><p><a href="${escapeHtml(link)}">Sign in</a> and change your password from your profile.</p>`,
+  });
+};
+
+/**
+ * Create missing students and enroll every valid row into the batch.
+ * With dryRun nothing is written; the report shows what would happen.
+ * Existing enrollments are left untouched (use PUT /:id/students/:studentId to change them).
+ */
+export const runStudentImport = async (batchId, rows, { dryRun = false, emailVerified = false, sendCredentials = false } = {}) => {
+  const validRows = rows.filter((r) => r.valid);
+  const emails = validRows.map((r) => r.email);
+
+  // Which students already exist?
+  const existingByEmail = new Map();
+  for (const part of chunk(emails, LOOKUP_CHUNK)) {
+    const { data, error } = await supabase
+      .from('students')
+      .select('id, email')
+      .in('email', part);
+
+    if (error) throw error;
+    (data || []).forEach((s) => existingByEmail.set(s.email, s.id));
+  }
+
+  // Create the rest
+  const toCreate = validRows.filter((r) => !existingByEmail.has(r.email));
+  const createdIds = new Map();
+  const passwords = new Map();
+
+  if (!dryRun && toCreate.length > 0) {
+    const inserts = [];
+    for (const r of toCreate) {
+      const temporaryPassword = generateTemporaryPassword();
+      passwords.set(r.email, temporaryPassword);
+      inserts.push({
+        name: r.name,
+        email: r.email,
+        phone: r.phone || null,
+        // Random 72-bit passwords don't need the cost-12 work factor used for
+        // user-chosen ones, and 12 would make a 1000-row import take minutes
+        password: await bcrypt.hash(temporaryPassword, 10),
+        email_verified_at: emailVerified ? new Date().toISOString() : null,
+      });
+    }
+
+    for (const part of chunk(inserts, LOOKUP_CHUNK)) {
+      // ignoreDuplicates: a student created concurrently is simply treated as existing below
+      const { data, error } = await supabase
+        .from('students')
+        .upsert(part, { onConflict: 'email', ignoreDuplicates: true })
+        .select('id, name, email');
+
+      if (error) throw error;
+      (data || []).forEach((s) => createdIds.set(s.email, s.id));
+    }
+
+    // Anything not returned lost a race with another insert — look it up
+    const missing = toCreate.filter((r) => !createdIds.has(r.email)).map((r) => r.email);
+    if (missing.length > 0) {
+      const { data, error } = await supabase
+        .from('students')
+        .select('id, email')
+        .in('email', missing);
+
+      if (error) throw error;
+      (data || []).forEach((s) => existingByEmail.set(s.email, s.id));
+    }
+  }
+
+  // Which of the existing students are already in this batch?
+  const alreadyEnrolled = new Set();
+  const existingIds = [...existingByEmail.values()];
+  for (const part of chunk(existingIds, LOOKUP_CHUNK)) {
+    const { data, error } = await supabase
+      .from('student_batches')
+      .select('student_id')
+      .eq('batch_id', batchId)
+      .in('student_id', part);
+
+    if (error) throw error;
+    (data || []).forEach((e) => alreadyEnrolled.add(e.student_id));
+  }
+
+  const enrollments = [];
+  const report = rows.map((r) => {
+    if (!r.valid) {
+      return { row: r.row, name: r.name, email: r.email, phone: r.phone, paymentStatus: r.paymentStatus, result: 'error', enrollment: null, error: r.error };
+    }
+
+    const existed = existingByEmail.has(r.email);
+    const studentId = existed ? existingByEmail.get(r.email) : createdIds.get(r.email);
+    const isEnrolled = existed && alreadyEnrolled.has(studentId);
+
+    if (!dryRun && studentId && !isEnrolled) {
+      enrollments.push({ student_id: studentId, batch_id: batchId, payment_status: r.paymentStatus, is_active: true });
+    }
+
+    return {
+      row: r.row,
+      studentId: studentId || null,
+      name: r.name,
+      email: r.email,
+      phone: r.phone,
+      paymentStatus: r.paymentStatus,
+      result: existed ? 'existing' : 'created',
+      enrollment: isEnrolled ? 'already_enrolled' : 'enrolled',
+      temporaryPassword: existed ? null : passwords.get(r.email) || null,
+      error: null,
+    };
+  });
+
+  if (enrollments.length > 0) {
+    for (const part of chunk(enrollments, LOOKUP_CHUNK)) {
+      const { error } = await supabase
+        .from('student_batches')
+        .upsert(part, { onConflict: 'student_id,batch_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+    }
+  }
+
+  // Mail failures never fail the import — they're logged and the report still has the password
+  if (!dryRun) {
+    for (const r of report) {
+      if (r.result !== 'created' || !r.studentId) continue;
+      const student = { id: r.studentId, name: r.name, email: r.email };
+      try {
+        if (sendCredentials) await sendCredentialsEmail(student, r.temporaryPassword);
+        if (!emailVerified) await sendVerificationEmail(student);
+      } catch (mailErr) {
+        logger.error({ err: mailErr, studentId: r.studentId }, 'Failed to send import email');
+      }
+    }
+  }
+
+  const summary = {
+    total: report.length,
+    created: report.filter((r) => r.result === 'created').length,
+    existing: report.filter((r) => r.result === 'existing').length,
+    enrolled: report.filter((r) => r.enrollment === 'enrolled').length,
+    alreadyEnrolled: report.filter((r) => r.enrollment === 'already_enrolled').length,
+    errors: report.filter((r) => r.result === 'error').length,
+  };
+
+  return { summary, rows: report };
+};
@@ -0,0 +1,31 @@
+import supabase from '../config/db.js';
+
+// Columns that make up a student's public-facing profile. Shared by the
+// profile endpoints, the resume generator and placement/interview views.
+export const PROFILE_COLUMNS = 'id, name, email, email_verified_at, phone, bio, college, graduation_year, github_url, linkedin_url, avatar_url';
+
+export const mapStudentProfile = (s) => ({
+  _id: s.id,
+  name: s.name,
+  email: s.email,
+  emailVerified: !!s.email_verified_at,
+  phone: s.phone || null,
+  bio: s.bio || null,
+  college: s.college || null,
+  graduationYear: s.graduation_year || null,
+  githubUrl: s.github_url || null,
+  linkedinUrl: s.linkedin_url || null,
+  avatarUrl: s.avatar_url || null,
+});
+
+/** Load one student's profile row (raw DB shape) or null */
+export const getStudentProfileRow = async (studentId) => {
+  const { data, error } = await supabase
+    .from('students')
+    .select(PROFILE_COLUMNS)
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,97 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s period) — the defaults every
+// authenticator app supports.
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD = 30;
+const DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = ((value << 5) | idx) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/** New random 160-bit secret, base32 encoded */
+export const generateTotpSecret = () => base32Encode(randomBytes(20));
+
+const hotp = (key, counter) => {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = createHmac('sha1', key).update(msg).digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (
+    ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3]
+  ) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, '0');
+};
+
+export const currentTimeStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD);
+
+export const generateTotp = (secret, step = currentTimeStep()) => hotp(base32Decode(secret), step);
+
+/**
+ * Check a code against the secret, allowing `window` steps of clock drift either way.
+ * Returns the matching time step (so callers can reject replays), or null.
+ */
+export const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentTimeStep(now);
+  const given = Buffer.from(code);
+
+  for (let i = -window; i <= window; i++) {
+    const expected = Buffer.from(hotp(key, step + i));
+    if (timingSafeEqual(expected, given)) return step + i;
+  }
+
+  return null;
+};
+
+/** otpauth:// URI for QR codes / manual entry in authenticator apps */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const query = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+  return `otpauth://totp/${label}?${query}`;
+};
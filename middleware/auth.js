@@ -1,6 +1,10 @@
 import jwt from 'jsonwebtoken';
 import { createHash, randomUUID } from 'node:crypto';
 import supabase from '../config/db.js';
+import { hasPermission } from '../lib/permissions.js';
+import { recordAudit } from '../lib/audit.js';
+import { findActiveApiKey, touchApiKey } from '../lib/apiKeys.js';
+import { getUnmetPrerequisites } from '../lib/prerequisites.js';
 
 /* ------------------------------------------------------------------ */
 /*  USER CACHE (30s TTL, 5000 cap)                                    */
@@ -27,6 +31,215 @@ const setCache = (key, data) => {
   userCache.set(key, { data, ts: Date.now() });
 };
 
+/** Drop a cached admin/student so the next request re-reads it from the DB */
+export const invalidateUserCache = (userType, id) => {
+  userCache.delete(`${userType}:${id}`);
+};
+
+/* ------------------------------------------------------------------ */
+/*  EMAIL VERIFICATION MODE                                           */
+/*  off        — unverified students have full access (default)       */
+/*  enrollment — course content + enrollment endpoints need a         */
+/*               verified email                                       */
+/*  strict     — every student-protected route needs a verified email */
+/* ------------------------------------------------------------------ */
+const EMAIL_VERIFICATION_MODE = process.env.STUDENT_EMAIL_VERIFICATION || 'off';
+
+const unverifiedResponse = (res) => res.status(403).json({
+  message: 'Please verify your email address to continue',
+  emailVerified: false,
+});
+
+const loadStudent = async (id) => {
+  const cacheKey = `student:${id}`;
+  let student = getCached(cacheKey);
+
+  if (!student) {
+    const { data, error } = await supabase
+      .from('students')
+      .select('id, name, email, email_verified_at, tokens_revoked_at')
+      .eq('id', id)
+      .single();
+
+    if (error || !data) return null;
+    student = data;
+    setCache(cacheKey, student);
+  }
+
+  return student;
+};
+
+/* ------------------------------------------------------------------ */
+/*  ADMIN 2FA ENFORCEMENT                                             */
+/*  ADMIN_MFA_REQUIRED=true — admins without TOTP can only reach the  */
+/*  enrollment endpoints until they set it up                         */
+/* ------------------------------------------------------------------ */
+export const ADMIN_MFA_REQUIRED = process.env.ADMIN_MFA_REQUIRED === 'true';
+
+const needsMfaEnrollment = (admin) => ADMIN_MFA_REQUIRED && !admin.totp_enabled_at;
+
+const mfaEnrollmentResponse = (res) => res.status(403).json({
+  message: 'Two-factor authentication must be set up before continuing',
+  mfaEnrollmentRequired: true,
+});
+
+const loadAdmin = async (id) => {
+  const cacheKey = `admin:${id}`;
+  let admin = getCached(cacheKey);
+
+  if (!admin) {
+    const [adminRes, scopeRes] = await Promise.all([
+      supabase
+        .from('admins')
+        .select('id, name, email, role, permissions, tokens_revoked_at, totp_enabled_at')
+        .eq('id', id)
+        .single(),
+      supabase
+        .from('admin_batch_scopes')
+        .select('batch_id')
+        .eq('admin_id', id),
+    ]);
+
+    if (adminRes.error || !adminRes.data) return null;
+
+    const scopedBatchIds = (scopeRes.data || []).map((s) => s.batch_id);
+    admin = {
+      ...adminRes.data,
+      // null = unrestricted; owners are never batch-scoped
+      batchIds: adminRes.data.role !== 'owner' && scopedBatchIds.length > 0 ? scopedBatchIds : null,
+    };
+    setCache(cacheKey, admin);
+  }
+
+  return admin;
+};
+
+/**
+ * True when the access token was issued before the user's last
+ * "log out everywhere". JWT iat has 1s resolution, so tokens minted in the
+ * same second as the revocation are still accepted.
+ */
+const isTokenRevoked = (decoded, user) => {
+  if (!user.tokens_revoked_at) return false;
+  return decoded.iat < Math.floor(new Date(user.tokens_revoked_at).getTime() / 1000);
+};
+
+const revokedResponse = (res) => res.status(401).json({ message: 'Not authorized, session has been revoked' });
+
+/* ------------------------------------------------------------------ */
+/*  IMPERSONATION ("view as student")                                 */
+/*  Admins with students:impersonate mint a short-lived token, sent   */
+/*  in X-Impersonation-Token. The student middlewares honor it, only  */
+/*  read-only requests get through, and every request is audited.     */
+/* ------------------------------------------------------------------ */
+const IMPERSONATION_HEADER = 'x-impersonation-token';
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const loadImpersonationSession = async (id) => {
+  const cacheKey = `impersonation:${id}`;
+  let session = getCached(cacheKey);
+
+  if (!session) {
+    const { data, error } = await supabase
+      .from('impersonation_sessions')
+      .select('id, admin_id, student_id, expires_at, ended_at')
+      .eq('id', id)
+      .single();
+
+    if (error || !data) return null;
+    session = data;
+    setCache(cacheKey, session);
+  }
+
+  return session;
+};
+
+const impersonationEndedResponse = (res) => res.status(401).json({
+  message: 'Not authorized, impersonation session has ended',
+  impersonationEnded: true,
+});
+
+/**
+ * Resolve the student behind an impersonation token. Sends the error response
+ * and returns null when the token is not usable; otherwise marks the request
+ * (req.impersonation, X-Impersonation-Session header, `impersonation` field on
+ * JSON object bodies) and returns the student.
+ */
+const authenticateImpersonation = async (req, res) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(req.headers[IMPERSONATION_HEADER], process.env.JWT_SECRET);
+  } catch {
+    impersonationEndedResponse(res);
+    return null;
+  }
+
+  if (decoded.role !== 'impersonation' || !decoded.sid) {
+    res.status(401).json({ message: 'Not authorized, invalid impersonation token' });
+    return null;
+  }
+
+  const session = await loadImpersonationSession(decoded.sid);
+  if (
+    !session
+    || session.ended_at
+    || session.student_id !== decoded.id
+    || new Date(session.expires_at) <= new Date()
+  ) {
+    impersonationEndedResponse(res);
+    return null;
+  }
+
+  // The admin must still exist, hold the permission and not have logged out everywhere
+  const admin = await loadAdmin(session.admin_id);
+  if (!admin || isTokenRevoked(decoded, admin) || !hasPermission(admin, 'students:impersonate')) {
+    impersonationEndedResponse(res);
+    return null;
+  }
+
+  const student = await loadStudent(session.student_id);
+  if (!student) {
+    res.status(401).json({ message: 'Not authorized, student not found' });
+    return null;
+  }
+
+  req.impersonation = {
+    sessionId: session.id,
+    adminId: admin.id,
+    adminEmail: admin.email,
+    studentId: student.id,
+    expiresAt: session.expires_at,
+  };
+
+  const flag = { sessionId: session.id, adminId: admin.id, expiresAt: session.expires_at };
+  res.setHeader('X-Impersonation-Session', session.id);
+  const json = res.json.bind(res);
+  res.json = (body) => json(
+    body && typeof body === 'object' && !Array.isArray(body) ? { ...body, impersonation: flag } : body
+  );
+
+  res.on('finish', () => {
+    recordAudit(req, {
+      action: 'impersonation.request',
+      entityType: 'student',
+      entityId: student.id,
+      metadata: {
+        sessionId: session.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+      },
+    });
+  });
+
+  if (!READ_ONLY_METHODS.has(req.method)) {
+    res.status(403).json({ message: 'Impersonation sessions are read-only' });
+    return null;
+  }
+
+  return student;
+};
+
 /* ------------------------------------------------------------------ */
 /*  HELPERS: read token from cookie (primary) or header (fallback)    */
 /* ------------------------------------------------------------------ */
@@ -43,10 +256,62 @@ const extractToken = (req) => {
   return null;
 };
 
+/* ------------------------------------------------------------------ */
+/*  API KEYS (server-to-server integrations)                          */
+/*  Sent as X-API-Key. The key acts with its scopes, capped by what   */
+/*  the admin who created it may still do.                            */
+/* ------------------------------------------------------------------ */
+const API_KEY_HEADER = 'x-api-key';
+
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await findActiveApiKey(req.headers[API_KEY_HEADER]);
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Not authorized, invalid or expired API key' });
+  }
+
+  const creator = await loadAdmin(apiKey.created_by);
+  if (!creator) {
+    return res.status(401).json({ message: 'Not authorized, invalid or expired API key' });
+  }
+
+  touchApiKey(apiKey, req.ip);
+
+  req.apiKey = { id: apiKey.id, name: apiKey.name, prefix: apiKey.key_prefix };
+  // Handlers see an admin-shaped principal; role 'api_key' has no default permissions
+  req.admin = {
+    id: creator.id,
+    name: `API key: ${apiKey.name}`,
+    email: creator.email,
+    role: 'api_key',
+    permissions: (apiKey.scopes || []).filter((scope) => hasPermission(creator, scope)),
+    batchIds: creator.batchIds,
+  };
+  next();
+};
+
+/** Student and course-content middleware never take API keys. Returns true when it answered. */
+const rejectApiKey = (req, res) => {
+  if (!req.headers[API_KEY_HEADER]) return false;
+  // Refused outright so the header cannot also skip the CSRF check for a cookie session
+  res.status(403).json({ message: 'Forbidden: API keys cannot access this endpoint' });
+  return true;
+};
+
 /* ------------------------------------------------------------------ */
 /*  ADMIN PROTECT                                                     */
 /* ------------------------------------------------------------------ */
-export const protect = async (req, res, next) => {
+const createAdminProtect = ({ allowMfaEnrollment = false, allowApiKey = false } = {}) => async (req, res, next) => {
+  if (req.headers[API_KEY_HEADER]) {
+    if (!allowApiKey) {
+      return res.status(403).json({ message: 'Forbidden: this endpoint requires an interactive admin login' });
+    }
+    try {
+      return await authenticateApiKey(req, res, next);
+    } catch {
+      return res.status(401).json({ message: 'Not authorized, API key check failed' });
+    }
+  }
+
   const token = extractToken(req);
 
   if (!token) {
@@ -60,21 +325,16 @@ export const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized, admin access required' });
     }
 
-    const cacheKey = `admin:${decoded.id}`;
-    let admin = getCached(cacheKey);
+    const admin = await loadAdmin(decoded.id);
 
     if (!admin) {
-      const { data, error } = await supabase
-        .from('admins')
-        .select('id, name, email')
-        .eq('id', decoded.id)
-        .single();
+      return res.status(401).json({ message: 'Not authorized, user not found' });
+    }
 
-      if (error || !data) {
-        return res.status(401).json({ message: 'Not authorized, user not found' });
-      }
-      admin = data;
-      setCache(cacheKey, admin);
+    if (isTokenRevoked(decoded, admin)) return revokedResponse(res);
+
+    if (!allowMfaEnrollment && needsMfaEnrollment(admin)) {
+      return mfaEnrollmentResponse(res);
     }
 
     req.admin = admin;
@@ -84,38 +344,88 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin JWT or a scoped API key (X-API-Key). A key holds nothing but its scopes, so
+ * every route using protect must also requirePermission; staff-only reads use protectSession.
+ */
+export const protect = createAdminProtect({ allowApiKey: true });
+
+/** Admin JWT only — for staff, security and account management that API keys must never reach */
+export const protectSession = createAdminProtect();
+
+/** Same as protectSession, but lets admins who still have to enroll in 2FA through (profile, 2FA setup) */
+export const protectAllowMfaEnrollment = createAdminProtect({ allowMfaEnrollment: true });
+
+/* ------------------------------------------------------------------ */
+/*  REQUIRE PERMISSION (use after protect)                            */
+/* ------------------------------------------------------------------ */
+// Usage: router.post('/', protect, requirePermission('courses:write'), handler)
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.find((p) => !hasPermission(req.admin, p));
+  if (missing) {
+    return res.status(403).json({ message: `Forbidden: requires ${missing} permission` });
+  }
+  next();
+};
+
+/* ------------------------------------------------------------------ */
+/*  REQUIRE BATCH SCOPE (use after protect on /batches/:id routes)    */
+/*  Staff scoped to specific batches can only touch those batches.    */
+/* ------------------------------------------------------------------ */
+export const requireBatchScope = (req, res, next) => {
+  const batchIds = req.admin?.batchIds;
+  if (batchIds && !batchIds.includes(req.params.id)) {
+    return res.status(403).json({ message: 'Forbidden: you do not have access to this batch' });
+  }
+  next();
+};
+
 /* ------------------------------------------------------------------ */
 /*  STUDENT PROTECT                                                   */
 /* ------------------------------------------------------------------ */
-export const studentProtect = async (req, res, next) => {
+const authenticateStudent = async (req, res) => {
+  if (req.headers[IMPERSONATION_HEADER]) {
+    return authenticateImpersonation(req, res);
+  }
+
   const token = extractToken(req);
 
   if (!token) {
-    return res.status(401).json({ message: 'Not authorized, no token provided' });
+    res.status(401).json({ message: 'Not authorized, no token provided' });
+    return null;
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    if (!decoded.role || decoded.role !== 'student') {
-      return res.status(401).json({ message: 'Not authorized, student access required' });
-    }
+  if (!decoded.role || decoded.role !== 'student') {
+    res.status(401).json({ message: 'Not authorized, student access required' });
+    return null;
+  }
 
-    const cacheKey = `student:${decoded.id}`;
-    let student = getCached(cacheKey);
+  const student = await loadStudent(decoded.id);
 
-    if (!student) {
-      const { data, error } = await supabase
-        .from('students')
-        .select('id, name, email')
-        .eq('id', decoded.id)
-        .single();
+  if (!student) {
+    res.status(401).json({ message: 'Not authorized, student not found' });
+    return null;
+  }
 
-      if (error || !data) {
-        return res.status(401).json({ message: 'Not authorized, student not found' });
-      }
-      student = data;
-      setCache(cacheKey, student);
+  if (isTokenRevoked(decoded, student)) {
+    revokedResponse(res);
+    return null;
+  }
+
+  return student;
+};
+
+const createStudentProtect = ({ allowUnverified = false } = {}) => async (req, res, next) => {
+  if (rejectApiKey(req, res)) return;
+
+  try {
+    const student = await authenticateStudent(req, res);
+    if (!student) return;
+
+    if (EMAIL_VERIFICATION_MODE === 'strict' && !allowUnverified && !student.email_verified_at) {
+      return unverifiedResponse(res);
     }
 
     req.student = student;
@@ -125,10 +435,76 @@ export const studentProtect = async (req, res, next) => {
   }
 };
 
+export const studentProtect = createStudentProtect();
+
+/** Same as studentProtect, but lets unverified students through even in strict mode (profile, etc.) */
+export const studentProtectAllowUnverified = createStudentProtect({ allowUnverified: true });
+
+/* ------------------------------------------------------------------ */
+/*  REQUIRE VERIFIED EMAIL (use after studentProtect on enrollment    */
+/*  endpoints; no-op when STUDENT_EMAIL_VERIFICATION=off)             */
+/* ------------------------------------------------------------------ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (EMAIL_VERIFICATION_MODE !== 'off' && !req.student?.email_verified_at) {
+    return unverifiedResponse(res);
+  }
+  next();
+};
+
 /* ------------------------------------------------------------------ */
 /*  REQUIRE COURSE ACCESS (admin or enrolled student)                 */
 /* ------------------------------------------------------------------ */
+const allowStudentCourseAccess = async (req, res, next, student) => {
+  if (EMAIL_VERIFICATION_MODE !== 'off' && !student.email_verified_at) {
+    return unverifiedResponse(res);
+  }
+
+  req.student = student;
+
+  const courseId = req.params.id || req.params.courseId;
+  if (!courseId) return next();
+
+  // Check active enrollment with paid/free status
+  const { data: enrollments } = await supabase
+    .from('student_batches')
+    .select('batch_id')
+    .eq('student_id', student.id)
+    .eq('is_active', true)
+    .in('payment_status', ['paid', 'free']);
+
+  if (!enrollments || enrollments.length === 0) {
+    return res.status(403).json({ message: 'Access denied, enrollment required' });
+  }
+
+  const batchIds = enrollments.map((e) => e.batch_id);
+
+  const { data: match } = await supabase
+    .from('batch_courses')
+    .select('id')
+    .in('batch_id', batchIds)
+    .eq('course_id', courseId)
+    .limit(1);
+
+  if (!match || match.length === 0) {
+    return res.status(403).json({ message: 'Access denied, not enrolled in this course' });
+  }
+
+  return next();
+};
+
 export const requireCourseAccess = async (req, res, next) => {
+  if (rejectApiKey(req, res)) return;
+
+  if (req.headers[IMPERSONATION_HEADER]) {
+    try {
+      const student = await authenticateImpersonation(req, res);
+      if (student) await allowStudentCourseAccess(req, res, next, student);
+      return;
+    } catch {
+      return res.status(401).json({ message: 'Not authorized, token failed' });
+    }
+  }
+
   const token = extractToken(req);
 
   if (!token) {
@@ -140,43 +516,26 @@ export const requireCourseAccess = async (req, res, next) => {
 
     // Admins always have full access
     if (decoded.role === 'admin') {
-      req.admin = { id: decoded.id };
+      const admin = await loadAdmin(decoded.id);
+      if (!admin) {
+        return res.status(401).json({ message: 'Not authorized, user not found' });
+      }
+      if (isTokenRevoked(decoded, admin)) return revokedResponse(res);
+      if (needsMfaEnrollment(admin)) return mfaEnrollmentResponse(res);
+
+      req.admin = admin;
       return next();
     }
 
     // Students need enrollment check
     if (decoded.role === 'student') {
-      req.student = { id: decoded.id };
-
-      const courseId = req.params.id || req.params.courseId;
-      if (!courseId) return next();
-
-      // Check active enrollment with paid/free status
-      const { data: enrollments } = await supabase
-        .from('student_batches')
-        .select('batch_id')
-        .eq('student_id', decoded.id)
-        .eq('is_active', true)
-        .in('payment_status', ['paid', 'free']);
-
-      if (!enrollments || enrollments.length === 0) {
-        return res.status(403).json({ message: 'Access denied, enrollment required' });
-      }
-
-      const batchIds = enrollments.map((e) => e.batch_id);
-
-      const { data: match } = await supabase
-        .from('batch_courses')
-        .select('id')
-        .in('batch_id', batchIds)
-        .eq('course_id', courseId)
-        .limit(1);
-
-      if (!match || match.length === 0) {
-        return res.status(403).json({ message: 'Access denied, not enrolled in this course' });
+      const student = await loadStudent(decoded.id);
+      if (!student) {
+        return res.status(401).json({ message: 'Not authorized, student not found' });
       }
+      if (isTokenRevoked(decoded, student)) return revokedResponse(res);
 
-      return next();
+      return await allowStudentCourseAccess(req, res, next, student);
     }
 
     return res.status(401).json({ message: 'Invalid token role' });
@@ -188,90 +547,152 @@ export const requireCourseAccess = async (req, res, next) => {
 /* ------------------------------------------------------------------ */
 /*  REQUIRE TOPIC ACCESS (looks up course from topic, then checks)    */
 /* ------------------------------------------------------------------ */
-export const requireTopicAccess = async (req, res, next) => {
-  const token = extractToken(req);
+/**
+ * Whether a student may open a topic: enrolled in its course, unlocked for one of
+ * their batches and past its prerequisites. Returns null when they may, otherwise
+ * the { status, body } to answer with. Also used by endpoints that take the topic
+ * in the body (practice attempts).
+ */
+export const checkStudentTopicAccess = async (studentId, topicId) => {
+  // Look up the course this topic belongs to
+  const { data: topic } = await supabase
+    .from('topics')
+    .select('course_id')
+    .eq('id', topicId)
+    .single();
+
+  if (!topic) {
+    return { status: 404, body: { message: 'Topic not found' } };
+  }
 
-  if (!token) {
-    return res.status(401).json({ message: 'Authentication required to access topic content' });
+  // Check enrollment in that course
+  const { data: enrollments } = await supabase
+    .from('student_batches')
+    .select('batch_id')
+    .eq('student_id', studentId)
+    .eq('is_active', true)
+    .in('payment_status', ['paid', 'free']);
+
+  if (!enrollments || enrollments.length === 0) {
+    return { status: 403, body: { message: 'Access denied, enrollment required' } };
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const batchIds = enrollments.map((e) => e.batch_id);
+  const { data: match } = await supabase
+    .from('batch_courses')
+    .select('id')
+    .in('batch_id', batchIds)
+    .eq('course_id', topic.course_id)
+    .limit(1);
 
-    if (decoded.role === 'admin') {
-      req.admin = { id: decoded.id };
-      return next();
+  if (!match || match.length === 0) {
+    return { status: 403, body: { message: 'Access denied, not enrolled in this course' } };
+  }
+
+  // Check topic schedule: is this topic unlocked for the student's batch?
+  const { data: schedules } = await supabase
+    .from('batch_topic_schedule')
+    .select('unlock_date, is_unlocked')
+    .in('batch_id', batchIds)
+    .eq('topic_id', topicId);
+
+  // If no schedule entries exist, topic is unrestricted (accessible)
+  if (schedules && schedules.length > 0) {
+    const today = new Date().toISOString().split('T')[0];
+    // Topic is accessible if ANY batch has it unlocked
+    const accessible = schedules.some((s) => s.is_unlocked || s.unlock_date <= today);
+    if (!accessible) {
+      // Find the earliest unlock date to show in the error message
+      const earliest = schedules
+        .map((s) => s.unlock_date)
+        .sort()[0];
+      return {
+        status: 403,
+        body: {
+          message: `This topic is not yet available. It unlocks on ${earliest}`,
+          unlockDate: earliest,
+          locked: true,
+        },
+      };
     }
+  }
 
-    if (decoded.role === 'student') {
-      req.student = { id: decoded.id };
+  // Check prerequisites: every required score / coding pass must be in
+  const unmet = (await getUnmetPrerequisites(studentId, batchIds, [topicId]))[topicId];
+  if (unmet) {
+    return {
+      status: 403,
+      body: {
+        message: 'Complete the prerequisites to unlock this topic',
+        locked: true,
+        unmetPrerequisites: unmet,
+      },
+    };
+  }
 
-      const topicId = req.params.id;
-      if (!topicId) return next();
+  return null;
+};
 
-      // Look up the course this topic belongs to
-      const { data: topic } = await supabase
-        .from('topics')
-        .select('course_id')
-        .eq('id', topicId)
-        .single();
+const allowStudentTopicAccess = async (req, res, next, student) => {
+  if (EMAIL_VERIFICATION_MODE !== 'off' && !student.email_verified_at) {
+    return unverifiedResponse(res);
+  }
 
-      if (!topic) {
-        return res.status(404).json({ message: 'Topic not found' });
-      }
+  req.student = student;
 
-      // Check enrollment in that course
-      const { data: enrollments } = await supabase
-        .from('student_batches')
-        .select('batch_id')
-        .eq('student_id', decoded.id)
-        .eq('is_active', true)
-        .in('payment_status', ['paid', 'free']);
+  const topicId = req.params.id;
+  if (!topicId) return next();
 
-      if (!enrollments || enrollments.length === 0) {
-        return res.status(403).json({ message: 'Access denied, enrollment required' });
-      }
+  const denied = await checkStudentTopicAccess(student.id, topicId);
+  if (denied) return res.status(denied.status).json(denied.body);
 
-      const batchIds = enrollments.map((e) => e.batch_id);
-      const { data: match } = await supabase
-        .from('batch_courses')
-        .select('id')
-        .in('batch_id', batchIds)
-        .eq('course_id', topic.course_id)
-        .limit(1);
+  return next();
+};
 
-      if (!match || match.length === 0) {
-        return res.status(403).json({ message: 'Access denied, not enrolled in this course' });
-      }
+export const requireTopicAccess = async (req, res, next) => {
+  if (rejectApiKey(req, res)) return;
+
+  if (req.headers[IMPERSONATION_HEADER]) {
+    try {
+      const student = await authenticateImpersonation(req, res);
+      if (student) await allowStudentTopicAccess(req, res, next, student);
+      return;
+    } catch {
+      return res.status(401).json({ message: 'Not authorized, token failed' });
+    }
+  }
 
-      // Check topic schedule: is this topic unlocked for the student's batch?
-      const { data: schedules } = await supabase
-        .from('batch_topic_schedule')
-        .select('unlock_date, is_unlocked')
-        .in('batch_id', batchIds)
-        .eq('topic_id', topicId);
-
-      // If no schedule entries exist, topic is unrestricted (accessible)
-      if (schedules && schedules.length > 0) {
-        const today = new Date().toISOString().split('T')[0];
-        // Topic is accessible if ANY batch has it unlocked
-        const accessible = schedules.some((s) => s.is_unlocked || s.unlock_date <= today);
-        if (!accessible) {
-          // Find the earliest unlock date to show in the error message
-          const earliest = schedules
-            .map((s) => s.unlock_date)
-            .sort()[0];
-          return res.status(403).json({
-            message: `This topic is not yet available. It unlocks on ${earliest}`,
-            unlockDate: earliest,
-            locked: true,
-          });
-        }
+  const token = extractToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required to access topic content' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.role === 'admin') {
+      const admin = await loadAdmin(decoded.id);
+      if (!admin) {
+        return res.status(401).json({ message: 'Not authorized, user not found' });
       }
+      if (isTokenRevoked(decoded, admin)) return revokedResponse(res);
+      if (needsMfaEnrollment(admin)) return mfaEnrollmentResponse(res);
 
+      req.admin = admin;
       return next();
     }
 
+    if (decoded.role === 'student') {
+      const student = await loadStudent(decoded.id);
+      if (!student) {
+        return res.status(401).json({ message: 'Not authorized, student not found' });
+      }
+      if (isTokenRevoked(decoded, student)) return revokedResponse(res);
+
+      return await allowStudentTopicAccess(req, res, next, student);
+    }
+
     return res.status(401).json({ message: 'Invalid token role' });
   } catch {
     return res.status(401).json({ message: 'Not authorized, token failed' });
@@ -289,6 +710,57 @@ export const generateAccessToken = (id, role = 'student') => {
   });
 };
 
+/** Short-lived token proving the password step of an admin 2FA login (5 minutes) */
+export const generateMfaToken = (id) => {
+  return jwt.sign({ id, role: 'mfa_pending' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
+
+/** Returns the admin id from a valid mfa_pending token, or null */
+export const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.role === 'mfa_pending' ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Read-only "view as student" token bound to an impersonation_sessions row */
+export const generateImpersonationToken = (session) => {
+  const expiresIn = Math.max(1, Math.floor((new Date(session.expires_at).getTime() - Date.now()) / 1000));
+  return jwt.sign({ id: session.student_id, sid: session.id, role: 'impersonation' }, process.env.JWT_SECRET, {
+    expiresIn,
+  });
+};
+
+/**
+ * Start token for an assessment attempt. Only the token whose jti matches the
+ * attempt's token_id may save or submit, so resuming elsewhere locks out the old tab.
+ * Untimed attempts get a 12h token; starting again re-issues it.
+ */
+export const generateAssessmentToken = (attempt) => {
+  const expiresIn = attempt.expires_at
+    ? Math.max(60, Math.floor((new Date(attempt.expires_at).getTime() - Date.now()) / 1000) + 60)
+    : 12 * 60 * 60;
+  return jwt.sign(
+    { id: attempt.student_id, aid: attempt.id, role: 'assessment_attempt' },
+    process.env.JWT_SECRET,
+    { expiresIn, jwtid: attempt.token_id }
+  );
+};
+
+/** Returns the decoded payload of a valid assessment start token, or null */
+export const verifyAssessmentToken = (token) => {
+  try {
+    const decoded = jwt.verify(token || '', process.env.JWT_SECRET);
+    return decoded.role === 'assessment_attempt' ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
 /** Refresh token: returns { token, hash } — store hash in DB, send raw token to client */
 export const generateRefreshToken = () => {
   const token = randomUUID() + '-' + randomUUID();
@@ -22,6 +22,11 @@ export const csrfProtect = (req, res, next) => {
     return next();
   }
 
+  // Same for API keys: a custom header no form can send, checked by the auth middleware
+  if (req.headers['x-api-key']) {
+    return next();
+  }
+
   // For cookie-only auth: verify double-submit CSRF token
   const cookieToken = req.cookies?.csrf_token;
   const headerToken = req.headers['x-csrf-token'];
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, studentProtect } from '../middleware/auth.js';
+import { protect, protectSession, requirePermission, studentProtect } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { createAnnouncementSchema, updateAnnouncementSchema } from '../schemas/announcement.js';
 import {
@@ -18,9 +18,9 @@ router.get('/student', studentProtect, getStudentAnnouncements);
 router.post('/:id/read', studentProtect, markAnnouncementRead);
 
 // Admin routes
-router.get('/', protect, getAnnouncements);
-router.post('/', protect, validate(createAnnouncementSchema), createAnnouncement);
-router.put('/:id', protect, validate(updateAnnouncementSchema), updateAnnouncement);
-router.delete('/:id', protect, deleteAnnouncement);
+router.get('/', protectSession, getAnnouncements);
+router.post('/', protect, requirePermission('announcements:write'), validate(createAnnouncementSchema), createAnnouncement);
+router.put('/:id', protect, requirePermission('announcements:write'), validate(updateAnnouncementSchema), updateAnnouncement);
+router.delete('/:id', protect, requirePermission('announcements:write'), deleteAnnouncement);
 
 export default router;
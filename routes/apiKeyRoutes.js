@@ -0,0 +1,15 @@
+import express from 'express';
+import { protectSession, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createApiKeySchema } from '../schemas/apiKey.js';
+import { getApiKeys, createKey, revokeKey } from '../controllers/apiKeyController.js';
+
+const router = express.Router();
+
+router.use(protectSession, requirePermission('api_keys:manage'));
+
+router.get('/', getApiKeys);
+router.post('/', validate(createApiKeySchema), createKey);
+router.delete('/:id', revokeKey);
+
+export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import { protect, requirePermission, studentProtect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  createAssessmentSchema,
+  updateAssessmentSchema,
+  releaseResultsSchema,
+  saveResponsesSchema,
+  submitAssessmentSchema,
+} from '../schemas/assessment.js';
+import {
+  getAssessments,
+  getAssessmentById,
+  createAssessment,
+  updateAssessment,
+  deleteAssessment,
+  releaseResults,
+  getAssessmentAttempts,
+  getAssessmentAttemptDetail,
+  getMyAssessments,
+  startAssessment,
+  getMyAttempt,
+  saveResponses,
+  submitAssessment,
+} from '../controllers/assessmentController.js';
+
+const router = express.Router();
+
+// ---- Student-facing (MUST be before /:id) ----
+router.get('/student', studentProtect, getMyAssessments);
+router.post('/student/:id/start', studentProtect, startAssessment);
+router.get('/student/attempts/:attemptId', studentProtect, getMyAttempt);
+router.put('/student/attempts/:attemptId/responses', studentProtect, validate(saveResponsesSchema), saveResponses);
+router.post('/student/attempts/:attemptId/submit', studentProtect, validate(submitAssessmentSchema), submitAssessment);
+
+// ---- Admin ----
+router.get('/', protect, requirePermission('assessments:write'), getAssessments);
+router.post('/', protect, requirePermission('assessments:write'), validate(createAssessmentSchema), createAssessment);
+router.get('/:id', protect, requirePermission('assessments:write'), getAssessmentById);
+router.put('/:id', protect, requirePermission('assessments:write'), validate(updateAssessmentSchema), updateAssessment);
+router.delete('/:id', protect, requirePermission('assessments:write'), deleteAssessment);
+router.put('/:id/release', protect, requirePermission('assessments:write'), validate(releaseResultsSchema), releaseResults);
+router.get('/:id/attempts', protect, requirePermission('reports:read'), getAssessmentAttempts);
+router.get('/:id/attempts/:attemptId', protect, requirePermission('reports:read'), getAssessmentAttemptDetail);
+
+export default router;
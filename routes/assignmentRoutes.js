@@ -0,0 +1,50 @@
+import express from 'express';
+import { protect, protectSession, requirePermission, studentProtect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  createAssignmentSchema,
+  updateAssignmentSchema,
+  submitAssignmentSchema,
+  gradeSubmissionSchema,
+} from '../schemas/assignment.js';
+import { createUpload, ensurePrivateBucket } from '../lib/storage.js';
+import {
+  getAssignments,
+  getAssignmentById,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  getAssignmentSubmissions,
+  getStudentSubmissions,
+  gradeSubmission,
+  releaseGrades,
+  getMyAssignments,
+  getMyAssignment,
+  submitAssignment,
+} from '../controllers/assignmentController.js';
+
+const router = express.Router();
+
+const submissionUpload = createUpload();
+
+ensurePrivateBucket();
+
+// ---- Student-facing (MUST be before /:id) ----
+router.get('/student', studentProtect, getMyAssignments);
+router.get('/student/:id', studentProtect, getMyAssignment);
+router.post('/student/:id/submissions', studentProtect, submissionUpload.array('files', 10), validate(submitAssignmentSchema), submitAssignment);
+
+// ---- Admin ----
+router.get('/', protectSession, getAssignments);
+router.post('/', protect, requirePermission('assignments:write'), validate(createAssignmentSchema), createAssignment);
+router.get('/:id', protectSession, getAssignmentById);
+router.put('/:id', protect, requirePermission('assignments:write'), validate(updateAssignmentSchema), updateAssignment);
+router.delete('/:id', protect, requirePermission('assignments:write'), deleteAssignment);
+
+// ---- Grading ----
+router.get('/:id/submissions', protect, requirePermission('assignments:grade'), getAssignmentSubmissions);
+router.get('/:id/submissions/:studentId', protect, requirePermission('assignments:grade'), getStudentSubmissions);
+router.put('/:id/grades/:studentId', protect, requirePermission('assignments:grade'), validate(gradeSubmissionSchema), gradeSubmission);
+router.post('/:id/release-grades', protect, requirePermission('assignments:grade'), releaseGrades);
+
+export default router;
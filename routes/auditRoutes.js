@@ -0,0 +1,12 @@
+import express from 'express';
+import { protectSession, requirePermission } from '../middleware/auth.js';
+import { getAuditLog, getAuditEntry } from '../controllers/auditController.js';
+
+const router = express.Router();
+
+router.use(protectSession, requirePermission('audit:read'));
+
+router.get('/', getAuditLog);
+router.get('/:id', getAuditEntry);
+
+export default router;
@@ -1,15 +1,61 @@
 import express from 'express';
-import { registerAdmin, loginAdmin, getAdminProfile, refreshToken, logoutAdmin } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  registerAdmin,
+  loginAdmin,
+  getAdminProfile,
+  refreshToken,
+  logoutAdmin,
+  forgotPasswordAdmin,
+  resetPasswordAdmin,
+  getAdmins,
+  updateAdminAccess,
+  loginAdminMfa,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  resetAdminTwoFactor,
+  getAdminSessions,
+  revokeAdminSession,
+  logoutAllAdmin,
+} from '../controllers/authController.js';
+import { protectSession, protectAllowMfaEnrollment, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { registerSchema, loginSchema } from '../schemas/auth.js';
+import {
+  registerSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  updateAdminAccessSchema,
+  mfaCodeSchema,
+  mfaLoginSchema,
+} from '../schemas/auth.js';
 
 const router = express.Router();
 
 router.post('/register', validate(registerSchema), registerAdmin);
 router.post('/login', validate(loginSchema), loginAdmin);
+router.post('/login/2fa', validate(mfaLoginSchema), loginAdminMfa);
 router.post('/refresh', refreshToken);
 router.post('/logout', logoutAdmin);
-router.get('/profile', protect, getAdminProfile);
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPasswordAdmin);
+router.post('/reset-password', validate(resetPasswordSchema), resetPasswordAdmin);
+router.get('/profile', protectAllowMfaEnrollment, getAdminProfile);
+
+// Sessions / devices
+router.get('/sessions', protectAllowMfaEnrollment, getAdminSessions);
+router.delete('/sessions/:id', protectAllowMfaEnrollment, revokeAdminSession);
+router.post('/logout-all', protectAllowMfaEnrollment, logoutAllAdmin);
+
+// Staff management
+router.get('/admins', protectSession, requirePermission('admins:manage'), getAdmins);
+router.put('/admins/:id/access', protectSession, requirePermission('admins:manage'), validate(updateAdminAccessSchema), updateAdminAccess);
+router.delete('/admins/:id/2fa', protectSession, requirePermission('admins:manage'), resetAdminTwoFactor);
+
+// Two-factor authentication (reachable before enrollment when ADMIN_MFA_REQUIRED=true)
+router.post('/2fa/setup', protectAllowMfaEnrollment, setupTwoFactor);
+router.post('/2fa/enable', protectAllowMfaEnrollment, validate(mfaCodeSchema), enableTwoFactor);
+router.post('/2fa/disable', protectSession, validate(mfaCodeSchema), disableTwoFactor);
+router.post('/2fa/recovery-codes', protectSession, validate(mfaCodeSchema), regenerateTwoFactorRecoveryCodes);
 
 export default router;
@@ -1,5 +1,11 @@
 import express from 'express';
-import { protect, studentProtect } from '../middleware/auth.js';
+import {
+  protect,
+  requirePermission,
+  requireBatchScope,
+  studentProtect,
+  requireVerifiedEmail,
+} from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import {
   createBatchSchema,
@@ -11,7 +17,10 @@ import {
   autoScheduleSchema,
   manualUnlockSchema,
   bulkScheduleSchema,
+  importStudentsSchema,
 } from '../schemas/batch.js';
+import { prerequisiteOverrideSchema } from '../schemas/prerequisite.js';
+import { createUpload } from '../lib/storage.js';
 import {
   getBatches,
   getBatchById,
@@ -21,10 +30,12 @@ import {
   assignCourses,
   removeCourse,
   enrollStudents,
+  importStudents,
   updateEnrollment,
   removeStudent,
   getAllStudents,
   onboardStudent,
+  forceLogoutStudent,
   getMyEnrolledCourses,
   checkCourseAccess,
   getBatchProgress,
@@ -36,41 +47,61 @@ import {
   clearSchedule,
   getStudentSchedule,
 } from '../controllers/batchController.js';
+import {
+  getBatchPrerequisites,
+  setPrerequisiteOverride,
+  deletePrerequisiteOverride,
+} from '../controllers/prerequisiteController.js';
+import { getStudentSkillMastery } from '../controllers/skillController.js';
 
 const router = express.Router();
 
+const csvUpload = createUpload({
+  allowedTypes: ['text/csv', 'application/vnd.ms-excel', 'text/plain'],
+  maxSize: 2 * 1024 * 1024, // 2MB
+  typeError: 'Invalid file type. Only CSV files are allowed.',
+});
+
 // ---- Student-facing (MUST be before /:id to avoid matching "student" as id) ----
-router.get('/student/my-courses', studentProtect, getMyEnrolledCourses);
-router.get('/student/check-access/:courseId', studentProtect, checkCourseAccess);
-router.get('/student/schedule/:courseId', studentProtect, getStudentSchedule);
+router.get('/student/my-courses', studentProtect, requireVerifiedEmail, getMyEnrolledCourses);
+router.get('/student/check-access/:courseId', studentProtect, requireVerifiedEmail, checkCourseAccess);
+router.get('/student/schedule/:courseId', studentProtect, requireVerifiedEmail, getStudentSchedule);
 
 // ---- Admin: specific paths before /:id ----
-router.get('/', protect, getBatches);
-router.get('/students/all', protect, getAllStudents);
-router.post('/students/onboard', protect, validate(onboardStudentSchema), onboardStudent);
-router.post('/', protect, validate(createBatchSchema), createBatch);
+router.get('/', protect, requirePermission('batches:read'), getBatches);
+router.get('/students/all', protect, requirePermission('students:read'), getAllStudents);
+router.post('/students/onboard', protect, requirePermission('students:write'), validate(onboardStudentSchema), onboardStudent);
+router.post('/students/:studentId/logout', protect, requirePermission('students:write'), forceLogoutStudent);
+router.post('/', protect, requirePermission('batches:write'), validate(createBatchSchema), createBatch);
 
-// ---- Admin: dynamic /:id routes ----
-router.get('/:id', protect, getBatchById);
-router.get('/:id/progress', protect, getBatchProgress);
-router.get('/:id/students/:studentId/progress', protect, getStudentProgress);
-router.put('/:id', protect, validate(updateBatchSchema), updateBatch);
-router.delete('/:id', protect, deleteBatch);
+// ---- Admin: dynamic /:id routes (batch-scoped staff only see their batches) ----
+router.get('/:id', protect, requirePermission('batches:read'), requireBatchScope, getBatchById);
+router.get('/:id/progress', protect, requirePermission('reports:read'), requireBatchScope, getBatchProgress);
+router.get('/:id/students/:studentId/progress', protect, requirePermission('reports:read'), requireBatchScope, getStudentProgress);
+router.get('/:id/students/:studentId/skills', protect, requirePermission('reports:read'), requireBatchScope, getStudentSkillMastery);
+router.put('/:id', protect, requirePermission('batches:write'), requireBatchScope, validate(updateBatchSchema), updateBatch);
+router.delete('/:id', protect, requirePermission('batches:write'), requireBatchScope, deleteBatch);
 
 // ---- Batch ↔ Topic Schedule ----
-router.get('/:id/schedule/:courseId', protect, getSchedule);
-router.post('/:id/schedule/auto', protect, validate(autoScheduleSchema), autoSchedule);
-router.post('/:id/schedule/bulk', protect, validate(bulkScheduleSchema), bulkSchedule);
-router.put('/:id/schedule/toggle', protect, validate(manualUnlockSchema), toggleTopicUnlock);
-router.delete('/:id/schedule/:courseId', protect, clearSchedule);
+router.get('/:id/schedule/:courseId', protect, requirePermission('batches:read'), requireBatchScope, getSchedule);
+router.post('/:id/schedule/auto', protect, requirePermission('schedule:write'), requireBatchScope, validate(autoScheduleSchema), autoSchedule);
+router.post('/:id/schedule/bulk', protect, requirePermission('schedule:write'), requireBatchScope, validate(bulkScheduleSchema), bulkSchedule);
+router.put('/:id/schedule/toggle', protect, requirePermission('schedule:write'), requireBatchScope, validate(manualUnlockSchema), toggleTopicUnlock);
+router.delete('/:id/schedule/:courseId', protect, requirePermission('schedule:write'), requireBatchScope, clearSchedule);
+
+// ---- Batch ↔ Prerequisite overrides (relax gating for this cohort) ----
+router.get('/:id/prerequisites', protect, requirePermission('batches:read'), requireBatchScope, getBatchPrerequisites);
+router.put('/:id/prerequisites/:prerequisiteId', protect, requirePermission('schedule:write'), requireBatchScope, validate(prerequisiteOverrideSchema), setPrerequisiteOverride);
+router.delete('/:id/prerequisites/:prerequisiteId', protect, requirePermission('schedule:write'), requireBatchScope, deletePrerequisiteOverride);
 
 // ---- Batch ↔ Course ----
-router.post('/:id/courses', protect, validate(assignCoursesSchema), assignCourses);
-router.delete('/:id/courses/:courseId', protect, removeCourse);
+router.post('/:id/courses', protect, requirePermission('batches:write'), requireBatchScope, validate(assignCoursesSchema), assignCourses);
+router.delete('/:id/courses/:courseId', protect, requirePermission('batches:write'), requireBatchScope, removeCourse);
 
 // ---- Batch ↔ Student enrollment ----
-router.post('/:id/students', protect, validate(enrollStudentsSchema), enrollStudents);
-router.put('/:id/students/:studentId', protect, validate(updateEnrollmentSchema), updateEnrollment);
-router.delete('/:id/students/:studentId', protect, removeStudent);
+router.post('/:id/students', protect, requirePermission('enrollments:write'), requireBatchScope, validate(enrollStudentsSchema), enrollStudents);
+router.post('/:id/students/import', protect, requirePermission('students:write', 'enrollments:write'), requireBatchScope, csvUpload.single('file'), validate(importStudentsSchema), importStudents);
+router.put('/:id/students/:studentId', protect, requirePermission('enrollments:write'), requireBatchScope, validate(updateEnrollmentSchema), updateEnrollment);
+router.delete('/:id/students/:studentId', protect, requirePermission('enrollments:write'), requireBatchScope, removeStudent);
 
 export default router;
@@ -1,7 +1,18 @@
 import express from 'express';
-import { protect, requireCourseAccess } from '../middleware/auth.js';
+import { protect, requirePermission, requireCourseAccess } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { createCourseSchema, updateCourseSchema, reorderCoursesSchema } from '../schemas/course.js';
+import {
+  createCourseSchema,
+  updateCourseSchema,
+  reorderCoursesSchema,
+  createModuleSchema,
+  updateModuleSchema,
+  reorderModulesSchema,
+  courseDraftSchema,
+  publishCourseSchema,
+  importCourseSchema,
+  cloneCourseSchema
+} from '../schemas/course.js';
 import {
   getCourses,
   getCourseById,
@@ -11,15 +22,33 @@ import {
   getCourseTopics,
   getCourseTopicsSummary,
   getStats,
-  reorderCourses
+  reorderCourses,
+  getCourseModules,
+  createModule,
+  updateModule,
+  deleteModule,
+  reorderModules,
+  getCourseDraft,
+  saveCourseDraft,
+  discardCourseDraft,
+  previewCourse,
+  publishCourse,
+  getCourseVersions,
+  getCourseVersion,
+  diffCourseVersion,
+  rollbackCourse,
+  exportCourse,
+  importCourse,
+  cloneCourse
 } from '../controllers/courseController.js';
 
 const router = express.Router();
 
 // Public: course listing (name, icon, description — no sensitive content)
 router.get('/', getCourses);
-router.get('/stats', protect, getStats);
-router.put('/reorder', protect, validate(reorderCoursesSchema), reorderCourses);
+router.get('/stats', protect, requirePermission('reports:read'), getStats);
+router.put('/reorder', protect, requirePermission('courses:write'), validate(reorderCoursesSchema), reorderCourses);
+router.post('/import', protect, requirePermission('courses:write', 'topics:write'), validate(importCourseSchema), importCourse);
 
 // Public: single course metadata (no content)
 router.get('/:id', getCourseById);
@@ -27,10 +56,32 @@ router.get('/:id', getCourseById);
 // Protected: topic content requires enrollment (admin or enrolled student)
 router.get('/:id/topics-summary', requireCourseAccess, getCourseTopicsSummary);
 router.get('/:id/topics', requireCourseAccess, getCourseTopics);
+router.get('/:id/modules', requireCourseAccess, getCourseModules);
 
 // Admin only
-router.post('/', protect, validate(createCourseSchema), createCourse);
-router.put('/:id', protect, validate(updateCourseSchema), updateCourse);
-router.delete('/:id', protect, deleteCourse);
+router.post('/', protect, requirePermission('courses:write'), validate(createCourseSchema), createCourse);
+router.put('/:id', protect, requirePermission('courses:write'), validate(updateCourseSchema), updateCourse);
+router.delete('/:id', protect, requirePermission('courses:write'), deleteCourse);
+
+// Admin: modules group a course's topics (reorder BEFORE /:moduleId)
+router.post('/:id/modules', protect, requirePermission('courses:write'), validate(createModuleSchema), createModule);
+router.put('/:id/modules/reorder', protect, requirePermission('courses:write'), validate(reorderModulesSchema), reorderModules);
+router.put('/:id/modules/:moduleId', protect, requirePermission('courses:write'), validate(updateModuleSchema), updateModule);
+router.delete('/:id/modules/:moduleId', protect, requirePermission('courses:write'), deleteModule);
+
+// Admin: portable package with the full content (answer keys and test scripts included)
+router.get('/:id/export', protect, requirePermission('courses:write', 'topics:write'), exportCourse);
+router.post('/:id/clone', protect, requirePermission('courses:write', 'topics:write'), validate(cloneCourseSchema), cloneCourse);
+
+// Admin: draft metadata, publishing and version history
+router.get('/:id/draft', protect, requirePermission('courses:write'), getCourseDraft);
+router.put('/:id/draft', protect, requirePermission('courses:write'), validate(courseDraftSchema), saveCourseDraft);
+router.delete('/:id/draft', protect, requirePermission('courses:write'), discardCourseDraft);
+router.get('/:id/preview', protect, requirePermission('courses:write'), previewCourse);
+router.post('/:id/publish', protect, requirePermission('courses:write'), validate(publishCourseSchema), publishCourse);
+router.get('/:id/versions', protect, requirePermission('courses:write'), getCourseVersions);
+router.get('/:id/versions/:version', protect, requirePermission('courses:write'), getCourseVersion);
+router.get('/:id/versions/:version/diff', protect, requirePermission('courses:write'), diffCourseVersion);
+router.post('/:id/versions/:version/rollback', protect, requirePermission('courses:write'), validate(publishCourseSchema), rollbackCourse);
 
 export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import { protectSession, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { startImpersonationSchema } from '../schemas/impersonation.js';
+import {
+  startImpersonation,
+  getImpersonationSessions,
+  endImpersonation,
+} from '../controllers/impersonationController.js';
+
+const router = express.Router();
+
+router.use(protectSession, requirePermission('students:impersonate'));
+
+router.get('/', getImpersonationSessions);
+router.post('/', validate(startImpersonationSchema), startImpersonation);
+router.delete('/:id', endImpersonation);
+
+export default router;
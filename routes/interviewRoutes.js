@@ -2,7 +2,7 @@ import { Router } from 'express';
 import multer from 'multer';
 import path from 'path';
 import os from 'node:os';
-import { protect, studentProtect } from '../middleware/auth.js';
+import { protect, requirePermission, studentProtect } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { grantAccessSchema, sendMessageSchema } from '../schemas/interviewSchemas.js';
 import {
@@ -48,11 +48,11 @@ const voiceUpload = multer({
 });
 
 /* ---- Admin routes ---- */
-router.post('/access', protect, validate(grantAccessSchema), grantAccess);
-router.delete('/access/:id', protect, revokeAccess);
-router.get('/access', protect, listAllAccess);
-router.get('/all', protect, listAllInterviews);
-router.get('/report/:id', protect, getInterviewReport);
+router.post('/access', protect, requirePermission('interviews:write'), validate(grantAccessSchema), grantAccess);
+router.delete('/access/:id', protect, requirePermission('interviews:write'), revokeAccess);
+router.get('/access', protect, requirePermission('interviews:read'), listAllAccess);
+router.get('/all', protect, requirePermission('interviews:read'), listAllInterviews);
+router.get('/report/:id', protect, requirePermission('interviews:read'), getInterviewReport);
 
 /* ---- Student routes ---- */
 router.get('/my-access', studentProtect, getMyAccess);
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, protectSession, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { createJobSchema, updateJobSchema } from '../schemas/job.js';
 import {
@@ -15,12 +15,12 @@ const router = express.Router();
 
 // Public routes
 router.get('/', getJobs);
-router.get('/all', protect, getAllJobs);
+router.get('/all', protectSession, getAllJobs);
 router.get('/:id', getJobById);
 
 // Admin routes
-router.post('/', protect, validate(createJobSchema), createJob);
-router.put('/:id', protect, validate(updateJobSchema), updateJob);
-router.delete('/:id', protect, deleteJob);
+router.post('/', protect, requirePermission('jobs:write'), validate(createJobSchema), createJob);
+router.put('/:id', protect, requirePermission('jobs:write'), validate(updateJobSchema), updateJob);
+router.delete('/:id', protect, requirePermission('jobs:write'), deleteJob);
 
 export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  createQuestionBankSchema,
+  updateQuestionBankSchema,
+  addBankQuestionsSchema,
+  bankQuestionSchema,
+} from '../schemas/questionBank.js';
+import {
+  getQuestionBanks,
+  createQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+  getBankQuestions,
+  addBankQuestions,
+  updateBankQuestion,
+  deleteBankQuestion,
+} from '../controllers/questionBankController.js';
+
+const router = express.Router();
+
+// Bank questions carry answer keys, so even reading needs topics:write
+router.use(protect, requirePermission('topics:write'));
+
+router.get('/', getQuestionBanks);
+router.post('/', validate(createQuestionBankSchema), createQuestionBank);
+router.put('/:id', validate(updateQuestionBankSchema), updateQuestionBank);
+router.delete('/:id', deleteQuestionBank);
+
+router.get('/:id/questions', getBankQuestions);
+router.post('/:id/questions', validate(addBankQuestionsSchema), addBankQuestions);
+router.put('/:id/questions/:questionId', validate(bankQuestionSchema), updateBankQuestion);
+router.delete('/:id/questions/:questionId', deleteBankQuestion);
+
+export default router;
@@ -18,6 +18,7 @@ import {
   markComplete,
   getCompletions,
 } from '../controllers/scoreController.js';
+import { getMySkillMastery } from '../controllers/skillController.js';
 
 const router = express.Router();
 
@@ -34,6 +35,7 @@ router.post('/run-code', runCode);
 router.post('/complete', validate(markCompleteSchema), markComplete);
 router.get('/completions', getCompletions);
 router.get('/my-progress', getMyProgress);
+router.get('/skills', getMySkillMastery);
 router.get('/dashboard-widget', getDashboardWidget);
 router.get('/leaderboard', getLeaderboard);
 
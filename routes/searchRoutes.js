@@ -0,0 +1,10 @@
+import express from 'express';
+import { requireCourseAccess } from '../middleware/auth.js';
+import { search } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// Admins search everything; students are limited to what they are enrolled in
+router.get('/', requireCourseAccess, search);
+
+export default router;
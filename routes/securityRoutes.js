@@ -0,0 +1,19 @@
+import express from 'express';
+import { protectSession, requirePermission } from '../middleware/auth.js';
+import {
+  getLoginEvents,
+  getLockedAccounts,
+  unlockUserAccount,
+  getSecurityEvents,
+} from '../controllers/securityController.js';
+
+const router = express.Router();
+
+router.use(protectSession, requirePermission('security:manage'));
+
+router.get('/login-events', getLoginEvents);
+router.get('/locked-accounts', getLockedAccounts);
+router.post('/accounts/:userType/:id/unlock', unlockUserAccount);
+router.get('/events', getSecurityEvents);
+
+export default router;
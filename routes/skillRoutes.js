@@ -0,0 +1,24 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createSkillSchema, updateSkillSchema } from '../schemas/skill.js';
+import {
+  getSkills,
+  getSkillById,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+} from '../controllers/skillController.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getSkills);
+router.get('/:id', getSkillById);
+
+// Admin routes
+router.post('/', protect, requirePermission('skills:write'), validate(createSkillSchema), createSkill);
+router.put('/:id', protect, requirePermission('skills:write'), validate(updateSkillSchema), updateSkill);
+router.delete('/:id', protect, requirePermission('skills:write'), deleteSkill);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { listProviders, startLogin, handleCallback } from '../controllers/ssoController.js';
+
+const router = express.Router();
+
+router.get('/providers', listProviders);
+router.get('/:provider/login', startLogin);
+router.get('/:provider/callback', handleCallback);
+
+export default router;
@@ -1,15 +1,62 @@
 import express from 'express';
-import { registerStudent, loginStudent, getStudentProfile, refreshTokenStudent, logoutStudent } from '../controllers/studentAuthController.js';
-import { studentProtect } from '../middleware/auth.js';
+import {
+  registerStudent,
+  loginStudent,
+  getStudentProfile,
+  refreshTokenStudent,
+  logoutStudent,
+  forgotPasswordStudent,
+  resetPasswordStudent,
+  verifyEmail,
+  resendVerification,
+  getStudentSessions,
+  revokeStudentSession,
+  logoutAllStudent,
+  getLoginHistory,
+  updateStudentProfile,
+  uploadAvatar,
+  deleteAvatar,
+  changePasswordStudent,
+} from '../controllers/studentAuthController.js';
+import { studentProtectAllowUnverified } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { registerSchema, loginSchema } from '../schemas/auth.js';
+import {
+  registerSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  updateStudentProfileSchema,
+  changePasswordSchema,
+} from '../schemas/auth.js';
+import { createUpload, IMAGE_MIME_TYPES } from '../lib/storage.js';
 
 const router = express.Router();
 
+const avatarUpload = createUpload({
+  allowedTypes: IMAGE_MIME_TYPES,
+  maxSize: 2 * 1024 * 1024, // 2MB
+  typeError: 'Invalid file type. Only JPEG, PNG and GIF images are allowed.',
+});
+
 router.post('/register', validate(registerSchema), registerStudent);
 router.post('/login', validate(loginSchema), loginStudent);
 router.post('/refresh', refreshTokenStudent);
 router.post('/logout', logoutStudent);
-router.get('/profile', studentProtect, getStudentProfile);
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPasswordStudent);
+router.post('/reset-password', validate(resetPasswordSchema), resetPasswordStudent);
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+router.post('/resend-verification', validate(forgotPasswordSchema), resendVerification);
+router.get('/profile', studentProtectAllowUnverified, getStudentProfile);
+router.put('/profile', studentProtectAllowUnverified, validate(updateStudentProfileSchema), updateStudentProfile);
+router.post('/profile/avatar', studentProtectAllowUnverified, avatarUpload.single('avatar'), uploadAvatar);
+router.delete('/profile/avatar', studentProtectAllowUnverified, deleteAvatar);
+router.put('/password', studentProtectAllowUnverified, validate(changePasswordSchema), changePasswordStudent);
+
+// Sessions / devices
+router.get('/sessions', studentProtectAllowUnverified, getStudentSessions);
+router.delete('/sessions/:id', studentProtectAllowUnverified, revokeStudentSession);
+router.post('/logout-all', studentProtectAllowUnverified, logoutAllStudent);
+router.get('/login-history', studentProtectAllowUnverified, getLoginHistory);
 
 export default router;
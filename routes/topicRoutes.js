@@ -1,30 +1,79 @@
 import express from 'express';
-import { protect, requireTopicAccess } from '../middleware/auth.js';
+import { protect, protectSession, requirePermission, requireTopicAccess } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { createTopicSchema, updateTopicSchema, reorderTopicsSchema } from '../schemas/topic.js';
+import {
+  createTopicSchema,
+  updateTopicSchema,
+  reorderTopicsSchema,
+  topicDraftSchema,
+  publishTopicSchema,
+} from '../schemas/topic.js';
+import { topicQuizSchema } from '../schemas/questionBank.js';
+import { topicPrerequisitesSchema } from '../schemas/prerequisite.js';
 import {
   getTopics,
   getTopicById,
   createTopic,
   updateTopic,
   deleteTopic,
-  reorderTopics
+  reorderTopics,
+  getTopicDraft,
+  saveTopicDraft,
+  discardTopicDraft,
+  previewTopic,
+  publishTopic,
+  getTopicVersions,
+  getTopicVersion,
+  diffTopicVersion,
+  rollbackTopic
 } from '../controllers/topicController.js';
+import {
+  getTopicQuiz,
+  saveTopicQuiz,
+  deleteTopicQuiz,
+  previewTopicQuiz,
+  startQuizAttempt,
+} from '../controllers/quizController.js';
+import { getTopicPrerequisites, setTopicPrerequisites } from '../controllers/prerequisiteController.js';
 
 const router = express.Router();
 
 // Admin: list all topics
-router.get('/', protect, getTopics);
-router.post('/', protect, validate(createTopicSchema), createTopic);
+router.get('/', protectSession, getTopics);
+router.post('/', protect, requirePermission('topics:write'), validate(createTopicSchema), createTopic);
 
 // Specific paths BEFORE /:id
-router.put('/reorder', protect, validate(reorderTopicsSchema), reorderTopics);
+router.put('/reorder', protect, requirePermission('topics:write'), validate(reorderTopicsSchema), reorderTopics);
 
 // Protected: topic detail requires enrollment (admin or enrolled student)
 router.get('/:id', requireTopicAccess, getTopicById);
 
 // Admin only
-router.put('/:id', protect, validate(updateTopicSchema), updateTopic);
-router.delete('/:id', protect, deleteTopic);
+router.put('/:id', protect, requirePermission('topics:write'), validate(updateTopicSchema), updateTopic);
+router.delete('/:id', protect, requirePermission('topics:write'), deleteTopic);
+
+// Admin: drafts, publishing and version history
+router.get('/:id/draft', protect, requirePermission('topics:write'), getTopicDraft);
+router.put('/:id/draft', protect, requirePermission('topics:write'), validate(topicDraftSchema), saveTopicDraft);
+router.delete('/:id/draft', protect, requirePermission('topics:write'), discardTopicDraft);
+router.get('/:id/preview', protect, requirePermission('topics:write'), previewTopic);
+router.post('/:id/publish', protect, requirePermission('topics:write'), validate(publishTopicSchema), publishTopic);
+router.get('/:id/versions', protect, requirePermission('topics:write'), getTopicVersions);
+router.get('/:id/versions/:version', protect, requirePermission('topics:write'), getTopicVersion);
+router.get('/:id/versions/:version/diff', protect, requirePermission('topics:write'), diffTopicVersion);
+router.post('/:id/versions/:version/rollback', protect, requirePermission('topics:write'), validate(publishTopicSchema), rollbackTopic);
+
+// Admin: randomized quiz drawn from question banks
+router.get('/:id/quiz', protect, requirePermission('topics:write'), getTopicQuiz);
+router.get('/:id/quiz/preview', protect, requirePermission('topics:write'), previewTopicQuiz);
+router.put('/:id/quiz', protect, requirePermission('topics:write'), validate(topicQuizSchema), saveTopicQuiz);
+router.delete('/:id/quiz', protect, requirePermission('topics:write'), deleteTopicQuiz);
+
+// Admin: what a student must finish before this topic unlocks
+router.get('/:id/prerequisites', protect, requirePermission('topics:write'), getTopicPrerequisites);
+router.put('/:id/prerequisites', protect, requirePermission('topics:write'), validate(topicPrerequisitesSchema), setTopicPrerequisites);
+
+// Student: start a quiz attempt (same enrollment/unlock rules as the topic itself)
+router.post('/:id/quiz/attempts', requireTopicAccess, startQuizAttempt);
 
 export default router;
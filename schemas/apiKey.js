@@ -0,0 +1,12 @@
+import { z } from 'zod';
+import { API_KEY_SCOPES } from '../lib/permissions.js';
+
+export const createApiKeySchema = z.object({
+  name: z.string().trim().min(1, 'Key name is required').max(100, 'Name too long'),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'At least one scope is required').max(API_KEY_SCOPES.length),
+  expiresAt: z.string()
+    .refine((val) => !isNaN(Date.parse(val)), 'Invalid date')
+    .refine((val) => Date.parse(val) > Date.now(), 'Expiry must be in the future')
+    .nullable()
+    .optional(),
+});
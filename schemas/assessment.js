@@ -0,0 +1,76 @@
+import { z } from 'zod';
+import { practiceQuestionSchema } from './topic.js';
+import { quizRuleSchema } from './questionBank.js';
+import { questionResponseSchema } from './score.js';
+
+const dateTime = z.string().refine((val) => !isNaN(Date.parse(val)), 'Invalid date');
+
+const windowIsValid = (a) => !a.opensAt || !a.closesAt || Date.parse(a.opensAt) < Date.parse(a.closesAt);
+const windowMessage = { message: 'closesAt must be after opensAt', path: ['closesAt'] };
+
+// No defaults here so a partial update only touches what was sent
+const assessmentFields = {
+  title: z.string().trim().min(1, 'Title is required').max(200, 'Title too long'),
+  description: z.string().max(5000),
+  courseId: z.string().uuid('Invalid course ID').nullable(),
+  batchId: z.string().uuid('Invalid batch ID').nullable(),
+  opensAt: dateTime.nullable(),
+  closesAt: dateTime.nullable(),
+  durationMinutes: z.number().int().min(1).max(24 * 60).nullable(),
+  maxAttempts: z.number().int().min(1).max(20),
+  passPercentage: z.number().min(0).max(100),
+  questions: z.array(practiceQuestionSchema).max(200),
+  rules: z.array(quizRuleSchema).max(20),
+  shuffleQuestions: z.boolean(),
+  shuffleOptions: z.boolean(),
+  lateMinutes: z.number().int().min(0).max(7 * 24 * 60),
+  latePenaltyPercent: z.number().min(0).max(100),
+  resultRelease: z.enum(['immediate', 'after_close', 'manual']),
+  showCorrectAnswers: z.boolean(),
+  isPublished: z.boolean(),
+};
+
+export const createAssessmentSchema = z.object({
+  ...assessmentFields,
+  description: assessmentFields.description.optional().default(''),
+  courseId: assessmentFields.courseId.optional(),
+  batchId: assessmentFields.batchId.optional(),
+  opensAt: assessmentFields.opensAt.optional(),
+  closesAt: assessmentFields.closesAt.optional(),
+  durationMinutes: assessmentFields.durationMinutes.optional(),
+  maxAttempts: assessmentFields.maxAttempts.optional().default(1),
+  passPercentage: assessmentFields.passPercentage.optional().default(80),
+  questions: assessmentFields.questions.optional().default([]),
+  rules: assessmentFields.rules.optional().default([]),
+  shuffleQuestions: assessmentFields.shuffleQuestions.optional().default(true),
+  shuffleOptions: assessmentFields.shuffleOptions.optional().default(true),
+  lateMinutes: assessmentFields.lateMinutes.optional().default(0),
+  latePenaltyPercent: assessmentFields.latePenaltyPercent.optional().default(0),
+  resultRelease: assessmentFields.resultRelease.optional().default('after_close'),
+  showCorrectAnswers: assessmentFields.showCorrectAnswers.optional().default(true),
+  isPublished: assessmentFields.isPublished.optional().default(false),
+})
+  .refine((a) => a.courseId || a.batchId, { message: 'Attach the assessment to a course or a batch', path: ['courseId'] })
+  .refine(windowIsValid, windowMessage);
+
+export const updateAssessmentSchema = z.object(assessmentFields).partial().refine(windowIsValid, windowMessage);
+
+export const releaseResultsSchema = z.object({
+  released: z.boolean(),
+});
+
+const responsesSchema = z.array(
+  z.object({
+    questionIndex: z.number().int().min(0),
+    response: questionResponseSchema,
+  })
+).max(200);
+
+export const saveResponsesSchema = z.object({
+  answers: responsesSchema.min(1, 'At least one answer required'),
+});
+
+// Final answers are optional — whatever was autosaved is graded too
+export const submitAssessmentSchema = z.object({
+  answers: responsesSchema.optional().default([]),
+});
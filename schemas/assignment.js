@@ -0,0 +1,68 @@
+import { z } from 'zod';
+
+export const SUBMISSION_TYPES = ['file', 'link', 'text'];
+
+const dateTime = z.string().refine((val) => !isNaN(Date.parse(val)), 'Invalid date');
+
+const rubricCriterion = z.object({
+  // Kept across edits so existing grades still line up; new criteria get one on save
+  id: z.string().trim().min(1).max(50).optional(),
+  title: z.string().trim().min(1, 'Criterion title is required').max(200),
+  description: z.string().max(2000).optional().default(''),
+  maxPoints: z.number().positive('maxPoints must be positive').max(1000),
+});
+
+const rubric = z.array(rubricCriterion)
+  .min(1, 'At least one rubric criterion is required')
+  .max(30)
+  .refine((items) => {
+    const ids = items.map((c) => c.id).filter(Boolean);
+    return new Set(ids).size === ids.length;
+  }, 'Rubric criterion ids must be unique');
+
+// No defaults here so a partial update only touches what was sent
+const assignmentFields = {
+  title: z.string().trim().min(1, 'Title is required').max(200, 'Title too long'),
+  description: z.string().max(20000),
+  topicId: z.string().uuid('Invalid topic ID').nullable(),
+  batchId: z.string().uuid('Invalid batch ID').nullable(),
+  dueAt: dateTime.nullable(),
+  allowLate: z.boolean(),
+  submissionTypes: z.array(z.enum(SUBMISSION_TYPES)).min(1, 'Allow at least one submission type'),
+  maxFiles: z.number().int().min(0).max(10),
+  rubric,
+  isPublished: z.boolean(),
+};
+
+export const createAssignmentSchema = z.object({
+  ...assignmentFields,
+  description: assignmentFields.description.optional().default(''),
+  topicId: assignmentFields.topicId.optional(),
+  batchId: assignmentFields.batchId.optional(),
+  dueAt: assignmentFields.dueAt.optional(),
+  allowLate: assignmentFields.allowLate.optional().default(true),
+  submissionTypes: assignmentFields.submissionTypes.optional().default(SUBMISSION_TYPES),
+  maxFiles: assignmentFields.maxFiles.optional().default(5),
+  isPublished: assignmentFields.isPublished.optional().default(false),
+}).refine((a) => a.topicId || a.batchId, { message: 'Attach the assignment to a topic or a batch', path: ['topicId'] });
+
+export const updateAssignmentSchema = z.object(assignmentFields).partial();
+
+// Multipart form: files arrive via multer, the rest as text fields
+export const submitAssignmentSchema = z.object({
+  repoUrl: z.string().trim().max(2000)
+    .refine((val) => /^https?:\/\//i.test(val), 'Repository link must be an http(s) URL')
+    .optional()
+    .or(z.literal('').transform(() => undefined)),
+  text: z.string().max(50000).optional().default(''),
+});
+
+export const gradeSubmissionSchema = z.object({
+  scores: z.array(z.object({
+    criterionId: z.string().min(1).max(50),
+    points: z.number().min(0),
+    comment: z.string().max(5000).optional().default(''),
+  })).min(1, 'Score at least one criterion'),
+  feedback: z.string().max(20000).optional().default(''),
+  release: z.boolean().optional().default(false),
+});
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { ROLES, PERMISSIONS } from '../lib/permissions.js';
 
 export const registerSchema = z.object({
   name: z.string().min(1, 'Name is required').max(100, 'Name too long').trim(),
@@ -10,3 +11,67 @@ export const loginSchema = z.object({
   email: z.string().email('Invalid email address').max(255).trim().toLowerCase(),
   password: z.string().min(1, 'Password is required').max(128),
 });
+
+export const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email address').max(255).trim().toLowerCase(),
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required').max(200),
+  password: z.string().min(8, 'Password must be at least 8 characters').max(128, 'Password too long'),
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required').max(200),
+});
+
+export const updateAdminAccessSchema = z.object({
+  role: z.enum(ROLES).optional(),
+  permissions: z.array(z.enum(PERMISSIONS)).max(PERMISSIONS.length).optional(),
+  batchIds: z.array(z.string().uuid('Invalid batch ID')).max(200).optional(),
+});
+
+export const mfaCodeSchema = z.object({
+  code: z.string().trim().min(6, 'Authentication code is required').max(20),
+});
+
+export const mfaLoginSchema = mfaCodeSchema.extend({
+  mfaToken: z.string().min(1, 'MFA token is required').max(1000),
+});
+
+// Empty strings clear a profile field
+const optionalText = (max, message) => z.string().trim().max(max, message)
+  .transform((v) => v || null)
+  .nullable()
+  .optional();
+
+const profileUrl = (host, label) => z.union([
+  z.literal(''),
+  z.string().trim().url(`${label} must be a valid URL`).max(500)
+    .refine((v) => {
+      try {
+        const { hostname } = new URL(v);
+        return hostname === host || hostname.endsWith(`.${host}`);
+      } catch {
+        return false;
+      }
+    }, `${label} must be a ${host} link`),
+]).transform((v) => v || null).nullable().optional();
+
+export const updateStudentProfileSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100, 'Name too long').trim().optional(),
+  phone: optionalText(30, 'Phone number too long')
+    .refine((v) => !v || /^[+\d][\d\s()-]{6,29}$/.test(v), 'Invalid phone number'),
+  bio: optionalText(1000, 'Bio must be 1000 characters or fewer'),
+  college: optionalText(200, 'College name too long'),
+  graduationYear: z.number().int().min(1950).max(2100).nullable().optional(),
+  githubUrl: profileUrl('github.com', 'GitHub URL'),
+  linkedinUrl: profileUrl('linkedin.com', 'LinkedIn URL'),
+});
+
+export const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required').max(128),
+  newPassword: z.string().min(8, 'Password must be at least 8 characters').max(128, 'Password too long'),
+}).refine((d) => d.currentPassword !== d.newPassword, {
+  message: 'New password must be different from the current password',
+});
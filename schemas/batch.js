@@ -9,6 +9,7 @@ export const updateBatchSchema = z.object({
   name: z.string().min(1).max(200).trim().optional(),
   description: z.string().max(2000).optional(),
   isActive: z.boolean().optional(),
+  enforcePrerequisites: z.boolean().optional(),
 });
 
 export const assignCoursesSchema = z.object({
@@ -30,12 +31,34 @@ export const onboardStudentSchema = z.object({
   email: z.string().email('Invalid email address').max(255).trim().toLowerCase(),
   phone: z.string().max(20).optional(),
   password: z.string().min(8, 'Password must be at least 8 characters').max(128, 'Password too long'),
+  emailVerified: z.boolean().optional().default(false),
 });
 
+/* ---- CSV import ---- */
+
+// One CSV row; reuses the onboarding/enrollment field rules
+export const importStudentRowSchema = onboardStudentSchema
+  .pick({ name: true, email: true, phone: true })
+  .extend({ paymentStatus: enrollStudentsSchema.shape.paymentStatus });
+
+// Multipart form fields arrive as strings
+const formBoolean = z.preprocess(
+  (v) => (v === 'true' ? true : v === 'false' ? false : v),
+  z.boolean()
+);
+
+export const importStudentsSchema = z.object({
+  csv: z.string().max(2 * 1024 * 1024, 'CSV must be 2MB or smaller').optional(),
+  dryRun: formBoolean.optional().default(false),
+  emailVerified: formBoolean.optional().default(false),
+  sendCredentials: formBoolean.optional().default(false),
+});
+
+// score/total are accepted for old clients but ignored — the score is recomputed from attempts
 export const practiceScoreSchema = z.object({
   topicId: z.string().uuid('Invalid topic ID'),
-  score: z.number().int().min(0),
-  total: z.number().int().min(1),
+  score: z.number().int().min(0).optional(),
+  total: z.number().int().min(1).optional(),
 });
 
 export const markCompleteSchema = z.object({
@@ -53,6 +76,9 @@ export const autoScheduleSchema = z.object({
   courseId: z.string().uuid('Invalid course ID'),
   startDate: dateString,
   topicsPerDay: z.number().int().min(1).max(10).optional().default(1),
+  // 'module': every topic in a module shares one unlock date, a new module every daysPerModule days
+  unlockBy: z.enum(['topic', 'module']).optional().default('topic'),
+  daysPerModule: z.number().int().min(1).max(60).optional().default(7),
 });
 
 export const manualUnlockSchema = z.object({
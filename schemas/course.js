@@ -1,4 +1,7 @@
 import { z } from 'zod';
+import { practiceQuestionSchema, codingPracticeSchema } from './topic.js';
+import { PREREQUISITE_KINDS } from './prerequisite.js';
+import { skillIdsSchema } from './skill.js';
 
 export const createCourseSchema = z.object({
   name: z.string().min(1, 'Course name is required').max(200, 'Name too long').trim(),
@@ -7,6 +10,7 @@ export const createCourseSchema = z.object({
   color: z.string().max(20).optional().default('#e94560'),
   order: z.number().int().min(0).optional().default(0),
   isPublished: z.boolean().optional().default(false),
+  skillIds: skillIdsSchema.optional(),
 });
 
 export const updateCourseSchema = createCourseSchema.partial();
@@ -19,3 +23,105 @@ export const reorderCoursesSchema = z.object({
     })
   ).min(1, 'At least one course required'),
 });
+
+export const createModuleSchema = z.object({
+  title: z.string().min(1, 'Module title is required').max(200, 'Title too long').trim(),
+  description: z.string().max(5000).optional().default(''),
+  order: z.number().int().min(0).optional(),
+  isPublished: z.boolean().optional().default(false),
+});
+
+export const updateModuleSchema = z.object({
+  title: z.string().min(1, 'Module title is required').max(200, 'Title too long').trim(),
+  description: z.string().max(5000),
+  order: z.number().int().min(0),
+  isPublished: z.boolean(),
+}).partial();
+
+export const reorderModulesSchema = z.object({
+  modules: z.array(
+    z.object({
+      id: z.string().uuid('Invalid module ID'),
+      order: z.number().int().min(0),
+    })
+  ).min(1, 'At least one module required'),
+});
+
+export const courseDraftSchema = z.object({
+  name: z.string().min(1, 'Course name is required').max(200, 'Name too long').trim(),
+  description: z.string().max(5000),
+  icon: z.string().max(100),
+  color: z.string().max(20),
+}).partial().refine((d) => Object.keys(d).length > 0, 'Nothing to change');
+
+// The body is optional: a bare POST publishes without a note
+export const publishCourseSchema = z.object({
+  note: z.string().max(500).optional().default(''),
+}).optional().default({ note: '' });
+
+/* ---- Course packages (export/import between deployments) ---- */
+
+// refs are the ids from the exporting deployment; they only link entries
+// within the package and are replaced with fresh ids on import. Skill ids are
+// refs into `skills` and are matched to this deployment's skills by name.
+const packageRef = z.string().min(1).max(100);
+
+const packageModuleSchema = z.object({
+  ref: packageRef,
+  title: z.string().min(1, 'Module title is required').max(200).trim(),
+  description: z.string().max(5000).optional().default(''),
+  order: z.number().int().min(0).optional().default(0),
+  isPublished: z.boolean().optional().default(false),
+});
+
+const packageTopicSchema = z.object({
+  ref: packageRef,
+  moduleRef: packageRef.nullable().optional().default(null),
+  title: z.string().min(1, 'Topic title is required').max(200).trim(),
+  order: z.number().int().min(0).optional().default(0),
+  videoUrl: z.string().max(2000).optional().default(''),
+  pdfUrl: z.string().max(2000).optional().default(''),
+  isPublished: z.boolean().optional().default(false),
+  skillIds: skillIdsSchema.optional().default([]),
+  practice: z.array(practiceQuestionSchema).max(200).optional().default([]),
+  codingPractice: codingPracticeSchema.nullable().optional().default(null),
+});
+
+export const coursePackageSchema = z.object({
+  format: z.string().max(100),
+  version: z.number().int().min(1),
+  course: createCourseSchema.pick({ name: true, description: true, icon: true, color: true, skillIds: true }),
+  skills: z.array(z.object({
+    ref: z.string().uuid('Invalid skill ref'),
+    name: z.string().trim().min(1).max(100),
+    category: z.string().trim().max(100).optional().default(''),
+  })).max(1000).optional().default([]),
+  modules: z.array(packageModuleSchema).max(200).optional().default([]),
+  topics: z.array(packageTopicSchema).max(1000),
+  prerequisites: z.array(z.object({
+    topicRef: packageRef,
+    requiredTopicRef: packageRef,
+    kind: z.enum(PREREQUISITE_KINDS),
+    minPercentage: z.number().min(0).max(100).optional().default(0),
+  })).max(5000).optional().default([]),
+});
+
+export const importCourseSchema = z.object({
+  package: coursePackageSchema,
+  // Import under a different name, e.g. when a course with the package's name exists
+  name: z.string().min(1).max(200).trim().optional(),
+  dryRun: z.boolean().optional().default(false),
+});
+
+export const cloneCourseSchema = z.object({
+  name: z.string().min(1).max(200).trim().optional(),
+  // Copy only these topics (default: all of them)
+  topicIds: z.array(z.string().uuid('Invalid topic ID')).min(1).max(1000).optional(),
+  // Copy a batch's unlock dates onto the clone, shifted by offsetDays, and
+  // assign the clone to toBatchId (defaults to fromBatchId)
+  schedule: z.object({
+    fromBatchId: z.string().uuid('Invalid batch ID'),
+    toBatchId: z.string().uuid('Invalid batch ID').optional(),
+    offsetDays: z.number().int().min(-365).max(365).optional().default(0),
+  }).optional(),
+}).optional().default({});
@@ -0,0 +1,7 @@
+import { z } from 'zod';
+
+export const startImpersonationSchema = z.object({
+  studentId: z.string().uuid('Invalid student ID'),
+  reason: z.string().trim().min(3, 'A reason is required').max(500, 'Reason too long'),
+  durationMinutes: z.number().int().min(5, 'Minimum duration is 5 minutes').max(60, 'Maximum duration is 60 minutes').optional().default(30),
+});
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { skillIdsSchema } from './skill.js';
 
 export const createJobSchema = z.object({
   companyName: z.string().min(1, 'Company name is required').max(200).trim(),
@@ -10,6 +11,7 @@ export const createJobSchema = z.object({
   jobType: z.enum(['full-time', 'part-time', 'internship', 'contract', 'remote']).optional().default('full-time'),
   location: z.string().max(200).optional().default(''),
   isActive: z.boolean().optional().default(true),
+  skillIds: skillIdsSchema.optional(),
 });
 
 export const updateJobSchema = createJobSchema.partial();
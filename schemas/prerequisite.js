@@ -0,0 +1,27 @@
+import { z } from 'zod';
+
+export const PREREQUISITE_KINDS = ['practice', 'coding'];
+
+const percentage = z.number().min(0).max(100);
+
+// Replaces the topic's whole prerequisite list
+export const topicPrerequisitesSchema = z.object({
+  prerequisites: z.array(z.object({
+    requiredTopicId: z.string().uuid('Invalid topic ID'),
+    kind: z.enum(PREREQUISITE_KINDS),
+    // Only used by practice prerequisites
+    minPercentage: percentage.optional().default(0),
+  })).max(20).refine((items) => {
+    const keys = items.map((p) => `${p.requiredTopicId}:${p.kind}`);
+    return new Set(keys).size === keys.length;
+  }, 'Each prerequisite can only be listed once'),
+});
+
+export const prerequisiteOverrideSchema = z.object({
+  waived: z.boolean().optional().default(false),
+  // null keeps the topic's own threshold
+  minPercentage: percentage.nullable().optional().default(null),
+}).refine((o) => o.waived || o.minPercentage !== null, {
+  message: 'Waive the prerequisite or set a lower minPercentage',
+  path: ['minPercentage'],
+});
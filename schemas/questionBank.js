@@ -0,0 +1,47 @@
+import { z } from 'zod';
+import { practiceQuestionSchema } from './topic.js';
+import { skillIdsSchema } from './skill.js';
+
+const tag = z.string().trim().min(1).max(50).toLowerCase();
+const difficulty = z.enum(['easy', 'medium', 'hard']);
+
+export const createQuestionBankSchema = z.object({
+  name: z.string().trim().min(1, 'Bank name is required').max(200, 'Name too long'),
+  description: z.string().max(2000).optional().default(''),
+});
+
+export const updateQuestionBankSchema = createQuestionBankSchema.partial();
+
+// Bank questions are practice questions plus the metadata quizzes draw on
+const bankQuestionMeta = z.object({
+  topicId: z.string().uuid('Invalid topic ID').nullable().optional(),
+  difficulty: difficulty.optional().default('medium'),
+  tags: z.array(tag).max(20).optional().default([]),
+});
+
+export const bankQuestionSchema = z.intersection(practiceQuestionSchema, bankQuestionMeta);
+
+export const addBankQuestionsSchema = z.object({
+  questions: z.array(bankQuestionSchema).min(1, 'At least one question required').max(200),
+});
+
+export const quizRuleSchema = z.object({
+  count: z.number().int().min(1).max(100),
+  bankId: z.string().uuid('Invalid bank ID').optional(),
+  topicId: z.string().uuid('Invalid topic ID').optional(),
+  skillIds: skillIdsSchema.optional(),
+  tag: tag.optional(),
+  difficulty: difficulty.optional(),
+}).refine((r) => r.bankId || r.topicId || r.skillIds?.length || r.tag, {
+  message: 'A rule needs at least one of bankId, topicId, skillIds or tag',
+});
+
+export const topicQuizSchema = z.object({
+  title: z.string().trim().max(200).optional().default(''),
+  rules: z.array(quizRuleSchema).min(1, 'At least one rule required').max(20),
+  shuffleQuestions: z.boolean().optional().default(true),
+  shuffleOptions: z.boolean().optional().default(true),
+}).refine((q) => q.rules.reduce((sum, r) => sum + r.count, 0) <= 200, {
+  message: 'A quiz can draw at most 200 questions',
+  path: ['rules'],
+});
@@ -21,13 +21,14 @@ const projectSchema = z.object({
   link: z.string().max(2000).trim().optional().default(''),
 });
 
+// Contact details and summary fall back to the student's saved profile when omitted
 export const generateResumeSchema = z.object({
-  fullName: z.string().min(1, 'Full name is required').max(200).trim(),
-  email: z.string().email('Valid email required').max(200).trim(),
-  phone: z.string().min(1, 'Phone is required').max(30).trim(),
-  linkedinUrl: z.string().max(2000).trim().optional().default(''),
-  githubUrl: z.string().max(2000).trim().optional().default(''),
-  summary: z.string().min(10, 'Summary must be at least 10 characters').max(3000).trim(),
+  fullName: z.string().min(1, 'Full name is required').max(200).trim().optional(),
+  email: z.string().email('Valid email required').max(200).trim().optional(),
+  phone: z.string().min(1, 'Phone is required').max(30).trim().optional(),
+  linkedinUrl: z.string().max(2000).trim().optional(),
+  githubUrl: z.string().max(2000).trim().optional(),
+  summary: z.string().min(10, 'Summary must be at least 10 characters').max(3000).trim().optional(),
   skills: z.array(z.string().min(1).trim()).min(1, 'At least one skill required').max(50),
   experience: z.array(workExperienceSchema).max(10).optional().default([]),
   education: z.array(educationSchema).min(1, 'At least one education entry required').max(10),
@@ -15,15 +15,25 @@ export const codingSubmitSchema = z.object({
   testResults: z.array(z.string()).max(50).optional(),
 });
 
+// What a student can answer with, depending on the question type (see lib/questions.js)
+export const questionResponseSchema = z.union([
+  z.number().finite(),
+  z.boolean(),
+  z.string().max(10000),
+  z.array(z.number().int().min(0)).max(50),
+]).nullable();
+
+// Only the student's responses — grading happens on the server against practice_questions
 export const practiceAttemptSchema = z.object({
   topicId: z.string().uuid('Invalid topic ID'),
+  // Required for topics with a generated quiz (POST /api/topics/:id/quiz/attempts)
+  attemptId: z.string().uuid('Invalid attempt ID').optional(),
   answers: z.array(
     z.object({
       questionIndex: z.number().int().min(0),
-      selectedOption: z.number().int().min(0),
-      correctOption: z.number().int().min(0),
-      question: z.string().optional(),
-      options: z.array(z.string()).optional(),
+      response: questionResponseSchema.optional(),
+      // MCQ clients from before question types
+      selectedOption: z.number().int().min(0).nullable().optional(),
     })
   ).min(1, 'At least one answer required').max(200),
   timeTakenSeconds: z.number().int().min(0).max(86400).optional(),
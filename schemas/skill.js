@@ -0,0 +1,17 @@
+import { z } from 'zod';
+
+// Skill tags on courses, topics, questions, coding practice and jobs
+export const skillIdsSchema = z.array(z.string().uuid('Invalid skill ID')).max(50, 'At most 50 skills')
+  .transform((ids) => [...new Set(ids)]);
+
+export const createSkillSchema = z.object({
+  name: z.string().trim().min(1, 'Skill name is required').max(100, 'Name too long'),
+  category: z.string().trim().max(100).optional().default(''),
+  description: z.string().max(2000).optional().default(''),
+});
+
+export const updateSkillSchema = z.object({
+  name: z.string().trim().min(1, 'Skill name is required').max(100, 'Name too long'),
+  category: z.string().trim().max(100),
+  description: z.string().max(2000),
+}).partial();
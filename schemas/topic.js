@@ -1,12 +1,95 @@
 import { z } from 'zod';
+import { skillIdsSchema } from './skill.js';
+import { isSafePattern } from '../lib/questions.js';
 
-const practiceQuestionSchema = z.object({
+// ---------- practice questions (see lib/questions.js for the type catalogue) ----------
+const questionBase = {
   question: z.string().min(1, 'Question text is required').max(2000),
-  options: z.array(z.string().max(1000)).min(2, 'At least 2 options').max(10),
+  explanation: z.string().max(5000).optional().default(''),
+  skillIds: skillIdsSchema.optional().default([]),
+};
+
+const optionList = z.array(z.string().max(1000)).min(2, 'At least 2 options').max(10);
+
+const mcqQuestion = z.object({
+  ...questionBase,
+  type: z.literal('mcq'),
+  options: optionList,
   answer: z.number().int().min(0),
+}).refine((q) => q.answer < q.options.length, { message: 'Answer must point at one of the options', path: ['answer'] });
+
+const multiSelectQuestion = z.object({
+  ...questionBase,
+  type: z.literal('multi_select'),
+  options: optionList,
+  answer: z.array(z.number().int().min(0)).min(1, 'At least one correct option'),
+}).refine((q) => q.answer.every((i) => i < q.options.length) && new Set(q.answer).size === q.answer.length, {
+  message: 'Correct options must be distinct and point at existing options',
+  path: ['answer'],
+});
+
+const trueFalseQuestion = z.object({
+  ...questionBase,
+  type: z.literal('true_false'),
+  answer: z.boolean(),
+});
+
+const numericQuestion = z.object({
+  ...questionBase,
+  type: z.literal('numeric'),
+  answer: z.number().finite(),
+  tolerance: z.number().min(0).optional().default(0),
+});
+
+const shortTextQuestion = z.object({
+  ...questionBase,
+  type: z.literal('short_text'),
+  acceptedAnswers: z.array(z.string().trim().min(1).max(500)).max(20).optional().default([]),
+  pattern: z.string().max(500).optional().nullable(),
+  caseSensitive: z.boolean().optional().default(false),
+}).refine((q) => q.acceptedAnswers.length > 0 || q.pattern, {
+  message: 'Provide accepted answers or a pattern',
+  path: ['acceptedAnswers'],
+}).refine((q) => !q.pattern || isSafePattern(q.pattern), {
+  message: 'Invalid regular expression, or one with nested quantifiers such as (a+)+',
+  path: ['pattern'],
 });
 
-const codingPracticeSchema = z.object({
+const orderingQuestion = z.object({
+  ...questionBase,
+  type: z.literal('ordering'),
+  options: optionList,
+  answer: z.array(z.number().int().min(0)),
+}).refine((q) => q.answer.length === q.options.length
+  && new Set(q.answer).size === q.answer.length
+  && q.answer.every((i) => i < q.options.length), {
+  message: 'Answer must list every option index exactly once, in the correct order',
+  path: ['answer'],
+});
+
+const codeOutputQuestion = z.object({
+  ...questionBase,
+  type: z.literal('code_output'),
+  code: z.string().min(1, 'Code is required').max(20000),
+  language: z.string().max(30).optional().default('javascript'),
+  answer: z.string().max(10000),
+});
+
+// Questions without a type are the original single-answer MCQs
+export const practiceQuestionSchema = z.preprocess(
+  (q) => (q && typeof q === 'object' && !q.type ? { ...q, type: 'mcq' } : q),
+  z.discriminatedUnion('type', [
+    mcqQuestion,
+    multiSelectQuestion,
+    trueFalseQuestion,
+    numericQuestion,
+    shortTextQuestion,
+    orderingQuestion,
+    codeOutputQuestion,
+  ])
+);
+
+export const codingPracticeSchema = z.object({
   language: z.string().max(30).optional().default('javascript'),
   title: z.string().min(1).max(200).optional(),
   description: z.string().max(5000).optional().default(''),
@@ -22,15 +105,18 @@ const codingPracticeSchema = z.object({
   })).max(50).optional().nullable(),
   difficulty: z.enum(['easy', 'medium', 'hard']).optional().default('easy'),
   maxScore: z.number().int().min(1).max(1000).optional().default(100),
+  skillIds: skillIdsSchema.optional().default([]),
 });
 
 export const createTopicSchema = z.object({
   courseId: z.string().uuid('Invalid course ID'),
+  moduleId: z.string().uuid('Invalid module ID').nullable().optional(),
   title: z.string().min(1, 'Topic title is required').max(200, 'Title too long').trim(),
   order: z.number().int().min(0).optional().default(0),
   videoUrl: z.string().max(2000).optional().default(''),
   pdfUrl: z.string().max(2000).optional().default(''),
   isPublished: z.boolean().optional().default(false),
+  skillIds: skillIdsSchema.optional(),
   practice: z.array(practiceQuestionSchema).max(200).optional().default([]),
   codingPractice: codingPracticeSchema.optional().nullable(),
 });
@@ -42,6 +128,23 @@ export const reorderTopicsSchema = z.object({
     z.object({
       id: z.string().uuid('Invalid topic ID'),
       order: z.number().int().min(0),
+      // Moves the topic into this module (null = ungrouped); omit to leave it where it is
+      moduleId: z.string().uuid('Invalid module ID').nullable().optional(),
     })
   ).min(1, 'At least one topic required'),
 });
+
+// Draft edits: only the fields sent are changed (no defaults), structure
+// fields (course, module, order, visibility, skills) stay on the live topic
+export const topicDraftSchema = z.object({
+  title: z.string().min(1, 'Topic title is required').max(200, 'Title too long').trim(),
+  videoUrl: z.string().max(2000),
+  pdfUrl: z.string().max(2000),
+  practice: z.array(practiceQuestionSchema).max(200),
+  codingPractice: codingPracticeSchema.nullable(),
+}).partial().refine((d) => Object.keys(d).length > 0, 'Nothing to change');
+
+// The body is optional: a bare POST publishes without a note
+export const publishTopicSchema = z.object({
+  note: z.string().max(500).optional().default(''),
+}).optional().default({ note: '' });
@@ -0,0 +1,152 @@
+// Minimal OpenID Connect provider for local SSO development.
+//
+//   npm run oidc:mock
+//   OIDC_PROVIDERS='[{"id":"mock","name":"Mock IdP","issuer":"http://localhost:4010","clientId":"mock-client","userTypes":["student","admin"]}]'
+//
+// The /authorize page asks for the email and name to sign in as, so any
+// account (existing, new, staff) can be exercised. Supports the
+// authorization code flow with PKCE (S256) only.
+import http from 'node:http';
+import { createHash, generateKeyPairSync, randomBytes } from 'node:crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'mock-client';
+const KID = 'mock-key-1';
+const CODE_TTL = 60 * 1000;
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' };
+
+// code -> { clientId, redirectUri, codeChallenge, nonce, email, name, emailVerified, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(data))));
+  req.on('error', reject);
+});
+
+const authorizePage = (params) => `<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+  <h2>Mock OIDC sign-in</h2>
+  <form method="post" action="/authorize">
+    ${Object.entries(params).map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join('\n    ')}
+    <p><label>Email<br><input name="email" type="email" required style="width: 100%"></label></p>
+    <p><label>Name<br><input name="name" style="width: 100%"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`;
+
+const handleAuthorize = async (req, res, url) => {
+  const params = req.method === 'POST' ? await readForm(req) : Object.fromEntries(url.searchParams);
+
+  if (params.client_id !== CLIENT_ID) return sendJson(res, 400, { error: 'unauthorized_client' });
+  if (params.response_type !== 'code' || !params.redirect_uri) return sendJson(res, 400, { error: 'invalid_request' });
+  if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE (S256) is required' });
+  }
+
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(authorizePage(params));
+  }
+
+  const code = randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    email: params.email.toLowerCase(),
+    name: params.name || params.email.split('@')[0],
+    emailVerified: params.email_verified === 'on',
+    expiresAt: Date.now() + CODE_TTL,
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (params.state) redirect.searchParams.set('state', params.state);
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+};
+
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+  const grant = codes.get(form.code);
+  codes.delete(form.code);
+
+  if (form.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+  if (form.client_id !== grant.clientId || form.redirect_uri !== grant.redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = createHash('sha256').update(form.code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const subject = createHash('sha256').update(grant.email).digest('hex').slice(0, 24);
+  const idToken = jwt.sign(
+    {
+      sub: subject,
+      email: grant.email,
+      email_verified: grant.emailVerified,
+      name: grant.name,
+      nonce: grant.nonce,
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: grant.clientId, expiresIn: '5m' }
+  );
+
+  sendJson(res, 200, {
+    access_token: randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'email', 'profile'],
+      });
+    }
+    if (url.pathname === '/jwks') return sendJson(res, 200, { keys: [jwk] });
+    if (url.pathname === '/authorize') return await handleAuthorize(req, res, url);
+    if (url.pathname === '/token' && req.method === 'POST') return await handleToken(req, res);
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (err) {
+    console.error(err);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
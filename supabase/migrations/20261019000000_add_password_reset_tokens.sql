@@ -0,0 +1,17 @@
+-- ============================================
+-- Password reset tokens (single-use, expiring, stored hashed like refresh_tokens)
+-- ============================================
+
+CREATE TABLE public.password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  user_type TEXT NOT NULL CHECK (user_type IN ('admin', 'student')),
+  token_hash TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_password_reset_tokens_hash ON public.password_reset_tokens (token_hash) WHERE used_at IS NULL;
+CREATE INDEX idx_password_reset_tokens_user ON public.password_reset_tokens (user_id, user_type);
+CREATE INDEX idx_password_reset_tokens_expires ON public.password_reset_tokens (expires_at);
@@ -0,0 +1,21 @@
+-- ============================================
+-- Email verification for students
+-- ============================================
+
+ALTER TABLE public.students
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Accounts that existed before verification was introduced are trusted as-is
+UPDATE public.students SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+CREATE TABLE public.email_verification_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id UUID NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_email_verification_tokens_hash ON public.email_verification_tokens (token_hash) WHERE used_at IS NULL;
+CREATE INDEX idx_email_verification_tokens_student ON public.email_verification_tokens (student_id);
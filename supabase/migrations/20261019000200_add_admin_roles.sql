@@ -0,0 +1,22 @@
+-- ============================================
+-- Role-based access control for admin staff
+-- ============================================
+
+-- Existing admins keep full access; anyone registered afterwards starts as an instructor
+ALTER TABLE public.admins
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner'
+    CHECK (role IN ('owner', 'instructor', 'ta', 'placement_officer')),
+  ADD COLUMN IF NOT EXISTS permissions TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.admins ALTER COLUMN role SET DEFAULT 'instructor';
+
+-- Restrict a staff member to specific batches (no rows = all batches)
+CREATE TABLE public.admin_batch_scopes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID NOT NULL REFERENCES public.admins(id) ON DELETE CASCADE,
+  batch_id UUID NOT NULL REFERENCES public.batches(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (admin_id, batch_id)
+);
+
+CREATE INDEX idx_admin_batch_scopes_admin ON public.admin_batch_scopes (admin_id);
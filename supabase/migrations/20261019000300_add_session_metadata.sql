@@ -0,0 +1,17 @@
+-- ============================================
+-- Session management: device info on refresh tokens + "log out everywhere"
+-- ============================================
+
+ALTER TABLE public.refresh_tokens
+  ADD COLUMN IF NOT EXISTS user_agent TEXT,
+  ADD COLUMN IF NOT EXISTS ip_address TEXT,
+  ADD COLUMN IF NOT EXISTS session_started_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+
+UPDATE public.refresh_tokens
+  SET session_started_at = created_at, last_used_at = created_at
+  WHERE session_started_at IS NULL;
+
+-- Access tokens issued before this timestamp are rejected (force logout)
+ALTER TABLE public.students ADD COLUMN IF NOT EXISTS tokens_revoked_at TIMESTAMPTZ;
+ALTER TABLE public.admins ADD COLUMN IF NOT EXISTS tokens_revoked_at TIMESTAMPTZ;
@@ -0,0 +1,42 @@
+-- ============================================
+-- Refresh token families + reuse detection
+-- Every login starts a family; each rotation adds a row to it and links the
+-- old row to its replacement. Presenting a token that was already rotated
+-- revokes the whole family.
+-- ============================================
+
+ALTER TABLE public.refresh_tokens
+  ADD COLUMN IF NOT EXISTS family_id UUID,
+  ADD COLUMN IF NOT EXISTS replaced_by_id UUID REFERENCES public.refresh_tokens(id) ON DELETE SET NULL;
+
+-- Existing tokens each become their own family
+UPDATE public.refresh_tokens SET family_id = id WHERE family_id IS NULL;
+
+ALTER TABLE public.refresh_tokens ALTER COLUMN family_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON public.refresh_tokens (family_id) WHERE revoked_at IS NULL;
+
+-- Reuse detection needs to find revoked tokens by hash too
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_hash_all ON public.refresh_tokens (token_hash);
+
+-- NOTE: periodic cleanup should now only delete expired rows
+-- (DELETE FROM refresh_tokens WHERE expires_at < now()), otherwise a replayed
+-- rotated token can no longer be recognised.
+
+-- ============================================
+-- Security event log
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.security_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  user_type TEXT CHECK (user_type IN ('admin', 'student')),
+  event_type TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_user ON public.security_events (user_id, user_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON public.security_events (event_type, created_at DESC);
@@ -0,0 +1,20 @@
+-- ============================================
+-- TOTP two-factor authentication for admins
+-- Secrets are stored AES-GCM encrypted (see lib/adminMfa.js), recovery codes hashed.
+-- ============================================
+
+ALTER TABLE public.admins
+  ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS public.admin_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID NOT NULL REFERENCES public.admins(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON public.admin_recovery_codes (admin_id) WHERE used_at IS NULL;
@@ -0,0 +1,28 @@
+-- ============================================
+-- Per-account lockout + login history
+-- ============================================
+
+ALTER TABLE public.students
+  ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+ALTER TABLE public.admins
+  ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+-- One row per login attempt. user_id is null when the email matched no account.
+CREATE TABLE IF NOT EXISTS public.login_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  user_type TEXT NOT NULL CHECK (user_type IN ('admin', 'student')),
+  email TEXT,
+  success BOOLEAN NOT NULL,
+  failure_reason TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_events_user ON public.login_events (user_id, user_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_events_created ON public.login_events (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_events_ip ON public.login_events (ip_address, created_at DESC);
@@ -0,0 +1,11 @@
+-- ============================================
+-- Editable student profile (also feeds the resume generator + placement views)
+-- ============================================
+
+ALTER TABLE public.students
+  ADD COLUMN IF NOT EXISTS bio TEXT,
+  ADD COLUMN IF NOT EXISTS college TEXT,
+  ADD COLUMN IF NOT EXISTS graduation_year INTEGER CHECK (graduation_year BETWEEN 1950 AND 2100),
+  ADD COLUMN IF NOT EXISTS github_url TEXT,
+  ADD COLUMN IF NOT EXISTS linkedin_url TEXT,
+  ADD COLUMN IF NOT EXISTS avatar_url TEXT;
@@ -0,0 +1,27 @@
+-- ============================================
+-- Admin audit log: who changed what, with before/after snapshots
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id UUID,
+  actor_type TEXT NOT NULL DEFAULT 'admin',
+  actor_email TEXT,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  before JSONB,
+  after JSONB,
+  changes JSONB,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  request_id TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON public.audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON public.audit_log (entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON public.audit_log (actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON public.audit_log (action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_request ON public.audit_log (request_id);
@@ -0,0 +1,20 @@
+-- ============================================
+-- Admin impersonation ("view as student") sessions
+-- ============================================
+
+-- One row per impersonation token. The token itself is a short-lived JWT that
+-- references this row, so ending the session here invalidates it immediately.
+CREATE TABLE IF NOT EXISTS public.impersonation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID NOT NULL REFERENCES public.admins(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin ON public.impersonation_sessions (admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_student ON public.impersonation_sessions (student_id, created_at DESC);
@@ -0,0 +1,17 @@
+-- ============================================
+-- OpenID Connect single sign-on: external identities linked to local accounts
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.sso_identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  user_id UUID NOT NULL,
+  user_type TEXT NOT NULL CHECK (user_type IN ('admin', 'student')),
+  email TEXT,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (provider, subject, user_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sso_identities_user ON public.sso_identities (user_id, user_type);
@@ -0,0 +1,21 @@
+-- ============================================
+-- Scoped API keys for server-to-server integrations
+-- ============================================
+
+-- Keys look like nsk_<prefix>_<secret>. Only the SHA-256 of the full key is
+-- stored; the prefix is kept in clear so a key can be identified in the UI/logs.
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by UUID NOT NULL REFERENCES public.admins(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_created_by ON public.api_keys (created_by);
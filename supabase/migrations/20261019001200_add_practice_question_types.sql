@@ -0,0 +1,13 @@
+-- ============================================
+-- Practice question types: multi-select, true/false, numeric, short text,
+-- ordering, code-output prediction + per-question explanations
+-- ============================================
+
+ALTER TABLE public.practice_questions
+  ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'mcq'
+    CHECK (type IN ('mcq', 'multi_select', 'true_false', 'numeric', 'short_text', 'ordering', 'code_output')),
+  -- Prompt material shown to students (e.g. { code, language } for code_output)
+  ADD COLUMN IF NOT EXISTS content JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Answer key for every type except mcq (which keeps using the integer answer column)
+  ADD COLUMN IF NOT EXISTS answer_data JSONB,
+  ADD COLUMN IF NOT EXISTS explanation TEXT NOT NULL DEFAULT '';
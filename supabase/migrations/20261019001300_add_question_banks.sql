@@ -0,0 +1,71 @@
+-- ============================================
+-- Question banks + randomized topic quizzes
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.question_banks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  created_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Same question columns as practice_questions (see lib/questions.js), plus tags used to draw quizzes
+CREATE TABLE IF NOT EXISTS public.bank_questions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bank_id UUID NOT NULL REFERENCES public.question_banks(id) ON DELETE CASCADE,
+  topic_id UUID REFERENCES public.topics(id) ON DELETE SET NULL,
+  skill TEXT,
+  difficulty TEXT NOT NULL DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  type TEXT NOT NULL DEFAULT 'mcq'
+    CHECK (type IN ('mcq', 'multi_select', 'true_false', 'numeric', 'short_text', 'ordering', 'code_output')),
+  question TEXT NOT NULL,
+  options JSONB NOT NULL DEFAULT '[]'::jsonb,
+  content JSONB NOT NULL DEFAULT '{}'::jsonb,
+  answer INTEGER NOT NULL DEFAULT 0,
+  answer_data JSONB,
+  explanation TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_questions_bank ON public.bank_questions (bank_id);
+CREATE INDEX IF NOT EXISTS idx_bank_questions_topic ON public.bank_questions (topic_id);
+CREATE INDEX IF NOT EXISTS idx_bank_questions_skill ON public.bank_questions (skill, difficulty);
+CREATE INDEX IF NOT EXISTS idx_bank_questions_tags ON public.bank_questions USING GIN (tags);
+
+-- One quiz definition per topic. rules: [{ count, bankId?, topicId?, skill?, tag?, difficulty? }]
+CREATE TABLE IF NOT EXISTS public.topic_quizzes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  topic_id UUID NOT NULL UNIQUE REFERENCES public.topics(id) ON DELETE CASCADE,
+  title TEXT NOT NULL DEFAULT '',
+  rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+  shuffle_questions BOOLEAN NOT NULL DEFAULT true,
+  shuffle_options BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS update_question_banks_updated_at ON public.question_banks;
+CREATE TRIGGER update_question_banks_updated_at
+  BEFORE UPDATE ON public.question_banks
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+DROP TRIGGER IF EXISTS update_bank_questions_updated_at ON public.bank_questions;
+CREATE TRIGGER update_bank_questions_updated_at
+  BEFORE UPDATE ON public.bank_questions
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+DROP TRIGGER IF EXISTS update_topic_quizzes_updated_at ON public.topic_quizzes;
+CREATE TRIGGER update_topic_quizzes_updated_at
+  BEFORE UPDATE ON public.topic_quizzes
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- Generated quizzes: the paper is stored in answers when the attempt starts and
+-- replaced by the graded review on submit
+ALTER TABLE public.practice_attempts
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'submitted' CHECK (status IN ('in_progress', 'submitted')),
+  ADD COLUMN IF NOT EXISTS quiz_id UUID REFERENCES public.topic_quizzes(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
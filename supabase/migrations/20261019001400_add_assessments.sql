@@ -0,0 +1,103 @@
+-- ============================================
+-- Timed assessments / exams
+-- ============================================
+
+-- An assessment belongs to a course (every batch taking the course) or to one batch.
+-- Questions are the fixed assessment_questions plus anything drawn from the
+-- question banks by `rules` (same rule shape as topic_quizzes).
+CREATE TABLE IF NOT EXISTS public.assessments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  course_id UUID REFERENCES public.courses(id) ON DELETE CASCADE,
+  batch_id UUID REFERENCES public.batches(id) ON DELETE CASCADE,
+  opens_at TIMESTAMPTZ,
+  closes_at TIMESTAMPTZ,
+  duration_minutes INTEGER CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+  max_attempts INTEGER NOT NULL DEFAULT 1 CHECK (max_attempts > 0),
+  pass_percentage NUMERIC(5,2) NOT NULL DEFAULT 80,
+  rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+  shuffle_questions BOOLEAN NOT NULL DEFAULT true,
+  shuffle_options BOOLEAN NOT NULL DEFAULT true,
+  -- Late work: accepted for late_minutes after the deadline, losing late_penalty_percent points
+  late_minutes INTEGER NOT NULL DEFAULT 0 CHECK (late_minutes >= 0),
+  late_penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (late_penalty_percent BETWEEN 0 AND 100),
+  result_release TEXT NOT NULL DEFAULT 'after_close' CHECK (result_release IN ('immediate', 'after_close', 'manual')),
+  results_released_at TIMESTAMPTZ,
+  show_correct_answers BOOLEAN NOT NULL DEFAULT true,
+  is_published BOOLEAN NOT NULL DEFAULT false,
+  created_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (course_id IS NOT NULL OR batch_id IS NOT NULL),
+  CHECK (opens_at IS NULL OR closes_at IS NULL OR opens_at < closes_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessments_course ON public.assessments (course_id);
+CREATE INDEX IF NOT EXISTS idx_assessments_batch ON public.assessments (batch_id);
+
+-- Same question columns as practice_questions (see lib/questions.js)
+CREATE TABLE IF NOT EXISTS public.assessment_questions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assessment_id UUID NOT NULL REFERENCES public.assessments(id) ON DELETE CASCADE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  type TEXT NOT NULL DEFAULT 'mcq'
+    CHECK (type IN ('mcq', 'multi_select', 'true_false', 'numeric', 'short_text', 'ordering', 'code_output')),
+  question TEXT NOT NULL,
+  options JSONB NOT NULL DEFAULT '[]'::jsonb,
+  content JSONB NOT NULL DEFAULT '{}'::jsonb,
+  answer INTEGER NOT NULL DEFAULT 0,
+  answer_data JSONB,
+  explanation TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessment_questions_assessment ON public.assessment_questions (assessment_id, sort_order);
+
+-- paper holds the exact questions (with answer key) generated at start.
+-- deadline_at is when the attempt stops being on time; expires_at is the hard
+-- stop (deadline + late window) at which saved responses are auto-submitted.
+-- token_id is the jti of the only start token currently allowed to write.
+CREATE TABLE IF NOT EXISTS public.assessment_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assessment_id UUID NOT NULL REFERENCES public.assessments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  attempt_number INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'submitted', 'auto_submitted')),
+  paper JSONB NOT NULL DEFAULT '[]'::jsonb,
+  responses JSONB NOT NULL DEFAULT '{}'::jsonb,
+  review JSONB,
+  token_id UUID,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  deadline_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  last_saved_at TIMESTAMPTZ,
+  submitted_at TIMESTAMPTZ,
+  is_late BOOLEAN NOT NULL DEFAULT false,
+  score INTEGER,
+  total INTEGER,
+  raw_percentage NUMERIC(5,2),
+  percentage NUMERIC(5,2),
+  passed BOOLEAN,
+  time_taken_seconds INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (assessment_id, student_id, attempt_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessment_attempts_student ON public.assessment_attempts (student_id, assessment_id);
+-- Sweeper: open attempts past their hard stop
+CREATE INDEX IF NOT EXISTS idx_assessment_attempts_open ON public.assessment_attempts (expires_at) WHERE status = 'in_progress';
+-- At most one open attempt per student per assessment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assessment_attempts_one_open
+  ON public.assessment_attempts (assessment_id, student_id) WHERE status = 'in_progress';
+
+DROP TRIGGER IF EXISTS update_assessments_updated_at ON public.assessments;
+CREATE TRIGGER update_assessments_updated_at
+  BEFORE UPDATE ON public.assessments
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+DROP TRIGGER IF EXISTS update_assessment_attempts_updated_at ON public.assessment_attempts;
+CREATE TRIGGER update_assessment_attempts_updated_at
+  BEFORE UPDATE ON public.assessment_attempts
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
@@ -0,0 +1,75 @@
+-- ============================================
+-- Mentor-graded assignments with rubrics
+-- ============================================
+
+-- An assignment hangs off a topic (every batch taking the course) or one batch.
+-- rubric: [{ id, title, description, maxPoints }]; max_score is the sum of maxPoints.
+CREATE TABLE IF NOT EXISTS public.assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  topic_id UUID REFERENCES public.topics(id) ON DELETE CASCADE,
+  batch_id UUID REFERENCES public.batches(id) ON DELETE CASCADE,
+  due_at TIMESTAMPTZ,
+  allow_late BOOLEAN NOT NULL DEFAULT true,
+  submission_types TEXT[] NOT NULL DEFAULT '{file,link,text}',
+  max_files INTEGER NOT NULL DEFAULT 5 CHECK (max_files BETWEEN 0 AND 10),
+  rubric JSONB NOT NULL DEFAULT '[]'::jsonb,
+  max_score NUMERIC(7,2) NOT NULL DEFAULT 0,
+  is_published BOOLEAN NOT NULL DEFAULT false,
+  created_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (topic_id IS NOT NULL OR batch_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignments_topic ON public.assignments (topic_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_batch ON public.assignments (batch_id);
+
+-- Every (re)submission is kept; the highest version is the current one.
+-- files: [{ name, url, size, mimeType }]
+CREATE TABLE IF NOT EXISTS public.assignment_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES public.assignments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL DEFAULT 1,
+  files JSONB NOT NULL DEFAULT '[]'::jsonb,
+  repo_url TEXT,
+  text TEXT NOT NULL DEFAULT '',
+  is_late BOOLEAN NOT NULL DEFAULT false,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (assignment_id, student_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_submissions_student ON public.assignment_submissions (student_id, assignment_id);
+
+-- One grade per student per assignment, pointing at the submission version it graded.
+-- scores: [{ criterionId, points, comment }]. Students only see it once released_at is set.
+CREATE TABLE IF NOT EXISTS public.assignment_grades (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES public.assignments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  submission_id UUID REFERENCES public.assignment_submissions(id) ON DELETE SET NULL,
+  scores JSONB NOT NULL DEFAULT '[]'::jsonb,
+  total_score NUMERIC(7,2) NOT NULL DEFAULT 0,
+  max_score NUMERIC(7,2) NOT NULL DEFAULT 0,
+  feedback TEXT NOT NULL DEFAULT '',
+  graded_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  graded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  released_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (assignment_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_grades_student ON public.assignment_grades (student_id);
+
+DROP TRIGGER IF EXISTS update_assignments_updated_at ON public.assignments;
+CREATE TRIGGER update_assignments_updated_at
+  BEFORE UPDATE ON public.assignments
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+DROP TRIGGER IF EXISTS update_assignment_grades_updated_at ON public.assignment_grades;
+CREATE TRIGGER update_assignment_grades_updated_at
+  BEFORE UPDATE ON public.assignment_grades
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
@@ -0,0 +1,27 @@
+-- ============================================
+-- Course modules: an optional level between courses and topics
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.course_modules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  course_id UUID NOT NULL REFERENCES public.courses(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_published BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_modules_course_sort ON public.course_modules (course_id, sort_order);
+
+-- Topics keep their course-wide sort_order; deleting a module leaves its topics ungrouped
+ALTER TABLE public.topics
+  ADD COLUMN IF NOT EXISTS module_id UUID REFERENCES public.course_modules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_topics_module ON public.topics (module_id);
+
+DROP TRIGGER IF EXISTS update_course_modules_updated_at ON public.course_modules;
+CREATE TRIGGER update_course_modules_updated_at
+  BEFORE UPDATE ON public.course_modules
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
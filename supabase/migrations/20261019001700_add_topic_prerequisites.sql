@@ -0,0 +1,48 @@
+-- ============================================
+-- Topic prerequisites and per-batch overrides
+-- ============================================
+
+-- A topic stays locked until every prerequisite is met:
+--   practice — best practice score on required_topic_id >= min_percentage
+--   coding   — the coding practice of required_topic_id has a passing submission
+CREATE TABLE IF NOT EXISTS public.topic_prerequisites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  topic_id UUID NOT NULL REFERENCES public.topics(id) ON DELETE CASCADE,
+  required_topic_id UUID NOT NULL REFERENCES public.topics(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('practice', 'coding')),
+  min_percentage NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (min_percentage BETWEEN 0 AND 100),
+  created_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (topic_id, required_topic_id, kind),
+  CHECK (topic_id <> required_topic_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_prerequisites_topic ON public.topic_prerequisites (topic_id);
+
+-- Relax one prerequisite for a cohort: waive it, or lower the practice threshold
+CREATE TABLE IF NOT EXISTS public.batch_prerequisite_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID NOT NULL REFERENCES public.batches(id) ON DELETE CASCADE,
+  prerequisite_id UUID NOT NULL REFERENCES public.topic_prerequisites(id) ON DELETE CASCADE,
+  waived BOOLEAN NOT NULL DEFAULT false,
+  min_percentage NUMERIC(5,2) CHECK (min_percentage BETWEEN 0 AND 100),
+  created_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (batch_id, prerequisite_id)
+);
+
+-- Switch gating off for a whole batch
+ALTER TABLE public.batches
+  ADD COLUMN IF NOT EXISTS enforce_prerequisites BOOLEAN NOT NULL DEFAULT true;
+
+DROP TRIGGER IF EXISTS update_topic_prerequisites_updated_at ON public.topic_prerequisites;
+CREATE TRIGGER update_topic_prerequisites_updated_at
+  BEFORE UPDATE ON public.topic_prerequisites
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+DROP TRIGGER IF EXISTS update_batch_prerequisite_overrides_updated_at ON public.batch_prerequisite_overrides;
+CREATE TRIGGER update_batch_prerequisite_overrides_updated_at
+  BEFORE UPDATE ON public.batch_prerequisite_overrides
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
@@ -0,0 +1,70 @@
+-- ============================================
+-- Drafts, published versions and rollback for topics and course metadata
+-- ============================================
+
+-- content holds the editable fields in API shape:
+--   topic  — { title, videoUrl, pdfUrl, practice: [...], codingPractice }
+--   course — { name, description, icon, color }
+-- Editing a draft leaves the live rows alone; publishing writes the draft to
+-- the live rows and snapshots it as the next version.
+
+CREATE TABLE IF NOT EXISTS public.topic_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  topic_id UUID NOT NULL UNIQUE REFERENCES public.topics(id) ON DELETE CASCADE,
+  content JSONB NOT NULL,
+  updated_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.topic_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  topic_id UUID NOT NULL REFERENCES public.topics(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  content JSONB NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  published_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  published_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (topic_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS public.course_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  course_id UUID NOT NULL UNIQUE REFERENCES public.courses(id) ON DELETE CASCADE,
+  content JSONB NOT NULL,
+  updated_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.course_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  course_id UUID NOT NULL REFERENCES public.courses(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  content JSONB NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  published_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  published_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (course_id, version)
+);
+
+-- Live version number (0 = never published through the version history)
+ALTER TABLE public.topics
+  ADD COLUMN IF NOT EXISTS published_version INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.courses
+  ADD COLUMN IF NOT EXISTS published_version INTEGER NOT NULL DEFAULT 0;
+
+-- The topic version whose coding practice a submission was graded against
+ALTER TABLE public.coding_submissions
+  ADD COLUMN IF NOT EXISTS topic_version INTEGER;
+
+DROP TRIGGER IF EXISTS update_topic_drafts_updated_at ON public.topic_drafts;
+CREATE TRIGGER update_topic_drafts_updated_at
+  BEFORE UPDATE ON public.topic_drafts
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+DROP TRIGGER IF EXISTS update_course_drafts_updated_at ON public.course_drafts;
+CREATE TRIGGER update_course_drafts_updated_at
+  BEFORE UPDATE ON public.course_drafts
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
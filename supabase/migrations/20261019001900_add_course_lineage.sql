@@ -0,0 +1,8 @@
+-- ============================================
+-- Course lineage: which course a clone was copied from
+-- ============================================
+
+ALTER TABLE public.courses
+  ADD COLUMN IF NOT EXISTS source_course_id UUID REFERENCES public.courses(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_courses_source ON public.courses (source_course_id);
@@ -0,0 +1,189 @@
+-- ============================================
+-- Full-text search over courses, topics, coding practice, practice questions,
+-- announcements and job postings
+-- ============================================
+
+-- Expression indexes; search_content() repeats the same expressions so the
+-- planner can use them. Titles/names weigh more (A) than body text (B/C).
+
+CREATE INDEX IF NOT EXISTS idx_courses_search ON public.courses USING GIN ((
+  setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_topics_search ON public.topics USING GIN ((
+  setweight(to_tsvector('english', coalesce(title, '')), 'A')
+));
+
+CREATE INDEX IF NOT EXISTS idx_coding_practices_search ON public.coding_practices USING GIN ((
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_practice_questions_search ON public.practice_questions USING GIN ((
+  setweight(to_tsvector('english', coalesce(question, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_announcements_search ON public.announcements USING GIN ((
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(content, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_job_postings_search ON public.job_postings USING GIN ((
+  setweight(to_tsvector('english', coalesce(designation, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(company_name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(location, '')), 'C')
+));
+
+-- Ranked, highlighted hits across every searchable type.
+--   search_query  — web-search syntax: words, "quoted phrases", -excluded, or
+--   result_types  — NULL for all, else any of course, topic, coding_practice,
+--                   question, announcement, job
+--   student_view  — only published courses/topics/modules and active
+--                   announcements/jobs; admins see everything
+--   course_ids    — topic content is limited to these courses (NULL = any)
+--   batch_ids     — batch announcements are limited to these batches (NULL = any);
+--                   global announcements always match
+-- total_count is the number of hits before max_results/skip_results.
+CREATE OR REPLACE FUNCTION public.search_content(
+  search_query TEXT,
+  result_types TEXT[] DEFAULT NULL,
+  student_view BOOLEAN DEFAULT false,
+  course_ids UUID[] DEFAULT NULL,
+  batch_ids UUID[] DEFAULT NULL,
+  max_results INTEGER DEFAULT 20,
+  skip_results INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  type TEXT,
+  id UUID,
+  course_id UUID,
+  topic_id UUID,
+  title TEXT,
+  title_highlight TEXT,
+  snippet TEXT,
+  rank REAL,
+  total_count BIGINT
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', search_query) AS query
+  ),
+  visible_topics AS (
+    SELECT t.id, t.course_id, t.title
+    FROM public.topics t
+    JOIN public.courses c ON c.id = t.course_id
+    LEFT JOIN public.course_modules m ON m.id = t.module_id
+    WHERE (course_ids IS NULL OR t.course_id = ANY (course_ids))
+      AND (NOT student_view OR (t.is_published AND c.is_published AND coalesce(m.is_published, true)))
+  ),
+  hits AS (
+    SELECT 'course'::TEXT AS type, c.id, c.id AS course_id, NULL::UUID AS topic_id,
+           c.name AS title, c.description AS body,
+           ts_rank(
+             setweight(to_tsvector('english', coalesce(c.name, '')), 'A') ||
+             setweight(to_tsvector('english', coalesce(c.description, '')), 'B'),
+             q.query
+           ) AS rank
+    FROM public.courses c, q
+    WHERE (result_types IS NULL OR 'course' = ANY (result_types))
+      AND (NOT student_view OR c.is_published)
+      AND (
+        setweight(to_tsvector('english', coalesce(c.name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(c.description, '')), 'B')
+      ) @@ q.query
+
+    UNION ALL
+
+    SELECT 'topic', t.id, t.course_id, t.id, t.title, '',
+           ts_rank(setweight(to_tsvector('english', coalesce(t.title, '')), 'A'), q.query)
+    FROM public.topics t
+    JOIN visible_topics vt ON vt.id = t.id, q
+    WHERE (result_types IS NULL OR 'topic' = ANY (result_types))
+      AND setweight(to_tsvector('english', coalesce(t.title, '')), 'A') @@ q.query
+
+    UNION ALL
+
+    SELECT 'coding_practice', cp.id, vt.course_id, cp.topic_id, cp.title, cp.description,
+           ts_rank(
+             setweight(to_tsvector('english', coalesce(cp.title, '')), 'A') ||
+             setweight(to_tsvector('english', coalesce(cp.description, '')), 'B'),
+             q.query
+           )
+    FROM public.coding_practices cp
+    JOIN visible_topics vt ON vt.id = cp.topic_id, q
+    WHERE (result_types IS NULL OR 'coding_practice' = ANY (result_types))
+      AND (
+        setweight(to_tsvector('english', coalesce(cp.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(cp.description, '')), 'B')
+      ) @@ q.query
+
+    UNION ALL
+
+    SELECT 'question', pq.id, vt.course_id, pq.topic_id, vt.title, pq.question,
+           ts_rank(setweight(to_tsvector('english', coalesce(pq.question, '')), 'B'), q.query)
+    FROM public.practice_questions pq
+    JOIN visible_topics vt ON vt.id = pq.topic_id, q
+    WHERE (result_types IS NULL OR 'question' = ANY (result_types))
+      AND setweight(to_tsvector('english', coalesce(pq.question, '')), 'B') @@ q.query
+
+    UNION ALL
+
+    SELECT 'announcement', a.id, NULL, NULL, a.title, a.content,
+           ts_rank(
+             setweight(to_tsvector('english', coalesce(a.title, '')), 'A') ||
+             setweight(to_tsvector('english', coalesce(a.content, '')), 'B'),
+             q.query
+           )
+    FROM public.announcements a, q
+    WHERE (result_types IS NULL OR 'announcement' = ANY (result_types))
+      AND (NOT student_view OR a.is_active)
+      AND (a.batch_id IS NULL OR batch_ids IS NULL OR a.batch_id = ANY (batch_ids))
+      AND (
+        setweight(to_tsvector('english', coalesce(a.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(a.content, '')), 'B')
+      ) @@ q.query
+
+    UNION ALL
+
+    SELECT 'job', j.id, NULL, NULL, j.designation || ' at ' || j.company_name, j.description,
+           ts_rank(
+             setweight(to_tsvector('english', coalesce(j.designation, '')), 'A') ||
+             setweight(to_tsvector('english', coalesce(j.company_name, '')), 'A') ||
+             setweight(to_tsvector('english', coalesce(j.description, '')), 'B') ||
+             setweight(to_tsvector('english', coalesce(j.location, '')), 'C'),
+             q.query
+           )
+    FROM public.job_postings j, q
+    WHERE (result_types IS NULL OR 'job' = ANY (result_types))
+      AND (NOT student_view OR j.is_active)
+      AND (
+        setweight(to_tsvector('english', coalesce(j.designation, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(j.company_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(j.description, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(j.location, '')), 'C')
+      ) @@ q.query
+  ),
+  page AS (
+    SELECT h.*, count(*) OVER () AS total_count
+    FROM hits h
+    ORDER BY h.rank DESC, h.title
+    LIMIT max_results OFFSET skip_results
+  )
+  SELECT
+    p.type,
+    p.id,
+    p.course_id,
+    p.topic_id,
+    p.title,
+    ts_headline('english', p.title, q.query, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>'),
+    CASE WHEN coalesce(p.body, '') = '' THEN ''
+      ELSE ts_headline('english', p.body, q.query, 'MaxFragments=2, MaxWords=25, MinWords=8, StartSel=<mark>, StopSel=</mark>')
+    END,
+    p.rank,
+    p.total_count
+  FROM page p, q
+  ORDER BY p.rank DESC, p.title;
+$$;
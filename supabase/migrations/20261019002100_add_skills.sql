@@ -0,0 +1,78 @@
+-- ============================================
+-- Skill taxonomy, attached to courses, topics, coding practice, questions and jobs
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.skills (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT '',
+  description TEXT NOT NULL DEFAULT '',
+  created_by UUID REFERENCES public.admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_skills_name ON public.skills (lower(name));
+CREATE INDEX IF NOT EXISTS idx_skills_category ON public.skills (category, name);
+
+-- Tags are skill id arrays on the tagged rows. Questions and coding practice are
+-- rewritten on every publish, so their tags travel with the content (drafts,
+-- versions, packages) instead of living in join tables keyed by row id.
+-- bank_questions and assessment_questions share the practice question columns.
+ALTER TABLE public.courses ADD COLUMN IF NOT EXISTS skill_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.topics ADD COLUMN IF NOT EXISTS skill_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.coding_practices ADD COLUMN IF NOT EXISTS skill_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.practice_questions ADD COLUMN IF NOT EXISTS skill_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.bank_questions ADD COLUMN IF NOT EXISTS skill_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.assessment_questions ADD COLUMN IF NOT EXISTS skill_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.job_postings ADD COLUMN IF NOT EXISTS skill_ids UUID[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_courses_skills ON public.courses USING GIN (skill_ids);
+CREATE INDEX IF NOT EXISTS idx_topics_skills ON public.topics USING GIN (skill_ids);
+CREATE INDEX IF NOT EXISTS idx_coding_practices_skills ON public.coding_practices USING GIN (skill_ids);
+CREATE INDEX IF NOT EXISTS idx_practice_questions_skills ON public.practice_questions USING GIN (skill_ids);
+CREATE INDEX IF NOT EXISTS idx_bank_questions_skills ON public.bank_questions USING GIN (skill_ids);
+CREATE INDEX IF NOT EXISTS idx_assessment_questions_skills ON public.assessment_questions USING GIN (skill_ids);
+CREATE INDEX IF NOT EXISTS idx_job_postings_skills ON public.job_postings USING GIN (skill_ids);
+
+-- Deleting a skill untags everything that carried it
+CREATE OR REPLACE FUNCTION public.remove_deleted_skill()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE public.courses SET skill_ids = array_remove(skill_ids, OLD.id) WHERE OLD.id = ANY (skill_ids);
+  UPDATE public.topics SET skill_ids = array_remove(skill_ids, OLD.id) WHERE OLD.id = ANY (skill_ids);
+  UPDATE public.coding_practices SET skill_ids = array_remove(skill_ids, OLD.id) WHERE OLD.id = ANY (skill_ids);
+  UPDATE public.practice_questions SET skill_ids = array_remove(skill_ids, OLD.id) WHERE OLD.id = ANY (skill_ids);
+  UPDATE public.bank_questions SET skill_ids = array_remove(skill_ids, OLD.id) WHERE OLD.id = ANY (skill_ids);
+  UPDATE public.assessment_questions SET skill_ids = array_remove(skill_ids, OLD.id) WHERE OLD.id = ANY (skill_ids);
+  UPDATE public.job_postings SET skill_ids = array_remove(skill_ids, OLD.id) WHERE OLD.id = ANY (skill_ids);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS remove_deleted_skill ON public.skills;
+CREATE TRIGGER remove_deleted_skill
+  AFTER DELETE ON public.skills
+  FOR EACH ROW EXECUTE FUNCTION public.remove_deleted_skill();
+
+DROP TRIGGER IF EXISTS update_skills_updated_at ON public.skills;
+CREATE TRIGGER update_skills_updated_at
+  BEFORE UPDATE ON public.skills
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- c.* was expanded when the view was created; recreate it so the course list
+-- sees the columns added since
+DROP VIEW IF EXISTS public.courses_with_topic_count;
+CREATE VIEW public.courses_with_topic_count AS
+SELECT
+  c.*,
+  COALESCE(t.topic_count, 0) AS total_topics
+FROM public.courses c
+LEFT JOIN (
+  SELECT course_id, COUNT(*) AS topic_count
+  FROM public.topics
+  GROUP BY course_id
+) t ON t.course_id = c.id
+ORDER BY c.sort_order;
@@ -0,0 +1,54 @@
+-- ============================================
+-- Atomic failed-login counter
+-- ============================================
+
+-- Bumps the account's failure counter in one statement so concurrent failures
+-- cannot overwrite each other's increment, and locks the account once the
+-- counter reaches lockout_threshold: base_lockout_seconds, doubling with every
+-- further failure, capped at max_lockout_seconds (the exponent is capped too so
+-- power() cannot overflow).
+-- Returns the new counter and lock expiry; no row when the account is gone.
+CREATE OR REPLACE FUNCTION public.record_failed_login(
+  user_type TEXT,
+  user_id UUID,
+  lockout_threshold INTEGER,
+  base_lockout_seconds INTEGER,
+  max_lockout_seconds INTEGER
+)
+RETURNS TABLE (attempts INTEGER, lock_expires_at TIMESTAMPTZ)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF user_type = 'admin' THEN
+    RETURN QUERY
+    UPDATE public.admins a
+    SET
+      failed_login_attempts = a.failed_login_attempts + 1,
+      locked_until = CASE
+        WHEN a.failed_login_attempts + 1 >= lockout_threshold THEN now() + make_interval(secs => LEAST(
+          base_lockout_seconds * power(2, LEAST(a.failed_login_attempts + 1 - lockout_threshold, 30)),
+          max_lockout_seconds
+        ))
+        ELSE a.locked_until
+      END
+    WHERE a.id = record_failed_login.user_id
+    RETURNING a.failed_login_attempts, a.locked_until;
+  ELSIF user_type = 'student' THEN
+    RETURN QUERY
+    UPDATE public.students s
+    SET
+      failed_login_attempts = s.failed_login_attempts + 1,
+      locked_until = CASE
+        WHEN s.failed_login_attempts + 1 >= lockout_threshold THEN now() + make_interval(secs => LEAST(
+          base_lockout_seconds * power(2, LEAST(s.failed_login_attempts + 1 - lockout_threshold, 30)),
+          max_lockout_seconds
+        ))
+        ELSE s.locked_until
+      END
+    WHERE s.id = record_failed_login.user_id
+    RETURNING s.failed_login_attempts, s.locked_until;
+  ELSE
+    RAISE EXCEPTION 'Unknown user type: %', user_type;
+  END IF;
+END;
+$$;
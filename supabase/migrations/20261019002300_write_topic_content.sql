@@ -0,0 +1,53 @@
+-- ============================================
+-- Publish topic content in one transaction
+-- ============================================
+
+-- Replaces a topic's live content (title/links, practice questions, coding
+-- practice) and sets its published version. Runs as a single statement from the
+-- API, so a failure part-way leaves the previous content in place instead of a
+-- topic with its questions deleted.
+--   topic_fields    — { title, video_url, pdf_url }
+--   questions       — practice_questions rows without topic_id
+--   coding_practice — coding_practices row without topic_id, or null for none
+CREATE OR REPLACE FUNCTION public.write_topic_content(
+  target_topic_id UUID,
+  topic_fields JSONB,
+  questions JSONB,
+  coding_practice JSONB,
+  content_version INTEGER
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE public.topics
+  SET
+    title = topic_fields->>'title',
+    video_url = COALESCE(topic_fields->>'video_url', ''),
+    pdf_url = COALESCE(topic_fields->>'pdf_url', ''),
+    published_version = content_version
+  WHERE id = target_topic_id;
+
+  DELETE FROM public.practice_questions WHERE topic_id = target_topic_id;
+
+  INSERT INTO public.practice_questions
+    (topic_id, type, question, options, content, explanation, answer, answer_data, skill_ids, sort_order)
+  SELECT
+    target_topic_id, q.type, q.question, q.options, q.content, q.explanation,
+    q.answer, q.answer_data, q.skill_ids, q.sort_order
+  FROM jsonb_populate_recordset(NULL::public.practice_questions, COALESCE(questions, '[]'::jsonb)) q;
+
+  DELETE FROM public.coding_practices WHERE topic_id = target_topic_id;
+
+  IF coding_practice IS NOT NULL AND jsonb_typeof(coding_practice) = 'object' THEN
+    INSERT INTO public.coding_practices
+      (topic_id, language, title, description, reference_image, image_links, starter_code,
+       expected_output, hints, test_script, test_cases, difficulty, max_score, skill_ids)
+    SELECT
+      target_topic_id, cp.language, cp.title, cp.description, cp.reference_image, cp.image_links,
+      cp.starter_code, cp.expected_output, cp.hints, cp.test_script, cp.test_cases, cp.difficulty,
+      cp.max_score, cp.skill_ids
+    FROM jsonb_populate_record(NULL::public.coding_practices, coding_practice) cp;
+  END IF;
+END;
+$$;
@@ -0,0 +1,19 @@
+-- ============================================
+-- One open generated-quiz attempt per student and quiz
+-- ============================================
+
+-- Racing starts could each insert an in-progress paper; keep the newest of any
+-- duplicates (never submitted, so nothing graded is lost) before the index
+DELETE FROM public.practice_attempts pa
+WHERE pa.status = 'in_progress'
+  AND EXISTS (
+    SELECT 1 FROM public.practice_attempts newer
+    WHERE newer.student_id = pa.student_id
+      AND newer.topic_id = pa.topic_id
+      AND newer.quiz_id IS NOT DISTINCT FROM pa.quiz_id
+      AND newer.status = 'in_progress'
+      AND (newer.created_at, newer.id) > (pa.created_at, pa.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_practice_attempts_one_open
+  ON public.practice_attempts (student_id, topic_id, quiz_id) WHERE status = 'in_progress';
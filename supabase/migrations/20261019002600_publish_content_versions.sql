@@ -0,0 +1,95 @@
+-- ============================================
+-- Allocate and record content versions in the publishing transaction
+-- ============================================
+
+-- Publishing used to read max(version) + 1, write the live rows and insert the
+-- version row as three separate calls, so two admins publishing the same topic
+-- at once could both pick the same number. These functions lock the topic or
+-- course row first, then allocate the number, write the live content and
+-- insert the version row in one transaction. Each returns the new version row.
+--
+-- Passing NULL live fields (the default) only snapshots: the live rows are left
+-- as they are and just their published_version moves to the new number.
+
+--   topic_fields / questions / coding_practice — as for write_topic_content
+--   version_content                            — the snapshot, in API shape
+CREATE OR REPLACE FUNCTION public.publish_topic_version(
+  target_topic_id UUID,
+  version_content JSONB,
+  version_note TEXT DEFAULT '',
+  published_by UUID DEFAULT NULL,
+  topic_fields JSONB DEFAULT NULL,
+  questions JSONB DEFAULT NULL,
+  coding_practice JSONB DEFAULT NULL
+)
+RETURNS public.topic_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  next_version INTEGER;
+  result public.topic_versions;
+BEGIN
+  PERFORM 1 FROM public.topics WHERE id = target_topic_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Topic % not found', target_topic_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(MAX(version), 0) + 1 INTO next_version
+  FROM public.topic_versions
+  WHERE topic_id = target_topic_id;
+
+  IF topic_fields IS NULL THEN
+    UPDATE public.topics SET published_version = next_version WHERE id = target_topic_id;
+  ELSE
+    PERFORM public.write_topic_content(target_topic_id, topic_fields, questions, coding_practice, next_version);
+  END IF;
+
+  INSERT INTO public.topic_versions (topic_id, version, content, note, published_by)
+  VALUES (target_topic_id, next_version, version_content, COALESCE(version_note, ''), published_by)
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+--   course_fields   — { name, description, icon, color }
+--   version_content — the snapshot, in API shape
+CREATE OR REPLACE FUNCTION public.publish_course_version(
+  target_course_id UUID,
+  version_content JSONB,
+  version_note TEXT DEFAULT '',
+  published_by UUID DEFAULT NULL,
+  course_fields JSONB DEFAULT NULL
+)
+RETURNS public.course_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  next_version INTEGER;
+  result public.course_versions;
+BEGIN
+  PERFORM 1 FROM public.courses WHERE id = target_course_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Course % not found', target_course_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(MAX(version), 0) + 1 INTO next_version
+  FROM public.course_versions
+  WHERE course_id = target_course_id;
+
+  UPDATE public.courses
+  SET
+    name = COALESCE(course_fields->>'name', name),
+    description = COALESCE(course_fields->>'description', description),
+    icon = COALESCE(course_fields->>'icon', icon),
+    color = COALESCE(course_fields->>'color', color),
+    published_version = next_version
+  WHERE id = target_course_id;
+
+  INSERT INTO public.course_versions (course_id, version, content, note, published_by)
+  VALUES (target_course_id, next_version, version_content, COALESCE(version_note, ''), published_by)
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
@@ -0,0 +1,41 @@
+-- ============================================
+-- Bank questions and quiz rules use skill ids instead of free-text skills
+-- ============================================
+
+-- Every free-text skill still in use (on bank questions or quiz rules) becomes
+-- a skill, unless one with that name exists already
+INSERT INTO public.skills (name)
+SELECT DISTINCT ON (lower(name)) name
+FROM (
+  SELECT skill AS name FROM public.bank_questions WHERE COALESCE(skill, '') <> ''
+  UNION
+  SELECT r->>'skill' FROM public.topic_quizzes q, jsonb_array_elements(q.rules) r
+  WHERE COALESCE(r->>'skill', '') <> ''
+) used
+WHERE NOT EXISTS (SELECT 1 FROM public.skills s WHERE lower(s.name) = lower(used.name))
+ORDER BY lower(name), name;
+
+UPDATE public.bank_questions b
+SET skill_ids = array_append(b.skill_ids, s.id)
+FROM public.skills s
+WHERE COALESCE(b.skill, '') <> ''
+  AND lower(s.name) = lower(b.skill)
+  AND NOT s.id = ANY (b.skill_ids);
+
+-- rules: [{ ..., skill }] → [{ ..., skillIds: [id] }]
+UPDATE public.topic_quizzes q
+SET rules = (
+  SELECT jsonb_agg(
+    CASE
+      WHEN COALESCE(e.r->>'skill', '') = '' THEN e.r - 'skill'
+      ELSE (e.r - 'skill') || jsonb_build_object('skillIds', jsonb_build_array(s.id))
+    END
+    ORDER BY e.ord
+  )
+  FROM jsonb_array_elements(q.rules) WITH ORDINALITY AS e(r, ord)
+  LEFT JOIN public.skills s ON lower(s.name) = lower(e.r->>'skill')
+)
+WHERE EXISTS (SELECT 1 FROM jsonb_array_elements(q.rules) r WHERE r ? 'skill');
+
+DROP INDEX IF EXISTS public.idx_bank_questions_skill;
+ALTER TABLE public.bank_questions DROP COLUMN IF EXISTS skill;